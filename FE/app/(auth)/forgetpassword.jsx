@@ -15,6 +15,7 @@ import styles from "../../assets/styles/forgetpassword.styles";
 import COLORS from "../../constants/colors";
 import { API_URL } from "../../constants/api";
 import { useLanguage } from "../../context/LanguageContext";
+import { authErrorMessage } from "../../lib/helper";
 
 export default function ForgetPassword() {
   const [email, setEmail] = useState("");
@@ -81,7 +82,7 @@ export default function ForgetPassword() {
           },
         ]);
       } else {
-        Alert.alert("Error", data.message || "Failed to reset password!");
+        Alert.alert("Error", authErrorMessage(t, response, data, "Failed to reset password!"));
       }
     } catch (error) {
       console.error("Reset password error:", error);
@@ -122,7 +123,7 @@ export default function ForgetPassword() {
           t("login.p21")
         );
       } else {
-        Alert.alert(t("login.erro"), data.message || t("login.p22"));
+        Alert.alert(t("login.erro"), authErrorMessage(t, response, data, t("login.p22")));
       }
     } catch (error) {
       console.error("Send code error:", error);
@@ -16,6 +16,7 @@ import styles from "../../assets/styles/login.styles";
 import COLORS from "../../constants/colors";
 import { useAuthStore } from "./../../store/authStore";
 import { useLanguage } from "../../context/LanguageContext";
+import { tooManyRequestsMessage } from "../../lib/helper";
 
 export default function Login() {
   const [email, setEmail] = useState("");
@@ -29,7 +30,18 @@ export default function Login() {
     const result = await login(email, password);
 
     if (!result.success) {
-      if (result.isSuspended) {
+      if (result.twoFactorRequired || result.twoFactorSetupRequired) {
+        router.push({
+          pathname: "/(auth)/twofactor",
+          params: {
+            twoFactorToken: result.twoFactorToken,
+            mode: result.twoFactorSetupRequired ? "setup" : "verify",
+          },
+        });
+      } else if (result.isRateLimited) {
+        // Đăng nhập sai nhiều lần / gửi quá nhiều request
+        Alert.alert(t("login.erro"), tooManyRequestsMessage(t, result.retryAfter));
+      } else if (result.isSuspended) {
         // Redirect đến trang suspended với thông tin
         router.push({
           pathname: '/(auth)/suspended',
@@ -40,6 +52,12 @@ export default function Login() {
       } else {
         Alert.alert("Error", result.error);
       }
+    } else if (result.data.isEmailVerified === false) {
+      // Đăng nhập được nhưng chưa đăng bài / bình luận được cho tới khi xác minh
+      router.push({
+        pathname: "/(auth)/verifyemail",
+        params: { email: result.data.email },
+      });
     }
   };
 
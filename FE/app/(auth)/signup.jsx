@@ -16,6 +16,7 @@ import styles from "../../assets/styles/signup.styles";
 import COLORS from "../../constants/colors";
 import { useAuthStore } from "../../store/authStore";
 import { useLanguage } from "../../context/LanguageContext";
+import { tooManyRequestsMessage } from "../../lib/helper";
 
 export default function Signup() {
     const [username, setUsername] = useState("");
@@ -29,18 +30,16 @@ export default function Signup() {
     const handleSignUp = async() => {
         const result = await register(username, email, password);
         if(result.success) {
+            // Nhập mã xác minh đã gửi tới email rồi mới đăng nhập
+            router.replace({
+                pathname: "/(auth)/verifyemail",
+                params: { email: result.email, resendAfter: result.resendAfter },
+            });
+        } else {
             Alert.alert(
-                t("login.p18"), 
-                t("login.p25"),
-                [
-                    { 
-                        text: "OK", 
-                        onPress: () => router.replace("/(auth)") 
-                    }
-                ]
+                t("login.erro"),
+                result.isRateLimited ? tooManyRequestsMessage(t, result.retryAfter) : result.error
             );
-        } else {
-            Alert.alert(t("login.erro"), result.error);
         }
     };
 
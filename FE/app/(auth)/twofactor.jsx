@@ -0,0 +1,189 @@
+import { Ionicons } from "@expo/vector-icons";
+import { useLocalSearchParams, useRouter } from "expo-router";
+import { useEffect, useState } from "react";
+import {
+  ActivityIndicator,
+  Alert,
+  KeyboardAvoidingView,
+  Platform,
+  ScrollView,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  View,
+} from "react-native";
+import styles from "../../assets/styles/forgetpassword.styles";
+import COLORS from "../../constants/colors";
+import { API_URL } from "../../constants/api";
+import { useAuthStore } from "../../store/authStore";
+import { useLanguage } from "../../context/LanguageContext";
+import TwoFactorSetup, { RecoveryCodes } from "../../components/TwoFactorSetup";
+import { authErrorMessage, tooManyRequestsMessage } from "../../lib/helper";
+
+// Bước thứ hai khi đăng nhập. mode = "verify": nhập mã từ app xác thực (hoặc recovery code);
+// mode = "setup": tài khoản admin chưa bật 2FA phải bật xong mới vào được.
+export default function TwoFactorLogin() {
+  const { twoFactorToken, mode } = useLocalSearchParams();
+  const [code, setCode] = useState("");
+  const [useRecoveryCode, setUseRecoveryCode] = useState(false);
+  const [setup, setSetup] = useState(null);
+  // Kết quả bật 2FA: { recoveryCodes, ...phiên đăng nhập } - lưu phiên sau khi người dùng đã lưu code
+  const [enabledLogin, setEnabledLogin] = useState(null);
+  const { isLoading, verifyTwoFactorLogin, enableTwoFactorLogin, completeLogin } = useAuthStore();
+  const router = useRouter();
+  const { t } = useLanguage();
+
+  useEffect(() => {
+    if (mode === "setup") {
+      fetchSetup();
+    }
+  }, [mode]);
+
+  // Token tạm chỉ sống vài phút - hết hạn thì quay lại đăng nhập
+  const backToLogin = (message) => {
+    Alert.alert(t("login.erro"), message, [
+      { text: "OK", onPress: () => router.replace("/(auth)") },
+    ]);
+  };
+
+  const fetchSetup = async () => {
+    try {
+      const response = await fetch(`${API_URL}/auth/login/2fa/setup`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ twoFactorToken }),
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(authErrorMessage(t, response, data, "Failed to start two-factor setup"));
+      }
+      setSetup(data);
+    } catch (error) {
+      backToLogin(error.message);
+    }
+  };
+
+  // Sai mã nhiều lần thì tài khoản bị khóa tạm (429) - báo thời gian phải chờ
+  const errorMessage = (result) =>
+    result.isRateLimited ? tooManyRequestsMessage(t, result.retryAfter) : result.error;
+
+  const handleVerify = async () => {
+    const value = code.trim();
+    if (!value) return;
+    const result = await verifyTwoFactorLogin(
+      twoFactorToken,
+      useRecoveryCode ? { recoveryCode: value } : { code: value }
+    );
+    if (!result.success) {
+      Alert.alert(t("login.erro"), errorMessage(result));
+    }
+    // Thành công: _layout tự chuyển về (tabs) khi đã có user + token
+  };
+
+  const handleEnable = async (firstCode) => {
+    const result = await enableTwoFactorLogin(twoFactorToken, firstCode);
+    if (!result.success) {
+      Alert.alert(t("login.erro"), errorMessage(result));
+      return;
+    }
+    setEnabledLogin(result.data);
+  };
+
+  const renderVerify = () => (
+    <>
+      <View style={styles.inputGroup}>
+        <Text style={styles.label}>
+          {useRecoveryCode ? t("twoFactor.recoveryCode") : t("twoFactor.code")}
+        </Text>
+        <View style={styles.inputContainer}>
+          <Ionicons
+            name={useRecoveryCode ? "key-outline" : "shield-checkmark-outline"}
+            size={20}
+            color={COLORS.primary}
+            style={styles.inputIcon}
+          />
+          <TextInput
+            style={styles.input}
+            placeholder={useRecoveryCode ? "xxxx-xxxx" : "123456"}
+            placeholderTextColor={COLORS.placeholderText}
+            value={code}
+            onChangeText={setCode}
+            keyboardType={useRecoveryCode ? "default" : "number-pad"}
+            autoCapitalize="none"
+            maxLength={useRecoveryCode ? 9 : 6}
+          />
+        </View>
+      </View>
+
+      <TouchableOpacity
+        style={styles.button}
+        onPress={handleVerify}
+        disabled={isLoading || !code.trim()}
+      >
+        {isLoading ? (
+          <ActivityIndicator color="#fff" />
+        ) : (
+          <Text style={styles.buttonText}>{t("twoFactor.verify")}</Text>
+        )}
+      </TouchableOpacity>
+
+      <View style={styles.footer}>
+        <TouchableOpacity
+          onPress={() => {
+            setUseRecoveryCode((value) => !value);
+            setCode("");
+          }}
+        >
+          <Text style={styles.link}>
+            {useRecoveryCode ? t("twoFactor.useApp") : t("twoFactor.useRecovery")}
+          </Text>
+        </TouchableOpacity>
+      </View>
+    </>
+  );
+
+  const renderSetup = () => {
+    if (enabledLogin) {
+      return (
+        <RecoveryCodes
+          codes={enabledLogin.recoveryCodes}
+          onDone={() => completeLogin(enabledLogin)}
+        />
+      );
+    }
+    if (!setup) {
+      return <ActivityIndicator size="large" color={COLORS.primary} />;
+    }
+    return <TwoFactorSetup setup={setup} onSubmit={handleEnable} isSubmitting={isLoading} />;
+  };
+
+  return (
+    <KeyboardAvoidingView
+      style={{ flex: 1 }}
+      behavior={Platform.OS === "ios" ? "padding" : "height"}
+    >
+      <ScrollView contentContainerStyle={styles.container}>
+        <View style={styles.card}>
+          <View style={styles.header}>
+            <Text style={styles.title}>{t("twoFactor.title")}</Text>
+            <Text style={styles.subtitle}>
+              {mode === "setup" ? t("twoFactor.setupRequired") : t("twoFactor.subtitle")}
+            </Text>
+          </View>
+
+          <View style={styles.formContainer}>
+            {mode === "setup" ? renderSetup() : renderVerify()}
+
+            {!enabledLogin && (
+              <View style={styles.footer}>
+                <TouchableOpacity onPress={() => router.replace("/(auth)")}>
+                  <Text style={styles.link}>{t("twoFactor.backToLogin")}</Text>
+                </TouchableOpacity>
+              </View>
+            )}
+          </View>
+        </View>
+      </ScrollView>
+    </KeyboardAvoidingView>
+  );
+}
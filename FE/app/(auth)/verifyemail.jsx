@@ -0,0 +1,197 @@
+import { Ionicons } from "@expo/vector-icons";
+import { useLocalSearchParams, useRouter } from "expo-router";
+import { useEffect, useState } from "react";
+import {
+  ActivityIndicator,
+  Alert,
+  KeyboardAvoidingView,
+  Platform,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  View,
+} from "react-native";
+import styles from "../../assets/styles/forgetpassword.styles";
+import COLORS from "../../constants/colors";
+import { API_URL } from "../../constants/api";
+import { useAuthStore } from "../../store/authStore";
+import { useLanguage } from "../../context/LanguageContext";
+import { authErrorMessage } from "../../lib/helper";
+
+// Nhập mã xác minh email gửi lúc đăng ký. Mở từ màn hình đăng ký, đăng nhập,
+// hoặc khi đăng bài / bình luận mà chưa xác minh.
+export default function VerifyEmail() {
+  const params = useLocalSearchParams();
+  const [email, setEmail] = useState(params.email || "");
+  const [code, setCode] = useState("");
+  const [isVerifying, setIsVerifying] = useState(false);
+  const [isResending, setIsResending] = useState(false);
+  // Số giây còn phải chờ trước khi gửi lại mã
+  const [resendAfter, setResendAfter] = useState(Number(params.resendAfter) || 0);
+  const { token, markEmailVerified } = useAuthStore();
+  const router = useRouter();
+  const { t } = useLanguage();
+
+  useEffect(() => {
+    if (resendAfter <= 0) return;
+    const timer = setTimeout(() => setResendAfter((seconds) => seconds - 1), 1000);
+    return () => clearTimeout(timer);
+  }, [resendAfter]);
+
+  const handleVerify = async () => {
+    if (!email.trim() || !code.trim()) {
+      Alert.alert(t("login.erro"), t("verify.missing"));
+      return;
+    }
+    setIsVerifying(true);
+    try {
+      const response = await fetch(`${API_URL}/auth/verify-email`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ email: email.trim(), code: code.trim() }),
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(authErrorMessage(t, response, data, "Failed to verify email"));
+      }
+
+      if (token) {
+        await markEmailVerified();
+      }
+      Alert.alert(t("login.sus"), t("verify.done"), [
+        {
+          text: "OK",
+          // Đang đăng nhập thì quay lại app, chưa thì sang màn hình đăng nhập
+          onPress: () => router.replace(token ? "/(tabs)" : "/(auth)"),
+        },
+      ]);
+    } catch (error) {
+      Alert.alert(t("login.erro"), error.message);
+    } finally {
+      setIsVerifying(false);
+    }
+  };
+
+  const handleResend = async () => {
+    if (!email.trim()) {
+      Alert.alert(t("login.erro"), t("login.p1"));
+      return;
+    }
+    setIsResending(true);
+    try {
+      const response = await fetch(`${API_URL}/auth/resend-verification`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ email: email.trim() }),
+      });
+      const data = await response.json();
+      // Đang trong thời gian chờ gửi lại / bị giới hạn request: đếm ngược tới khi gửi được
+      if (data.resendAfter || data.retryAfter) {
+        setResendAfter(data.resendAfter || data.retryAfter);
+      }
+      if (!response.ok) {
+        throw new Error(authErrorMessage(t, response, data, "Failed to resend code"));
+      }
+      Alert.alert(t("login.sus"), t("verify.sent"));
+    } catch (error) {
+      Alert.alert(t("login.erro"), error.message);
+    } finally {
+      setIsResending(false);
+    }
+  };
+
+  return (
+    <KeyboardAvoidingView
+      style={{ flex: 1 }}
+      behavior={Platform.OS === "ios" ? "padding" : "height"}
+    >
+      <View style={styles.container}>
+        <View style={styles.card}>
+          <View style={styles.header}>
+            <Text style={styles.title}>{t("verify.title")}</Text>
+            <Text style={styles.subtitle}>{t("verify.subtitle")}</Text>
+          </View>
+
+          <View style={styles.formContainer}>
+            <View style={styles.inputGroup}>
+              <Text style={styles.label}>Email</Text>
+              <View style={styles.inputContainer}>
+                <Ionicons
+                  name="mail-outline"
+                  size={20}
+                  color={COLORS.primary}
+                  style={styles.inputIcon}
+                />
+                <TextInput
+                  style={styles.input}
+                  placeholder={t("login.p1")}
+                  placeholderTextColor={COLORS.placeholderText}
+                  value={email}
+                  onChangeText={setEmail}
+                  keyboardType="email-address"
+                  autoCapitalize="none"
+                  editable={!params.email}
+                />
+              </View>
+            </View>
+
+            <View style={styles.inputGroup}>
+              <Text style={styles.label}>{t("login.code")}</Text>
+              <View style={{ flexDirection: "row", alignItems: "center" }}>
+                <View style={[styles.inputContainer, { flex: 1, marginRight: 8 }]}>
+                  <Ionicons
+                    name="key-outline"
+                    size={20}
+                    color={COLORS.primary}
+                    style={styles.inputIcon}
+                  />
+                  <TextInput
+                    style={styles.input}
+                    placeholder={t("login.p11")}
+                    placeholderTextColor={COLORS.placeholderText}
+                    value={code}
+                    onChangeText={setCode}
+                    keyboardType="number-pad"
+                    maxLength={6}
+                  />
+                </View>
+                <TouchableOpacity
+                  style={styles.buttonSend}
+                  onPress={handleResend}
+                  disabled={isResending || resendAfter > 0}
+                >
+                  {isResending ? (
+                    <ActivityIndicator color="#fff" />
+                  ) : (
+                    <Text style={styles.buttonText}>
+                      {resendAfter > 0 ? `${resendAfter}s` : t("verify.resend")}
+                    </Text>
+                  )}
+                </TouchableOpacity>
+              </View>
+            </View>
+
+            <TouchableOpacity
+              style={styles.button}
+              onPress={handleVerify}
+              disabled={isVerifying || !code}
+            >
+              {isVerifying ? (
+                <ActivityIndicator color="#fff" />
+              ) : (
+                <Text style={styles.buttonText}>{t("verify.submit")}</Text>
+              )}
+            </TouchableOpacity>
+
+            <View style={styles.footer}>
+              <Text style={styles.footerText}>{t("verify.later")}</Text>
+              <TouchableOpacity onPress={() => router.replace(token ? "/(tabs)" : "/(auth)")}>
+                <Text style={styles.link}>{t("verify.skip")}</Text>
+              </TouchableOpacity>
+            </View>
+          </View>
+        </View>
+      </View>
+    </KeyboardAvoidingView>
+  );
+}
@@ -1,9 +1,8 @@
 import { Ionicons } from "@expo/vector-icons";
 import { useRouter } from "expo-router";
-import { useEffect, useState } from "react";
+import { useEffect, useRef, useState } from "react";
 import {
   Alert,
-  Image,
   KeyboardAvoidingView,
   Platform,
   ScrollView,
@@ -17,18 +16,17 @@ import {
 import style from "../../assets/styles/create.styles";
 import COLORS from "../../constants/colors";
 
-import * as FileSystem from "expo-file-system"; // npx expo install expo-file-system
-import * as ImagePicker from "expo-image-picker"; // npx expo install expo-image-picker
 import { API_URL } from "../../constants/api";
 import { useAuthStore } from "../../store/authStore";
 import { useLanguage } from "../../context/LanguageContext";
+import BookImagesPicker, { imagesForRequest } from "../../components/BookImagesPicker";
+import { EMAIL_NOT_VERIFIED, promptEmailVerification } from "../../lib/helper";
 
 export default function Create() {
   const [title, setTitle] = useState("");
   const [caption, setCaption] = useState("");
   const [rating, setRating] = useState(3);
-  const [image, setImage] = useState(null); // to display the selected image
-  const [imageBase64, setImageBase64] = useState(null);
+  const [images, setImages] = useState([]); // [{ uri, mimeType, isNew }] theo thứ tự, ảnh đầu là ảnh bìa
   const [author, setAuthor] = useState("");
   const [publishedYear, setPublishedYear] = useState("");
   const [genres, setGenres] = useState([]);
@@ -36,11 +34,15 @@ export default function Create() {
   const [showGenreModal, setShowGenreModal] = useState(false);
   const [loadingGenres, setLoadingGenres] = useState(false);
   const { t, currentLanguage, changeLanguage } = useLanguage();
+  // Tác phẩm có sẵn được chọn - khi đó tiêu đề / tác giả lấy theo tác phẩm
+  const [selectedWork, setSelectedWork] = useState(null);
+  const [workMatches, setWorkMatches] = useState([]);
+  const workSearchTimeoutRef = useRef(null);
 
   const [loading, setLoading] = useState(false);
 
   const router = useRouter();
-  const { token } = useAuthStore();
+  const { token, user } = useAuthStore();
 
   const MAX_IMAGE_SIZE = 7 * 1024 * 1024; // 7MB
 
@@ -68,53 +70,62 @@ export default function Create() {
     }
   };
 
-  const pickImage = async () => {
+  // Gợi ý các tác phẩm đã có khi đang nhập tiêu đề
+  const searchWorks = async (query) => {
     try {
-      if (Platform.OS !== "web") {
-        const { status } =
-          await ImagePicker.requestMediaLibraryPermissionsAsync();
-        if (status !== "granted") {
-          Alert.alert("Permission to access camera roll is required!");
-          return;
-        }
-      }
-      const result = await ImagePicker.launchImageLibraryAsync({
-        mediaTypes: "images",
-        allowsEditing: true,
-        aspect: [4, 3],
-        quality: 0.5,
-        base64: true,
-      });
-      if (!result.canceled) {
-        const fileInfo = await FileSystem.getInfoAsync(result.assets[0].uri);
-        if (fileInfo.size > MAX_IMAGE_SIZE) {
-          Alert.alert(t("create.alertimg"));
-          return;
-        }
-        setImage(result.assets[0].uri);
-
-        // if base64 is provided
-        if (result.assets[0].base64) {
-          setImageBase64(result.assets[0].base64);
-        } else {
-          // otherwise, convert the image to base64
-          const base64 = await FileSystem.readAsStringAsync(
-            result.assets[0].uri,
-            {
-              encoding: FileSystem.EncodingType.Base64,
-            }
-          );
-          setImageBase64(base64);
+      const response = await fetch(
+        `${API_URL}/works?q=${encodeURIComponent(query)}&limit=5`,
+        {
+          headers: { Authorization: `Bearer ${token}` },
         }
+      );
+      if (!response.ok) {
+        throw new Error("Failed to search works");
       }
+      const data = await response.json();
+      setWorkMatches(data.works || []);
     } catch (error) {
-      console.error("Error picking image: ", error);
-      Alert.alert("Error picking image");
+      console.error("Error searching works:", error);
     }
   };
 
+  const handleTitleChange = (text) => {
+    setTitle(text);
+
+    if (workSearchTimeoutRef.current) {
+      clearTimeout(workSearchTimeoutRef.current);
+    }
+    if (text.trim().length >= 2) {
+      workSearchTimeoutRef.current = setTimeout(() => {
+        searchWorks(text.trim());
+      }, 400);
+    } else {
+      setWorkMatches([]);
+    }
+  };
+
+  const handleSelectWork = (work) => {
+    setSelectedWork(work);
+    setWorkMatches([]);
+    setTitle(work.title);
+    setAuthor(work.authors.join(", "));
+    if (work.published_year) {
+      setPublishedYear(String(work.published_year));
+    }
+    if (work.genre) {
+      setSelectedGenre(
+        genres.find((genre) => genre._id === work.genre._id) || work.genre
+      );
+    }
+  };
+
+  // Bỏ liên kết - người dùng tự nhập thông tin sách
+  const handleUnlinkWork = () => {
+    setSelectedWork(null);
+  };
+
   const handleSubmit = async () => {
-    if (!title || !caption || !imageBase64 || !rating|| !author || !selectedGenre) {
+    if (!title || !caption || images.length === 0 || !rating|| !author || !selectedGenre) {
       Alert.alert(t("create.alimgae"));
       return;
     }
@@ -124,15 +135,16 @@ export default function Create() {
       return;
     }
 
+    // Chưa xác minh email thì server từ chối - nhắc trước khi mất công upload ảnh
+    if (user?.isEmailVerified === false) {
+      promptEmailVerification(router, t, user.email);
+      return;
+    }
+
     try {
       setLoading(true);
-      const uriParts = image.split(".");
-      const fileType = uriParts[uriParts.length - 1];
-      const imageType = fileType
-        ? `image/${fileType.toLowerCase()}`
-        : "image/jpeg";
-
-      const imageDataUrl = `data:${imageType};base64,${imageBase64}`;
+      // Upload ảnh trước, bài đăng chỉ gửi kèm tham chiếu
+      const imageValues = await imagesForRequest(images, token);
       const response = await fetch(`${API_URL}/books`, {
         method: "POST",
         headers: {
@@ -143,14 +155,19 @@ export default function Create() {
           title,
           caption,
           rating,
-          image: imageDataUrl,
+          images: imageValues,
           author,
           published_year: publishedYear ? parseInt(publishedYear) : undefined,
           genre: selectedGenre._id,
+          workId: selectedWork?._id,
         }),
       });
 
       const data = await response.json();
+      if (data.code === EMAIL_NOT_VERIFIED) {
+        promptEmailVerification(router, t, user?.email);
+        return;
+      }
       if (!response.ok) throw new Error(data.message || "Something went wrong");
 
       Alert.alert(t("create.success"), t("create.done"), [
@@ -160,12 +177,13 @@ export default function Create() {
             // Reset form
             setTitle("");
             setCaption("");
-            setImage(null);
-            setImageBase64(null);
+            setImages([]);
             setRating(3);
             setAuthor("");
             setPublishedYear("");
             setSelectedGenre(null);
+            setSelectedWork(null);
+            setWorkMatches([]);
             // Navigate using setTimeout to ensure component is mounted
             setTimeout(() => {
               router.replace("/(tabs)");
@@ -259,6 +277,49 @@ export default function Create() {
     </Modal>
   );
 
+  const renderWorkPicker = () => {
+    if (selectedWork) {
+      return (
+        <View style={style.linkedWork}>
+          <Ionicons name="link-outline" size={18} color={COLORS.primary} />
+          <Text style={style.linkedWorkText}>{t("create.linkedWork")}</Text>
+          <TouchableOpacity onPress={handleUnlinkWork}>
+            <Text style={style.linkedWorkAction}>{t("create.unlinkWork")}</Text>
+          </TouchableOpacity>
+        </View>
+      );
+    }
+
+    if (workMatches.length === 0) return null;
+
+    return (
+      <View style={style.workMatches}>
+        <Text style={style.workMatchesTitle}>{t("create.existingWorks")}</Text>
+        {workMatches.map((work) => (
+          <TouchableOpacity
+            key={work._id}
+            style={style.workMatchItem}
+            onPress={() => handleSelectWork(work)}
+          >
+            <Text style={style.workMatchName}>{work.title}</Text>
+            <Text style={style.workMatchMeta}>
+              {[
+                work.authors.join(", "),
+                work.published_year,
+                `${work.reviewCount} ${t("create.reviewsCount")}`,
+              ]
+                .filter(Boolean)
+                .join(" · ")}
+            </Text>
+          </TouchableOpacity>
+        ))}
+        <TouchableOpacity onPress={() => setWorkMatches([])}>
+          <Text style={style.workNotListed}>{t("create.notListed")}</Text>
+        </TouchableOpacity>
+      </View>
+    );
+  };
+
   return (
     <KeyboardAvoidingView
       style={{ flex: 1 }}
@@ -281,7 +342,12 @@ export default function Create() {
             {/* Book Title */}
             <View style={style.formGroup}>
               <Text style={style.label}>{t("create.title3")}</Text>
-              <View style={style.inputContainer}>
+              <View
+                style={[
+                  style.inputContainer,
+                  selectedWork && style.disabledInput,
+                ]}
+              >
                 <Ionicons
                   name="book-outline"
                   size={20}
@@ -293,15 +359,22 @@ export default function Create() {
                   placeholder= {t("create.title3placeholder")}
                   placeholderTextColor={COLORS.placeholderText}
                   value={title}
-                  onChangeText={setTitle}
+                  onChangeText={handleTitleChange}
+                  editable={!selectedWork}
                 />
               </View>
+              {renderWorkPicker()}
             </View>
             
               {/* Author */}
               <View style={style.formGroup}>
                 <Text style={style.label}>{t("create.author")}</Text>
-                <View style={style.inputContainer}>
+                <View
+                  style={[
+                    style.inputContainer,
+                    selectedWork && style.disabledInput,
+                  ]}
+                >
                   <Ionicons
                     name="person-outline"
                     size={20}
@@ -314,6 +387,7 @@ export default function Create() {
                     placeholderTextColor={COLORS.placeholderText}
                     value={author}
                     onChangeText={setAuthor}
+                    editable={!selectedWork}
                   />
                 </View>
               </View>
@@ -336,6 +410,7 @@ export default function Create() {
                     onChangeText={setPublishedYear}
                     keyboardType="number-pad"
                     maxLength={4}
+                    editable={!selectedWork?.published_year}
                   />
                 </View>
               </View>
@@ -344,8 +419,12 @@ export default function Create() {
               <View style={style.formGroup}>
                 <Text style={style.label}>{t("create.genre")}</Text>
                 <TouchableOpacity 
-                  style={style.genreSelector}
+                  style={[
+                    style.genreSelector,
+                    selectedWork?.genre && style.disabledInput,
+                  ]}
                   onPress={() => setShowGenreModal(true)}
+                  disabled={Boolean(selectedWork?.genre)}
                 >
                   <Ionicons
                     name="list-outline"
@@ -373,20 +452,12 @@ export default function Create() {
               {/* Image */}
               <View style={style.formGroup}></View>
                 <Text style={style.label}>{t("create.bimg")}</Text>
-                <TouchableOpacity style={style.imagePicker} onPress={pickImage}>
-                  {image ? (
-                    <Image source={{ uri: image }} style={style.previewImage} />
-                  ) : (
-                    <View style={style.placeholderContainer}>
-                      <Ionicons
-                        name="image-outline"
-                        size={40}
-                        color={COLORS.textSecondary}
-                      />
-                      <Text style={style.placeholderText}>{t("create.selectimg")}</Text>
-                    </View>
-                  )}
-                </TouchableOpacity>
+                <BookImagesPicker
+                  images={images}
+                  onChange={setImages}
+                  maxImageSize={MAX_IMAGE_SIZE}
+                  onTooLarge={() => Alert.alert(t("create.alertimg"))}
+                />
               </View>
               
               {/* Caption */}
@@ -14,13 +14,12 @@ import {
   Modal,
   ActivityIndicator,
 } from "react-native";
-import * as ImagePicker from "expo-image-picker";
-import * as FileSystem from "expo-file-system";
 import COLORS from "../../constants/colors";
 import { useAuthStore } from "../../store/authStore";
 import { API_URL } from "../../constants/api";
 import style from "../../assets/styles/create.styles"; // Tái sử dụng style từ trang create
 import { useLanguage } from "../../context/LanguageContext";
+import BookImagesPicker, { imagesForRequest } from "../../components/BookImagesPicker";
 
 const MAX_IMAGE_SIZE = 6 * 1024 * 1024; // 6MB
 
@@ -33,8 +32,8 @@ export default function EditBook() {
   // Book data
   const [title, setTitle] = useState("");
   const [caption, setCaption] = useState("");
-  const [image, setImage] = useState(null);
-  const [imageBase64, setImageBase64] = useState(null);
+  const [images, setImages] = useState([]); // [{ uri, mimeType, isNew }] - isNew = false với ảnh đã có
+  const [imagesChanged, setImagesChanged] = useState(false);
   const [rating, setRating] = useState(3);
   const [author, setAuthor] = useState("");
   const [publishedYear, setPublishedYear] = useState("");
@@ -68,7 +67,11 @@ export default function EditBook() {
         // Populate form with existing data
         setTitle(bookData.title || "");
         setCaption(bookData.caption || "");
-        setImage(bookData.image || null);
+        setImages(
+          (bookData.images?.length ? bookData.images : [bookData.image])
+            .filter(Boolean)
+            .map((uri) => ({ uri, isNew: false }))
+        );
         setRating(bookData.rating || 3);
         setAuthor(bookData.author || "");
         setPublishedYear(
@@ -124,54 +127,9 @@ export default function EditBook() {
     }
   };
 
-  // Image picker function
-  const pickImage = async () => {
-    try {
-      const { status } =
-        await ImagePicker.requestMediaLibraryPermissionsAsync();
-      if (status !== "granted") {
-        Alert.alert(
-          "Permission required",
-          "Please grant permission to access your photos."
-        );
-        return;
-      }
-
-      const result = await ImagePicker.launchImageLibraryAsync({
-        mediaTypes: "images",
-        allowsEditing: true,
-        aspect: [4, 3],
-        quality: 0.5,
-        base64: true,
-      });
-
-      if (!result.canceled) {
-        const fileInfo = await FileSystem.getInfoAsync(result.assets[0].uri);
-        if (fileInfo.size > MAX_IMAGE_SIZE) {
-          Alert.alert(
-            t("profile.im1"),
-            t("profile.im2")
-          );
-          return;
-        }
-
-        setImage(result.assets[0].uri);
-
-        // Get base64 data
-        if (result.assets[0].base64) {
-          setImageBase64(result.assets[0].base64);
-        } else {
-          const base64 = await FileSystem.readAsStringAsync(
-            result.assets[0].uri,
-            { encoding: FileSystem.EncodingType.Base64 }
-          );
-          setImageBase64(base64);
-        }
-      }
-    } catch (error) {
-      console.error("Error picking image:", error);
-      Alert.alert("Error picking image");
-    }
+  const handleImagesChange = (nextImages) => {
+    setImages(nextImages);
+    setImagesChanged(true);
   };
 
   // Submit form function
@@ -180,6 +138,10 @@ export default function EditBook() {
       Alert.alert(t("create.fill"));
       return;
     }
+    if (images.length === 0) {
+      Alert.alert(t("create.alimgae"));
+      return;
+    }
 
     // Validate published year if provided
     if (
@@ -205,15 +167,9 @@ export default function EditBook() {
         genre: selectedGenre._id,
       };
 
-      // Chỉ gửi ảnh nếu người dùng thực sự đã thay đổi ảnh
-      if (imageBase64) {
-        const uriParts = image.split(".");
-        const fileType = uriParts[uriParts.length - 1];
-        const imageType = fileType
-          ? `image/${fileType.toLowerCase()}`
-          : "image/jpeg";
-        const imageDataUrl = `data:${imageType};base64,${imageBase64}`;
-        requestBody.image = imageDataUrl;
+      // Chỉ gửi ảnh nếu người dùng thực sự đã thêm / xóa / đổi thứ tự ảnh
+      if (imagesChanged) {
+        requestBody.images = await imagesForRequest(images, token);
       }
 
       const response = await fetch(`${API_URL}/books/${bookId}`, {
@@ -473,20 +429,12 @@ export default function EditBook() {
             {/* Image Picker */}
             <View style={style.formGroup}>
               <Text style={style.label}>{t("create.bimg")}</Text>
-              <TouchableOpacity style={style.imagePicker} onPress={pickImage}>
-                {image ? (
-                  <Image source={{ uri: image }} style={style.previewImage} />
-                ) : (
-                  <View style={style.placeholderContainer}>
-                    <Ionicons
-                      name="image-outline"
-                      size={40}
-                      color={COLORS.textSecondary}
-                    />
-                    <Text style={style.placeholderText}>{t("create.selectimg")}</Text>
-                  </View>
-                )}
-              </TouchableOpacity>
+              <BookImagesPicker
+                images={images}
+                onChange={handleImagesChange}
+                maxImageSize={MAX_IMAGE_SIZE}
+                onTooLarge={() => Alert.alert(t("profile.im1"), t("profile.im2"))}
+              />
             </View>
 
             {/* Caption */}
@@ -20,13 +20,15 @@ import COLORS from "../../constants/colors";
 import { API_URL } from "../../constants/api";
 import { useAuthStore } from "../../store/authStore";
 import { useLanguage } from "../../context/LanguageContext";
+import { uploadImageFile } from "../../lib/uploads";
 
 export default function EditProfile() {
   const router = useRouter();
   const { user, token } = useAuthStore();
   const [username, setUsername] = useState("");
   const [image, setImage] = useState(null);
-  const [imageBase64, setImageBase64] = useState(null);
+  // Ảnh mới chọn, chưa upload: { uri, mimeType }
+  const [newImage, setNewImage] = useState(null);
   const [password, setPassword] = useState("");
   const [confirmPassword, setConfirmPassword] = useState("");
   const [isLoading, setIsLoading] = useState(false);
@@ -60,7 +62,6 @@ export default function EditProfile() {
         allowsEditing: true,
         aspect: [4, 3],
         quality: 0.5,
-        base64: true,
       });
       if (!result.canceled) {
         const fileInfo = await FileSystem.getInfoAsync(result.assets[0].uri);
@@ -72,20 +73,10 @@ export default function EditProfile() {
           return;
         }
         setImage(result.assets[0].uri);
-
-        // if base64 is provided
-        if (result.assets[0].base64) {
-          setImageBase64(result.assets[0].base64);
-        } else {
-          // otherwise, convert the image to base64
-          const base64 = await FileSystem.readAsStringAsync(
-            result.assets[0].uri,
-            {
-              encoding: FileSystem.EncodingType.Base64,
-            }
-          );
-          setImageBase64(base64);
-        }
+        setNewImage({
+          uri: result.assets[0].uri,
+          mimeType: result.assets[0].mimeType,
+        });
       }
     } catch (error) {
       console.error("Error picking image: ", error);
@@ -129,15 +120,10 @@ export default function EditProfile() {
     try {
       setIsLoading(true);
 
-      let imageDataUrl = null;
-      if (imageBase64) {
-        const uriParts = image.split(".");
-        const fileType = uriParts[uriParts.length - 1];
-        const imageType = fileType
-          ? `image/${fileType.toLowerCase()}`
-          : "image/jpeg";
-        imageDataUrl = `data:${imageType};base64,${imageBase64}`;
-      }
+      // Upload avatar trước, cập nhật profile chỉ gửi kèm tham chiếu
+      const imageReference = newImage
+        ? await uploadImageFile(newImage, "avatar", token)
+        : null;
 
       const userId = user.id;
       if (!userId) {
@@ -150,7 +136,7 @@ export default function EditProfile() {
           currentPassword,
           password,
         }),
-        ...(imageDataUrl && { profileImage: imageDataUrl }),
+        ...(imageReference && { profileImage: imageReference }),
       };
 
       const response = await fetch(`${API_URL}/users/${userId}`, {
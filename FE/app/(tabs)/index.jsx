@@ -17,6 +17,7 @@ import { useRouter } from "expo-router"; // Add this import
 import { io } from "socket.io-client";
 import styles from "../../assets/styles/home.styles";
 import Loader from "../../components/Loader";
+import MentionText from "../../components/MentionText";
 import { API_URL, SOCKET_URL } from "../../constants/api";
 import COLORS from "../../constants/colors";
 import { formatRelativeTime } from "../../lib/utils";
@@ -37,6 +38,15 @@ export default function Home() {
   const [refreshing, setRefreshing] = useState(false);
   const [page, setPage] = useState(1);
   const [hasMore, setHasMore] = useState(true);
+  // "everyone" = tất cả sách, "following" = feed từ những người đang theo dõi
+  const [feedMode, setFeedMode] = useState("everyone");
+  const [feedCursor, setFeedCursor] = useState(null);
+  // "following" | "trending" - nguồn dữ liệu feed backend trả về
+  const [feedSource, setFeedSource] = useState(null);
+  // Socket listener dùng ref để luôn lấy đúng chế độ feed hiện tại
+  const feedModeRef = useRef(feedMode);
+  // ID các bài đã lưu (bookmark) để hiện icon trên card
+  const [bookmarkedIds, setBookmarkedIds] = useState(new Set());
 
   // State for filter/search
   // const [searchText, setSearchText] = useState("");
@@ -97,7 +107,14 @@ export default function Home() {
         setHasMore(false);
         return;
       }
-      const response = await fetch(`${API_URL}/books?page=${pageNum}&limit=5`, {
+      const isFollowingFeed = isAuthenticated && feedModeRef.current === "following";
+      // Cả hai chế độ đều phân trang bằng cursor để sách mới đăng không gây trùng/sót
+      const cursorParam =
+        pageNum > 1 && feedCursor ? `&cursor=${encodeURIComponent(feedCursor)}` : "";
+      const url = isFollowingFeed
+        ? `${API_URL}/books/feed?limit=5${cursorParam}`
+        : `${API_URL}/books?limit=5${cursorParam}`;
+      const response = await fetch(url, {
         headers: { Authorization: `Bearer ${token}` },
       });
 
@@ -105,6 +122,10 @@ export default function Home() {
       if (!response.ok) {
         throw new Error(data.message || "Failed to fetch books");
       }
+      // Chế độ đã đổi trong lúc chờ response -> bỏ kết quả cũ
+      if (isFollowingFeed !== (isAuthenticated && feedModeRef.current === "following")) {
+        return;
+      }
 
       const uniqueBooks =
         refresh || pageNum === 1
@@ -116,8 +137,13 @@ export default function Home() {
             );
 
       setBooks(uniqueBooks);
+      if (isAuthenticated && pageNum === 1) {
+        fetchBookmarkedIds();
+      }
       // For non-authenticated users, always set hasMore to false after first page
-      setHasMore(isAuthenticated ? pageNum < data.totalPages : false);
+      setHasMore(isAuthenticated ? data.hasMore : false);
+      setFeedCursor(data.nextCursor);
+      setFeedSource(isFollowingFeed ? data.source : null);
       setPage(pageNum);
       //sau khi load sách thì filter, rồi khi hết 5 cuốn thì tiếp tục load và filter đến hết các sách
       applyFiltersAndSort(uniqueBooks);
@@ -131,6 +157,47 @@ export default function Home() {
     }
   };
 
+  const fetchBookmarkedIds = async () => {
+    try {
+      const response = await fetch(`${API_URL}/users/me/bookmarks/ids`, {
+        headers: { Authorization: `Bearer ${token}` },
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.message || "Failed to fetch bookmarks");
+      }
+      setBookmarkedIds(new Set(data.bookIds));
+    } catch (error) {
+      console.log("Error fetching bookmarks:", error);
+    }
+  };
+
+  const handleToggleBookmark = async (bookId) => {
+    const wasBookmarked = bookmarkedIds.has(bookId);
+    // Cập nhật icon ngay, lỗi thì trả lại như cũ
+    const updateIds = (bookmarked) =>
+      setBookmarkedIds((prev) => {
+        const next = new Set(prev);
+        if (bookmarked) next.add(bookId);
+        else next.delete(bookId);
+        return next;
+      });
+    updateIds(!wasBookmarked);
+    try {
+      const response = await fetch(`${API_URL}/users/me/bookmarks/${bookId}`, {
+        method: wasBookmarked ? "DELETE" : "PUT",
+        headers: { Authorization: `Bearer ${token}` },
+      });
+      if (!response.ok) {
+        const data = await response.json();
+        throw new Error(data.message || "Failed to update bookmark");
+      }
+    } catch (error) {
+      console.log("Error toggling bookmark:", error);
+      updateIds(wasBookmarked);
+    }
+  };
+
   const resetFilters = () => {
     setSortOption("newest");
     setSortDirection("desc");
@@ -218,8 +285,10 @@ export default function Home() {
   }, [sortOption, sortDirection, timeFilter, categoryFilter]);
 
   useEffect(() => {
+    feedModeRef.current = feedMode;
+    setFeedCursor(null);
     fetchBooks();
-  }, [isAuthenticated]);
+  }, [isAuthenticated, feedMode]);
 
   const handleLoadMore = async () => {
     // Only load more when we're not filtering by search text or author
@@ -300,11 +369,32 @@ export default function Home() {
           />
           <Text style={styles.username}>{item.user.username}</Text>
         </TouchableOpacity>
+        {isAuthenticated && (
+          <TouchableOpacity
+            onPress={(e) => {
+              e.stopPropagation();
+              handleToggleBookmark(item._id);
+            }}
+          >
+            <Ionicons
+              name={bookmarkedIds.has(item._id) ? "bookmark" : "bookmark-outline"}
+              size={22}
+              color={COLORS.primary}
+            />
+          </TouchableOpacity>
+        )}
       </View>
       {/* Book container */}
       <View style={styles.bookImageContainer}>
+        {/* Bản ảnh nhỏ cho feed + blurhash trong lúc tải; bài cũ chưa có thì dùng ảnh gốc */}
         <Image
-          source={item.image}
+          source={item.imagePreview?.url || item.image}
+          placeholder={
+            item.imagePreview?.blurhash
+              ? { blurhash: item.imagePreview.blurhash }
+              : undefined
+          }
+          transition={200}
           style={styles.bookImage}
           contentFit="cover"
         />
@@ -316,7 +406,12 @@ export default function Home() {
         <View style={styles.ratingContainer}>
           {renderRatingStars(item.rating)}
         </View>
-        <Text style={styles.caption}>{item.caption}</Text>
+        <MentionText
+          style={styles.caption}
+          text={item.caption}
+          mentions={item.captionMentions}
+          onPressMention={handleUserClick}
+        />
         <Text style={styles.timeText}>
           {formatRelativeTime(item.createdAt)}
         </Text>
@@ -397,6 +492,30 @@ export default function Home() {
     </View>
   );
 
+  const renderFeedSwitch = () => (
+    <View style={styles.feedSwitch}>
+      {["following", "everyone"].map((mode) => (
+        <TouchableOpacity
+          key={mode}
+          style={[
+            styles.feedSwitchOption,
+            feedMode === mode && styles.feedSwitchOptionActive,
+          ]}
+          onPress={() => setFeedMode(mode)}
+        >
+          <Text
+            style={[
+              styles.feedSwitchText,
+              feedMode === mode && styles.feedSwitchTextActive,
+            ]}
+          >
+            {t(`home.${mode}`)}
+          </Text>
+        </TouchableOpacity>
+      ))}
+    </View>
+  );
+
   const renderFilterModal = () => (
     <Modal
       transparent={true}
@@ -743,6 +862,12 @@ export default function Home() {
             />
             <Text style={styles.headerTitle2}>{t("Notification.wlc2")}</Text>
             {renderRecommendationBar()}
+            {isAuthenticated && renderFeedSwitch()}
+            {isAuthenticated &&
+              feedMode === "following" &&
+              feedSource === "trending" && (
+                <Text style={styles.trendingNotice}>{t("home.trending")}</Text>
+              )}
           </View>
         }
         ListFooterComponent={
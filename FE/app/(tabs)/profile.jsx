@@ -24,6 +24,10 @@ import { sleep } from "../../lib/helper";
 import styles from "../../assets/styles/userprofile.styles"; // Use userprofile styles
 import { useFocusEffect } from "@react-navigation/native";
 import { useLanguage } from "../../context/LanguageContext";
+import ShelvesTab from "../../components/ShelvesTab";
+import ReadingTimeline from "../../components/ReadingTimeline";
+import ChallengeCard from "../../components/ChallengeCard";
+import shelvesStyles from "../../assets/styles/shelves.styles";
 
 // const { width } = Dimensions.get("window");
 // const imageSize = (width - 48) / 3; // 3 columns with padding
@@ -43,6 +47,8 @@ export default function Profile() {
   const [confirmationText, setConfirmationText] = useState("");
   const [isDeleting, setIsDeleting] = useState(false);
   const [showLanguageModal, setShowLanguageModal] = useState(false); // State for language modal
+  const [activeTab, setActiveTab] = useState("books"); // "books" | "shelves" | "journal"
+  const [tabsRefreshKey, setTabsRefreshKey] = useState(0);
 
   const { token, user: currentUser, logout } = useAuthStore();
   const router = useRouter();
@@ -106,6 +112,7 @@ export default function Profile() {
     useCallback(() => {
       if (userId) {
         fetchData();
+        setTabsRefreshKey((key) => key + 1);
       }
     }, [userId])
   );
@@ -114,6 +121,7 @@ export default function Profile() {
     setRefreshing(true);
     await sleep(500);
     await fetchData();
+    setTabsRefreshKey((key) => key + 1);
     setRefreshing(false);
   };
 
@@ -451,6 +459,9 @@ export default function Profile() {
         </Text>
       </View>
 
+      {/* Thử thách đọc sách năm nay */}
+      <ChallengeCard refreshKey={tabsRefreshKey} />
+
       {/* Action Buttons */}
       {/* <View style={styles.actionButtonsContainer}>
         <TouchableOpacity
@@ -461,10 +472,36 @@ export default function Profile() {
         </TouchableOpacity>
       </View> */}
 
-      {/* Books Grid Header */}
-      <View style={styles.gridHeader}>
-        <Ionicons name="grid-outline" size={24} color={COLORS.textPrimary} />
-        <Text style={styles.gridHeaderText}>Books</Text>
+      {/* Tabs: Sách đã đăng / Kệ sách */}
+      <View style={shelvesStyles.tabBar}>
+        {[
+          { key: "books", icon: "grid-outline", label: t("shelves.tabBooks") },
+          { key: "shelves", icon: "library-outline", label: t("shelves.tabShelves") },
+          { key: "journal", icon: "time-outline", label: t("reading.tabJournal") },
+        ].map((tab) => (
+          <TouchableOpacity
+            key={tab.key}
+            style={[
+              shelvesStyles.tabButton,
+              activeTab === tab.key && shelvesStyles.tabButtonActive,
+            ]}
+            onPress={() => setActiveTab(tab.key)}
+          >
+            <Ionicons
+              name={tab.icon}
+              size={22}
+              color={activeTab === tab.key ? COLORS.textPrimary : COLORS.textSecondary}
+            />
+            <Text
+              style={[
+                shelvesStyles.tabButtonText,
+                activeTab === tab.key && shelvesStyles.tabButtonTextActive,
+              ]}
+            >
+              {tab.label}
+            </Text>
+          </TouchableOpacity>
+        ))}
       </View>
     </View>
   );
@@ -504,20 +541,33 @@ export default function Profile() {
     <SafeAreaView style={styles.container}>
       <View style={styles.header}>
         <Text style={styles.headerTitle}>{t('profile.yourProfile')}</Text>
-        <TouchableOpacity
-          style={styles.settingButton}
-          onPress={() => router.push("/settings")}
-        >
-          <Ionicons
-            name="settings-outline"
-            size={24}
-            color={COLORS.textPrimary}
-          />
-        </TouchableOpacity>
+        <View style={{ flexDirection: "row" }}>
+          {/* Danh sách sách tuyển chọn */}
+          <TouchableOpacity
+            style={styles.settingButton}
+            onPress={() => router.push("/lists")}
+          >
+            <Ionicons
+              name="list-outline"
+              size={24}
+              color={COLORS.textPrimary}
+            />
+          </TouchableOpacity>
+          <TouchableOpacity
+            style={styles.settingButton}
+            onPress={() => router.push("/settings")}
+          >
+            <Ionicons
+              name="settings-outline"
+              size={24}
+              color={COLORS.textPrimary}
+            />
+          </TouchableOpacity>
+        </View>
       </View>
 
       <FlatList
-        data={books}
+        data={activeTab === "books" ? books : []}
         renderItem={renderBookItem}
         keyExtractor={(item) => item._id}
         numColumns={3}
@@ -534,7 +584,19 @@ export default function Profile() {
             tintColor={COLORS.primary}
           />
         }
+        ListFooterComponent={
+          activeTab === "shelves" ? (
+            <ShelvesTab
+              userId={userId}
+              isOwner={true}
+              refreshKey={tabsRefreshKey}
+            />
+          ) : activeTab === "journal" ? (
+            <ReadingTimeline userId={userId} refreshKey={tabsRefreshKey} />
+          ) : null
+        }
         ListEmptyComponent={
+          activeTab === "books" && (
           <View style={styles.emptyContainer}>
             <Ionicons
               name="book-outline"
@@ -549,6 +611,7 @@ export default function Profile() {
               <Text style={styles.addButtonText}>{t('profile.addFirstBook')} </Text>
             </TouchableOpacity>
           </View>
+          )
         }
       />
 
@@ -56,6 +56,13 @@ export default function ReportScreen() {
         { value: t("report.spam") },
         { value: t("report.other") },
       ];
+    } else if (reportedItemType === 'BookList') {
+      return [
+        { value: t("report.content") },
+        { value: t("report.misleading") },
+        { value: t("report.spam") },
+        { value: t("report.other") },
+      ];
     }
     return [];
   };
@@ -98,6 +105,8 @@ useEffect(() => {
         endpoint = `${API_URL}/books/${reportedItemId}`;
       } else if (reportedItemType === 'User') {
         endpoint = `${API_URL}/users/${reportedItemId}`;
+      } else if (reportedItemType === 'BookList') {
+        endpoint = `${API_URL}/lists/${reportedItemId}`;
       }
 
       // Only make API call if we have an endpoint (for books and users)
@@ -111,7 +120,8 @@ useEffect(() => {
         }
 
         const data = await response.json();
-        setItemDetails(data);
+        // API danh sách trả về { list, isOwner }
+        setItemDetails(reportedItemType === 'BookList' ? data.list : data);
       }
     } catch (error) {
       console.error('Error fetching item details:', error);
@@ -200,6 +210,16 @@ useEffect(() => {
           </Text>
         </View>
       );
+    } else if (reportedItemType === 'BookList') {
+      return (
+        <View style={styles.itemDetailsContainer}>
+          <Text style={styles.detailLabel}>{t("report.list")}:</Text>
+          <Text style={styles.detailTitle}>{itemDetails.title}</Text>
+          <Text style={styles.detailAuthor}>
+            {t("report.listOwner")}: {itemDetails.user?.username || t("report.unknow")}
+          </Text>
+        </View>
+      );
     } else if (reportedItemType === 'User') {
       return (
         <View style={styles.itemDetailsContainer}>
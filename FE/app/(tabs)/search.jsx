@@ -7,17 +7,77 @@ import {
   ActivityIndicator,
   Image,
   StatusBar,
-  // Keyboard,
+  Keyboard,
   ScrollView,
   SafeAreaView,
+  Modal,
+  TouchableWithoutFeedback,
 } from "react-native";
 import { Ionicons } from "@expo/vector-icons";
 import { router } from "expo-router";
+import AsyncStorage from "@react-native-async-storage/async-storage";
 import { useAuthStore } from "../../store/authStore";
 import { API_URL } from "../../constants/api";
 import styles from "../../assets/styles/search.styles";
 import { useLanguage } from "../../context/LanguageContext";
 
+// Bộ lọc mặc định cho tìm kiếm sách (khớp với query của GET /books/search)
+const DEFAULT_BOOK_FILTERS = {
+  genre: null,
+  minRating: null,
+  maxRating: null,
+  minYear: "",
+  maxYear: "",
+  sort: "relevance",
+};
+
+const BOOK_SORT_OPTIONS = [
+  { value: "relevance", label: "search.relevance" },
+  { value: "newest", label: "search.newest" },
+  { value: "most_liked", label: "search.mostLiked" },
+  { value: "top_rated", label: "search.topRated" },
+];
+
+const BOOKS_PAGE_SIZE = 20;
+
+// Từ khóa tìm gần đây được lưu trên máy
+const RECENT_SEARCHES_KEY = "recentSearches";
+const MAX_RECENT_SEARCHES = 8;
+const SUGGEST_DEBOUNCE_MS = 250;
+
+const SUGGESTION_ICONS = {
+  title: "book-outline",
+  author: "create-outline",
+  user: "person-outline",
+  genre: "pricetag-outline",
+};
+
+const hasActiveFilters = (filters) =>
+  Boolean(
+    filters.genre ||
+      filters.minRating ||
+      filters.maxRating ||
+      filters.minYear ||
+      filters.maxYear
+  );
+
+const buildBookSearchUrl = (query, filters, page) => {
+  const params = [
+    ["q", query.trim()],
+    ["genre", filters.genre],
+    ["minRating", filters.minRating],
+    ["maxRating", filters.maxRating],
+    ["minYear", filters.minYear],
+    ["maxYear", filters.maxYear],
+    ["sort", filters.sort],
+    ["page", page],
+    ["limit", BOOKS_PAGE_SIZE],
+  ]
+    .filter(([, value]) => value !== null && value !== "")
+    .map(([key, value]) => `${key}=${encodeURIComponent(value)}`);
+  return `${API_URL}/books/search?${params.join("&")}`;
+};
+
 export default function SearchScreen() {
   const { token } = useAuthStore();
   const [searchText, setSearchText] = useState("");
@@ -32,7 +92,69 @@ export default function SearchScreen() {
   const searchInputRef = useRef(null);
   const searchTimeoutRef = useRef(null);
   const { t, currentLanguage, changeLanguage } = useLanguage();
-  
+  // Bộ lọc đang áp dụng và bản nháp đang chỉnh trong filter sheet
+  const [bookFilters, setBookFilters] = useState(DEFAULT_BOOK_FILTERS);
+  const [draftFilters, setDraftFilters] = useState(DEFAULT_BOOK_FILTERS);
+  const [showFilterSheet, setShowFilterSheet] = useState(false);
+  const [genres, setGenres] = useState([]);
+  const [booksPage, setBooksPage] = useState(1);
+  const [hasMoreBooks, setHasMoreBooks] = useState(false);
+  const [loadingMoreBooks, setLoadingMoreBooks] = useState(false);
+  // Gợi ý type-ahead: hiện trong lúc gõ, ẩn khi đã tìm thật
+  const [suggestions, setSuggestions] = useState([]);
+  const [showSuggestions, setShowSuggestions] = useState(false);
+  const [recentSearches, setRecentSearches] = useState([]);
+  const suggestTimeoutRef = useRef(null);
+  // Chỉ nhận kết quả gợi ý của từ khóa mới nhất
+  const latestSuggestQueryRef = useRef("");
+
+  // Đọc từ khóa tìm gần đây
+  useEffect(() => {
+    AsyncStorage.getItem(RECENT_SEARCHES_KEY)
+      .then((stored) => {
+        if (stored) setRecentSearches(JSON.parse(stored));
+      })
+      .catch((error) => console.error("Error loading recent searches:", error));
+  }, []);
+
+  const saveRecentSearches = (items) => {
+    setRecentSearches(items);
+    AsyncStorage.setItem(RECENT_SEARCHES_KEY, JSON.stringify(items)).catch(
+      (error) => console.error("Error saving recent searches:", error)
+    );
+  };
+
+  const addRecentSearch = (query) => {
+    const trimmed = query.trim();
+    if (!trimmed) return;
+    saveRecentSearches(
+      [
+        trimmed,
+        ...recentSearches.filter(
+          (item) => item.toLowerCase() !== trimmed.toLowerCase()
+        ),
+      ].slice(0, MAX_RECENT_SEARCHES)
+    );
+  };
+
+  const removeRecentSearch = (query) => {
+    saveRecentSearches(recentSearches.filter((item) => item !== query));
+  };
+
+  // Lấy danh sách thể loại cho filter sheet
+  useEffect(() => {
+    const fetchGenres = async () => {
+      try {
+        const response = await fetch(`${API_URL}/books/genres`);
+        if (response.ok) {
+          setGenres(await response.json());
+        }
+      } catch (error) {
+        console.error("Error fetching genres:", error);
+      }
+    };
+    fetchGenres();
+  }, []);
 
   // Focus vào input khi vào màn hình
   useEffect(() => {
@@ -43,52 +165,129 @@ export default function SearchScreen() {
     }, 300);
   }, []);
 
-  // Xử lý tìm kiếm
+  // Lấy gợi ý nhẹ cho từ khóa đang gõ
+  const fetchSuggestions = async (query) => {
+    latestSuggestQueryRef.current = query;
+    try {
+      const response = await fetch(
+        `${API_URL}/search/suggest?q=${encodeURIComponent(query)}`,
+        {
+          headers: { Authorization: `Bearer ${token}` },
+        }
+      );
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.message || "Failed to fetch suggestions");
+      }
+      if (latestSuggestQueryRef.current === query) {
+        setSuggestions(data.suggestions || []);
+      }
+    } catch (error) {
+      console.error("Error fetching suggestions:", error);
+    }
+  };
+
+  // Xử lý khi gõ: chỉ gợi ý, tìm kiếm đầy đủ chạy khi bấm tìm hoặc chọn gợi ý
   const handleSearch = (text) => {
     setSearchText(text);
 
     if (searchTimeoutRef.current) {
       clearTimeout(searchTimeoutRef.current);
     }
+    if (suggestTimeoutRef.current) {
+      clearTimeout(suggestTimeoutRef.current);
+    }
 
     if (text.trim()) {
-      setIsLoading(true);
-
-      searchTimeoutRef.current = setTimeout(() => {
-        performSearch(text);
-      }, 500);
+      setShowSuggestions(true);
+      suggestTimeoutRef.current = setTimeout(() => {
+        fetchSuggestions(text.trim());
+      }, SUGGEST_DEBOUNCE_MS);
     } else {
-      setSearchResults({ users: [], books: [] });
-      setIsLoading(false);
+      latestSuggestQueryRef.current = "";
+      setSuggestions([]);
+      setShowSuggestions(false);
+
+      // Đang có bộ lọc thì vẫn tìm sách khi ô tìm kiếm trống
+      if (hasActiveFilters(bookFilters)) {
+        setIsLoading(true);
+        searchTimeoutRef.current = setTimeout(() => {
+          performSearch(text);
+        }, 500);
+      } else {
+        setSearchResults({ users: [], books: [] });
+        setIsLoading(false);
+      }
     }
   };
 
+  // Chạy tìm kiếm đầy đủ và lưu vào lịch sử tìm kiếm
+  const submitSearch = (query = searchText, filters = bookFilters) => {
+    Keyboard.dismiss();
+    setShowSuggestions(false);
+    if (searchTimeoutRef.current) {
+      clearTimeout(searchTimeoutRef.current);
+    }
+    if (!query.trim() && !hasActiveFilters(filters)) return;
+
+    addRecentSearch(query);
+    setIsLoading(true);
+    performSearch(query, filters);
+  };
+
+  const handleSelectRecent = (query) => {
+    setSearchText(query);
+    submitSearch(query);
+  };
+
+  const handleSelectSuggestion = (item) => {
+    if (item.type === "user") {
+      setShowSuggestions(false);
+      handleSelectUser({ _id: item.id });
+      return;
+    }
+    if (item.type === "genre") {
+      // Chọn thể loại = lọc theo thể loại đó, bỏ từ khóa
+      const filters = { ...bookFilters, genre: item.id };
+      setBookFilters(filters);
+      setSearchText("");
+      submitSearch("", filters);
+      return;
+    }
+    setSearchText(item.text);
+    submitSearch(item.text);
+  };
+
   // Thực hiện tìm kiếm
-  const performSearch = async (query) => {
+  const performSearch = async (query, filters = bookFilters) => {
     try {
-      // Tìm kiếm người dùng
-      const usersResponse = await fetch(
-        `${API_URL}/users/search?q=${encodeURIComponent(query)}`,
-        {
-          headers: { Authorization: `Bearer ${token}` },
-        }
-      );
-
-      // Tìm kiếm sách
-      const booksResponse = await fetch(
-        `${API_URL}/books/search?q=${encodeURIComponent(query)}`,
-        {
-          headers: { Authorization: `Bearer ${token}` },
-        }
-      );
+      // Tìm kiếm người dùng - chỉ khi có từ khóa
+      let users = [];
+      if (query.trim()) {
+        const usersResponse = await fetch(
+          `${API_URL}/users/search?q=${encodeURIComponent(query)}`,
+          {
+            headers: { Authorization: `Bearer ${token}` },
+          }
+        );
+        users = await usersResponse.json();
+      }
 
-      const users = await usersResponse.json();
-      const books = await booksResponse.json();
+      // Tìm kiếm sách theo từ khóa và bộ lọc
+      const booksResponse = await fetch(buildBookSearchUrl(query, filters, 1), {
+        headers: { Authorization: `Bearer ${token}` },
+      });
+      const booksData = await booksResponse.json();
+      if (!booksResponse.ok) {
+        throw new Error(booksData.message || "Failed to search books");
+      }
 
       setSearchResults({
         users: users || [],
-        books: books || [],
+        books: booksData.books || [],
       });
+      setBooksPage(1);
+      setHasMoreBooks(booksData.hasMore);
 
       // Nếu có kết quả người dùng, fetch chi tiết và sách của họ
       if (users && users.length > 0) {
@@ -102,6 +301,69 @@ export default function SearchScreen() {
     }
   };
 
+  // Tải trang kết quả sách tiếp theo
+  const loadMoreBooks = async () => {
+    if (loadingMoreBooks || !hasMoreBooks) return;
+
+    setLoadingMoreBooks(true);
+    try {
+      const nextPage = booksPage + 1;
+      const response = await fetch(
+        buildBookSearchUrl(searchText, bookFilters, nextPage),
+        {
+          headers: { Authorization: `Bearer ${token}` },
+        }
+      );
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.message || "Failed to load more books");
+      }
+
+      setSearchResults((prev) => {
+        const existingIds = new Set(prev.books.map((book) => book._id));
+        return {
+          ...prev,
+          books: [
+            ...prev.books,
+            ...data.books.filter((book) => !existingIds.has(book._id)),
+          ],
+        };
+      });
+      setBooksPage(nextPage);
+      setHasMoreBooks(data.hasMore);
+    } catch (error) {
+      console.error("Error loading more books:", error);
+    } finally {
+      setLoadingMoreBooks(false);
+    }
+  };
+
+  const openFilterSheet = () => {
+    setDraftFilters(bookFilters);
+    setShowFilterSheet(true);
+  };
+
+  const applyFilters = () => {
+    setBookFilters(draftFilters);
+    setShowFilterSheet(false);
+
+    if (searchTimeoutRef.current) {
+      clearTimeout(searchTimeoutRef.current);
+    }
+    if (searchText.trim() || hasActiveFilters(draftFilters)) {
+      setShowSuggestions(false);
+      setIsLoading(true);
+      performSearch(searchText, draftFilters);
+    } else {
+      setSearchResults({ users: [], books: [] });
+      setHasMoreBooks(false);
+    }
+  };
+
+  const updateDraftFilter = (key, value) => {
+    setDraftFilters((prev) => ({ ...prev, [key]: value }));
+  };
+
   // Lấy sách của từng người dùng
   const fetchUserBooks = async (users) => {
     if (!users || users.length === 0) return;
@@ -308,8 +570,88 @@ export default function SearchScreen() {
     </TouchableOpacity>
   );
 
+  const renderSuggestions = () => (
+    <ScrollView
+      style={styles.resultsContainer}
+      keyboardShouldPersistTaps="handled"
+    >
+      {/* Dòng đầu: tìm đúng từ khóa đang gõ */}
+      <TouchableOpacity
+        style={styles.suggestionItem}
+        onPress={() => submitSearch()}
+      >
+        <Ionicons name="search" size={18} color={styles.iconColor} />
+        <Text style={styles.suggestionText} numberOfLines={1}>
+          {searchText.trim()}
+        </Text>
+      </TouchableOpacity>
+      {suggestions.map((item) => (
+        <TouchableOpacity
+          key={`${item.type}-${item.id || item.text}`}
+          style={styles.suggestionItem}
+          onPress={() => handleSelectSuggestion(item)}
+        >
+          {item.type === "user" && item.profileImage ? (
+            <Image
+              source={{ uri: item.profileImage.replace("/svg?", "/png?") }}
+              style={styles.suggestionAvatar}
+            />
+          ) : (
+            <Ionicons
+              name={SUGGESTION_ICONS[item.type]}
+              size={18}
+              color={styles.iconColor}
+            />
+          )}
+          <Text style={styles.suggestionText} numberOfLines={1}>
+            {item.text}
+          </Text>
+          <Text style={styles.suggestionType}>
+            {t(`search.type_${item.type}`)}
+          </Text>
+        </TouchableOpacity>
+      ))}
+    </ScrollView>
+  );
+
+  const renderRecentSearches = () => (
+    <ScrollView
+      style={styles.resultsContainer}
+      keyboardShouldPersistTaps="handled"
+    >
+      <View style={styles.recentHeader}>
+        <Text style={styles.sectionTitle}>{t("search.recent")}</Text>
+        <TouchableOpacity onPress={() => saveRecentSearches([])}>
+          <Text style={styles.recentClearText}>{t("search.clearRecent")}</Text>
+        </TouchableOpacity>
+      </View>
+      {recentSearches.map((query) => (
+        <TouchableOpacity
+          key={query}
+          style={styles.suggestionItem}
+          onPress={() => handleSelectRecent(query)}
+        >
+          <Ionicons name="time-outline" size={18} color={styles.iconColor} />
+          <Text style={styles.suggestionText} numberOfLines={1}>
+            {query}
+          </Text>
+          <TouchableOpacity
+            style={styles.clearButton}
+            onPress={() => removeRecentSearch(query)}
+          >
+            <Ionicons name="close" size={18} color={styles.iconColor} />
+          </TouchableOpacity>
+        </TouchableOpacity>
+      ))}
+    </ScrollView>
+  );
+
   // Hiển thị kết quả tìm kiếm
   const renderSearchResults = () => {
+    if (showSuggestions && searchText.trim()) {
+      return renderSuggestions();
+    }
+
     if (isLoading) {
       return (
         <View style={styles.loadingContainer}>
@@ -319,7 +661,10 @@ export default function SearchScreen() {
       );
     }
 
-    if (searchText.trim() === "") {
+    if (searchText.trim() === "" && !hasActiveFilters(bookFilters)) {
+      if (recentSearches.length > 0) {
+        return renderRecentSearches();
+      }
       // Hiển thị màn hình trống khi chưa tìm kiếm
       return (
         <View style={styles.emptyStateContainer}>
@@ -368,12 +713,160 @@ export default function SearchScreen() {
                 {renderBookResult({ item: book })}
               </View>
             ))}
+            {hasMoreBooks && (
+              <TouchableOpacity
+                style={styles.loadMoreButton}
+                onPress={loadMoreBooks}
+                disabled={loadingMoreBooks}
+              >
+                {loadingMoreBooks ? (
+                  <ActivityIndicator size="small" color={styles.loading.color} />
+                ) : (
+                  <Text style={styles.loadMoreText}>{t("search.loadMore")}</Text>
+                )}
+              </TouchableOpacity>
+            )}
           </View>
         )}
       </ScrollView>
     );
   };
 
+  const renderChip = (key, label, isActive, onPress) => (
+    <TouchableOpacity
+      key={key}
+      style={[styles.chip, isActive && styles.chipActive]}
+      onPress={onPress}
+    >
+      <Text style={[styles.chipText, isActive && styles.chipTextActive]}>
+        {label}
+      </Text>
+    </TouchableOpacity>
+  );
+
+  // Chọn lại mức đang chọn thì bỏ chọn
+  const renderRatingChips = (key) => (
+    <View style={styles.chipRow}>
+      {[1, 2, 3, 4, 5].map((value) =>
+        renderChip(`${key}-${value}`, `${value} ★`, draftFilters[key] === value, () =>
+          updateDraftFilter(key, draftFilters[key] === value ? null : value)
+        )
+      )}
+    </View>
+  );
+
+  const renderFilterSheet = () => (
+    <Modal
+      transparent={true}
+      visible={showFilterSheet}
+      animationType="slide"
+      onRequestClose={() => setShowFilterSheet(false)}
+    >
+      <TouchableWithoutFeedback onPress={() => setShowFilterSheet(false)}>
+        <View style={styles.sheetOverlay}>
+          <TouchableWithoutFeedback>
+            <View style={styles.sheetContent}>
+              <View style={styles.sheetHeader}>
+                <Text style={styles.sheetTitle}>{t("search.filters")}</Text>
+                <TouchableOpacity onPress={() => setShowFilterSheet(false)}>
+                  <Ionicons name="close" size={24} color={styles.textColor} />
+                </TouchableOpacity>
+              </View>
+
+              <ScrollView showsVerticalScrollIndicator={false}>
+                {/* Thể loại */}
+                <View style={styles.filterGroup}>
+                  <Text style={styles.filterLabel}>{t("search.genre")}</Text>
+                  <View style={styles.chipRow}>
+                    {renderChip("genre-all", t("search.allGenres"), !draftFilters.genre, () =>
+                      updateDraftFilter("genre", null)
+                    )}
+                    {genres.map((genre) =>
+                      renderChip(
+                        genre._id,
+                        genre.genre_name,
+                        draftFilters.genre === genre._id,
+                        () => updateDraftFilter("genre", genre._id)
+                      )
+                    )}
+                  </View>
+                </View>
+
+                {/* Khoảng đánh giá */}
+                <View style={styles.filterGroup}>
+                  <Text style={styles.filterLabel}>{t("search.rating")}</Text>
+                  <Text style={styles.filterSubLabel}>{t("search.minRating")}</Text>
+                  {renderRatingChips("minRating")}
+                  <Text style={styles.filterSubLabel}>{t("search.maxRating")}</Text>
+                  {renderRatingChips("maxRating")}
+                </View>
+
+                {/* Khoảng năm xuất bản */}
+                <View style={styles.filterGroup}>
+                  <Text style={styles.filterLabel}>{t("search.year")}</Text>
+                  <View style={styles.yearRow}>
+                    {[
+                      ["minYear", "search.fromYear"],
+                      ["maxYear", "search.toYear"],
+                    ].map(([key, label]) => (
+                      <View key={key} style={styles.yearInputWrapper}>
+                        <Text style={styles.filterSubLabel}>{t(label)}</Text>
+                        <TextInput
+                          style={styles.yearInput}
+                          keyboardType="number-pad"
+                          maxLength={4}
+                          value={draftFilters[key]}
+                          onChangeText={(text) =>
+                            updateDraftFilter(key, text.replace(/[^0-9]/g, ""))
+                          }
+                          placeholderTextColor={styles.placeholderColor}
+                        />
+                      </View>
+                    ))}
+                  </View>
+                </View>
+
+                {/* Sắp xếp */}
+                <View style={styles.filterGroup}>
+                  <Text style={styles.filterLabel}>{t("search.sortBy")}</Text>
+                  <View style={styles.chipRow}>
+                    {BOOK_SORT_OPTIONS.map((option) =>
+                      renderChip(
+                        option.value,
+                        t(option.label),
+                        draftFilters.sort === option.value,
+                        () => updateDraftFilter("sort", option.value)
+                      )
+                    )}
+                  </View>
+                </View>
+              </ScrollView>
+
+              <View style={styles.sheetActions}>
+                <TouchableOpacity
+                  style={styles.sheetButton}
+                  onPress={() => setDraftFilters(DEFAULT_BOOK_FILTERS)}
+                >
+                  <Text style={styles.sheetButtonText}>{t("search.reset")}</Text>
+                </TouchableOpacity>
+                <TouchableOpacity
+                  style={[styles.sheetButton, styles.sheetButtonPrimary]}
+                  onPress={applyFilters}
+                >
+                  <Text
+                    style={[styles.sheetButtonText, styles.sheetButtonTextPrimary]}
+                  >
+                    {t("search.apply")}
+                  </Text>
+                </TouchableOpacity>
+              </View>
+            </View>
+          </TouchableWithoutFeedback>
+        </View>
+      </TouchableWithoutFeedback>
+    </Modal>
+  );
+
   return (
     <SafeAreaView style={styles.container}>
       <StatusBar barStyle="dark-content" />
@@ -404,12 +897,14 @@ export default function SearchScreen() {
             placeholderTextColor={styles.placeholderColor}
             value={searchText}
             onChangeText={handleSearch}
+            onSubmitEditing={() => submitSearch()}
+            returnKeyType="search"
             autoFocus={true}
           />
           {searchText.length > 0 && (
             <TouchableOpacity
               style={styles.clearButton}
-              onPress={() => setSearchText("")}
+              onPress={() => handleSearch("")}
             >
               <Ionicons
                 name="close-circle"
@@ -419,10 +914,29 @@ export default function SearchScreen() {
             </TouchableOpacity>
           )}
         </View>
+
+        <TouchableOpacity
+          style={[
+            styles.filterToggle,
+            hasActiveFilters(bookFilters) && styles.filterToggleActive,
+          ]}
+          onPress={openFilterSheet}
+        >
+          <Ionicons
+            name="options-outline"
+            size={20}
+            color={
+              hasActiveFilters(bookFilters)
+                ? styles.chipTextActive.color
+                : styles.searchIconColor
+            }
+          />
+        </TouchableOpacity>
       </View>
 
       {/* Content */}
       <View style={styles.content}>{renderSearchResults()}</View>
+      {renderFilterSheet()}
     </SafeAreaView>
   );
 }
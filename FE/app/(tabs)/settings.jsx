@@ -129,6 +129,90 @@ export default function SettingsScreen() {
         <View style={styles.section}>
           <Text style={styles.sectionTitle}>{t("settings.security")}</Text>
 
+          <TouchableOpacity
+            style={styles.settingItem}
+            onPress={() => router.push("/changepassword")}
+          >
+            <View style={styles.settingContent}>
+              <View style={styles.settingIconContainer}>
+                <Ionicons
+                  name="key-outline"
+                  size={22}
+                  color={COLORS.primary}
+                />
+              </View>
+              <Text style={styles.settingText}>{t("settings.changePassword")}</Text>
+            </View>
+            <Ionicons
+              name="chevron-forward"
+              size={20}
+              color={COLORS.textSecondary}
+            />
+          </TouchableOpacity>
+
+          <TouchableOpacity
+            style={styles.settingItem}
+            onPress={() => router.push("/changeemail")}
+          >
+            <View style={styles.settingContent}>
+              <View style={styles.settingIconContainer}>
+                <Ionicons
+                  name="mail-outline"
+                  size={22}
+                  color={COLORS.primary}
+                />
+              </View>
+              <Text style={styles.settingText}>{t("settings.changeEmail")}</Text>
+            </View>
+            <Ionicons
+              name="chevron-forward"
+              size={20}
+              color={COLORS.textSecondary}
+            />
+          </TouchableOpacity>
+
+          <TouchableOpacity
+            style={styles.settingItem}
+            onPress={() => router.push("/sessions")}
+          >
+            <View style={styles.settingContent}>
+              <View style={styles.settingIconContainer}>
+                <Ionicons
+                  name="phone-portrait-outline"
+                  size={22}
+                  color={COLORS.primary}
+                />
+              </View>
+              <Text style={styles.settingText}>{t("settings.sessions")}</Text>
+            </View>
+            <Ionicons
+              name="chevron-forward"
+              size={20}
+              color={COLORS.textSecondary}
+            />
+          </TouchableOpacity>
+
+          <TouchableOpacity
+            style={styles.settingItem}
+            onPress={() => router.push("/security")}
+          >
+            <View style={styles.settingContent}>
+              <View style={styles.settingIconContainer}>
+                <Ionicons
+                  name="shield-checkmark-outline"
+                  size={22}
+                  color={COLORS.primary}
+                />
+              </View>
+              <Text style={styles.settingText}>{t("settings.twoFactor")}</Text>
+            </View>
+            <Ionicons
+              name="chevron-forward"
+              size={20}
+              color={COLORS.textSecondary}
+            />
+          </TouchableOpacity>
+
           <TouchableOpacity style={styles.settingItem} onPress={handleLogout}>
             <View style={styles.settingContent}>
               <View style={styles.settingIconContainer}>
@@ -5,7 +5,7 @@ import SafeScreen from "../components/SafeScreen";
 import { useFonts } from "expo-font";
 import { useEffect, useState, useRef } from "react";
 import { useAuthStore } from "../store/authStore";
-import { View, Text } from "react-native";
+import { AppState, View, Text } from "react-native";
 import { LanguageProvider } from "../context/LanguageContext";
 import NotificationPopup from "../components/NotificationPopup";
 import { io } from "socket.io-client"; // Thêm import socket
@@ -20,7 +20,7 @@ export default function RootLayout() {
   const [appIsReady, setAppIsReady] = useState(false);
   const socketRef = useRef(null); // Thêm socket ref
 
-  const { checkAuth, user, token, isCheckingAuth, incrementUnreadNotificationsCount } = useAuthStore();
+  const { checkAuth, ensureFreshToken, user, token, isCheckingAuth, incrementUnreadNotificationsCount } = useAuthStore();
 
   const [fontsLoaded] = useFonts({
     "JetBrainsMono-Medium": require("../assets/fonts/JetBrainsMono-Medium.ttf"),
@@ -43,6 +43,14 @@ export default function RootLayout() {
     prepare();
   }, [fontsLoaded]);
 
+  // Access token có thể đã hết hạn trong lúc app ở background
+  useEffect(() => {
+    const subscription = AppState.addEventListener("change", (state) => {
+      if (state === "active") ensureFreshToken();
+    });
+    return () => subscription.remove();
+  }, []);
+
   // Thiết lập kết nối socket khi đăng nhập
   useEffect(() => {
     if (appIsReady && token && user && !socketRef.current) {
@@ -68,7 +76,8 @@ export default function RootLayout() {
         }
       };
     }
-  }, [appIsReady, token, user]);
+    // Chỉ phụ thuộc việc đã đăng nhập hay chưa - token đổi mỗi lần refresh không cần kết nối lại
+  }, [appIsReady, !!token, user]);
 
   // Chỉ điều hướng khi app đã sẵn sàng
   // useEffect(() => {
@@ -91,9 +100,11 @@ export default function RootLayout() {
     if (!appIsReady) return;
 
     const inAuthScreen = segments[0] === "(auth)";
+    // Màn hình xác minh email dùng được cả khi đã đăng nhập
+    const isVerifyScreen = segments[1] === "verifyemail";
     // Chỉ chuyển hướng từ auth screen về tabs khi đã đăng nhập
     // Không tự động chuyển hướng từ tabs hoặc các trang khác đến auth screen
-    if (inAuthScreen && user && token) {
+    if (inAuthScreen && !isVerifyScreen && user && token) {
       router.replace("/(tabs)");
     }
   }, [appIsReady, user, token, segments]);
@@ -119,6 +130,15 @@ export default function RootLayout() {
             <Stack.Screen name="(auth)" />
             <Stack.Screen name="userprofile" />
             <Stack.Screen name="bookdetail" />
+            <Stack.Screen name="work" />
+            <Stack.Screen name="shelf" />
+            <Stack.Screen name="lists" />
+            <Stack.Screen name="list" />
+            <Stack.Screen name="listedit" />
+            <Stack.Screen name="sessions" />
+            <Stack.Screen name="security" />
+            <Stack.Screen name="changepassword" />
+            <Stack.Screen name="changeemail" />
           </Stack>
         </LanguageProvider>
         {shouldShowNotificationPopup && <NotificationPopup />}
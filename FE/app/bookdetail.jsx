@@ -21,28 +21,65 @@ import {
 import styles from "../assets/styles/bookdetail.styles";
 import COLORS from "../constants/colors";
 import { API_URL, SOCKET_URL } from "../constants/api";
+import { COMMENT_REACTIONS } from "../constants/reactions";
+import MentionText from "../components/MentionText";
+import AddToShelfModal from "../components/AddToShelfModal";
+import ReadingProgressCard from "../components/ReadingProgressCard";
+import ContainingLists from "../components/ContainingLists";
+import BookImageGallery from "../components/BookImageGallery";
 import { formatMemberSince, formatRelativeTime } from "../lib/utils";
+import { EMAIL_NOT_VERIFIED, promptEmailVerification } from "../lib/helper";
 import { useAuthStore } from "../store/authStore";
 import { useLanguage } from "../context/LanguageContext";
 
+// Cập nhật một comment trong danh sách theo id
+const mapCommentList = (list, commentId, updater) =>
+  list.map((comment) => (comment._id === commentId ? updater(comment) : comment));
+
+// Cập nhật một comment nằm trong bất kỳ thread reply nào đã tải
+const mapReplyThreads = (threads, commentId, updater) => {
+  const nextThreads = {};
+  for (const [parentId, thread] of Object.entries(threads)) {
+    nextThreads[parentId] = {
+      ...thread,
+      items: mapCommentList(thread.items, commentId, updater),
+    };
+  }
+  return nextThreads;
+};
+
 export default function BookDetail() {
   const { bookId } = useLocalSearchParams();
   const router = useRouter();
   const { token, user } = useAuthStore();
 
   const [book, setBook] = useState(null);
+  // Thống kê rating của tác phẩm và tác giả: { work, authors }
+  const [ratingStats, setRatingStats] = useState(null);
   const [comments, setComments] = useState([]);
   const [isLoading, setIsLoading] = useState(true);
   const [commentText, setCommentText] = useState("");
   const [isSubmittingComment, setIsSubmittingComment] = useState(false);
-  const [commentsPage, setCommentsPage] = useState(1);
+  // nextCursor backend trả về để tải trang comment tiếp theo
+  const [commentsCursor, setCommentsCursor] = useState(null);
   const [hasMoreComments, setHasMoreComments] = useState(true);
   const [loadingMoreComments, setLoadingMoreComments] = useState(false);
   const [isLiking, setIsLiking] = useState(false);
   const [isDisliking, setIsDisliking] = useState(false);
   const [newCommentId, setNewCommentId] = useState(null);
   const [showBookOptionsMenu, setShowBookOptionsMenu] = useState(false);
-  const [showImageZoom, setShowImageZoom] = useState(false);
+  const [zoomImageIndex, setZoomImageIndex] = useState(null); // null = đang đóng
+  const [showShelfModal, setShowShelfModal] = useState(false);
+  // Comment đang được trả lời (null = bình luận mới)
+  const [replyingTo, setReplyingTo] = useState(null);
+  // Reply đã tải của từng comment: { [commentId]: { items, cursor, hasMore, isLoading, isExpanded } }
+  const [replyThreads, setReplyThreads] = useState({});
+  // "newest" | "top" - thứ tự comment gốc
+  const [commentSort, setCommentSort] = useState("newest");
+  // Comment đang mở bảng chọn reaction
+  const [reactionPickerFor, setReactionPickerFor] = useState(null);
+  // Danh sách ai đã reaction: { commentId, items, isLoading } | null
+  const [reactionsList, setReactionsList] = useState(null);
   const socketRef = useRef(null);
   const { t, currentLanguage, changeLanguage } = useLanguage();
 
@@ -72,6 +109,52 @@ export default function BookDetail() {
     ]);
   };
 
+  // Cập nhật comment dù nó là comment gốc hay reply
+  const updateCommentEverywhere = (commentId, updater) => {
+    setComments((prev) => mapCommentList(prev, commentId, updater));
+    setReplyThreads((prev) => mapReplyThreads(prev, commentId, updater));
+  };
+
+  // Thêm reply vào thread của comment cha và tăng replyCount
+  const addReplyToThread = (reply) => {
+    const parentId = reply.parentComment;
+    updateCommentEverywhere(parentId, (comment) => ({
+      ...comment,
+      replyCount: (comment.replyCount || 0) + 1,
+    }));
+    setReplyThreads((prev) => {
+      const thread = prev[parentId];
+      // Thread đang đóng thì reply sẽ được tải khi người dùng mở ra
+      if (!thread || !thread.isExpanded) return prev;
+      if (thread.items.some((item) => item._id === reply._id)) return prev;
+      return { ...prev, [parentId]: { ...thread, items: [...thread.items, reply] } };
+    });
+  };
+
+  // Xóa comment (và các reply của nó) khỏi mọi danh sách đang hiển thị
+  const removeCommentsEverywhere = (commentIds, parentId) => {
+    setComments((prev) =>
+      prev.filter((comment) => !commentIds.includes(comment._id))
+    );
+    setReplyThreads((prev) => {
+      const nextThreads = {};
+      for (const [threadId, thread] of Object.entries(prev)) {
+        if (commentIds.includes(threadId)) continue;
+        nextThreads[threadId] = {
+          ...thread,
+          items: thread.items.filter((item) => !commentIds.includes(item._id)),
+        };
+      }
+      return nextThreads;
+    });
+    if (parentId) {
+      updateCommentEverywhere(parentId, (comment) => ({
+        ...comment,
+        replyCount: Math.max(0, (comment.replyCount || 0) - 1),
+      }));
+    }
+  };
+
   // Thiết lập kết nối Socket.IO
   useEffect(() => {
     if (!bookId || !token) return;
@@ -88,24 +171,36 @@ export default function BookDetail() {
       // Không thêm comment nếu nó đến từ người dùng hiện tại (đã được thêm thủ công)
       if (newComment.user._id !== user.id) {
         setNewCommentId(newComment._id);
-        setComments((prev) => [newComment, ...prev]);
+        // parentComment cho biết comment mới nằm ở thread nào
+        if (newComment.parentComment) {
+          addReplyToThread(newComment);
+        } else {
+          setComments((prev) => [newComment, ...prev]);
+        }
       }
     });
 
-    // Lắng nghe khi có bình luận bị xóa
-    socket.on("commentDeleted", ({ commentId }) => {
-      setComments((prev) =>
-        prev.filter((comment) => comment._id !== commentId)
-      );
+    // Lắng nghe khi có bình luận bị xóa (kèm toàn bộ reply của nó)
+    socket.on("commentDeleted", ({ commentId, parentComment, deletedIds }) => {
+      removeCommentsEverywhere(deletedIds || [commentId], parentComment);
     });
 
     // Lắng nghe khi có bình luận được cập nhật
     socket.on("commentUpdated", (updatedComment) => {
-      setComments((prev) =>
-        prev.map((comment) =>
-          comment._id === updatedComment._id ? updatedComment : comment
-        )
-      );
+      updateCommentEverywhere(updatedComment._id, (comment) => ({
+        ...comment,
+        ...updatedComment,
+      }));
+    });
+
+    // Lắng nghe khi reaction của comment thay đổi
+    socket.on("commentInteractionUpdate", (updatedCommentData) => {
+      updateCommentEverywhere(updatedCommentData._id, (comment) => ({
+        ...comment,
+        reaction_count: updatedCommentData.reaction_count,
+        reactionCounts: updatedCommentData.reactionCounts,
+        reactions: updatedCommentData.reactions,
+      }));
     });
 
     socket.on("bookInteractionUpdate", (updatedBookData) => {
@@ -153,16 +248,33 @@ export default function BookDetail() {
     }
   };
 
-  const fetchComments = async (page = 1, append = false) => {
+  const fetchRatingStats = async () => {
+    try {
+      const response = await fetch(`${API_URL}/books/${bookId}/ratings`, {
+        headers: { Authorization: `Bearer ${token}` },
+      });
+      if (!response.ok) return;
+
+      const data = await response.json();
+      setRatingStats(data);
+    } catch (error) {
+      // Thống kê chỉ là thông tin phụ - lỗi thì ẩn đi
+      console.error("Error fetching rating stats:", error);
+    }
+  };
+
+  const fetchComments = async (cursor = null, append = false) => {
     try {
-      if (page === 1 && !append) {
+      if (!append) {
         setIsLoading(true);
       } else {
         setLoadingMoreComments(true);
       }
 
       const response = await fetch(
-        `${API_URL}/books/${bookId}/comments?page=${page}&limit=10`,
+        `${API_URL}/books/${bookId}/comments?limit=10&sort=${commentSort}${
+          cursor ? `&cursor=${encodeURIComponent(cursor)}` : ""
+        }`,
         {
           headers: { Authorization: `Bearer ${token}` },
         }
@@ -175,13 +287,20 @@ export default function BookDetail() {
       const data = await response.json();
 
       if (append) {
-        setComments((prev) => [...prev, ...data.comments]);
+        // Comment mới nhận qua socket có thể đã nằm sẵn trong danh sách
+        setComments((prev) => {
+          const existingIds = new Set(prev.map((item) => item._id));
+          return [
+            ...prev,
+            ...data.comments.filter((item) => !existingIds.has(item._id)),
+          ];
+        });
       } else {
         setComments(data.comments);
       }
 
-      setHasMoreComments(page < data.totalPages);
-      setCommentsPage(page);
+      setHasMoreComments(data.hasMore);
+      setCommentsCursor(data.nextCursor);
     } catch (error) {
       console.error("Error fetching comments:", error);
     } finally {
@@ -190,13 +309,148 @@ export default function BookDetail() {
     }
   };
 
+  const fetchReplies = async (commentId, cursor = null) => {
+    setReplyThreads((prev) => ({
+      ...prev,
+      [commentId]: {
+        items: [],
+        cursor: null,
+        hasMore: false,
+        ...prev[commentId],
+        isExpanded: true,
+        isLoading: true,
+      },
+    }));
+    try {
+      const response = await fetch(
+        `${API_URL}/books/${bookId}/comments/${commentId}/replies?limit=5${
+          cursor ? `&cursor=${encodeURIComponent(cursor)}` : ""
+        }`,
+        {
+          headers: { Authorization: `Bearer ${token}` },
+        }
+      );
+
+      if (!response.ok) {
+        throw new Error("Failed to fetch replies");
+      }
+
+      const data = await response.json();
+      setReplyThreads((prev) => {
+        const existing = cursor ? prev[commentId]?.items || [] : [];
+        const existingIds = new Set(existing.map((item) => item._id));
+        return {
+          ...prev,
+          [commentId]: {
+            ...prev[commentId],
+            items: [
+              ...existing,
+              ...data.replies.filter((item) => !existingIds.has(item._id)),
+            ],
+            cursor: data.nextCursor,
+            hasMore: data.hasMore,
+            isLoading: false,
+          },
+        };
+      });
+    } catch (error) {
+      console.error("Error fetching replies:", error);
+      setReplyThreads((prev) => ({
+        ...prev,
+        [commentId]: { ...prev[commentId], isLoading: false },
+      }));
+    }
+  };
+
+  const toggleReplies = (comment) => {
+    const thread = replyThreads[comment._id];
+    if (thread?.isExpanded) {
+      setReplyThreads((prev) => ({
+        ...prev,
+        [comment._id]: { ...thread, isExpanded: false },
+      }));
+    } else {
+      // Luôn tải lại trang đầu khi mở để không bỏ sót reply mới
+      fetchReplies(comment._id);
+    }
+  };
+
   useEffect(() => {
     if (bookId) {
       fetchBookDetails();
-      fetchComments();
+      fetchRatingStats();
     }
   }, [bookId]);
 
+  useEffect(() => {
+    if (bookId) {
+      fetchComments();
+    }
+  }, [bookId, commentSort]);
+
+  // Reaction hiện tại của user trên comment (user có thể đã được populate hoặc chỉ là id)
+  const getMyReaction = (comment) =>
+    comment.reactions?.find(
+      (reaction) => (reaction.user?._id || reaction.user) === user?.id
+    );
+
+  const handleReactComment = async (comment, type) => {
+    setReactionPickerFor(null);
+    const myReaction = getMyReaction(comment);
+    // Bấm lại đúng reaction đang chọn thì hủy reaction
+    const endpoint =
+      myReaction && myReaction.type === type
+        ? `${API_URL}/books/${bookId}/comments/${comment._id}/unreact`
+        : `${API_URL}/books/${bookId}/comments/${comment._id}/react`;
+
+    try {
+      const response = await fetch(endpoint, {
+        method: "PUT",
+        headers: {
+          Authorization: `Bearer ${token}`,
+          "Content-Type": "application/json",
+        },
+        body: JSON.stringify({ type }),
+      });
+
+      if (!response.ok) throw new Error("Failed to update reaction");
+
+      const updatedComment = await response.json();
+      updateCommentEverywhere(comment._id, (current) => ({
+        ...current,
+        reaction_count: updatedComment.reaction_count,
+        reactionCounts: updatedComment.reactionCounts,
+        reactions: updatedComment.reactions,
+      }));
+    } catch (error) {
+      console.error("Error updating comment reaction:", error);
+    }
+  };
+
+  const openReactionsList = async (comment) => {
+    setReactionsList({ commentId: comment._id, items: [], isLoading: true });
+    try {
+      const response = await fetch(
+        `${API_URL}/books/${bookId}/comments/${comment._id}/reactions?limit=50`,
+        {
+          headers: { Authorization: `Bearer ${token}` },
+        }
+      );
+
+      if (!response.ok) throw new Error("Failed to fetch reactions");
+
+      const data = await response.json();
+      setReactionsList({
+        commentId: comment._id,
+        items: data.reactions,
+        isLoading: false,
+      });
+    } catch (error) {
+      console.error("Error fetching comment reactions:", error);
+      setReactionsList((prev) => prev && { ...prev, isLoading: false });
+    }
+  };
+
   const handleSubmitComment = async () => {
     if (!commentText.trim()) return;
 
@@ -208,16 +462,33 @@ export default function BookDetail() {
           Authorization: `Bearer ${token}`,
           "Content-Type": "application/json",
         },
-        body: JSON.stringify({ text: commentText.trim() }),
+        body: JSON.stringify({
+          text: commentText.trim(),
+          parentCommentId: replyingTo?._id,
+        }),
       });
 
       if (!response.ok) {
+        const data = await response.json().catch(() => ({}));
+        if (data.code === EMAIL_NOT_VERIFIED) {
+          promptEmailVerification(router, t, user?.email);
+          return;
+        }
         throw new Error("Failed to submit comment");
       }
 
       const newComment = await response.json();
-      setComments((prev) => [newComment, ...prev]);
+      if (newComment.parentComment) {
+        addReplyToThread(newComment);
+        // Mở thread để người dùng thấy reply vừa gửi
+        if (!replyThreads[newComment.parentComment]?.isExpanded) {
+          fetchReplies(newComment.parentComment);
+        }
+      } else {
+        setComments((prev) => [newComment, ...prev]);
+      }
       setCommentText("");
+      setReplyingTo(null);
 
       // Reset typing status
       if (socketRef.current) {
@@ -233,7 +504,7 @@ export default function BookDetail() {
 
   const handleLoadMoreComments = () => {
     if (hasMoreComments && !loadingMoreComments) {
-      fetchComments(commentsPage + 1, true);
+      fetchComments(commentsCursor, true);
     }
   };
 
@@ -253,46 +524,215 @@ export default function BookDetail() {
     return stars;
   };
 
-  const renderCommentItem = ({ item }) => (
-    <Pressable
-      style={styles.commentItem}
-      onLongPress={() => handleReportComment(item)}
-      delayLongPress={750} // 0.5s
-    >
-      <TouchableOpacity
-        onPress={() =>
-          router.push({
-            pathname: "/userprofile",
-            params: { userId: item.user._id },
-          })
-        }
-      >
-        <Image
-          source={{ uri: item.user.profileImage }}
-          style={styles.commentAvatar}
-        />
-      </TouchableOpacity>
-
-      <View style={styles.commentContent}>
-        <View style={styles.commentHeader}>
-          <TouchableOpacity
-            onPress={() =>
-              router.push({
-                pathname: "/userprofile",
-                params: { userId: item.user._id },
-              })
-            }
-          >
-            <Text style={styles.commentUsername}>{item.user.username}</Text>
-          </TouchableOpacity>
-          <Text style={styles.commentDate}>
-            {formatRelativeTime(item.createdAt)}
-          </Text>
+  // Điểm trung bình + biểu đồ phân bố số sao của tác phẩm, kèm điểm của từng tác giả
+  const renderRatingSummary = () => {
+    const workStats = ratingStats?.work;
+    if (!workStats || workStats.reviewCount === 0) return null;
+
+    const maxCount = Math.max(...Object.values(workStats.distribution), 1);
+
+    return (
+      <View style={styles.ratingSummary}>
+        <Text style={styles.ratingSummaryTitle}>{t("rating.communityRating")}</Text>
+        <View style={styles.ratingSummaryRow}>
+          <View style={styles.ratingAverageBox}>
+            <Text style={styles.ratingAverageValue}>
+              {workStats.averageRating.toFixed(1)}
+            </Text>
+            <View style={styles.ratingContainerSmall}>
+              {renderRatingStars(Math.round(workStats.averageRating))}
+            </View>
+            <Text style={styles.ratingReviewCount}>
+              {workStats.reviewCount} {t("work.reviews")}
+            </Text>
+          </View>
+          <View style={styles.ratingHistogram}>
+            {[5, 4, 3, 2, 1].map((level) => (
+              <View key={level} style={styles.histogramRow}>
+                <Text style={styles.histogramLabel}>{level}</Text>
+                <Ionicons name="star" size={12} color="#f4b400" />
+                <View style={styles.histogramTrack}>
+                  <View
+                    style={[
+                      styles.histogramFill,
+                      {
+                        width: `${
+                          (workStats.distribution[level] / maxCount) * 100
+                        }%`,
+                      },
+                    ]}
+                  />
+                </View>
+                <Text style={styles.histogramCount}>
+                  {workStats.distribution[level]}
+                </Text>
+              </View>
+            ))}
+          </View>
         </View>
-        <Text style={styles.commentText}>{item.text}</Text>
+        {ratingStats.authors
+          .filter((author) => author.reviewCount > 0)
+          .map((author) => (
+            <View key={author.name} style={styles.authorRatingRow}>
+              <Ionicons
+                name="person-outline"
+                size={14}
+                color={COLORS.textSecondary}
+              />
+              <Text style={styles.authorRatingText} numberOfLines={1}>
+                {author.name}
+              </Text>
+              <Ionicons name="star" size={14} color="#f4b400" />
+              <Text style={styles.authorRatingValue}>
+                {author.averageRating.toFixed(1)}
+              </Text>
+              <Text style={styles.ratingReviewCount}>
+                ({author.reviewCount} {t("work.reviews")})
+              </Text>
+            </View>
+          ))}
       </View>
-    </Pressable>
-  );
+    );
+  };
+
+  const renderComment = (item, isReply = false) => {
+    const thread = replyThreads[item._id];
+    const myReaction = getMyReaction(item);
+
+    return (
+      <Pressable
+        key={item._id}
+        style={isReply ? styles.replyItem : styles.commentItem}
+        onLongPress={() => handleReportComment(item)}
+        delayLongPress={750} // 0.5s
+      >
+        <TouchableOpacity
+          onPress={() =>
+            router.push({
+              pathname: "/userprofile",
+              params: { userId: item.user._id },
+            })
+          }
+        >
+          <Image
+            source={{ uri: item.user.profileImage }}
+            style={styles.commentAvatar}
+          />
+        </TouchableOpacity>
+
+        <View style={styles.commentContent}>
+          <View style={styles.commentHeader}>
+            <TouchableOpacity
+              onPress={() =>
+                router.push({
+                  pathname: "/userprofile",
+                  params: { userId: item.user._id },
+                })
+              }
+            >
+              <Text style={styles.commentUsername}>{item.user.username}</Text>
+            </TouchableOpacity>
+            <Text style={styles.commentDate}>
+              {formatRelativeTime(item.createdAt)}
+            </Text>
+          </View>
+          <MentionText
+            style={styles.commentText}
+            text={item.text}
+            mentions={item.mentions}
+          />
+
+          {/* Reaction / Reply / View replies */}
+          <View style={styles.commentActions}>
+            <TouchableOpacity
+              style={styles.reactionButton}
+              onPress={() => handleReactComment(item, myReaction?.type || "like")}
+              onLongPress={() => setReactionPickerFor(item._id)}
+            >
+              {myReaction ? (
+                <Text style={styles.reactionEmoji}>
+                  {COMMENT_REACTIONS[myReaction.type]}
+                </Text>
+              ) : (
+                <Ionicons
+                  name="thumbs-up-outline"
+                  size={16}
+                  color={COLORS.textSecondary}
+                />
+              )}
+            </TouchableOpacity>
+            {item.reaction_count > 0 && (
+              <TouchableOpacity
+                style={styles.reactionButton}
+                onPress={() => openReactionsList(item)}
+              >
+                {Object.keys(item.reactionCounts || {}).map((type) => (
+                  <Text key={type} style={styles.reactionEmoji}>
+                    {COMMENT_REACTIONS[type]}
+                  </Text>
+                ))}
+                <Text style={styles.reactionCountText}>
+                  {item.reaction_count}
+                </Text>
+              </TouchableOpacity>
+            )}
+            <TouchableOpacity
+              style={styles.replyButton}
+              onPress={() => setReplyingTo(item)}
+            >
+              <Text style={styles.replyButtonText}>{t("book.reply")}</Text>
+            </TouchableOpacity>
+            {item.replyCount > 0 && (
+              <TouchableOpacity onPress={() => toggleReplies(item)}>
+                <Text style={styles.viewRepliesText}>
+                  {thread?.isExpanded
+                    ? t("book.hidereplies")
+                    : `${t("book.viewreplies")} (${item.replyCount})`}
+                </Text>
+              </TouchableOpacity>
+            )}
+          </View>
+
+          {/* Bảng chọn reaction - giữ nút reaction để mở */}
+          {reactionPickerFor === item._id && (
+            <View style={styles.reactionPicker}>
+              {Object.entries(COMMENT_REACTIONS).map(([type, emoji]) => (
+                <TouchableOpacity
+                  key={type}
+                  style={styles.reactionOption}
+                  onPress={() => handleReactComment(item, type)}
+                >
+                  <Text style={styles.reactionOptionEmoji}>{emoji}</Text>
+                </TouchableOpacity>
+              ))}
+            </View>
+          )}
+
+          {/* Replies của comment này */}
+          {thread?.isExpanded && (
+            <View style={styles.repliesContainer}>
+              {thread.items.map((reply) => renderComment(reply, true))}
+              {thread.isLoading ? (
+                <ActivityIndicator size="small" color={COLORS.primary} />
+              ) : (
+                thread.hasMore && (
+                  <TouchableOpacity
+                    onPress={() => fetchReplies(item._id, thread.cursor)}
+                  >
+                    <Text style={styles.viewRepliesText}>
+                      {t("book.morereplies")}
+                    </Text>
+                  </TouchableOpacity>
+                )
+              )}
+            </View>
+          )}
+        </View>
+      </Pressable>
+    );
+  };
+
+  const renderCommentItem = ({ item }) => renderComment(item);
 
   if (isLoading && !book) {
     return (
@@ -359,6 +799,23 @@ export default function BookDetail() {
     }
   };
 
+  // Lưu / bỏ lưu bài review (bookmark)
+  const handleToggleBookmark = async () => {
+    const wasBookmarked = !!book.isBookmarked;
+    setBook((prevBook) => ({ ...prevBook, isBookmarked: !wasBookmarked }));
+    try {
+      const response = await fetch(`${API_URL}/users/me/bookmarks/${bookId}`, {
+        method: wasBookmarked ? "DELETE" : "PUT",
+        headers: { Authorization: `Bearer ${token}` },
+      });
+
+      if (!response.ok) throw new Error("Failed to update bookmark");
+    } catch (error) {
+      console.error("Error updating bookmark:", error);
+      setBook((prevBook) => ({ ...prevBook, isBookmarked: wasBookmarked }));
+    }
+  };
+
   // Thêm các hàm xử lý
   const handleEditBook = () => {
     setShowBookOptionsMenu(false);
@@ -413,6 +870,13 @@ export default function BookDetail() {
     }
   };
 
+  // Bài đăng cũ chỉ có một ảnh `image`
+  const bookImages = book?.images?.length
+    ? book.images
+    : book?.image
+    ? [book.image]
+    : [];
+
   return (
     <KeyboardAvoidingView
       style={styles.container}
@@ -471,14 +935,11 @@ export default function BookDetail() {
             </TouchableOpacity>
 
             {/* Book Image */}
-            <View style={styles.bookImageContainer}>
-              <TouchableOpacity
-                onPress={() => setShowImageZoom(true)}
-                activeOpacity={0.8}
-              >
-                <Image source={{ uri: book.image }} style={styles.bookImage} />
-              </TouchableOpacity>
-            </View>
+            <BookImageGallery
+              images={bookImages}
+              placeholders={(book.imageMedia || []).map((media) => media.blurhash)}
+              onPressImage={setZoomImageIndex}
+            />
 
             {/* Book Info */}
             <Text style={styles.bookTitle}>{book.title}</Text>
@@ -488,11 +949,37 @@ export default function BookDetail() {
             <View style={styles.ratingContainer}>
               {renderRatingStars(book.rating)}
             </View>
-            <Text style={styles.caption}>{book.caption}</Text>
+            {book.work && (
+              <TouchableOpacity
+                style={styles.workLink}
+                onPress={() =>
+                  router.push({
+                    pathname: "/work",
+                    params: { workId: book.work },
+                  })
+                }
+              >
+                <Ionicons
+                  name="library-outline"
+                  size={16}
+                  color={COLORS.primary}
+                />
+                <Text style={styles.workLinkText}>{t("work.seeAll")}</Text>
+              </TouchableOpacity>
+            )}
+            <MentionText
+              style={styles.caption}
+              text={book.caption}
+              mentions={book.captionMentions}
+            />
             <Text style={styles.publishDate}>
               {formatRelativeTime(book.createdAt)}
             </Text>
 
+            {renderRatingSummary()}
+
+            <ReadingProgressCard book={book} />
+
             {/* Like/Dislike Buttons */}
             {/* Book Actions Container */}
             <View style={styles.bookActionsContainer}>
@@ -554,6 +1041,36 @@ export default function BookDetail() {
               </View>
 
               <View style={styles.actionsRow}>
+                {/* Lưu bài để đọc sau */}
+                <TouchableOpacity
+                  style={styles.actionButton}
+                  onPress={handleToggleBookmark}
+                >
+                  <Ionicons
+                    name={book.isBookmarked ? "bookmark" : "bookmark-outline"}
+                    size={20}
+                    color={COLORS.primary}
+                  />
+                  <Text style={styles.actionText}>
+                    {book.isBookmarked ? t("bookmarks.saved") : t("bookmarks.save")}
+                  </Text>
+                </TouchableOpacity>
+
+                {/* Thêm vào kệ sách */}
+                <TouchableOpacity
+                  style={styles.actionButton}
+                  onPress={() => setShowShelfModal(true)}
+                >
+                  <Ionicons
+                    name="library-outline"
+                    size={20}
+                    color={COLORS.primary}
+                  />
+                  <Text style={styles.actionText}>
+                    {t("shelves.addToShelf")}
+                  </Text>
+                </TouchableOpacity>
+
                 {/* Report Button */}
                 {/* Người dùng không phải tác giả mới hiện report bài*/}
                 {user && book && book.user && book.user._id !== user.id && (
@@ -581,6 +1098,9 @@ export default function BookDetail() {
                 )}
               </View>
             </View>
+
+            {/* Các danh sách có bài review này */}
+            <ContainingLists book={book} />
           </View>
         )}
 
@@ -588,11 +1108,46 @@ export default function BookDetail() {
         <View style={styles.commentsSection}>
           <Text style={styles.commentsTitle}>Comments ({comments.length})</Text>
 
+          {/* Sắp xếp comment */}
+          <View style={styles.sortRow}>
+            {["newest", "top"].map((sortKey) => (
+              <TouchableOpacity
+                key={sortKey}
+                style={[
+                  styles.sortChip,
+                  commentSort === sortKey && styles.sortChipActive,
+                ]}
+                onPress={() => setCommentSort(sortKey)}
+              >
+                <Text
+                  style={[
+                    styles.sortChipText,
+                    commentSort === sortKey && styles.sortChipTextActive,
+                  ]}
+                >
+                  {t(`book.${sortKey}`)}
+                </Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+
+          {/* Đang trả lời comment nào */}
+          {replyingTo && (
+            <View style={styles.replyingToBar}>
+              <Text style={styles.replyingToText}>
+                {t("book.replyingTo")} @{replyingTo.user.username}
+              </Text>
+              <TouchableOpacity onPress={() => setReplyingTo(null)}>
+                <Ionicons name="close" size={16} color={COLORS.textSecondary} />
+              </TouchableOpacity>
+            </View>
+          )}
+
           {/* Comment Input */}
           <View style={styles.commentInputContainer}>
             <TextInput
               style={styles.commentInput}
-              placeholder={t("book.cmtsth")}
+              placeholder={replyingTo ? t("book.replyph") : t("book.cmtsth")}
               placeholderTextColor={COLORS.placeholderText}
               value={commentText}
               onChangeText={setCommentText}
@@ -681,25 +1236,81 @@ export default function BookDetail() {
           </TouchableWithoutFeedback>
         </Modal>
 
+        {/* Comment Reactions Modal */}
+        <Modal
+          visible={reactionsList !== null}
+          transparent={true}
+          animationType="fade"
+          onRequestClose={() => setReactionsList(null)}
+        >
+          <TouchableWithoutFeedback onPress={() => setReactionsList(null)}>
+            <View style={styles.modalOverlay}>
+              <TouchableWithoutFeedback>
+                <View style={styles.reactionsListContainer}>
+                  <Text style={styles.reactionsListTitle}>
+                    {t("book.reactions")}
+                  </Text>
+                  {reactionsList?.isLoading ? (
+                    <ActivityIndicator size="small" color={COLORS.primary} />
+                  ) : (
+                    <FlatList
+                      data={reactionsList?.items || []}
+                      keyExtractor={(reaction) => reaction.user._id}
+                      renderItem={({ item: reaction }) => (
+                        <TouchableOpacity
+                          style={styles.reactionUserRow}
+                          onPress={() => {
+                            setReactionsList(null);
+                            router.push({
+                              pathname: "/userprofile",
+                              params: { userId: reaction.user._id },
+                            });
+                          }}
+                        >
+                          <Image
+                            source={{ uri: reaction.user.profileImage }}
+                            style={styles.commentAvatar}
+                          />
+                          <Text style={styles.reactionUsername}>
+                            {reaction.user.username}
+                          </Text>
+                          <Text style={styles.reactionEmoji}>
+                            {COMMENT_REACTIONS[reaction.type]}
+                          </Text>
+                        </TouchableOpacity>
+                      )}
+                      ListEmptyComponent={
+                        <Text style={styles.emptyComments}>
+                          {t("book.noreactions")}
+                        </Text>
+                      }
+                    />
+                  )}
+                </View>
+              </TouchableWithoutFeedback>
+            </View>
+          </TouchableWithoutFeedback>
+        </Modal>
+
         {/* Image Zoom Modal */}
         <Modal
-          visible={showImageZoom}
+          visible={zoomImageIndex !== null}
           transparent={true}
           animationType="fade"
-          onRequestClose={() => setShowImageZoom(false)}
+          onRequestClose={() => setZoomImageIndex(null)}
         >
-          <TouchableWithoutFeedback onPress={() => setShowImageZoom(false)}>
+          <TouchableWithoutFeedback onPress={() => setZoomImageIndex(null)}>
             <View style={styles.imageZoomOverlay}>
               <TouchableWithoutFeedback>
                 <View style={styles.imageZoomContainer}>
                   <TouchableOpacity
                     style={styles.imageZoomCloseButton}
-                    onPress={() => setShowImageZoom(false)}
+                    onPress={() => setZoomImageIndex(null)}
                   >
                     <Ionicons name="close" size={30} color={COLORS.white} />
                   </TouchableOpacity>
                   <Image
-                    source={{ uri: book?.image }}
+                    source={{ uri: bookImages[zoomImageIndex ?? 0] }}
                     style={styles.zoomedImage}
                     contentFit="contain"
                   />
@@ -708,6 +1319,13 @@ export default function BookDetail() {
             </View>
           </TouchableWithoutFeedback>
         </Modal>
+
+        {/* Chọn kệ sách */}
+        <AddToShelfModal
+          visible={showShelfModal}
+          onClose={() => setShowShelfModal(false)}
+          book={book}
+        />
       </ScrollView>
     </KeyboardAvoidingView>
   );
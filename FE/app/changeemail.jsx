@@ -0,0 +1,204 @@
+import { Ionicons } from "@expo/vector-icons";
+import { useRouter } from "expo-router";
+import { useState } from "react";
+import {
+  ActivityIndicator,
+  Alert,
+  KeyboardAvoidingView,
+  Platform,
+  ScrollView,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  View,
+} from "react-native";
+import COLORS from "../constants/colors";
+import { API_URL } from "../constants/api";
+import { useAuthStore } from "../store/authStore";
+import { useLanguage } from "../context/LanguageContext";
+import { authErrorMessage } from "../lib/helper";
+import styles from "../assets/styles/sessions.styles";
+import formStyles from "../assets/styles/forgetpassword.styles";
+import twoFactorStyles from "../assets/styles/twofactor.styles";
+
+// Đổi email: nhập email mới + mật khẩu, rồi nhập mã gửi tới email mới.
+// Email cũ nhận thông báo khi đổi xong.
+export default function ChangeEmailScreen() {
+  const [newEmail, setNewEmail] = useState("");
+  const [password, setPassword] = useState("");
+  const [code, setCode] = useState("");
+  // Email đang chờ xác nhận - có giá trị thì đang ở bước nhập mã
+  const [pendingEmail, setPendingEmail] = useState(null);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const { token, user, setUserEmail } = useAuthStore();
+  const { t } = useLanguage();
+  const router = useRouter();
+
+  const request = async (path, body) => {
+    const response = await fetch(`${API_URL}/auth${path}`, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        Authorization: `Bearer ${token}`,
+      },
+      body: JSON.stringify(body),
+    });
+    const data = await response.json();
+    if (!response.ok) {
+      throw new Error(authErrorMessage(t, response, data, "Something went wrong"));
+    }
+    return data;
+  };
+
+  const handleSendCode = async () => {
+    const email = newEmail.trim();
+    if (!email || !password) {
+      Alert.alert(t("login.error"), t("account.missingFields"));
+      return;
+    }
+    if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+      Alert.alert(t("login.error"), t("login.p20"));
+      return;
+    }
+
+    setIsSubmitting(true);
+    try {
+      const data = await request("/change-email", { newEmail: email, password });
+      setPendingEmail(data.pendingEmail);
+      setPassword("");
+    } catch (error) {
+      Alert.alert(t("login.error"), error.message);
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const handleConfirm = async () => {
+    if (!code.trim()) return;
+    setIsSubmitting(true);
+    try {
+      const data = await request("/change-email/confirm", { code: code.trim() });
+      await setUserEmail(data.email);
+      Alert.alert(t("login.sus"), t("account.emailChanged"), [
+        { text: "OK", onPress: () => router.back() },
+      ]);
+    } catch (error) {
+      Alert.alert(t("login.error"), error.message);
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const renderRequestStep = () => (
+    <>
+      <Text style={twoFactorStyles.statusMeta}>
+        {t("account.currentEmail")} {user?.email}
+      </Text>
+      <View style={[formStyles.inputGroup, { marginTop: 16 }]}>
+        <Text style={formStyles.label}>{t("account.newEmail")}</Text>
+        <View style={formStyles.inputContainer}>
+          <Ionicons name="mail-outline" size={20} color={COLORS.primary} style={formStyles.inputIcon} />
+          <TextInput
+            style={formStyles.input}
+            placeholder={t("login.p1")}
+            placeholderTextColor={COLORS.placeholderText}
+            value={newEmail}
+            onChangeText={setNewEmail}
+            keyboardType="email-address"
+            autoCapitalize="none"
+          />
+        </View>
+      </View>
+      <View style={formStyles.inputGroup}>
+        <Text style={formStyles.label}>{t("account.currentPassword")}</Text>
+        <View style={formStyles.inputContainer}>
+          <Ionicons
+            name="lock-closed-outline"
+            size={20}
+            color={COLORS.primary}
+            style={formStyles.inputIcon}
+          />
+          <TextInput
+            style={formStyles.input}
+            placeholderTextColor={COLORS.placeholderText}
+            value={password}
+            onChangeText={setPassword}
+            secureTextEntry
+            autoCapitalize="none"
+          />
+        </View>
+      </View>
+      <TouchableOpacity style={formStyles.button} onPress={handleSendCode} disabled={isSubmitting}>
+        {isSubmitting ? (
+          <ActivityIndicator color="#fff" />
+        ) : (
+          <Text style={formStyles.buttonText}>{t("account.sendCode")}</Text>
+        )}
+      </TouchableOpacity>
+    </>
+  );
+
+  const renderConfirmStep = () => (
+    <>
+      <Text style={twoFactorStyles.statusMeta}>
+        {t("account.codeSentTo")} {pendingEmail}
+      </Text>
+      <View style={[formStyles.inputGroup, { marginTop: 16 }]}>
+        <Text style={formStyles.label}>{t("login.code")}</Text>
+        <View style={formStyles.inputContainer}>
+          <Ionicons name="key-outline" size={20} color={COLORS.primary} style={formStyles.inputIcon} />
+          <TextInput
+            style={formStyles.input}
+            placeholder={t("login.p11")}
+            placeholderTextColor={COLORS.placeholderText}
+            value={code}
+            onChangeText={setCode}
+            keyboardType="number-pad"
+            maxLength={6}
+          />
+        </View>
+      </View>
+      <TouchableOpacity
+        style={formStyles.button}
+        onPress={handleConfirm}
+        disabled={isSubmitting || !code.trim()}
+      >
+        {isSubmitting ? (
+          <ActivityIndicator color="#fff" />
+        ) : (
+          <Text style={formStyles.buttonText}>{t("account.confirmEmail")}</Text>
+        )}
+      </TouchableOpacity>
+      {/* Nhập sai email / không nhận được mã: quay lại gửi mã mới */}
+      <TouchableOpacity
+        style={twoFactorStyles.secondaryButton}
+        onPress={() => {
+          setPendingEmail(null);
+          setCode("");
+        }}
+      >
+        <Text style={twoFactorStyles.secondaryButtonText}>{t("account.changeNewEmail")}</Text>
+      </TouchableOpacity>
+    </>
+  );
+
+  return (
+    <KeyboardAvoidingView
+      style={styles.container}
+      behavior={Platform.OS === "ios" ? "padding" : "height"}
+    >
+      <View style={styles.header}>
+        <TouchableOpacity onPress={() => router.back()}>
+          <Ionicons name="arrow-back" size={24} color={COLORS.textPrimary} />
+        </TouchableOpacity>
+        <Text style={styles.headerTitle}>{t("account.changeEmail")}</Text>
+      </View>
+
+      <ScrollView>
+        <View style={twoFactorStyles.statusCard}>
+          {pendingEmail ? renderConfirmStep() : renderRequestStep()}
+        </View>
+      </ScrollView>
+    </KeyboardAvoidingView>
+  );
+}
@@ -0,0 +1,133 @@
+import { Ionicons } from "@expo/vector-icons";
+import { useRouter } from "expo-router";
+import { useState } from "react";
+import {
+  ActivityIndicator,
+  Alert,
+  KeyboardAvoidingView,
+  Platform,
+  ScrollView,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  View,
+} from "react-native";
+import COLORS from "../constants/colors";
+import { API_URL } from "../constants/api";
+import { useAuthStore } from "../store/authStore";
+import { useLanguage } from "../context/LanguageContext";
+import { authErrorMessage } from "../lib/helper";
+import styles from "../assets/styles/sessions.styles";
+import formStyles from "../assets/styles/forgetpassword.styles";
+import twoFactorStyles from "../assets/styles/twofactor.styles";
+
+// Đổi mật khẩu khi đang đăng nhập - các thiết bị khác bị đăng xuất
+export default function ChangePasswordScreen() {
+  const [currentPassword, setCurrentPassword] = useState("");
+  const [newPassword, setNewPassword] = useState("");
+  const [confirmPassword, setConfirmPassword] = useState("");
+  const [showPasswords, setShowPasswords] = useState(false);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const { token } = useAuthStore();
+  const { t } = useLanguage();
+  const router = useRouter();
+
+  const handleSubmit = async () => {
+    if (!currentPassword || !newPassword || !confirmPassword) {
+      Alert.alert(t("login.error"), t("account.missingFields"));
+      return;
+    }
+    if (newPassword.length < 6) {
+      Alert.alert(t("login.error"), t("login.p7"));
+      return;
+    }
+    if (newPassword !== confirmPassword) {
+      Alert.alert(t("login.error"), t("login.p8"));
+      return;
+    }
+
+    setIsSubmitting(true);
+    try {
+      const response = await fetch(`${API_URL}/auth/change-password`, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          Authorization: `Bearer ${token}`,
+        },
+        body: JSON.stringify({ currentPassword, newPassword }),
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(authErrorMessage(t, response, data, "Failed to change password"));
+      }
+      Alert.alert(t("login.sus"), t("account.passwordChanged"), [
+        { text: "OK", onPress: () => router.back() },
+      ]);
+    } catch (error) {
+      Alert.alert(t("login.error"), error.message);
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const renderPasswordInput = (label, value, onChangeText) => (
+    <View style={formStyles.inputGroup}>
+      <Text style={formStyles.label}>{label}</Text>
+      <View style={formStyles.inputContainer}>
+        <Ionicons
+          name="lock-closed-outline"
+          size={20}
+          color={COLORS.primary}
+          style={formStyles.inputIcon}
+        />
+        <TextInput
+          style={formStyles.input}
+          placeholderTextColor={COLORS.placeholderText}
+          value={value}
+          onChangeText={onChangeText}
+          secureTextEntry={!showPasswords}
+          autoCapitalize="none"
+        />
+      </View>
+    </View>
+  );
+
+  return (
+    <KeyboardAvoidingView
+      style={styles.container}
+      behavior={Platform.OS === "ios" ? "padding" : "height"}
+    >
+      <View style={styles.header}>
+        <TouchableOpacity onPress={() => router.back()}>
+          <Ionicons name="arrow-back" size={24} color={COLORS.textPrimary} />
+        </TouchableOpacity>
+        <Text style={styles.headerTitle}>{t("account.changePassword")}</Text>
+        <TouchableOpacity onPress={() => setShowPasswords(!showPasswords)}>
+          <Ionicons
+            name={showPasswords ? "eye-off-outline" : "eye-outline"}
+            size={22}
+            color={COLORS.textSecondary}
+          />
+        </TouchableOpacity>
+      </View>
+
+      <ScrollView>
+        <View style={twoFactorStyles.statusCard}>
+          {renderPasswordInput(t("account.currentPassword"), currentPassword, setCurrentPassword)}
+          {renderPasswordInput(t("account.newPassword"), newPassword, setNewPassword)}
+          {renderPasswordInput(t("login.p24"), confirmPassword, setConfirmPassword)}
+
+          <Text style={twoFactorStyles.statusMeta}>{t("account.otherDevicesLoggedOut")}</Text>
+
+          <TouchableOpacity style={formStyles.button} onPress={handleSubmit} disabled={isSubmitting}>
+            {isSubmitting ? (
+              <ActivityIndicator color="#fff" />
+            ) : (
+              <Text style={formStyles.buttonText}>{t("account.changePassword")}</Text>
+            )}
+          </TouchableOpacity>
+        </View>
+      </ScrollView>
+    </KeyboardAvoidingView>
+  );
+}
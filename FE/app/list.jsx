@@ -0,0 +1,344 @@
+import { Ionicons } from "@expo/vector-icons";
+import { Image } from "expo-image";
+import { useFocusEffect, useLocalSearchParams, useRouter } from "expo-router";
+import { useCallback, useState } from "react";
+import {
+  ActivityIndicator,
+  Alert,
+  FlatList,
+  Text,
+  TouchableOpacity,
+  View,
+} from "react-native";
+import COLORS from "../constants/colors";
+import { API_URL } from "../constants/api";
+import { useAuthStore } from "../store/authStore";
+import { useLanguage } from "../context/LanguageContext";
+import styles from "../assets/styles/lists.styles";
+
+// Chi tiết danh sách: các mục theo thứ tự, theo dõi danh sách; chủ danh sách có thể sắp xếp / bỏ mục / sửa / xóa
+export default function ListScreen() {
+  const { listId } = useLocalSearchParams();
+  const [list, setList] = useState(null);
+  const [isOwner, setIsOwner] = useState(false);
+  const [isLoading, setIsLoading] = useState(true);
+  const [isFollowBusy, setIsFollowBusy] = useState(false);
+  const { token } = useAuthStore();
+  const { t } = useLanguage();
+  const router = useRouter();
+
+  const listUrl = `${API_URL}/lists/${listId}`;
+
+  // Tải lại khi quay về từ màn hình sửa danh sách
+  useFocusEffect(
+    useCallback(() => {
+      fetchList();
+    }, [listId])
+  );
+
+  const fetchList = async () => {
+    try {
+      const response = await fetch(listUrl, {
+        headers: { Authorization: `Bearer ${token}` },
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.message || "Failed to fetch list");
+      }
+      setList(data.list);
+      setIsOwner(data.isOwner);
+    } catch (error) {
+      console.error("Error fetching list:", error);
+      setList(null);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const handleToggleFollow = async () => {
+    if (isFollowBusy) return;
+    setIsFollowBusy(true);
+    try {
+      const response = await fetch(`${listUrl}/follow`, {
+        method: list.isFollowing ? "DELETE" : "POST",
+        headers: { Authorization: `Bearer ${token}` },
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.message || "Failed to update follow status");
+      }
+      setList((prev) => ({
+        ...prev,
+        isFollowing: data.isFollowing,
+        followersCount: data.followersCount,
+      }));
+    } catch (error) {
+      Alert.alert(t("lists.error"), error.message);
+    } finally {
+      setIsFollowBusy(false);
+    }
+  };
+
+  // Đổi chỗ một mục với mục kề trên / dưới, lỗi thì trả lại thứ tự cũ
+  const moveItem = async (index, offset) => {
+    const targetIndex = index + offset;
+    if (targetIndex < 0 || targetIndex >= list.items.length) return;
+
+    const previousItems = list.items;
+    const items = [...previousItems];
+    [items[index], items[targetIndex]] = [items[targetIndex], items[index]];
+    setList((prev) => ({ ...prev, items }));
+
+    try {
+      const response = await fetch(`${listUrl}/items/order`, {
+        method: "PUT",
+        headers: {
+          Authorization: `Bearer ${token}`,
+          "Content-Type": "application/json",
+        },
+        body: JSON.stringify({ itemIds: items.map((item) => item._id) }),
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.message || "Failed to reorder list");
+      }
+    } catch (error) {
+      setList((prev) => ({ ...prev, items: previousItems }));
+      Alert.alert(t("lists.error"), error.message);
+    }
+  };
+
+  const confirmRemoveItem = (item) => {
+    Alert.alert(getItemTitle(item), t("lists.removeConfirm"), [
+      { text: t("lists.cancel"), style: "cancel" },
+      {
+        text: t("lists.remove"),
+        style: "destructive",
+        onPress: async () => {
+          try {
+            const response = await fetch(`${listUrl}/items/${item._id}`, {
+              method: "DELETE",
+              headers: { Authorization: `Bearer ${token}` },
+            });
+            const data = await response.json();
+            if (!response.ok) {
+              throw new Error(data.message || "Failed to remove item");
+            }
+            setList((prev) => ({
+              ...prev,
+              items: prev.items.filter((listItem) => listItem._id !== item._id),
+            }));
+          } catch (error) {
+            Alert.alert(t("lists.error"), error.message);
+          }
+        },
+      },
+    ]);
+  };
+
+  const confirmDeleteList = () => {
+    Alert.alert(t("lists.deleteList"), t("lists.deleteConfirm"), [
+      { text: t("lists.cancel"), style: "cancel" },
+      {
+        text: t("lists.delete"),
+        style: "destructive",
+        onPress: async () => {
+          try {
+            const response = await fetch(listUrl, {
+              method: "DELETE",
+              headers: { Authorization: `Bearer ${token}` },
+            });
+            const data = await response.json();
+            if (!response.ok) {
+              throw new Error(data.message || "Failed to delete list");
+            }
+            router.back();
+          } catch (error) {
+            Alert.alert(t("lists.error"), error.message);
+          }
+        },
+      },
+    ]);
+  };
+
+  const getItemTitle = (item) => (item.type === "book" ? item.book.title : item.work.title);
+
+  const handleItemPress = (item) => {
+    if (item.type === "book") {
+      router.push({ pathname: "/bookdetail", params: { bookId: item.book._id } });
+    } else {
+      router.push({ pathname: "/work", params: { workId: item.work._id } });
+    }
+  };
+
+  const renderItem = ({ item, index }) => {
+    const image = item.type === "book" ? item.book.image : item.work.image;
+    return (
+      <TouchableOpacity
+        style={styles.itemCard}
+        onPress={() => handleItemPress(item)}
+        onLongPress={isOwner ? () => confirmRemoveItem(item) : undefined}
+        delayLongPress={500}
+      >
+        <Text style={styles.itemRank}>{index + 1}</Text>
+        {image ? (
+          <Image source={{ uri: image }} style={styles.itemImage} contentFit="cover" />
+        ) : (
+          <View style={[styles.itemImage, styles.listCoverEmpty]}>
+            <Ionicons name="book-outline" size={20} color={COLORS.textSecondary} />
+          </View>
+        )}
+        <View style={styles.itemInfo}>
+          <Text style={styles.itemTitle} numberOfLines={2}>
+            {getItemTitle(item)}
+          </Text>
+          <Text style={styles.itemSubtitle} numberOfLines={1}>
+            {item.type === "book"
+              ? `${t("lists.reviewBy")} ${item.book.user?.username || ""}`
+              : item.work.authors.join(", ")}
+          </Text>
+          {!!item.note && (
+            <Text style={styles.itemNote} numberOfLines={3}>
+              {item.note}
+            </Text>
+          )}
+        </View>
+        {isOwner && (
+          <View style={styles.reorderButtons}>
+            <TouchableOpacity
+              style={styles.reorderButton}
+              onPress={() => moveItem(index, -1)}
+              disabled={index === 0}
+            >
+              <Ionicons
+                name="chevron-up"
+                size={20}
+                color={index === 0 ? COLORS.border : COLORS.textSecondary}
+              />
+            </TouchableOpacity>
+            <TouchableOpacity
+              style={styles.reorderButton}
+              onPress={() => moveItem(index, 1)}
+              disabled={index === list.items.length - 1}
+            >
+              <Ionicons
+                name="chevron-down"
+                size={20}
+                color={index === list.items.length - 1 ? COLORS.border : COLORS.textSecondary}
+              />
+            </TouchableOpacity>
+          </View>
+        )}
+      </TouchableOpacity>
+    );
+  };
+
+  const renderListHeader = () => (
+    <View>
+      {!!list.coverImage && (
+        <Image source={{ uri: list.coverImage }} style={styles.detailCover} contentFit="cover" />
+      )}
+      <Text style={styles.detailTitle}>{list.title}</Text>
+      <TouchableOpacity
+        style={styles.ownerRow}
+        onPress={() =>
+          router.push({ pathname: "/userprofile", params: { userId: list.user._id } })
+        }
+      >
+        <Image source={{ uri: list.user.profileImage }} style={styles.ownerAvatar} />
+        <Text style={styles.ownerName}>
+          {list.user.username} · {list.items.length} {t("lists.items")} ·{" "}
+          {list.followersCount} {t("lists.followers")}
+        </Text>
+      </TouchableOpacity>
+      {!!list.description && (
+        <Text style={styles.detailDescription}>{list.description}</Text>
+      )}
+      {!isOwner && (
+        <TouchableOpacity
+          style={[styles.followButton, list.isFollowing && styles.followButtonActive]}
+          onPress={handleToggleFollow}
+          disabled={isFollowBusy}
+        >
+          <Ionicons
+            name={list.isFollowing ? "checkmark" : "add"}
+            size={16}
+            color={list.isFollowing ? COLORS.primary : COLORS.white}
+          />
+          <Text
+            style={[styles.followButtonText, list.isFollowing && styles.followButtonTextActive]}
+          >
+            {list.isFollowing ? t("lists.following") : t("lists.follow")}
+          </Text>
+        </TouchableOpacity>
+      )}
+      {isOwner && list.items.length > 1 && (
+        <Text style={styles.listMeta}>{t("lists.ownerHint")}</Text>
+      )}
+      <View style={{ height: 12 }} />
+    </View>
+  );
+
+  if (isLoading) {
+    return (
+      <View style={styles.loadingContainer}>
+        <ActivityIndicator size="large" color={COLORS.primary} />
+      </View>
+    );
+  }
+
+  return (
+    <View style={styles.container}>
+      <View style={styles.header}>
+        <TouchableOpacity onPress={() => router.back()}>
+          <Ionicons name="arrow-back" size={24} color={COLORS.textPrimary} />
+        </TouchableOpacity>
+        <Text style={styles.headerTitle} numberOfLines={1}>
+          {list?.title || ""}
+        </Text>
+        {list && isOwner && (
+          <>
+            <TouchableOpacity
+              style={styles.headerAction}
+              onPress={() => router.push({ pathname: "/listedit", params: { listId } })}
+            >
+              <Ionicons name="create-outline" size={22} color={COLORS.textPrimary} />
+            </TouchableOpacity>
+            <TouchableOpacity style={styles.headerAction} onPress={confirmDeleteList}>
+              <Ionicons name="trash-outline" size={22} color={COLORS.textPrimary} />
+            </TouchableOpacity>
+          </>
+        )}
+        {list && !isOwner && (
+          <TouchableOpacity
+            style={styles.headerAction}
+            onPress={() =>
+              router.push({
+                pathname: "/(tabs)/report",
+                params: { id: listId, type: "BookList" },
+              })
+            }
+          >
+            <Ionicons name="flag-outline" size={22} color={COLORS.textPrimary} />
+          </TouchableOpacity>
+        )}
+      </View>
+
+      {list ? (
+        <FlatList
+          data={list.items}
+          renderItem={renderItem}
+          keyExtractor={(item) => item._id}
+          ListHeaderComponent={renderListHeader}
+          contentContainerStyle={styles.listContent}
+          showsVerticalScrollIndicator={false}
+          ListEmptyComponent={
+            <Text style={styles.emptyText}>{t("lists.emptyList")}</Text>
+          }
+        />
+      ) : (
+        <Text style={styles.emptyText}>{t("lists.notFound")}</Text>
+      )}
+    </View>
+  );
+}
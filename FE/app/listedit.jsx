@@ -0,0 +1,231 @@
+import { Ionicons } from "@expo/vector-icons";
+import { Image } from "expo-image";
+import { useLocalSearchParams, useRouter } from "expo-router";
+import { useEffect, useState } from "react";
+import {
+  ActivityIndicator,
+  Alert,
+  KeyboardAvoidingView,
+  Platform,
+  ScrollView,
+  Switch,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  View,
+} from "react-native";
+import * as FileSystem from "expo-file-system";
+import * as ImagePicker from "expo-image-picker";
+import COLORS from "../constants/colors";
+import { API_URL } from "../constants/api";
+import { useAuthStore } from "../store/authStore";
+import { useLanguage } from "../context/LanguageContext";
+import { uploadImageFile } from "../lib/uploads";
+import styles from "../assets/styles/lists.styles";
+
+const MAX_IMAGE_SIZE = 6 * 1024 * 1024; // 6MB
+
+// Tạo danh sách mới, hoặc sửa danh sách khi có listId
+export default function ListEditScreen() {
+  const { listId } = useLocalSearchParams();
+  const isEditing = !!listId;
+  const [title, setTitle] = useState("");
+  const [description, setDescription] = useState("");
+  const [isPrivate, setIsPrivate] = useState(false);
+  // Ảnh bìa đang hiển thị (URL cũ hoặc ảnh vừa chọn)
+  const [coverUri, setCoverUri] = useState(null);
+  // undefined = giữ nguyên ảnh bìa, null = bỏ ảnh bìa, { uri, mimeType } = ảnh mới chưa upload
+  const [coverUpload, setCoverUpload] = useState(undefined);
+  const [isLoading, setIsLoading] = useState(isEditing);
+  const [isSaving, setIsSaving] = useState(false);
+  const { token } = useAuthStore();
+  const { t } = useLanguage();
+  const router = useRouter();
+
+  useEffect(() => {
+    if (isEditing) fetchList();
+  }, [listId]);
+
+  const fetchList = async () => {
+    try {
+      const response = await fetch(`${API_URL}/lists/${listId}`, {
+        headers: { Authorization: `Bearer ${token}` },
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.message || "Failed to fetch list");
+      }
+      setTitle(data.list.title);
+      setDescription(data.list.description || "");
+      setIsPrivate(data.list.visibility === "private");
+      setCoverUri(data.list.coverImage || null);
+    } catch (error) {
+      Alert.alert(t("lists.error"), error.message, [{ text: "OK", onPress: () => router.back() }]);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const pickCover = async () => {
+    try {
+      if (Platform.OS !== "web") {
+        const { status } = await ImagePicker.requestMediaLibraryPermissionsAsync();
+        if (status !== "granted") {
+          Alert.alert("Permission to access camera roll is required!");
+          return;
+        }
+      }
+      const result = await ImagePicker.launchImageLibraryAsync({
+        mediaTypes: "images",
+        allowsEditing: true,
+        aspect: [16, 9],
+        quality: 0.5,
+      });
+      if (result.canceled) return;
+
+      const asset = result.assets[0];
+      const fileInfo = await FileSystem.getInfoAsync(asset.uri);
+      if (fileInfo.size > MAX_IMAGE_SIZE) {
+        Alert.alert(t("lists.imageTooLarge"));
+        return;
+      }
+      setCoverUri(asset.uri);
+      setCoverUpload({ uri: asset.uri, mimeType: asset.mimeType });
+    } catch (error) {
+      console.error("Error picking cover image:", error);
+      Alert.alert("Error picking image");
+    }
+  };
+
+  const removeCover = () => {
+    setCoverUri(null);
+    setCoverUpload(isEditing ? null : undefined);
+  };
+
+  const handleSave = async () => {
+    if (!title.trim()) {
+      Alert.alert(t("lists.error"), t("lists.titleRequired"));
+      return;
+    }
+    try {
+      setIsSaving(true);
+      const body = {
+        title: title.trim(),
+        description: description.trim(),
+        visibility: isPrivate ? "private" : "public",
+      };
+      if (coverUpload !== undefined) {
+        body.coverImage = coverUpload && (await uploadImageFile(coverUpload, "cover", token));
+      }
+
+      const response = await fetch(
+        isEditing ? `${API_URL}/lists/${listId}` : `${API_URL}/lists`,
+        {
+          method: isEditing ? "PATCH" : "POST",
+          headers: {
+            Authorization: `Bearer ${token}`,
+            "Content-Type": "application/json",
+          },
+          body: JSON.stringify(body),
+        }
+      );
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.message || "Failed to save list");
+      }
+
+      if (isEditing) {
+        router.back();
+      } else {
+        router.replace({ pathname: "/list", params: { listId: data.list._id } });
+      }
+    } catch (error) {
+      Alert.alert(t("lists.error"), error.message);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  if (isLoading) {
+    return (
+      <View style={styles.loadingContainer}>
+        <ActivityIndicator size="large" color={COLORS.primary} />
+      </View>
+    );
+  }
+
+  return (
+    <KeyboardAvoidingView
+      style={styles.container}
+      behavior={Platform.OS === "ios" ? "padding" : "height"}
+    >
+      <View style={styles.header}>
+        <TouchableOpacity onPress={() => router.back()}>
+          <Ionicons name="arrow-back" size={24} color={COLORS.textPrimary} />
+        </TouchableOpacity>
+        <Text style={styles.headerTitle}>
+          {isEditing ? t("lists.editList") : t("lists.newList")}
+        </Text>
+      </View>
+
+      <ScrollView contentContainerStyle={styles.form} keyboardShouldPersistTaps="handled">
+        <Text style={styles.label}>{t("lists.cover")}</Text>
+        <TouchableOpacity style={styles.coverPicker} onPress={pickCover}>
+          {coverUri ? (
+            <Image source={{ uri: coverUri }} style={styles.coverPreview} contentFit="cover" />
+          ) : (
+            <>
+              <Ionicons name="image-outline" size={36} color={COLORS.textSecondary} />
+              <Text style={styles.coverPlaceholderText}>{t("lists.pickCover")}</Text>
+            </>
+          )}
+        </TouchableOpacity>
+        {!!coverUri && (
+          <TouchableOpacity onPress={removeCover}>
+            <Text style={styles.removeCoverText}>{t("lists.removeCover")}</Text>
+          </TouchableOpacity>
+        )}
+
+        <Text style={styles.label}>{t("lists.listTitle")}</Text>
+        <TextInput
+          style={styles.input}
+          value={title}
+          onChangeText={setTitle}
+          placeholder={t("lists.titlePlaceholder")}
+          placeholderTextColor={COLORS.placeholderText}
+          maxLength={100}
+        />
+
+        <Text style={styles.label}>{t("lists.description")}</Text>
+        <TextInput
+          style={[styles.input, styles.textArea]}
+          value={description}
+          onChangeText={setDescription}
+          placeholder={t("lists.descriptionPlaceholder")}
+          placeholderTextColor={COLORS.placeholderText}
+          maxLength={1000}
+          multiline
+        />
+
+        <View style={styles.visibilityRow}>
+          <Text style={styles.visibilityLabel}>{t("lists.private")}</Text>
+          <Switch
+            value={isPrivate}
+            onValueChange={setIsPrivate}
+            trackColor={{ false: COLORS.border, true: COLORS.primary }}
+          />
+        </View>
+
+        <TouchableOpacity style={styles.submitButton} onPress={handleSave} disabled={isSaving}>
+          {isSaving ? (
+            <ActivityIndicator size="small" color={COLORS.white} />
+          ) : (
+            <Text style={styles.submitButtonText}>
+              {isEditing ? t("lists.save") : t("lists.create")}
+            </Text>
+          )}
+        </TouchableOpacity>
+      </ScrollView>
+    </KeyboardAvoidingView>
+  );
+}
@@ -0,0 +1,169 @@
+import { Ionicons } from "@expo/vector-icons";
+import { useFocusEffect, useRouter } from "expo-router";
+import { useCallback, useEffect, useState } from "react";
+import {
+  ActivityIndicator,
+  FlatList,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  View,
+} from "react-native";
+import COLORS from "../constants/colors";
+import { API_URL } from "../constants/api";
+import { useAuthStore } from "../store/authStore";
+import { useLanguage } from "../context/LanguageContext";
+import ListCard from "../components/ListCard";
+import styles from "../assets/styles/lists.styles";
+
+const TABS = ["discover", "mine", "following"];
+const SORTS = ["popular", "newest"];
+
+// Duyệt danh sách sách: khám phá danh sách công khai, danh sách của tôi, danh sách đang theo dõi
+export default function ListsScreen() {
+  const [tab, setTab] = useState("discover");
+  const [sort, setSort] = useState("popular");
+  const [searchText, setSearchText] = useState("");
+  const [lists, setLists] = useState([]);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [isLoadingMore, setIsLoadingMore] = useState(false);
+  const [refreshKey, setRefreshKey] = useState(0);
+  const { token } = useAuthStore();
+  const { t } = useLanguage();
+  const router = useRouter();
+
+  // Quay lại từ màn hình sửa / chi tiết thì tải lại
+  useFocusEffect(
+    useCallback(() => {
+      setRefreshKey((key) => key + 1);
+    }, [])
+  );
+
+  // Gõ xong 400ms mới tìm (timer cũng gộp các lần đổi tab / sort liên tiếp)
+  useEffect(() => {
+    const timer = setTimeout(() => fetchLists(), 400);
+    return () => clearTimeout(timer);
+  }, [tab, sort, searchText, refreshKey]);
+
+  const buildUrl = (cursor) => {
+    if (tab === "following") {
+      return `${API_URL}/lists/following`;
+    }
+    const params = [`sort=${sort}`, "limit=20"];
+    if (tab === "mine") params.push("user=me");
+    if (searchText.trim()) params.push(`q=${encodeURIComponent(searchText.trim())}`);
+    if (cursor) params.push(`cursor=${encodeURIComponent(cursor)}`);
+    return `${API_URL}/lists?${params.join("&")}`;
+  };
+
+  const fetchLists = async (cursor = null) => {
+    try {
+      if (cursor) setIsLoadingMore(true);
+      const response = await fetch(buildUrl(cursor), {
+        headers: { Authorization: `Bearer ${token}` },
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.message || "Failed to fetch lists");
+      }
+      setLists((prev) => (cursor ? [...prev, ...data.lists] : data.lists));
+      setNextCursor(data.nextCursor || null);
+    } catch (error) {
+      console.error("Error fetching lists:", error);
+    } finally {
+      setIsLoading(false);
+      setIsLoadingMore(false);
+    }
+  };
+
+  const handleLoadMore = () => {
+    if (nextCursor && !isLoadingMore) {
+      fetchLists(nextCursor);
+    }
+  };
+
+  return (
+    <View style={styles.container}>
+      <View style={styles.header}>
+        <TouchableOpacity onPress={() => router.back()}>
+          <Ionicons name="arrow-back" size={24} color={COLORS.textPrimary} />
+        </TouchableOpacity>
+        <Text style={styles.headerTitle}>{t("lists.title")}</Text>
+      </View>
+
+      <View style={styles.tabBar}>
+        {TABS.map((key) => (
+          <TouchableOpacity
+            key={key}
+            style={[styles.tabButton, tab === key && styles.tabButtonActive]}
+            onPress={() => setTab(key)}
+          >
+            <Text style={[styles.tabButtonText, tab === key && styles.tabButtonTextActive]}>
+              {t(`lists.tab_${key}`)}
+            </Text>
+          </TouchableOpacity>
+        ))}
+      </View>
+
+      {tab !== "following" && (
+        <>
+          <View style={styles.searchRow}>
+            <Ionicons name="search" size={18} color={COLORS.textSecondary} />
+            <TextInput
+              style={styles.searchInput}
+              value={searchText}
+              onChangeText={setSearchText}
+              placeholder={t("lists.searchPlaceholder")}
+              placeholderTextColor={COLORS.placeholderText}
+            />
+          </View>
+          <View style={styles.sortRow}>
+            {SORTS.map((key) => (
+              <TouchableOpacity
+                key={key}
+                style={[styles.chip, sort === key && styles.chipActive]}
+                onPress={() => setSort(key)}
+              >
+                <Text style={[styles.chipText, sort === key && styles.chipTextActive]}>
+                  {t(`lists.sort_${key}`)}
+                </Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+        </>
+      )}
+
+      {isLoading ? (
+        <View style={styles.loadingContainer}>
+          <ActivityIndicator size="large" color={COLORS.primary} />
+        </View>
+      ) : (
+        <FlatList
+          data={lists}
+          keyExtractor={(item) => item._id}
+          renderItem={({ item }) => (
+            <ListCard
+              list={item}
+              onPress={() => router.push({ pathname: "/list", params: { listId: item._id } })}
+            />
+          )}
+          contentContainerStyle={styles.listContent}
+          onEndReached={handleLoadMore}
+          onEndReachedThreshold={0.3}
+          showsVerticalScrollIndicator={false}
+          ListEmptyComponent={
+            <Text style={styles.emptyText}>{t(`lists.empty_${tab}`)}</Text>
+          }
+          ListFooterComponent={
+            isLoadingMore ? <ActivityIndicator size="small" color={COLORS.primary} /> : null
+          }
+        />
+      )}
+
+      <TouchableOpacity style={styles.fab} onPress={() => router.push("/listedit")}>
+        <Ionicons name="add" size={28} color={COLORS.white} />
+      </TouchableOpacity>
+    </View>
+  );
+}
@@ -0,0 +1,282 @@
+import { Ionicons } from "@expo/vector-icons";
+import { useRouter } from "expo-router";
+import { useEffect, useState } from "react";
+import {
+  ActivityIndicator,
+  Alert,
+  KeyboardAvoidingView,
+  Platform,
+  ScrollView,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  View,
+} from "react-native";
+import COLORS from "../constants/colors";
+import { API_URL } from "../constants/api";
+import { useAuthStore } from "../store/authStore";
+import { useLanguage } from "../context/LanguageContext";
+import TwoFactorSetup, { RecoveryCodes } from "../components/TwoFactorSetup";
+import { authErrorMessage } from "../lib/helper";
+import styles from "../assets/styles/sessions.styles";
+import formStyles from "../assets/styles/forgetpassword.styles";
+import twoFactorStyles from "../assets/styles/twofactor.styles";
+
+// Xác thực hai lớp (2FA): bật, tắt, tạo lại recovery code
+export default function SecurityScreen() {
+  const [status, setStatus] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [setup, setSetup] = useState(null);
+  const [recoveryCodes, setRecoveryCodes] = useState(null);
+  // Form đang mở khi 2FA đã bật: "regenerate" | "disable" | null
+  const [action, setAction] = useState(null);
+  const [code, setCode] = useState("");
+  const [password, setPassword] = useState("");
+  const { token, setTwoFactorEnabled } = useAuthStore();
+  const { t } = useLanguage();
+  const router = useRouter();
+
+  useEffect(() => {
+    fetchStatus();
+  }, []);
+
+  const request = async (path, options = {}) => {
+    const response = await fetch(`${API_URL}/auth/2fa${path}`, {
+      ...options,
+      headers: {
+        "Content-Type": "application/json",
+        Authorization: `Bearer ${token}`,
+      },
+    });
+    const data = await response.json();
+    if (!response.ok) {
+      throw new Error(authErrorMessage(t, response, data, "Something went wrong"));
+    }
+    return data;
+  };
+
+  const fetchStatus = async () => {
+    try {
+      setStatus(await request(""));
+    } catch (error) {
+      console.error("Error fetching two-factor status:", error);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const closeForm = () => {
+    setAction(null);
+    setCode("");
+    setPassword("");
+  };
+
+  const startSetup = async () => {
+    setIsSubmitting(true);
+    try {
+      setSetup(await request("/setup", { method: "POST" }));
+    } catch (error) {
+      Alert.alert(t("sessions.error"), error.message);
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const enable = async (firstCode) => {
+    setIsSubmitting(true);
+    try {
+      const data = await request("/enable", {
+        method: "POST",
+        body: JSON.stringify({ code: firstCode }),
+      });
+      setSetup(null);
+      setRecoveryCodes(data.recoveryCodes);
+      await setTwoFactorEnabled(true);
+    } catch (error) {
+      Alert.alert(t("sessions.error"), error.message);
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const submitAction = async () => {
+    setIsSubmitting(true);
+    try {
+      if (action === "disable") {
+        await request("/disable", {
+          method: "POST",
+          body: JSON.stringify({ password, code: code.trim() }),
+        });
+        await setTwoFactorEnabled(false);
+        Alert.alert(t("login.sus"), t("twoFactor.disabled"));
+      } else {
+        const data = await request("/recovery-codes", {
+          method: "POST",
+          body: JSON.stringify({ code: code.trim() }),
+        });
+        setRecoveryCodes(data.recoveryCodes);
+      }
+      closeForm();
+      await fetchStatus();
+    } catch (error) {
+      Alert.alert(t("sessions.error"), error.message);
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const renderActionForm = () => (
+    <View style={twoFactorStyles.statusCard}>
+      {action === "disable" && (
+        <View style={formStyles.inputGroup}>
+          <Text style={formStyles.label}>{t("twoFactor.password")}</Text>
+          <View style={formStyles.inputContainer}>
+            <Ionicons
+              name="lock-closed-outline"
+              size={20}
+              color={COLORS.primary}
+              style={formStyles.inputIcon}
+            />
+            <TextInput
+              style={formStyles.input}
+              placeholderTextColor={COLORS.placeholderText}
+              value={password}
+              onChangeText={setPassword}
+              secureTextEntry
+            />
+          </View>
+        </View>
+      )}
+      <View style={formStyles.inputGroup}>
+        <Text style={formStyles.label}>{t("twoFactor.code")}</Text>
+        <View style={formStyles.inputContainer}>
+          <Ionicons
+            name="shield-checkmark-outline"
+            size={20}
+            color={COLORS.primary}
+            style={formStyles.inputIcon}
+          />
+          <TextInput
+            style={formStyles.input}
+            placeholder="123456"
+            placeholderTextColor={COLORS.placeholderText}
+            value={code}
+            onChangeText={setCode}
+            keyboardType="number-pad"
+            maxLength={6}
+          />
+        </View>
+      </View>
+      <TouchableOpacity
+        style={formStyles.button}
+        onPress={submitAction}
+        disabled={isSubmitting || !code.trim() || (action === "disable" && !password)}
+      >
+        {isSubmitting ? (
+          <ActivityIndicator color="#fff" />
+        ) : (
+          <Text style={formStyles.buttonText}>
+            {action === "disable" ? t("twoFactor.disable") : t("twoFactor.regenerate")}
+          </Text>
+        )}
+      </TouchableOpacity>
+      <TouchableOpacity style={twoFactorStyles.secondaryButton} onPress={closeForm}>
+        <Text style={twoFactorStyles.secondaryButtonText}>{t("settings.cancel")}</Text>
+      </TouchableOpacity>
+    </View>
+  );
+
+  const renderContent = () => {
+    if (recoveryCodes) {
+      return (
+        <View style={twoFactorStyles.statusCard}>
+          <RecoveryCodes codes={recoveryCodes} onDone={() => setRecoveryCodes(null)} />
+        </View>
+      );
+    }
+    if (setup) {
+      return (
+        <View style={twoFactorStyles.statusCard}>
+          <TwoFactorSetup setup={setup} onSubmit={enable} isSubmitting={isSubmitting} />
+        </View>
+      );
+    }
+    if (!status) {
+      return <Text style={styles.emptyText}>{t("sessions.error")}</Text>;
+    }
+
+    return (
+      <>
+        <View style={twoFactorStyles.statusCard}>
+          <Text style={twoFactorStyles.statusText}>
+            {status.enabled ? t("twoFactor.statusOn") : t("twoFactor.statusOff")}
+          </Text>
+          <Text style={twoFactorStyles.statusMeta}>
+            {status.enabled
+              ? `${t("twoFactor.codesRemaining")} ${status.recoveryCodesRemaining}`
+              : t("twoFactor.description")}
+          </Text>
+          {status.required && (
+            <Text style={twoFactorStyles.statusMeta}>{t("twoFactor.requiredForAdmin")}</Text>
+          )}
+        </View>
+
+        {action ? (
+          renderActionForm()
+        ) : status.enabled ? (
+          <View style={{ marginHorizontal: 16 }}>
+            <TouchableOpacity
+              style={twoFactorStyles.secondaryButton}
+              onPress={() => setAction("regenerate")}
+            >
+              <Text style={twoFactorStyles.secondaryButtonText}>{t("twoFactor.regenerate")}</Text>
+            </TouchableOpacity>
+            {!status.required && (
+              <TouchableOpacity
+                style={twoFactorStyles.secondaryButton}
+                onPress={() => setAction("disable")}
+              >
+                <Text style={twoFactorStyles.secondaryButtonText}>{t("twoFactor.disable")}</Text>
+              </TouchableOpacity>
+            )}
+          </View>
+        ) : (
+          <TouchableOpacity
+            style={styles.logoutAllButton}
+            onPress={startSetup}
+            disabled={isSubmitting}
+          >
+            {isSubmitting ? (
+              <ActivityIndicator color="#fff" />
+            ) : (
+              <Text style={styles.logoutAllText}>{t("twoFactor.enable")}</Text>
+            )}
+          </TouchableOpacity>
+        )}
+      </>
+    );
+  };
+
+  return (
+    <KeyboardAvoidingView
+      style={styles.container}
+      behavior={Platform.OS === "ios" ? "padding" : "height"}
+    >
+      <View style={styles.header}>
+        <TouchableOpacity onPress={() => router.back()}>
+          <Ionicons name="arrow-back" size={24} color={COLORS.textPrimary} />
+        </TouchableOpacity>
+        <Text style={styles.headerTitle}>{t("twoFactor.title")}</Text>
+      </View>
+
+      {isLoading ? (
+        <View style={styles.loadingContainer}>
+          <ActivityIndicator size="large" color={COLORS.primary} />
+        </View>
+      ) : (
+        <ScrollView>{renderContent()}</ScrollView>
+      )}
+    </KeyboardAvoidingView>
+  );
+}
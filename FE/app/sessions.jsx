@@ -0,0 +1,137 @@
+import { Ionicons } from "@expo/vector-icons";
+import { useRouter } from "expo-router";
+import { useEffect, useState } from "react";
+import { ActivityIndicator, Alert, FlatList, Text, TouchableOpacity, View } from "react-native";
+import COLORS from "../constants/colors";
+import { API_URL } from "../constants/api";
+import { useAuthStore } from "../store/authStore";
+import { useLanguage } from "../context/LanguageContext";
+import styles from "../assets/styles/sessions.styles";
+
+// Các thiết bị đang đăng nhập: đăng xuất từng thiết bị hoặc tất cả
+export default function SessionsScreen() {
+  const [sessions, setSessions] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const { token, logout, logoutEverywhere } = useAuthStore();
+  const { t } = useLanguage();
+  const router = useRouter();
+
+  useEffect(() => {
+    fetchSessions();
+  }, []);
+
+  const fetchSessions = async () => {
+    try {
+      const response = await fetch(`${API_URL}/auth/sessions`, {
+        headers: { Authorization: `Bearer ${token}` },
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.message || "Failed to fetch sessions");
+      }
+      setSessions(data.sessions);
+    } catch (error) {
+      console.error("Error fetching sessions:", error);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const revokeSession = async (session) => {
+    // Thiết bị hiện tại thì đăng xuất bình thường
+    if (session.current) {
+      await logout();
+      return;
+    }
+    try {
+      const response = await fetch(`${API_URL}/auth/sessions/${session._id}`, {
+        method: "DELETE",
+        headers: { Authorization: `Bearer ${token}` },
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.message || "Failed to revoke session");
+      }
+      setSessions((prev) => prev.filter((item) => item._id !== session._id));
+    } catch (error) {
+      Alert.alert(t("sessions.error"), error.message);
+    }
+  };
+
+  const confirmRevoke = (session) => {
+    Alert.alert(t("sessions.revoke"), session.deviceName, [
+      { text: t("settings.cancel"), style: "cancel" },
+      { text: t("sessions.revoke"), style: "destructive", onPress: () => revokeSession(session) },
+    ]);
+  };
+
+  const confirmLogoutAll = () => {
+    Alert.alert(t("sessions.logoutAll"), t("sessions.logoutAllConfirm"), [
+      { text: t("settings.cancel"), style: "cancel" },
+      {
+        text: t("sessions.logoutAll"),
+        style: "destructive",
+        onPress: async () => {
+          try {
+            await logoutEverywhere();
+          } catch (error) {
+            Alert.alert(t("sessions.error"), error.message);
+          }
+        },
+      },
+    ]);
+  };
+
+  const renderSession = ({ item }) => (
+    <View style={styles.sessionCard}>
+      <Ionicons
+        name="phone-portrait-outline"
+        size={28}
+        color={COLORS.primary}
+        style={styles.sessionIcon}
+      />
+      <View style={styles.sessionInfo}>
+        <Text style={styles.deviceName} numberOfLines={1}>
+          {item.deviceName}
+        </Text>
+        <Text style={styles.sessionMeta}>
+          {t("sessions.lastUsed")} {new Date(item.lastUsedAt).toLocaleString()}
+        </Text>
+        {!!item.ip && <Text style={styles.sessionMeta}>{item.ip}</Text>}
+        {item.current && <Text style={styles.currentBadge}>{t("sessions.current")}</Text>}
+      </View>
+      <TouchableOpacity style={styles.revokeButton} onPress={() => confirmRevoke(item)}>
+        <Ionicons name="log-out-outline" size={22} color={COLORS.textSecondary} />
+      </TouchableOpacity>
+    </View>
+  );
+
+  return (
+    <View style={styles.container}>
+      <View style={styles.header}>
+        <TouchableOpacity onPress={() => router.back()}>
+          <Ionicons name="arrow-back" size={24} color={COLORS.textPrimary} />
+        </TouchableOpacity>
+        <Text style={styles.headerTitle}>{t("sessions.title")}</Text>
+      </View>
+
+      {isLoading ? (
+        <View style={styles.loadingContainer}>
+          <ActivityIndicator size="large" color={COLORS.primary} />
+        </View>
+      ) : (
+        <FlatList
+          data={sessions}
+          keyExtractor={(item) => item._id}
+          renderItem={renderSession}
+          contentContainerStyle={styles.listContent}
+          ListEmptyComponent={<Text style={styles.emptyText}>{t("sessions.empty")}</Text>}
+        />
+      )}
+
+      <TouchableOpacity style={styles.logoutAllButton} onPress={confirmLogoutAll}>
+        <Text style={styles.logoutAllText}>{t("sessions.logoutAll")}</Text>
+      </TouchableOpacity>
+    </View>
+  );
+}
@@ -0,0 +1,217 @@
+import { Ionicons } from "@expo/vector-icons";
+import { Image } from "expo-image";
+import { useLocalSearchParams, useRouter } from "expo-router";
+import { useEffect, useState } from "react";
+import {
+  ActivityIndicator,
+  Alert,
+  FlatList,
+  Text,
+  TouchableOpacity,
+  View,
+} from "react-native";
+import COLORS from "../constants/colors";
+import { API_URL } from "../constants/api";
+import { useAuthStore } from "../store/authStore";
+import { useLanguage } from "../context/LanguageContext";
+import { getShelfName } from "../components/ShelvesTab";
+import styles from "../assets/styles/shelves.styles";
+
+// Chi tiết một kệ sách: danh sách sách trên kệ, chủ kệ có thể đổi chế độ hiển thị / bỏ sách / xóa kệ
+export default function ShelfScreen() {
+  const { userId, shelfId } = useLocalSearchParams();
+  const [shelf, setShelf] = useState(null);
+  const [isOwner, setIsOwner] = useState(false);
+  const [isLoading, setIsLoading] = useState(true);
+  const { token } = useAuthStore();
+  const { t } = useLanguage();
+  const router = useRouter();
+
+  const shelfUrl = `${API_URL}/users/${userId}/shelves/${shelfId}`;
+
+  useEffect(() => {
+    fetchShelf();
+  }, [userId, shelfId]);
+
+  const fetchShelf = async () => {
+    try {
+      setIsLoading(true);
+      const response = await fetch(shelfUrl, {
+        headers: { Authorization: `Bearer ${token}` },
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.message || "Failed to fetch shelf");
+      }
+      setShelf(data.shelf);
+      setIsOwner(data.isOwner);
+    } catch (error) {
+      console.error("Error fetching shelf:", error);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const toggleVisibility = async () => {
+    const visibility = shelf.visibility === "private" ? "public" : "private";
+    try {
+      const response = await fetch(shelfUrl, {
+        method: "PATCH",
+        headers: {
+          Authorization: `Bearer ${token}`,
+          "Content-Type": "application/json",
+        },
+        body: JSON.stringify({ visibility }),
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.message || "Failed to update shelf");
+      }
+      setShelf((prev) => ({ ...prev, visibility }));
+    } catch (error) {
+      Alert.alert(t("shelves.error"), error.message);
+    }
+  };
+
+  const confirmDeleteShelf = () => {
+    Alert.alert(t("shelves.deleteShelf"), t("shelves.deleteConfirm"), [
+      { text: t("shelves.cancel"), style: "cancel" },
+      {
+        text: t("shelves.delete"),
+        style: "destructive",
+        onPress: async () => {
+          try {
+            const response = await fetch(shelfUrl, {
+              method: "DELETE",
+              headers: { Authorization: `Bearer ${token}` },
+            });
+            const data = await response.json();
+            if (!response.ok) {
+              throw new Error(data.message || "Failed to delete shelf");
+            }
+            router.back();
+          } catch (error) {
+            Alert.alert(t("shelves.error"), error.message);
+          }
+        },
+      },
+    ]);
+  };
+
+  const confirmRemoveItem = (item) => {
+    Alert.alert(item.work.title, t("shelves.removeConfirm"), [
+      { text: t("shelves.cancel"), style: "cancel" },
+      {
+        text: t("shelves.remove"),
+        style: "destructive",
+        onPress: async () => {
+          try {
+            const response = await fetch(`${shelfUrl}/items/${item.work._id}`, {
+              method: "DELETE",
+              headers: { Authorization: `Bearer ${token}` },
+            });
+            const data = await response.json();
+            if (!response.ok) {
+              throw new Error(data.message || "Failed to remove book");
+            }
+            setShelf((prev) => ({
+              ...prev,
+              items: prev.items.filter(
+                (shelfItem) => shelfItem.work._id !== item.work._id
+              ),
+            }));
+          } catch (error) {
+            Alert.alert(t("shelves.error"), error.message);
+          }
+        },
+      },
+    ]);
+  };
+
+  const renderItem = ({ item }) => (
+    <TouchableOpacity
+      style={styles.itemCard}
+      onPress={() =>
+        router.push({
+          pathname: "/work",
+          params: { workId: item.work._id },
+        })
+      }
+      onLongPress={isOwner ? () => confirmRemoveItem(item) : undefined}
+      delayLongPress={500}
+    >
+      {item.book?.image ? (
+        <Image
+          source={{ uri: item.book.image }}
+          style={styles.itemImage}
+          contentFit="cover"
+        />
+      ) : (
+        <View style={[styles.itemImage, styles.shelfPreviewEmpty]}>
+          <Ionicons name="book-outline" size={20} color={COLORS.textSecondary} />
+        </View>
+      )}
+      <View style={styles.itemInfo}>
+        <Text style={styles.itemTitle} numberOfLines={2}>
+          {item.work.title}
+        </Text>
+        <Text style={styles.itemAuthor} numberOfLines={1}>
+          {item.work.authors.join(", ")}
+        </Text>
+        <Text style={styles.itemDate}>
+          {t("shelves.addedOn")} {new Date(item.addedAt).toLocaleDateString()}
+        </Text>
+      </View>
+    </TouchableOpacity>
+  );
+
+  if (isLoading) {
+    return (
+      <View style={styles.loadingContainer}>
+        <ActivityIndicator size="large" color={COLORS.primary} />
+      </View>
+    );
+  }
+
+  return (
+    <View style={styles.container}>
+      <View style={styles.header}>
+        <TouchableOpacity onPress={() => router.back()}>
+          <Ionicons name="arrow-back" size={24} color={COLORS.textPrimary} />
+        </TouchableOpacity>
+        <Text style={styles.headerTitle} numberOfLines={1}>
+          {shelf ? getShelfName(shelf, t) : ""}
+        </Text>
+        {shelf && isOwner && (
+          <TouchableOpacity style={styles.headerAction} onPress={toggleVisibility}>
+            <Ionicons
+              name={shelf.visibility === "private" ? "lock-closed" : "globe-outline"}
+              size={22}
+              color={COLORS.textPrimary}
+            />
+          </TouchableOpacity>
+        )}
+        {shelf && isOwner && shelf.type === "custom" && (
+          <TouchableOpacity style={styles.headerAction} onPress={confirmDeleteShelf}>
+            <Ionicons name="trash-outline" size={22} color={COLORS.textPrimary} />
+          </TouchableOpacity>
+        )}
+      </View>
+
+      {shelf ? (
+        <FlatList
+          data={shelf.items}
+          renderItem={renderItem}
+          keyExtractor={(item) => item.work._id}
+          contentContainerStyle={styles.listContent}
+          showsVerticalScrollIndicator={false}
+          ListEmptyComponent={
+            <Text style={styles.emptyText}>{t("shelves.emptyShelf")}</Text>
+          }
+        />
+      ) : (
+        <Text style={styles.emptyText}>{t("shelves.notFound")}</Text>
+      )}
+    </View>
+  );
+}
@@ -22,6 +22,9 @@ import styles from "../assets/styles/userprofile.styles";
 import { useFocusEffect } from "@react-navigation/native";
 import { useCallback } from "react";
 import { useLanguage } from "../context/LanguageContext";
+import ShelvesTab from "../components/ShelvesTab";
+import ReadingTimeline from "../components/ReadingTimeline";
+import shelvesStyles from "../assets/styles/shelves.styles";
 
 const { width } = Dimensions.get("window");
 const imageSize = (width - 48) / 3; // 3 columns với padding
@@ -39,6 +42,8 @@ export default function UserProfile() {
   const [isFollowLoading, setIsFollowLoading] = useState(false); // THÊM TRẠNG THÁI TẢI CHO FOLLOW
   const [showSettingsMenu, setShowSettingsMenu] = useState(false);
   const [isOwnProfile, setIsOwnProfile] = useState(false);
+  const [activeTab, setActiveTab] = useState("books"); // "books" | "shelves" | "journal"
+  const [tabsRefreshKey, setTabsRefreshKey] = useState(0);
 
   const { token, user: currentUser } = useAuthStore();
   const router = useRouter();
@@ -228,6 +233,7 @@ export default function UserProfile() {
     useCallback(() => {
       if (userId) {
         fetchUserData();
+        setTabsRefreshKey((key) => key + 1);
       }
     }, [userId])
   );
@@ -237,6 +243,7 @@ export default function UserProfile() {
     try {
       await sleep(500);
       await fetchUserData();
+      setTabsRefreshKey((key) => key + 1);
     } catch (error) {
       // console.error("Error refreshing user profile:", error);
     } finally {
@@ -364,10 +371,36 @@ export default function UserProfile() {
         )}
       </View>
 
-      {/* Books Grid Header */}
-      <View style={styles.gridHeader}>
-        <Ionicons name="grid-outline" size={24} color={COLORS.textPrimary} />
-        <Text style={styles.gridHeaderText}>Books</Text>
+      {/* Tabs: Sách đã đăng / Kệ sách */}
+      <View style={shelvesStyles.tabBar}>
+        {[
+          { key: "books", icon: "grid-outline", label: t("shelves.tabBooks") },
+          { key: "shelves", icon: "library-outline", label: t("shelves.tabShelves") },
+          { key: "journal", icon: "time-outline", label: t("reading.tabJournal") },
+        ].map((tab) => (
+          <TouchableOpacity
+            key={tab.key}
+            style={[
+              shelvesStyles.tabButton,
+              activeTab === tab.key && shelvesStyles.tabButtonActive,
+            ]}
+            onPress={() => setActiveTab(tab.key)}
+          >
+            <Ionicons
+              name={tab.icon}
+              size={22}
+              color={activeTab === tab.key ? COLORS.textPrimary : COLORS.textSecondary}
+            />
+            <Text
+              style={[
+                shelvesStyles.tabButtonText,
+                activeTab === tab.key && shelvesStyles.tabButtonTextActive,
+              ]}
+            >
+              {tab.label}
+            </Text>
+          </TouchableOpacity>
+        ))}
       </View>
     </View>
   );
@@ -408,7 +441,7 @@ export default function UserProfile() {
       </View>
 
       <FlatList
-        data={books}
+        data={activeTab === "books" ? books : []}
         renderItem={renderBookItem}
         keyExtractor={(item) => item._id}
         numColumns={3}
@@ -425,15 +458,28 @@ export default function UserProfile() {
             tintColor={COLORS.primary}
           />
         }
-        ListEmptyComponent={
-          <View style={styles.emptyContainer}>
-            <Ionicons
-              name="book-outline"
-              size={50}
-              color={COLORS.textSecondary}
+        ListFooterComponent={
+          activeTab === "shelves" ? (
+            <ShelvesTab
+              userId={userId}
+              isOwner={isOwnProfile}
+              refreshKey={tabsRefreshKey}
             />
-            <Text style={styles.emptyText}>{t('profile.noBooksYet')}</Text>
-          </View>
+          ) : activeTab === "journal" ? (
+            <ReadingTimeline userId={userId} refreshKey={tabsRefreshKey} />
+          ) : null
+        }
+        ListEmptyComponent={
+          activeTab === "books" && (
+            <View style={styles.emptyContainer}>
+              <Ionicons
+                name="book-outline"
+                size={50}
+                color={COLORS.textSecondary}
+              />
+              <Text style={styles.emptyText}>{t('profile.noBooksYet')}</Text>
+            </View>
+          )
         }
       />
     </SafeAreaView>
@@ -0,0 +1,204 @@
+import { Ionicons } from "@expo/vector-icons";
+import { Image } from "expo-image";
+import { useLocalSearchParams, useRouter } from "expo-router";
+import { useEffect, useState } from "react";
+import {
+  ActivityIndicator,
+  FlatList,
+  Text,
+  TouchableOpacity,
+  View,
+} from "react-native";
+import COLORS from "../constants/colors";
+import { API_URL } from "../constants/api";
+import { useAuthStore } from "../store/authStore";
+import { useLanguage } from "../context/LanguageContext";
+import styles from "../assets/styles/work.styles";
+
+// Trang tác phẩm: thông tin sách gốc, điểm trung bình và tất cả bài review
+export default function WorkScreen() {
+  const { workId } = useLocalSearchParams();
+  const [work, setWork] = useState(null);
+  const [stats, setStats] = useState({ averageRating: 0, reviewCount: 0 });
+  const [reviews, setReviews] = useState([]);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [hasMore, setHasMore] = useState(false);
+  const [isLoading, setIsLoading] = useState(true);
+  const [isLoadingMore, setIsLoadingMore] = useState(false);
+  const { token } = useAuthStore();
+  const { t } = useLanguage();
+  const router = useRouter();
+
+  useEffect(() => {
+    fetchWork();
+  }, [workId]);
+
+  const fetchWork = async (cursor = null) => {
+    try {
+      if (cursor) {
+        setIsLoadingMore(true);
+      } else {
+        setIsLoading(true);
+      }
+
+      const response = await fetch(
+        `${API_URL}/works/${workId}?limit=10${
+          cursor ? `&cursor=${encodeURIComponent(cursor)}` : ""
+        }`,
+        {
+          headers: { Authorization: `Bearer ${token}` },
+        }
+      );
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.message || "Failed to fetch work");
+      }
+
+      setWork(data.work);
+      setStats({
+        averageRating: data.averageRating,
+        reviewCount: data.reviewCount,
+      });
+      setReviews((prev) => (cursor ? [...prev, ...data.reviews] : data.reviews));
+      setNextCursor(data.nextCursor);
+      setHasMore(data.hasMore);
+    } catch (error) {
+      console.error("Error fetching work:", error);
+    } finally {
+      setIsLoading(false);
+      setIsLoadingMore(false);
+    }
+  };
+
+  const handleLoadMore = () => {
+    if (hasMore && !isLoadingMore && nextCursor) {
+      fetchWork(nextCursor);
+    }
+  };
+
+  const renderStars = (rating, size = 14) => (
+    <View style={styles.starsRow}>
+      {[1, 2, 3, 4, 5].map((star) => (
+        <Ionicons
+          key={star}
+          name={
+            star <= Math.floor(rating)
+              ? "star"
+              : star - rating < 1
+              ? "star-half"
+              : "star-outline"
+          }
+          size={size}
+          color="#f4b400"
+        />
+      ))}
+    </View>
+  );
+
+  const renderWorkInfo = () => (
+    <View style={styles.workInfo}>
+      <Text style={styles.workTitle}>{work.title}</Text>
+      <Text style={styles.workAuthors}>{work.authors.join(", ")}</Text>
+      {(work.published_year || work.genre) && (
+        <Text style={styles.workMeta}>
+          {[work.published_year, work.genre?.genre_name]
+            .filter(Boolean)
+            .join(" · ")}
+        </Text>
+      )}
+      <View style={styles.averageRow}>
+        <Text style={styles.averageValue}>
+          {stats.averageRating.toFixed(1)}
+        </Text>
+        {renderStars(stats.averageRating, 18)}
+        <Text style={styles.reviewCount}>
+          {stats.reviewCount} {t("work.reviews")}
+        </Text>
+      </View>
+    </View>
+  );
+
+  const renderReviewItem = ({ item }) => (
+    <TouchableOpacity
+      style={styles.reviewItem}
+      onPress={() =>
+        router.push({
+          pathname: "/bookdetail",
+          params: { bookId: item._id },
+        })
+      }
+    >
+      <Image
+        source={{ uri: item.user.profileImage }}
+        style={styles.reviewAvatar}
+      />
+      <View style={styles.reviewContent}>
+        <View style={styles.reviewHeader}>
+          <Text style={styles.reviewUsername}>{item.user.username}</Text>
+          <Text style={styles.reviewDate}>{item.createdAt?.split(" ")[0]}</Text>
+        </View>
+        {renderStars(item.rating)}
+        <Text style={styles.reviewCaption} numberOfLines={3}>
+          {item.caption}
+        </Text>
+      </View>
+      {item.image && (
+        <Image source={{ uri: item.image }} style={styles.reviewImage} />
+      )}
+    </TouchableOpacity>
+  );
+
+  if (isLoading) {
+    return (
+      <View style={styles.loadingContainer}>
+        <ActivityIndicator size="large" color={COLORS.primary} />
+      </View>
+    );
+  }
+
+  return (
+    <View style={styles.container}>
+      <View style={styles.header}>
+        <TouchableOpacity onPress={() => router.back()}>
+          <Ionicons name="arrow-back" size={24} color={COLORS.textPrimary} />
+        </TouchableOpacity>
+        <Text style={styles.headerTitle}>{t("work.title")}</Text>
+        <View style={{ width: 24 }} />
+      </View>
+
+      {work ? (
+        <FlatList
+          data={reviews}
+          renderItem={renderReviewItem}
+          keyExtractor={(item) => item._id}
+          ListHeaderComponent={renderWorkInfo}
+          onEndReached={handleLoadMore}
+          onEndReachedThreshold={0.3}
+          showsVerticalScrollIndicator={false}
+          ListFooterComponent={
+            isLoadingMore ? (
+              <ActivityIndicator
+                style={styles.footerLoader}
+                color={COLORS.primary}
+              />
+            ) : null
+          }
+          ListEmptyComponent={
+            <View style={styles.emptyContainer}>
+              <Ionicons
+                name="chatbubbles-outline"
+                size={50}
+                color={COLORS.textSecondary}
+              />
+              <Text style={styles.emptyText}>{t("work.noReviews")}</Text>
+            </View>
+          }
+        />
+      ) : (
+        <View style={styles.emptyContainer}>
+          <Text style={styles.emptyText}>{t("work.notFound")}</Text>
+        </View>
+      )}
+    </View>
+  );
+}
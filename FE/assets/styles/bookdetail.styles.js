@@ -83,6 +83,38 @@ const styles = StyleSheet.create({
     width: "100%",
     height: "100%",
   },
+  galleryCounter: {
+    position: "absolute",
+    top: 10,
+    right: 10,
+    paddingHorizontal: 8,
+    paddingVertical: 2,
+    borderRadius: 10,
+    backgroundColor: "rgba(0,0,0,0.5)",
+  },
+  galleryCounterText: {
+    fontSize: 12,
+    fontWeight: "600",
+    color: COLORS.white,
+  },
+  galleryDots: {
+    position: "absolute",
+    bottom: 10,
+    left: 0,
+    right: 0,
+    flexDirection: "row",
+    justifyContent: "center",
+  },
+  galleryDot: {
+    width: 6,
+    height: 6,
+    borderRadius: 3,
+    marginHorizontal: 3,
+    backgroundColor: "rgba(255,255,255,0.5)",
+  },
+  galleryDotActive: {
+    backgroundColor: COLORS.white,
+  },
   bookTitle: {
     fontSize: 24,
     fontWeight: "700",
@@ -96,6 +128,17 @@ const styles = StyleSheet.create({
     marginTop: 2,
     fontWeight: "500",
   },
+  workLink: {
+    flexDirection: "row",
+    alignItems: "center",
+    marginBottom: 8,
+  },
+  workLinkText: {
+    marginLeft: 6,
+    fontSize: 14,
+    color: COLORS.primary,
+    fontWeight: "500",
+  },
   ratingContainer: {
     flexDirection: "row",
     marginBottom: 12,
@@ -110,6 +153,91 @@ const styles = StyleSheet.create({
     fontSize: 14,
     color: COLORS.textSecondary,
   },
+  ratingSummary: {
+    marginTop: 16,
+    padding: 12,
+    borderRadius: 12,
+    borderWidth: 1,
+    borderColor: COLORS.border,
+    backgroundColor: COLORS.inputBackground,
+  },
+  ratingSummaryTitle: {
+    fontSize: 15,
+    fontWeight: "600",
+    color: COLORS.textPrimary,
+    marginBottom: 10,
+  },
+  ratingSummaryRow: {
+    flexDirection: "row",
+    alignItems: "center",
+  },
+  ratingAverageBox: {
+    alignItems: "center",
+    marginRight: 16,
+  },
+  ratingAverageValue: {
+    fontSize: 32,
+    fontWeight: "bold",
+    color: COLORS.textDark,
+  },
+  ratingContainerSmall: {
+    flexDirection: "row",
+    marginVertical: 4,
+  },
+  ratingReviewCount: {
+    fontSize: 12,
+    color: COLORS.textSecondary,
+  },
+  ratingHistogram: {
+    flex: 1,
+  },
+  histogramRow: {
+    flexDirection: "row",
+    alignItems: "center",
+    marginVertical: 2,
+  },
+  histogramLabel: {
+    width: 12,
+    fontSize: 12,
+    color: COLORS.textSecondary,
+  },
+  histogramTrack: {
+    flex: 1,
+    height: 8,
+    marginHorizontal: 6,
+    borderRadius: 4,
+    backgroundColor: COLORS.border,
+    overflow: "hidden",
+  },
+  histogramFill: {
+    height: "100%",
+    borderRadius: 4,
+    backgroundColor: "#f4b400",
+  },
+  histogramCount: {
+    width: 28,
+    fontSize: 12,
+    textAlign: "right",
+    color: COLORS.textSecondary,
+  },
+  authorRatingRow: {
+    flexDirection: "row",
+    alignItems: "center",
+    marginTop: 10,
+  },
+  authorRatingText: {
+    flexShrink: 1,
+    marginHorizontal: 6,
+    fontSize: 13,
+    color: COLORS.textDark,
+  },
+  authorRatingValue: {
+    marginLeft: 2,
+    marginRight: 4,
+    fontSize: 13,
+    fontWeight: "600",
+    color: COLORS.textDark,
+  },
   commentsSection: {
     backgroundColor: COLORS.cardBackground,
     borderRadius: 16,
@@ -165,6 +293,127 @@ const styles = StyleSheet.create({
     color: COLORS.textDark,
     lineHeight: 20,
   },
+  commentActions: {
+    flexDirection: "row",
+    alignItems: "center",
+    marginTop: 6,
+  },
+  replyButton: {
+    paddingVertical: 2,
+    marginRight: 16,
+  },
+  replyButtonText: {
+    fontSize: 12,
+    fontWeight: "600",
+    color: COLORS.textSecondary,
+  },
+  viewRepliesText: {
+    fontSize: 12,
+    fontWeight: "600",
+    color: COLORS.primary,
+  },
+  reactionButton: {
+    flexDirection: "row",
+    alignItems: "center",
+    paddingVertical: 2,
+    marginRight: 16,
+  },
+  reactionEmoji: {
+    fontSize: 14,
+  },
+  reactionCountText: {
+    fontSize: 12,
+    marginLeft: 4,
+    color: COLORS.textSecondary,
+  },
+  reactionPicker: {
+    flexDirection: "row",
+    alignSelf: "flex-start",
+    marginTop: 6,
+    paddingHorizontal: 8,
+    paddingVertical: 4,
+    borderRadius: 20,
+    backgroundColor: COLORS.inputBackground,
+    borderWidth: 1,
+    borderColor: COLORS.border,
+  },
+  reactionOption: {
+    paddingHorizontal: 6,
+  },
+  reactionOptionEmoji: {
+    fontSize: 22,
+  },
+  sortRow: {
+    flexDirection: "row",
+    marginBottom: 12,
+  },
+  sortChip: {
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: COLORS.border,
+    marginRight: 8,
+  },
+  sortChipActive: {
+    backgroundColor: COLORS.primary,
+    borderColor: COLORS.primary,
+  },
+  sortChipText: {
+    fontSize: 12,
+    color: COLORS.textSecondary,
+  },
+  sortChipTextActive: {
+    color: COLORS.white,
+    fontWeight: "600",
+  },
+  reactionsListContainer: {
+    width: "85%",
+    maxHeight: "60%",
+    backgroundColor: COLORS.cardBackground,
+    borderRadius: 16,
+    padding: 16,
+  },
+  reactionsListTitle: {
+    fontSize: 16,
+    fontWeight: "700",
+    color: COLORS.textPrimary,
+    marginBottom: 12,
+  },
+  reactionUserRow: {
+    flexDirection: "row",
+    alignItems: "center",
+    paddingVertical: 8,
+  },
+  reactionUsername: {
+    flex: 1,
+    fontSize: 14,
+    color: COLORS.textDark,
+  },
+  repliesContainer: {
+    marginTop: 12,
+    paddingLeft: 12,
+    borderLeftWidth: 2,
+    borderLeftColor: COLORS.border,
+  },
+  replyItem: {
+    flexDirection: "row",
+    marginBottom: 12,
+  },
+  replyingToBar: {
+    flexDirection: "row",
+    alignItems: "center",
+    justifyContent: "space-between",
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    marginBottom: 8,
+    borderRadius: 12,
+    backgroundColor: COLORS.inputBackground,
+  },
+  replyingToText: {
+    fontSize: 12,
+    color: COLORS.textSecondary,
+  },
   commentInputContainer: {
     flexDirection: "row",
     alignItems: "center",
@@ -0,0 +1,210 @@
+import { StyleSheet } from "react-native";
+import COLORS from "../../constants/colors";
+
+const styles = StyleSheet.create({
+  card: {
+    marginTop: 12,
+    padding: 14,
+    borderRadius: 14,
+    borderWidth: 1,
+    borderColor: COLORS.border,
+    backgroundColor: COLORS.cardBackground,
+  },
+  cardHeader: {
+    flexDirection: "row",
+    alignItems: "center",
+    justifyContent: "space-between",
+  },
+  cardTitleRow: {
+    flexDirection: "row",
+    alignItems: "center",
+  },
+  cardTitle: {
+    marginLeft: 8,
+    fontSize: 15,
+    fontWeight: "600",
+    color: COLORS.textPrimary,
+  },
+  editLink: {
+    fontSize: 13,
+    fontWeight: "600",
+    color: COLORS.primary,
+  },
+  progressText: {
+    marginTop: 10,
+    fontSize: 14,
+    color: COLORS.textDark,
+  },
+  progressCount: {
+    fontSize: 20,
+    fontWeight: "bold",
+    color: COLORS.textDark,
+  },
+  progressTrack: {
+    height: 10,
+    marginTop: 8,
+    borderRadius: 5,
+    backgroundColor: COLORS.border,
+    overflow: "hidden",
+  },
+  progressFill: {
+    height: "100%",
+    borderRadius: 5,
+    backgroundColor: COLORS.primary,
+  },
+  completedText: {
+    marginTop: 8,
+    fontSize: 13,
+    fontWeight: "600",
+    color: COLORS.primary,
+  },
+  cardFooter: {
+    flexDirection: "row",
+    justifyContent: "space-between",
+    alignItems: "center",
+    marginTop: 10,
+  },
+  sourceText: {
+    fontSize: 12,
+    color: COLORS.textSecondary,
+  },
+  setGoalButton: {
+    alignItems: "center",
+    marginTop: 10,
+    paddingVertical: 10,
+    borderRadius: 10,
+    backgroundColor: COLORS.primary,
+  },
+  setGoalButtonText: {
+    fontSize: 14,
+    fontWeight: "600",
+    color: COLORS.white,
+  },
+
+  // --- Modal đặt mục tiêu / bảng xếp hạng ---
+  modalOverlay: {
+    flex: 1,
+    justifyContent: "center",
+    alignItems: "center",
+    backgroundColor: "rgba(0, 0, 0, 0.5)",
+  },
+  modalContent: {
+    width: "85%",
+    maxHeight: "75%",
+    padding: 20,
+    borderRadius: 16,
+    backgroundColor: COLORS.cardBackground,
+  },
+  modalTitle: {
+    fontSize: 18,
+    fontWeight: "bold",
+    color: COLORS.textDark,
+    marginBottom: 16,
+  },
+  label: {
+    fontSize: 13,
+    color: COLORS.textSecondary,
+    marginBottom: 6,
+  },
+  input: {
+    borderWidth: 1,
+    borderColor: COLORS.border,
+    borderRadius: 12,
+    paddingHorizontal: 12,
+    paddingVertical: 10,
+    marginBottom: 12,
+    fontSize: 15,
+    color: COLORS.textDark,
+    backgroundColor: COLORS.inputBackground,
+  },
+  chipRow: {
+    flexDirection: "row",
+    flexWrap: "wrap",
+    marginBottom: 12,
+  },
+  chip: {
+    paddingHorizontal: 14,
+    paddingVertical: 6,
+    marginRight: 8,
+    marginBottom: 8,
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: COLORS.border,
+  },
+  chipActive: {
+    borderColor: COLORS.primary,
+    backgroundColor: COLORS.primary,
+  },
+  chipText: {
+    fontSize: 13,
+    color: COLORS.textPrimary,
+  },
+  chipTextActive: {
+    color: COLORS.white,
+  },
+  modalButtons: {
+    flexDirection: "row",
+    justifyContent: "flex-end",
+    marginTop: 8,
+  },
+  modalButton: {
+    paddingHorizontal: 16,
+    paddingVertical: 10,
+    borderRadius: 10,
+    marginLeft: 10,
+  },
+  modalButtonPrimary: {
+    backgroundColor: COLORS.primary,
+  },
+  modalButtonText: {
+    fontSize: 14,
+    fontWeight: "600",
+    color: COLORS.textSecondary,
+  },
+  modalButtonPrimaryText: {
+    color: COLORS.white,
+  },
+  leaderRow: {
+    flexDirection: "row",
+    alignItems: "center",
+    paddingVertical: 10,
+    borderBottomWidth: 1,
+    borderBottomColor: COLORS.border,
+  },
+  leaderRowMe: {
+    backgroundColor: COLORS.inputBackground,
+  },
+  leaderRank: {
+    width: 28,
+    fontSize: 15,
+    fontWeight: "bold",
+    color: COLORS.textPrimary,
+  },
+  leaderAvatar: {
+    width: 32,
+    height: 32,
+    borderRadius: 16,
+    marginRight: 10,
+  },
+  leaderInfo: {
+    flex: 1,
+  },
+  leaderName: {
+    fontSize: 14,
+    fontWeight: "600",
+    color: COLORS.textDark,
+  },
+  leaderProgress: {
+    marginTop: 2,
+    fontSize: 12,
+    color: COLORS.textSecondary,
+  },
+  emptyText: {
+    textAlign: "center",
+    marginVertical: 16,
+    fontSize: 14,
+    color: COLORS.textSecondary,
+  },
+});
+
+export default styles;
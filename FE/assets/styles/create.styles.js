@@ -114,6 +114,66 @@ const styles = StyleSheet.create({
     color: COLORS.textSecondary,
     marginTop: 8,
   },
+  imageThumbContainer: {
+    width: 140,
+    marginRight: 10,
+    borderRadius: 12,
+    borderWidth: 1,
+    borderColor: COLORS.border,
+    backgroundColor: COLORS.inputBackground,
+    overflow: "hidden",
+  },
+  imageThumb: {
+    width: "100%",
+    height: 105,
+  },
+  imageThumbActions: {
+    flexDirection: "row",
+    justifyContent: "space-between",
+    paddingHorizontal: 8,
+    paddingVertical: 4,
+  },
+  coverBadge: {
+    position: "absolute",
+    top: 6,
+    left: 6,
+    paddingHorizontal: 6,
+    paddingVertical: 2,
+    borderRadius: 6,
+    backgroundColor: COLORS.primary,
+  },
+  coverBadgeText: {
+    fontSize: 11,
+    fontWeight: "600",
+    color: COLORS.white,
+  },
+  removeImageButton: {
+    position: "absolute",
+    top: 6,
+    right: 6,
+    width: 24,
+    height: 24,
+    borderRadius: 12,
+    justifyContent: "center",
+    alignItems: "center",
+    backgroundColor: "rgba(0,0,0,0.5)",
+  },
+  addImageTile: {
+    width: 140,
+    height: 135,
+    borderRadius: 12,
+    borderWidth: 1,
+    borderStyle: "dashed",
+    borderColor: COLORS.border,
+    backgroundColor: COLORS.inputBackground,
+    justifyContent: "center",
+    alignItems: "center",
+  },
+  imageCountText: {
+    marginTop: 6,
+    fontSize: 12,
+    color: COLORS.textSecondary,
+  },
   button: {
     backgroundColor: COLORS.primary,
     borderRadius: 12,
@@ -248,7 +308,72 @@ const styles = StyleSheet.create({
     alignItems: 'center',
     marginTop: 10,
     gap: 10
-  }
+  },
+
+  // Chọn tác phẩm có sẵn khi nhập tiêu đề
+  workMatches: {
+    marginTop: 8,
+    backgroundColor: COLORS.cardBackground,
+    borderRadius: 12,
+    borderWidth: 1,
+    borderColor: COLORS.border,
+    overflow: "hidden",
+  },
+  workMatchesTitle: {
+    fontSize: 13,
+    color: COLORS.textSecondary,
+    paddingHorizontal: 12,
+    paddingTop: 10,
+    paddingBottom: 4,
+  },
+  workMatchItem: {
+    paddingHorizontal: 12,
+    paddingVertical: 10,
+    borderTopWidth: 1,
+    borderTopColor: COLORS.border,
+  },
+  workMatchName: {
+    fontSize: 15,
+    fontWeight: "500",
+    color: COLORS.textPrimary,
+  },
+  workMatchMeta: {
+    fontSize: 12,
+    color: COLORS.textSecondary,
+    marginTop: 2,
+  },
+  workNotListed: {
+    fontSize: 13,
+    color: COLORS.primary,
+    textAlign: "center",
+    paddingVertical: 10,
+    borderTopWidth: 1,
+    borderTopColor: COLORS.border,
+  },
+  linkedWork: {
+    flexDirection: "row",
+    alignItems: "center",
+    marginTop: 8,
+    padding: 10,
+    borderRadius: 12,
+    backgroundColor: COLORS.inputBackground,
+    borderWidth: 1,
+    borderColor: COLORS.primary,
+  },
+  linkedWorkText: {
+    flex: 1,
+    marginLeft: 8,
+    fontSize: 13,
+    color: COLORS.textPrimary,
+  },
+  linkedWorkAction: {
+    fontSize: 13,
+    fontWeight: "600",
+    color: COLORS.primary,
+  },
+  disabledInput: {
+    opacity: 0.6,
+  },
 });
 
 export default styles;
@@ -149,6 +149,41 @@ const styles = StyleSheet.create({
   },
 
   // Search bar
+  // Switch Following / Everyone
+  feedSwitch: {
+    flexDirection: "row",
+    alignSelf: "stretch",
+    marginTop: 8,
+    padding: 4,
+    borderRadius: 20,
+    backgroundColor: COLORS.inputBackground,
+    borderWidth: 1,
+    borderColor: COLORS.border,
+  },
+  feedSwitchOption: {
+    flex: 1,
+    paddingVertical: 8,
+    borderRadius: 16,
+    alignItems: "center",
+  },
+  feedSwitchOptionActive: {
+    backgroundColor: COLORS.primary,
+  },
+  feedSwitchText: {
+    fontSize: 14,
+    color: COLORS.textSecondary,
+  },
+  feedSwitchTextActive: {
+    color: COLORS.white,
+    fontWeight: "600",
+  },
+  trendingNotice: {
+    alignSelf: "stretch",
+    marginTop: 8,
+    fontSize: 12,
+    color: COLORS.textSecondary,
+    textAlign: "center",
+  },
   searchContainer: {
     flexDirection: "row",
     paddingHorizontal: 5,
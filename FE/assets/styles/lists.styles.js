@@ -0,0 +1,429 @@
+import { StyleSheet } from "react-native";
+import COLORS from "../../constants/colors";
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: COLORS.background,
+  },
+  loadingContainer: {
+    flex: 1,
+    justifyContent: "center",
+    alignItems: "center",
+  },
+  header: {
+    flexDirection: "row",
+    alignItems: "center",
+    paddingHorizontal: 16,
+    paddingVertical: 12,
+    borderBottomWidth: 1,
+    borderBottomColor: COLORS.border,
+  },
+  headerTitle: {
+    flex: 1,
+    marginHorizontal: 12,
+    fontSize: 18,
+    fontWeight: "bold",
+    color: COLORS.textPrimary,
+  },
+  headerAction: {
+    padding: 4,
+    marginLeft: 8,
+  },
+  listContent: {
+    padding: 16,
+  },
+  emptyText: {
+    textAlign: "center",
+    marginVertical: 24,
+    fontSize: 14,
+    color: COLORS.textSecondary,
+  },
+
+  // --- Màn hình duyệt danh sách ---
+  tabBar: {
+    flexDirection: "row",
+    marginHorizontal: 16,
+    marginTop: 12,
+    borderRadius: 12,
+    backgroundColor: COLORS.inputBackground,
+  },
+  tabButton: {
+    flex: 1,
+    alignItems: "center",
+    paddingVertical: 8,
+    borderRadius: 12,
+  },
+  tabButtonActive: {
+    backgroundColor: COLORS.primary,
+  },
+  tabButtonText: {
+    fontSize: 14,
+    fontWeight: "600",
+    color: COLORS.textSecondary,
+  },
+  tabButtonTextActive: {
+    color: COLORS.white,
+  },
+  searchRow: {
+    flexDirection: "row",
+    alignItems: "center",
+    marginHorizontal: 16,
+    marginTop: 12,
+    paddingHorizontal: 12,
+    borderRadius: 12,
+    borderWidth: 1,
+    borderColor: COLORS.border,
+    backgroundColor: COLORS.inputBackground,
+  },
+  searchInput: {
+    flex: 1,
+    paddingVertical: 10,
+    marginLeft: 8,
+    fontSize: 15,
+    color: COLORS.textDark,
+  },
+  sortRow: {
+    flexDirection: "row",
+    marginHorizontal: 16,
+    marginTop: 10,
+  },
+  chip: {
+    paddingHorizontal: 14,
+    paddingVertical: 6,
+    marginRight: 8,
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: COLORS.border,
+  },
+  chipActive: {
+    borderColor: COLORS.primary,
+    backgroundColor: COLORS.primary,
+  },
+  chipText: {
+    fontSize: 13,
+    color: COLORS.textPrimary,
+  },
+  chipTextActive: {
+    color: COLORS.white,
+  },
+  listCard: {
+    flexDirection: "row",
+    alignItems: "center",
+    padding: 12,
+    marginBottom: 12,
+    borderRadius: 12,
+    backgroundColor: COLORS.cardBackground,
+  },
+  listCover: {
+    width: 72,
+    height: 72,
+    borderRadius: 8,
+    marginRight: 12,
+    backgroundColor: COLORS.inputBackground,
+  },
+  listCoverEmpty: {
+    justifyContent: "center",
+    alignItems: "center",
+  },
+  listPreview: {
+    flexDirection: "row",
+    width: 72,
+    height: 72,
+    marginRight: 12,
+    borderRadius: 8,
+    overflow: "hidden",
+  },
+  listPreviewImage: {
+    flex: 1,
+    height: "100%",
+  },
+  listInfo: {
+    flex: 1,
+  },
+  listTitleRow: {
+    flexDirection: "row",
+    alignItems: "center",
+  },
+  listTitle: {
+    flexShrink: 1,
+    fontSize: 16,
+    fontWeight: "600",
+    color: COLORS.textDark,
+  },
+  listMeta: {
+    marginTop: 4,
+    fontSize: 12,
+    color: COLORS.textSecondary,
+  },
+  fab: {
+    position: "absolute",
+    right: 20,
+    bottom: 24,
+    width: 56,
+    height: 56,
+    borderRadius: 28,
+    justifyContent: "center",
+    alignItems: "center",
+    backgroundColor: COLORS.primary,
+  },
+
+  // --- Màn hình chi tiết danh sách ---
+  detailCover: {
+    width: "100%",
+    height: 180,
+    borderRadius: 12,
+    backgroundColor: COLORS.inputBackground,
+  },
+  detailTitle: {
+    marginTop: 12,
+    fontSize: 22,
+    fontWeight: "bold",
+    color: COLORS.textDark,
+  },
+  ownerRow: {
+    flexDirection: "row",
+    alignItems: "center",
+    marginTop: 8,
+  },
+  ownerAvatar: {
+    width: 24,
+    height: 24,
+    borderRadius: 12,
+    marginRight: 8,
+  },
+  ownerName: {
+    fontSize: 14,
+    color: COLORS.textSecondary,
+  },
+  detailDescription: {
+    marginTop: 10,
+    fontSize: 14,
+    lineHeight: 20,
+    color: COLORS.textPrimary,
+  },
+  followButton: {
+    flexDirection: "row",
+    alignSelf: "flex-start",
+    alignItems: "center",
+    marginTop: 12,
+    marginBottom: 8,
+    paddingHorizontal: 16,
+    paddingVertical: 8,
+    borderRadius: 20,
+    backgroundColor: COLORS.primary,
+  },
+  followButtonActive: {
+    borderWidth: 1,
+    borderColor: COLORS.primary,
+    backgroundColor: "transparent",
+  },
+  followButtonText: {
+    marginLeft: 6,
+    fontSize: 14,
+    fontWeight: "600",
+    color: COLORS.white,
+  },
+  followButtonTextActive: {
+    color: COLORS.primary,
+  },
+  itemCard: {
+    flexDirection: "row",
+    alignItems: "center",
+    padding: 10,
+    marginBottom: 10,
+    borderRadius: 12,
+    backgroundColor: COLORS.cardBackground,
+  },
+  itemRank: {
+    width: 28,
+    fontSize: 16,
+    fontWeight: "bold",
+    color: COLORS.primary,
+  },
+  itemImage: {
+    width: 48,
+    height: 68,
+    borderRadius: 6,
+    marginRight: 12,
+    backgroundColor: COLORS.inputBackground,
+  },
+  itemInfo: {
+    flex: 1,
+  },
+  itemTitle: {
+    fontSize: 15,
+    fontWeight: "600",
+    color: COLORS.textDark,
+  },
+  itemSubtitle: {
+    marginTop: 2,
+    fontSize: 13,
+    color: COLORS.textSecondary,
+  },
+  itemNote: {
+    marginTop: 4,
+    fontSize: 13,
+    fontStyle: "italic",
+    color: COLORS.textPrimary,
+  },
+  reorderButtons: {
+    marginLeft: 8,
+  },
+  reorderButton: {
+    padding: 2,
+  },
+
+  // --- Màn hình tạo / sửa danh sách ---
+  form: {
+    padding: 16,
+  },
+  label: {
+    marginBottom: 6,
+    fontSize: 13,
+    color: COLORS.textSecondary,
+  },
+  input: {
+    marginBottom: 14,
+    paddingHorizontal: 12,
+    paddingVertical: 10,
+    borderRadius: 12,
+    borderWidth: 1,
+    borderColor: COLORS.border,
+    fontSize: 15,
+    color: COLORS.textDark,
+    backgroundColor: COLORS.inputBackground,
+  },
+  textArea: {
+    minHeight: 100,
+    textAlignVertical: "top",
+  },
+  coverPicker: {
+    justifyContent: "center",
+    alignItems: "center",
+    height: 160,
+    marginBottom: 14,
+    borderRadius: 12,
+    borderWidth: 1,
+    borderColor: COLORS.border,
+    overflow: "hidden",
+    backgroundColor: COLORS.inputBackground,
+  },
+  coverPreview: {
+    width: "100%",
+    height: "100%",
+  },
+  coverPlaceholderText: {
+    marginTop: 6,
+    fontSize: 13,
+    color: COLORS.textSecondary,
+  },
+  removeCoverText: {
+    alignSelf: "flex-end",
+    marginTop: -8,
+    marginBottom: 14,
+    fontSize: 13,
+    color: COLORS.primary,
+  },
+  visibilityRow: {
+    flexDirection: "row",
+    justifyContent: "space-between",
+    alignItems: "center",
+    marginBottom: 20,
+  },
+  visibilityLabel: {
+    fontSize: 15,
+    color: COLORS.textDark,
+  },
+  submitButton: {
+    alignItems: "center",
+    paddingVertical: 14,
+    borderRadius: 12,
+    backgroundColor: COLORS.primary,
+  },
+  submitButtonText: {
+    fontSize: 16,
+    fontWeight: "600",
+    color: COLORS.white,
+  },
+
+  // --- Modal thêm vào danh sách / mục "Có trong danh sách" ở bookdetail ---
+  modalOverlay: {
+    flex: 1,
+    justifyContent: "center",
+    alignItems: "center",
+    backgroundColor: "rgba(0, 0, 0, 0.5)",
+  },
+  modalContent: {
+    width: "85%",
+    maxHeight: "75%",
+    padding: 20,
+    borderRadius: 16,
+    backgroundColor: COLORS.cardBackground,
+  },
+  modalTitle: {
+    marginBottom: 12,
+    fontSize: 18,
+    fontWeight: "bold",
+    color: COLORS.textDark,
+  },
+  modalOption: {
+    flexDirection: "row",
+    alignItems: "center",
+    paddingVertical: 12,
+    borderBottomWidth: 1,
+    borderBottomColor: COLORS.border,
+  },
+  modalOptionText: {
+    flex: 1,
+    marginLeft: 10,
+    fontSize: 15,
+    color: COLORS.textDark,
+  },
+  modalButtons: {
+    flexDirection: "row",
+    justifyContent: "space-between",
+    alignItems: "center",
+    marginTop: 14,
+  },
+  modalLink: {
+    fontSize: 14,
+    fontWeight: "600",
+    color: COLORS.primary,
+  },
+  modalClose: {
+    fontSize: 14,
+    fontWeight: "600",
+    color: COLORS.textSecondary,
+  },
+  containingSection: {
+    marginTop: 16,
+  },
+  containingTitle: {
+    marginBottom: 8,
+    fontSize: 16,
+    fontWeight: "600",
+    color: COLORS.textPrimary,
+  },
+  containingCard: {
+    width: 160,
+    padding: 10,
+    marginRight: 10,
+    borderRadius: 12,
+    backgroundColor: COLORS.cardBackground,
+  },
+  containingCover: {
+    width: "100%",
+    height: 80,
+    borderRadius: 8,
+    backgroundColor: COLORS.inputBackground,
+  },
+  containingName: {
+    marginTop: 6,
+    fontSize: 14,
+    fontWeight: "600",
+    color: COLORS.textDark,
+  },
+});
+
+export default styles;
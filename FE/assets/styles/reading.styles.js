@@ -0,0 +1,268 @@
+import { StyleSheet } from "react-native";
+import COLORS from "../../constants/colors";
+
+const styles = StyleSheet.create({
+  // --- Thẻ tiến độ đọc trong trang chi tiết sách ---
+  progressCard: {
+    marginTop: 16,
+    padding: 12,
+    borderRadius: 12,
+    borderWidth: 1,
+    borderColor: COLORS.border,
+    backgroundColor: COLORS.cardBackground,
+  },
+  progressHeader: {
+    flexDirection: "row",
+    alignItems: "center",
+    justifyContent: "space-between",
+    marginBottom: 8,
+  },
+  progressTitle: {
+    fontSize: 15,
+    fontWeight: "600",
+    color: COLORS.textPrimary,
+  },
+  progressText: {
+    fontSize: 13,
+    color: COLORS.textSecondary,
+  },
+  progressTrack: {
+    height: 8,
+    borderRadius: 4,
+    backgroundColor: COLORS.border,
+    overflow: "hidden",
+  },
+  progressFill: {
+    height: "100%",
+    borderRadius: 4,
+    backgroundColor: COLORS.primary,
+  },
+  progressActions: {
+    flexDirection: "row",
+    marginTop: 12,
+  },
+  progressButton: {
+    flex: 1,
+    flexDirection: "row",
+    alignItems: "center",
+    justifyContent: "center",
+    paddingVertical: 10,
+    borderRadius: 10,
+    borderWidth: 1,
+    borderColor: COLORS.primary,
+  },
+  progressButtonSpacing: {
+    marginLeft: 10,
+  },
+  progressButtonPrimary: {
+    backgroundColor: COLORS.primary,
+  },
+  progressButtonText: {
+    marginLeft: 6,
+    fontSize: 14,
+    fontWeight: "600",
+    color: COLORS.primary,
+  },
+  progressButtonPrimaryText: {
+    color: COLORS.white,
+  },
+
+  // --- Modal cập nhật tiến độ / đọc xong ---
+  modalOverlay: {
+    flex: 1,
+    justifyContent: "center",
+    alignItems: "center",
+    backgroundColor: "rgba(0, 0, 0, 0.5)",
+  },
+  modalContent: {
+    width: "85%",
+    padding: 20,
+    borderRadius: 16,
+    backgroundColor: COLORS.cardBackground,
+  },
+  modalTitle: {
+    fontSize: 18,
+    fontWeight: "bold",
+    color: COLORS.textDark,
+    marginBottom: 16,
+  },
+  label: {
+    fontSize: 13,
+    color: COLORS.textSecondary,
+    marginBottom: 6,
+  },
+  input: {
+    borderWidth: 1,
+    borderColor: COLORS.border,
+    borderRadius: 12,
+    paddingHorizontal: 12,
+    paddingVertical: 10,
+    marginBottom: 12,
+    fontSize: 15,
+    color: COLORS.textDark,
+    backgroundColor: COLORS.inputBackground,
+  },
+  noteInput: {
+    minHeight: 80,
+    textAlignVertical: "top",
+  },
+  modeRow: {
+    flexDirection: "row",
+    marginBottom: 12,
+  },
+  modeChip: {
+    paddingHorizontal: 14,
+    paddingVertical: 6,
+    marginRight: 8,
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: COLORS.border,
+  },
+  modeChipActive: {
+    borderColor: COLORS.primary,
+    backgroundColor: COLORS.primary,
+  },
+  modeChipText: {
+    fontSize: 13,
+    color: COLORS.textPrimary,
+  },
+  modeChipTextActive: {
+    color: COLORS.white,
+  },
+  switchRow: {
+    flexDirection: "row",
+    alignItems: "center",
+    justifyContent: "space-between",
+    marginBottom: 12,
+  },
+  switchLabel: {
+    flex: 1,
+    marginRight: 12,
+    fontSize: 14,
+    color: COLORS.textPrimary,
+  },
+  modalButtons: {
+    flexDirection: "row",
+    justifyContent: "flex-end",
+    marginTop: 8,
+  },
+  modalButton: {
+    paddingHorizontal: 16,
+    paddingVertical: 10,
+    borderRadius: 10,
+    marginLeft: 10,
+  },
+  modalButtonPrimary: {
+    backgroundColor: COLORS.primary,
+  },
+  modalButtonText: {
+    fontSize: 14,
+    fontWeight: "600",
+    color: COLORS.textSecondary,
+  },
+  modalButtonPrimaryText: {
+    color: COLORS.white,
+  },
+
+  // --- Dòng thời gian đọc sách trên trang cá nhân ---
+  timelineContainer: {
+    paddingHorizontal: 16,
+    paddingBottom: 24,
+  },
+  sessionCard: {
+    marginBottom: 12,
+    padding: 12,
+    borderRadius: 12,
+    backgroundColor: COLORS.cardBackground,
+  },
+  sessionHeader: {
+    flexDirection: "row",
+    alignItems: "center",
+    marginBottom: 10,
+  },
+  sessionCover: {
+    width: 44,
+    height: 62,
+    borderRadius: 6,
+    marginRight: 12,
+    justifyContent: "center",
+    alignItems: "center",
+    backgroundColor: COLORS.inputBackground,
+  },
+  sessionInfo: {
+    flex: 1,
+  },
+  sessionTitle: {
+    fontSize: 15,
+    fontWeight: "600",
+    color: COLORS.textDark,
+  },
+  sessionMeta: {
+    marginTop: 2,
+    fontSize: 12,
+    color: COLORS.textSecondary,
+  },
+  statusBadge: {
+    alignSelf: "flex-start",
+    marginTop: 4,
+    paddingHorizontal: 8,
+    paddingVertical: 2,
+    borderRadius: 8,
+    backgroundColor: COLORS.inputBackground,
+  },
+  statusBadgeText: {
+    fontSize: 11,
+    fontWeight: "600",
+    color: COLORS.primary,
+  },
+  entryRow: {
+    flexDirection: "row",
+    marginTop: 10,
+  },
+  entryDot: {
+    width: 8,
+    height: 8,
+    marginTop: 5,
+    marginRight: 10,
+    borderRadius: 4,
+    backgroundColor: COLORS.primary,
+  },
+  entryContent: {
+    flex: 1,
+    paddingBottom: 6,
+    borderBottomWidth: 1,
+    borderBottomColor: COLORS.border,
+  },
+  entryDate: {
+    fontSize: 12,
+    color: COLORS.textSecondary,
+  },
+  entryProgress: {
+    marginTop: 2,
+    fontSize: 13,
+    fontWeight: "600",
+    color: COLORS.textPrimary,
+  },
+  entryNote: {
+    marginTop: 2,
+    fontSize: 14,
+    color: COLORS.textDark,
+  },
+  loadMoreButton: {
+    alignItems: "center",
+    paddingVertical: 10,
+  },
+  loadMoreText: {
+    fontSize: 14,
+    fontWeight: "600",
+    color: COLORS.primary,
+  },
+  emptyText: {
+    textAlign: "center",
+    marginTop: 24,
+    fontSize: 15,
+    color: COLORS.textSecondary,
+  },
+});
+
+export default styles;
@@ -270,6 +270,170 @@ const styles = StyleSheet.create({
     marginHorizontal: 4,
   },
 
+  // Nút mở bộ lọc cạnh ô tìm kiếm
+  filterToggle: {
+    marginLeft: 10,
+    width: 40,
+    height: 40,
+    borderRadius: 20,
+    backgroundColor: COLORS.inputBackground,
+    justifyContent: "center",
+    alignItems: "center",
+  },
+  filterToggleActive: {
+    backgroundColor: COLORS.primary,
+  },
+
+  // Filter sheet
+  sheetOverlay: {
+    flex: 1,
+    backgroundColor: "rgba(0, 0, 0, 0.5)",
+    justifyContent: "flex-end",
+  },
+  sheetContent: {
+    backgroundColor: COLORS.background,
+    borderTopLeftRadius: 16,
+    borderTopRightRadius: 16,
+    padding: 16,
+    maxHeight: "80%",
+  },
+  sheetHeader: {
+    flexDirection: "row",
+    justifyContent: "space-between",
+    alignItems: "center",
+    marginBottom: 12,
+  },
+  sheetTitle: {
+    fontSize: 18,
+    fontWeight: "600",
+    color: COLORS.textPrimary,
+  },
+  filterGroup: {
+    marginBottom: 16,
+  },
+  filterLabel: {
+    fontSize: 14,
+    fontWeight: "500",
+    color: COLORS.textPrimary,
+    marginBottom: 8,
+  },
+  filterSubLabel: {
+    fontSize: 12,
+    color: COLORS.textSecondary,
+    marginBottom: 4,
+  },
+  chipRow: {
+    flexDirection: "row",
+    flexWrap: "wrap",
+    marginBottom: 8,
+  },
+  chip: {
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: COLORS.border,
+    marginRight: 8,
+    marginBottom: 8,
+  },
+  chipActive: {
+    backgroundColor: COLORS.primary,
+    borderColor: COLORS.primary,
+  },
+  chipText: {
+    fontSize: 13,
+    color: COLORS.textPrimary,
+  },
+  chipTextActive: {
+    color: COLORS.white,
+  },
+  yearRow: {
+    flexDirection: "row",
+    justifyContent: "space-between",
+  },
+  yearInputWrapper: {
+    flex: 1,
+    marginRight: 8,
+  },
+  yearInput: {
+    height: 40,
+    borderWidth: 1,
+    borderColor: COLORS.border,
+    borderRadius: 8,
+    paddingHorizontal: 10,
+    color: COLORS.textPrimary,
+    backgroundColor: COLORS.inputBackground,
+  },
+  sheetActions: {
+    flexDirection: "row",
+    marginTop: 8,
+  },
+  sheetButton: {
+    flex: 1,
+    height: 44,
+    borderRadius: 8,
+    justifyContent: "center",
+    alignItems: "center",
+    borderWidth: 1,
+    borderColor: COLORS.primary,
+    marginHorizontal: 4,
+  },
+  sheetButtonPrimary: {
+    backgroundColor: COLORS.primary,
+  },
+  sheetButtonText: {
+    fontSize: 15,
+    fontWeight: "500",
+    color: COLORS.primary,
+  },
+  sheetButtonTextPrimary: {
+    color: COLORS.white,
+  },
+  loadMoreButton: {
+    paddingVertical: 12,
+    alignItems: "center",
+  },
+  loadMoreText: {
+    color: COLORS.primary,
+    fontWeight: "500",
+  },
+
+  // Gợi ý type-ahead và tìm kiếm gần đây
+  suggestionItem: {
+    flexDirection: "row",
+    alignItems: "center",
+    paddingHorizontal: 16,
+    paddingVertical: 12,
+    borderBottomWidth: 1,
+    borderBottomColor: COLORS.border,
+  },
+  suggestionAvatar: {
+    width: 24,
+    height: 24,
+    borderRadius: 12,
+  },
+  suggestionText: {
+    flex: 1,
+    marginLeft: 12,
+    fontSize: 15,
+    color: COLORS.textPrimary,
+  },
+  suggestionType: {
+    fontSize: 12,
+    color: COLORS.textSecondary,
+    marginLeft: 8,
+  },
+  recentHeader: {
+    flexDirection: "row",
+    justifyContent: "space-between",
+    alignItems: "center",
+    paddingRight: 16,
+  },
+  recentClearText: {
+    fontSize: 13,
+    color: COLORS.primary,
+  },
+
   // Colors for dynamic styling
   textColor: COLORS.textPrimary,
   searchIconColor: COLORS.textSecondary,
@@ -0,0 +1,87 @@
+import { StyleSheet } from "react-native";
+import COLORS from "../../constants/colors";
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: COLORS.background,
+  },
+  loadingContainer: {
+    flex: 1,
+    justifyContent: "center",
+    alignItems: "center",
+  },
+  header: {
+    flexDirection: "row",
+    alignItems: "center",
+    paddingHorizontal: 16,
+    paddingVertical: 12,
+    borderBottomWidth: 1,
+    borderBottomColor: COLORS.border,
+  },
+  headerTitle: {
+    flex: 1,
+    marginHorizontal: 12,
+    fontSize: 18,
+    fontWeight: "bold",
+    color: COLORS.textPrimary,
+  },
+  listContent: {
+    padding: 16,
+  },
+  emptyText: {
+    textAlign: "center",
+    marginVertical: 24,
+    fontSize: 14,
+    color: COLORS.textSecondary,
+  },
+  sessionCard: {
+    flexDirection: "row",
+    alignItems: "center",
+    padding: 14,
+    marginBottom: 12,
+    borderRadius: 12,
+    borderWidth: 1,
+    borderColor: COLORS.border,
+    backgroundColor: COLORS.cardBackground,
+  },
+  sessionIcon: {
+    marginRight: 12,
+  },
+  sessionInfo: {
+    flex: 1,
+  },
+  deviceName: {
+    fontSize: 15,
+    fontWeight: "600",
+    color: COLORS.textPrimary,
+  },
+  sessionMeta: {
+    marginTop: 2,
+    fontSize: 12,
+    color: COLORS.textSecondary,
+  },
+  currentBadge: {
+    marginTop: 4,
+    fontSize: 12,
+    fontWeight: "600",
+    color: COLORS.primary,
+  },
+  revokeButton: {
+    padding: 6,
+  },
+  logoutAllButton: {
+    margin: 16,
+    paddingVertical: 14,
+    alignItems: "center",
+    borderRadius: 12,
+    backgroundColor: COLORS.primary,
+  },
+  logoutAllText: {
+    fontSize: 15,
+    fontWeight: "600",
+    color: COLORS.white,
+  },
+});
+
+export default styles;
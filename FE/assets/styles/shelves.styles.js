@@ -0,0 +1,255 @@
+import { StyleSheet } from "react-native";
+import COLORS from "../../constants/colors";
+
+const styles = StyleSheet.create({
+  // --- Tab kệ sách trong trang cá nhân ---
+  tabBar: {
+    flexDirection: "row",
+    borderTopWidth: 1,
+    borderTopColor: COLORS.border,
+    marginBottom: 16,
+  },
+  tabButton: {
+    flex: 1,
+    flexDirection: "row",
+    alignItems: "center",
+    justifyContent: "center",
+    paddingVertical: 12,
+    borderBottomWidth: 2,
+    borderBottomColor: "transparent",
+  },
+  tabButtonActive: {
+    borderBottomColor: COLORS.primary,
+  },
+  tabButtonText: {
+    fontSize: 14,
+    fontWeight: "600",
+    color: COLORS.textSecondary,
+    marginLeft: 8,
+  },
+  tabButtonTextActive: {
+    color: COLORS.textPrimary,
+  },
+  shelvesContainer: {
+    paddingHorizontal: 16,
+    paddingBottom: 24,
+  },
+  shelfCard: {
+    flexDirection: "row",
+    alignItems: "center",
+    padding: 12,
+    marginBottom: 10,
+    borderRadius: 12,
+    borderWidth: 1,
+    borderColor: COLORS.border,
+    backgroundColor: COLORS.cardBackground,
+  },
+  shelfPreview: {
+    flexDirection: "row",
+    width: 84,
+    height: 56,
+    marginRight: 12,
+  },
+  shelfPreviewImage: {
+    width: 40,
+    height: 56,
+    borderRadius: 4,
+    marginRight: -18,
+    borderWidth: 1,
+    borderColor: COLORS.white,
+  },
+  shelfPreviewEmpty: {
+    width: 40,
+    height: 56,
+    borderRadius: 4,
+    justifyContent: "center",
+    alignItems: "center",
+    backgroundColor: COLORS.inputBackground,
+  },
+  shelfInfo: {
+    flex: 1,
+  },
+  shelfNameRow: {
+    flexDirection: "row",
+    alignItems: "center",
+  },
+  shelfName: {
+    flexShrink: 1,
+    fontSize: 15,
+    fontWeight: "600",
+    color: COLORS.textDark,
+    marginRight: 6,
+  },
+  shelfCount: {
+    marginTop: 4,
+    fontSize: 13,
+    color: COLORS.textSecondary,
+  },
+  newShelfButton: {
+    flexDirection: "row",
+    alignItems: "center",
+    justifyContent: "center",
+    paddingVertical: 12,
+    marginBottom: 12,
+    borderRadius: 12,
+    borderWidth: 1,
+    borderStyle: "dashed",
+    borderColor: COLORS.primary,
+  },
+  newShelfButtonText: {
+    marginLeft: 6,
+    fontSize: 14,
+    fontWeight: "600",
+    color: COLORS.primary,
+  },
+  emptyText: {
+    textAlign: "center",
+    marginTop: 24,
+    fontSize: 15,
+    color: COLORS.textSecondary,
+  },
+
+  // --- Modal tạo kệ / thêm vào kệ ---
+  modalOverlay: {
+    flex: 1,
+    justifyContent: "center",
+    alignItems: "center",
+    backgroundColor: "rgba(0, 0, 0, 0.5)",
+  },
+  modalContent: {
+    width: "85%",
+    maxHeight: "70%",
+    padding: 20,
+    borderRadius: 16,
+    backgroundColor: COLORS.cardBackground,
+  },
+  modalTitle: {
+    fontSize: 18,
+    fontWeight: "bold",
+    color: COLORS.textDark,
+    marginBottom: 16,
+  },
+  input: {
+    borderWidth: 1,
+    borderColor: COLORS.border,
+    borderRadius: 12,
+    paddingHorizontal: 12,
+    paddingVertical: 10,
+    fontSize: 15,
+    color: COLORS.textDark,
+    backgroundColor: COLORS.inputBackground,
+  },
+  visibilityRow: {
+    flexDirection: "row",
+    alignItems: "center",
+    justifyContent: "space-between",
+    marginTop: 16,
+  },
+  visibilityLabel: {
+    fontSize: 14,
+    color: COLORS.textPrimary,
+  },
+  modalButtons: {
+    flexDirection: "row",
+    justifyContent: "flex-end",
+    marginTop: 20,
+  },
+  modalButton: {
+    paddingHorizontal: 16,
+    paddingVertical: 10,
+    borderRadius: 10,
+    marginLeft: 10,
+  },
+  modalButtonPrimary: {
+    backgroundColor: COLORS.primary,
+  },
+  modalButtonText: {
+    fontSize: 14,
+    fontWeight: "600",
+    color: COLORS.textSecondary,
+  },
+  modalButtonPrimaryText: {
+    color: COLORS.white,
+  },
+  shelfOption: {
+    flexDirection: "row",
+    alignItems: "center",
+    paddingVertical: 12,
+    borderBottomWidth: 1,
+    borderBottomColor: COLORS.border,
+  },
+  shelfOptionText: {
+    flex: 1,
+    marginLeft: 10,
+    fontSize: 15,
+    color: COLORS.textDark,
+  },
+
+  // --- Màn hình chi tiết kệ ---
+  container: {
+    flex: 1,
+    backgroundColor: COLORS.background,
+  },
+  loadingContainer: {
+    flex: 1,
+    justifyContent: "center",
+    alignItems: "center",
+  },
+  header: {
+    flexDirection: "row",
+    alignItems: "center",
+    paddingHorizontal: 16,
+    paddingVertical: 12,
+    borderBottomWidth: 1,
+    borderBottomColor: COLORS.border,
+  },
+  headerTitle: {
+    flex: 1,
+    marginHorizontal: 12,
+    fontSize: 18,
+    fontWeight: "bold",
+    color: COLORS.textPrimary,
+  },
+  headerAction: {
+    padding: 4,
+    marginLeft: 8,
+  },
+  listContent: {
+    padding: 16,
+  },
+  itemCard: {
+    flexDirection: "row",
+    alignItems: "center",
+    padding: 10,
+    marginBottom: 10,
+    borderRadius: 12,
+    backgroundColor: COLORS.cardBackground,
+  },
+  itemImage: {
+    width: 48,
+    height: 68,
+    borderRadius: 6,
+    marginRight: 12,
+    backgroundColor: COLORS.inputBackground,
+  },
+  itemInfo: {
+    flex: 1,
+  },
+  itemTitle: {
+    fontSize: 15,
+    fontWeight: "600",
+    color: COLORS.textDark,
+  },
+  itemAuthor: {
+    marginTop: 2,
+    fontSize: 13,
+    color: COLORS.textSecondary,
+  },
+  itemDate: {
+    marginTop: 4,
+    fontSize: 12,
+    color: COLORS.placeholderText,
+  },
+});
+
+export default styles;
@@ -0,0 +1,76 @@
+import { StyleSheet } from "react-native";
+import COLORS from "../../constants/colors";
+
+const styles = StyleSheet.create({
+  qrCode: {
+    width: 200,
+    height: 200,
+    alignSelf: "center",
+    marginBottom: 16,
+  },
+  hint: {
+    fontSize: 14,
+    color: COLORS.textSecondary,
+    textAlign: "center",
+    marginBottom: 12,
+  },
+  secret: {
+    fontSize: 15,
+    fontFamily: "JetBrainsMono-Medium",
+    color: COLORS.textPrimary,
+    textAlign: "center",
+    letterSpacing: 1,
+    marginBottom: 20,
+  },
+  codesGrid: {
+    flexDirection: "row",
+    flexWrap: "wrap",
+    justifyContent: "space-between",
+    marginBottom: 8,
+  },
+  recoveryCode: {
+    width: "48%",
+    paddingVertical: 8,
+    marginBottom: 8,
+    borderRadius: 8,
+    backgroundColor: COLORS.inputBackground,
+    fontFamily: "JetBrainsMono-Medium",
+    fontSize: 15,
+    color: COLORS.textPrimary,
+    textAlign: "center",
+  },
+  statusCard: {
+    margin: 16,
+    padding: 16,
+    borderRadius: 12,
+    borderWidth: 1,
+    borderColor: COLORS.border,
+    backgroundColor: COLORS.cardBackground,
+  },
+  statusText: {
+    fontSize: 16,
+    fontWeight: "600",
+    color: COLORS.textPrimary,
+    marginBottom: 4,
+  },
+  statusMeta: {
+    fontSize: 13,
+    color: COLORS.textSecondary,
+  },
+  secondaryButton: {
+    borderRadius: 12,
+    height: 50,
+    justifyContent: "center",
+    alignItems: "center",
+    marginTop: 12,
+    borderWidth: 1,
+    borderColor: COLORS.primary,
+  },
+  secondaryButtonText: {
+    color: COLORS.primary,
+    fontSize: 16,
+    fontWeight: "600",
+  },
+});
+
+export default styles;
@@ -0,0 +1,130 @@
+import { StyleSheet } from "react-native";
+import COLORS from "../../constants/colors";
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: COLORS.background,
+  },
+  loadingContainer: {
+    flex: 1,
+    justifyContent: "center",
+    alignItems: "center",
+  },
+  header: {
+    flexDirection: "row",
+    justifyContent: "space-between",
+    alignItems: "center",
+    paddingHorizontal: 16,
+    paddingVertical: 12,
+    borderBottomWidth: 1,
+    borderBottomColor: COLORS.border,
+  },
+  headerTitle: {
+    fontSize: 18,
+    fontWeight: "600",
+    color: COLORS.textPrimary,
+  },
+
+  // Thông tin tác phẩm
+  workInfo: {
+    padding: 16,
+    backgroundColor: COLORS.cardBackground,
+    borderBottomWidth: 1,
+    borderBottomColor: COLORS.border,
+  },
+  workTitle: {
+    fontSize: 22,
+    fontWeight: "700",
+    color: COLORS.textDark,
+  },
+  workAuthors: {
+    fontSize: 16,
+    color: COLORS.textSecondary,
+    marginTop: 4,
+  },
+  workMeta: {
+    fontSize: 13,
+    color: COLORS.textSecondary,
+    marginTop: 4,
+  },
+  averageRow: {
+    flexDirection: "row",
+    alignItems: "center",
+    marginTop: 12,
+  },
+  averageValue: {
+    fontSize: 24,
+    fontWeight: "700",
+    color: COLORS.textPrimary,
+    marginRight: 8,
+  },
+  starsRow: {
+    flexDirection: "row",
+  },
+  reviewCount: {
+    fontSize: 13,
+    color: COLORS.textSecondary,
+    marginLeft: 8,
+  },
+
+  // Danh sách review
+  reviewItem: {
+    flexDirection: "row",
+    padding: 16,
+    borderBottomWidth: 1,
+    borderBottomColor: COLORS.border,
+  },
+  reviewAvatar: {
+    width: 40,
+    height: 40,
+    borderRadius: 20,
+    marginRight: 12,
+    backgroundColor: COLORS.border,
+  },
+  reviewContent: {
+    flex: 1,
+  },
+  reviewHeader: {
+    flexDirection: "row",
+    justifyContent: "space-between",
+    alignItems: "center",
+  },
+  reviewUsername: {
+    fontSize: 15,
+    fontWeight: "600",
+    color: COLORS.textPrimary,
+  },
+  reviewDate: {
+    fontSize: 12,
+    color: COLORS.textSecondary,
+  },
+  reviewCaption: {
+    fontSize: 14,
+    color: COLORS.textDark,
+    marginTop: 6,
+    lineHeight: 20,
+  },
+  reviewImage: {
+    width: 60,
+    height: 80,
+    borderRadius: 6,
+    marginLeft: 12,
+  },
+  footerLoader: {
+    paddingVertical: 16,
+  },
+  emptyContainer: {
+    justifyContent: "center",
+    alignItems: "center",
+    paddingVertical: 40,
+  },
+  emptyText: {
+    fontSize: 16,
+    color: COLORS.textSecondary,
+    textAlign: "center",
+    marginTop: 8,
+  },
+});
+
+export default styles;
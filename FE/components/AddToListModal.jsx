@@ -0,0 +1,156 @@
+import { Ionicons } from "@expo/vector-icons";
+import { useRouter } from "expo-router";
+import { useEffect, useState } from "react";
+import {
+  ActivityIndicator,
+  Alert,
+  Modal,
+  ScrollView,
+  Text,
+  TouchableOpacity,
+  TouchableWithoutFeedback,
+  View,
+} from "react-native";
+import COLORS from "../constants/colors";
+import { API_URL } from "../constants/api";
+import { useAuthStore } from "../store/authStore";
+import { useLanguage } from "../context/LanguageContext";
+import styles from "../assets/styles/lists.styles";
+
+// Chọn danh sách của mình cho bài review đang xem - bấm để thêm / bỏ khỏi danh sách
+export default function AddToListModal({ visible, onClose, book }) {
+  const [lists, setLists] = useState([]);
+  const [isLoading, setIsLoading] = useState(false);
+  const [updatingListId, setUpdatingListId] = useState(null);
+  const { token } = useAuthStore();
+  const { t } = useLanguage();
+  const router = useRouter();
+
+  useEffect(() => {
+    if (visible && book) {
+      fetchLists();
+    }
+  }, [visible, book?._id]);
+
+  const fetchLists = async () => {
+    try {
+      setIsLoading(true);
+      const response = await fetch(
+        `${API_URL}/lists?user=me&sort=newest&limit=50&containsBook=${book._id}`,
+        { headers: { Authorization: `Bearer ${token}` } }
+      );
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.message || "Failed to fetch lists");
+      }
+      setLists(data.lists);
+    } catch (error) {
+      console.error("Error fetching lists:", error);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const toggleList = async (list) => {
+    try {
+      setUpdatingListId(list._id);
+      const response = list.bookItemId
+        ? await fetch(`${API_URL}/lists/${list._id}/items/${list.bookItemId}`, {
+            method: "DELETE",
+            headers: { Authorization: `Bearer ${token}` },
+          })
+        : await fetch(`${API_URL}/lists/${list._id}/items`, {
+            method: "POST",
+            headers: {
+              Authorization: `Bearer ${token}`,
+              "Content-Type": "application/json",
+            },
+            body: JSON.stringify({ bookId: book._id }),
+          });
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.message || "Failed to update list");
+      }
+
+      setLists((prev) =>
+        prev.map((item) =>
+          item._id === list._id
+            ? {
+                ...item,
+                bookItemId: list.bookItemId ? null : data.item._id,
+                itemCount: item.itemCount + (list.bookItemId ? -1 : 1),
+              }
+            : item
+        )
+      );
+    } catch (error) {
+      Alert.alert(t("lists.error"), error.message);
+    } finally {
+      setUpdatingListId(null);
+    }
+  };
+
+  const handleNewList = () => {
+    onClose();
+    router.push("/listedit");
+  };
+
+  return (
+    <Modal
+      transparent={true}
+      visible={visible}
+      animationType="fade"
+      onRequestClose={onClose}
+    >
+      <TouchableWithoutFeedback onPress={onClose}>
+        <View style={styles.modalOverlay}>
+          <TouchableWithoutFeedback>
+            <View style={styles.modalContent}>
+              <Text style={styles.modalTitle}>{t("lists.addToList")}</Text>
+              {isLoading ? (
+                <ActivityIndicator size="small" color={COLORS.primary} />
+              ) : lists.length === 0 ? (
+                <Text style={styles.emptyText}>{t("lists.empty_mine")}</Text>
+              ) : (
+                <ScrollView>
+                  {lists.map((list) => (
+                    <TouchableOpacity
+                      key={list._id}
+                      style={styles.modalOption}
+                      onPress={() => toggleList(list)}
+                      disabled={updatingListId !== null}
+                    >
+                      {updatingListId === list._id ? (
+                        <ActivityIndicator size="small" color={COLORS.primary} />
+                      ) : (
+                        <Ionicons
+                          name={list.bookItemId ? "checkbox" : "square-outline"}
+                          size={22}
+                          color={list.bookItemId ? COLORS.primary : COLORS.textSecondary}
+                        />
+                      )}
+                      <Text style={styles.modalOptionText} numberOfLines={1}>
+                        {list.title}
+                      </Text>
+                      {list.visibility === "private" && (
+                        <Ionicons name="lock-closed" size={14} color={COLORS.textSecondary} />
+                      )}
+                    </TouchableOpacity>
+                  ))}
+                </ScrollView>
+              )}
+              <View style={styles.modalButtons}>
+                <TouchableOpacity onPress={handleNewList}>
+                  <Text style={styles.modalLink}>+ {t("lists.newList")}</Text>
+                </TouchableOpacity>
+                <TouchableOpacity onPress={onClose}>
+                  <Text style={styles.modalClose}>{t("lists.done")}</Text>
+                </TouchableOpacity>
+              </View>
+            </View>
+          </TouchableWithoutFeedback>
+        </View>
+      </TouchableWithoutFeedback>
+    </Modal>
+  );
+}
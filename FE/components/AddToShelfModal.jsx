@@ -0,0 +1,178 @@
+import { Ionicons } from "@expo/vector-icons";
+import { useCallback, useEffect, useState } from "react";
+import {
+  ActivityIndicator,
+  Alert,
+  Modal,
+  ScrollView,
+  Text,
+  TouchableOpacity,
+  TouchableWithoutFeedback,
+  View,
+} from "react-native";
+import COLORS from "../constants/colors";
+import { API_URL } from "../constants/api";
+import { useAuthStore } from "../store/authStore";
+import { useLanguage } from "../context/LanguageContext";
+import { getShelfName } from "./ShelvesTab";
+import styles from "../assets/styles/shelves.styles";
+
+const STATUS_SHELF_TYPES = ["want_to_read", "reading", "finished"];
+
+// Chọn kệ cho cuốn sách đang xem - bấm để thêm / bỏ khỏi kệ
+export default function AddToShelfModal({ visible, onClose, book }) {
+  const [shelves, setShelves] = useState([]);
+  const [isLoading, setIsLoading] = useState(false);
+  const [updatingShelfId, setUpdatingShelfId] = useState(null);
+  // Bài review cũ có thể chưa gắn Work - server gắn khi thêm vào kệ lần đầu
+  const [workId, setWorkId] = useState(book?.work || null);
+  const bookId = book?._id;
+  const bookWorkId = book?.work;
+  const { token } = useAuthStore();
+  const { t } = useLanguage();
+
+  const fetchShelves = useCallback(async (currentWorkId) => {
+    try {
+      setIsLoading(true);
+      const response = await fetch(
+        `${API_URL}/users/me/shelves${
+          currentWorkId ? `?workId=${currentWorkId}` : ""
+        }`,
+        { headers: { Authorization: `Bearer ${token}` } }
+      );
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.message || "Failed to fetch shelves");
+      }
+      setShelves(data.shelves);
+    } catch (error) {
+      console.error("Error fetching shelves:", error);
+    } finally {
+      setIsLoading(false);
+    }
+  }, [token]);
+
+  useEffect(() => {
+    if (visible && bookId) {
+      setWorkId(bookWorkId || null);
+      fetchShelves(bookWorkId);
+    }
+  }, [visible, bookId, bookWorkId, fetchShelves]);
+
+  const toggleShelf = async (shelf) => {
+    try {
+      setUpdatingShelfId(shelf._id);
+      const response = shelf.containsWork
+        ? await fetch(
+            `${API_URL}/users/me/shelves/${shelf._id}/items/${workId}`,
+            {
+              method: "DELETE",
+              headers: { Authorization: `Bearer ${token}` },
+            }
+          )
+        : await fetch(`${API_URL}/users/me/shelves/${shelf._id}/items`, {
+            method: "POST",
+            headers: {
+              Authorization: `Bearer ${token}`,
+              "Content-Type": "application/json",
+            },
+            body: JSON.stringify({ bookId: book._id }),
+          });
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.message || "Failed to update shelf");
+      }
+
+      if (data.workId) {
+        setWorkId(data.workId);
+      }
+
+      // Thêm vào kệ trạng thái thì sách tự rời các kệ trạng thái khác
+      const movedFrom = data.movedFrom || [];
+      setShelves((prev) =>
+        prev.map((item) => {
+          if (item._id === shelf._id) {
+            return {
+              ...item,
+              containsWork: !shelf.containsWork,
+              itemCount: item.itemCount + (shelf.containsWork ? -1 : 1),
+            };
+          }
+          if (movedFrom.includes(item._id)) {
+            return { ...item, containsWork: false, itemCount: item.itemCount - 1 };
+          }
+          return item;
+        })
+      );
+    } catch (error) {
+      Alert.alert(t("shelves.error"), error.message);
+    } finally {
+      setUpdatingShelfId(null);
+    }
+  };
+
+  const renderShelfOption = (shelf) => {
+    const isStatusShelf = STATUS_SHELF_TYPES.includes(shelf.type);
+    const checkedIcon = isStatusShelf ? "radio-button-on" : "checkbox";
+    const uncheckedIcon = isStatusShelf ? "radio-button-off" : "square-outline";
+
+    return (
+      <TouchableOpacity
+        key={shelf._id}
+        style={styles.shelfOption}
+        onPress={() => toggleShelf(shelf)}
+        disabled={updatingShelfId !== null}
+      >
+        {updatingShelfId === shelf._id ? (
+          <ActivityIndicator size="small" color={COLORS.primary} />
+        ) : (
+          <Ionicons
+            name={shelf.containsWork ? checkedIcon : uncheckedIcon}
+            size={22}
+            color={shelf.containsWork ? COLORS.primary : COLORS.textSecondary}
+          />
+        )}
+        <Text style={styles.shelfOptionText} numberOfLines={1}>
+          {getShelfName(shelf, t)}
+        </Text>
+        {shelf.visibility === "private" && (
+          <Ionicons name="lock-closed" size={14} color={COLORS.textSecondary} />
+        )}
+      </TouchableOpacity>
+    );
+  };
+
+  return (
+    <Modal
+      transparent={true}
+      visible={visible}
+      animationType="fade"
+      onRequestClose={onClose}
+    >
+      <TouchableWithoutFeedback onPress={onClose}>
+        <View style={styles.modalOverlay}>
+          <TouchableWithoutFeedback>
+            <View style={styles.modalContent}>
+              <Text style={styles.modalTitle}>{t("shelves.addToShelf")}</Text>
+              {isLoading ? (
+                <ActivityIndicator size="small" color={COLORS.primary} />
+              ) : (
+                <ScrollView>{shelves.map(renderShelfOption)}</ScrollView>
+              )}
+              <View style={styles.modalButtons}>
+                <TouchableOpacity
+                  style={[styles.modalButton, styles.modalButtonPrimary]}
+                  onPress={onClose}
+                >
+                  <Text style={[styles.modalButtonText, styles.modalButtonPrimaryText]}>
+                    {t("shelves.done")}
+                  </Text>
+                </TouchableOpacity>
+              </View>
+            </View>
+          </TouchableWithoutFeedback>
+        </View>
+      </TouchableWithoutFeedback>
+    </Modal>
+  );
+}
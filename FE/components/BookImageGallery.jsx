@@ -0,0 +1,65 @@
+import { Image } from "expo-image";
+import { useState } from "react";
+import { ScrollView, Text, TouchableOpacity, View } from "react-native";
+import styles from "../assets/styles/bookdetail.styles";
+
+// Ảnh của bài review dạng vuốt ngang, có chấm chỉ trang và số thứ tự ảnh
+// placeholders: blurhash theo từng ảnh (có thể thiếu với bài cũ)
+export default function BookImageGallery({ images, placeholders = [], onPressImage }) {
+  const [width, setWidth] = useState(0);
+  const [activeIndex, setActiveIndex] = useState(0);
+
+  const handleScrollEnd = (event) => {
+    if (!width) return;
+    setActiveIndex(Math.round(event.nativeEvent.contentOffset.x / width));
+  };
+
+  return (
+    <View
+      style={styles.bookImageContainer}
+      onLayout={(event) => setWidth(event.nativeEvent.layout.width)}
+    >
+      <ScrollView
+        horizontal
+        pagingEnabled
+        showsHorizontalScrollIndicator={false}
+        onMomentumScrollEnd={handleScrollEnd}
+        scrollEnabled={images.length > 1}
+      >
+        {images.map((uri, index) => (
+          <TouchableOpacity
+            key={`${uri}-${index}`}
+            onPress={() => onPressImage(index)}
+            activeOpacity={0.8}
+            style={{ width, height: "100%" }}
+          >
+            <Image
+              source={{ uri }}
+              placeholder={placeholders[index] ? { blurhash: placeholders[index] } : undefined}
+              transition={200}
+              style={styles.bookImage}
+            />
+          </TouchableOpacity>
+        ))}
+      </ScrollView>
+
+      {images.length > 1 && (
+        <>
+          <View style={styles.galleryCounter}>
+            <Text style={styles.galleryCounterText}>
+              {activeIndex + 1}/{images.length}
+            </Text>
+          </View>
+          <View style={styles.galleryDots}>
+            {images.map((uri, index) => (
+              <View
+                key={`${uri}-dot-${index}`}
+                style={[styles.galleryDot, index === activeIndex && styles.galleryDotActive]}
+              />
+            ))}
+          </View>
+        </>
+      )}
+    </View>
+  );
+}
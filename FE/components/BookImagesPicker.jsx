@@ -0,0 +1,153 @@
+import { Ionicons } from "@expo/vector-icons";
+import { Image } from "expo-image";
+import { useEffect, useState } from "react";
+import { Alert, Platform, ScrollView, Text, TouchableOpacity, View } from "react-native";
+import * as FileSystem from "expo-file-system";
+import * as ImagePicker from "expo-image-picker";
+import COLORS from "../constants/colors";
+import { API_URL } from "../constants/api";
+import { useLanguage } from "../context/LanguageContext";
+import { uploadImageFile } from "../lib/uploads";
+import style from "../assets/styles/create.styles";
+
+// Dùng khi chưa lấy được giới hạn từ server
+const DEFAULT_MAX_IMAGES = 5;
+
+/**
+ * Giá trị gửi lên server cho mảng images: upload ảnh mới qua /api/uploads rồi gửi
+ * tham chiếu "upload:<token>", ảnh đã có thì giữ URL.
+ * @param {{ uri: string, mimeType?: string, isNew: boolean }[]} images
+ * @param {string} token - JWT
+ * @returns {Promise<string[]>}
+ */
+export const imagesForRequest = (images, token) =>
+  Promise.all(
+    images.map((image) => (image.isNew ? uploadImageFile(image, "book", token) : image.uri))
+  );
+
+// Chọn nhiều ảnh cho bài review: thêm, xóa, đổi thứ tự. Ảnh đầu tiên là ảnh bìa.
+// images: [{ uri, mimeType, isNew }] - isNew = false với ảnh đã upload trước đó
+export default function BookImagesPicker({ images, onChange, maxImageSize, onTooLarge }) {
+  const [maxImages, setMaxImages] = useState(DEFAULT_MAX_IMAGES);
+  const { t } = useLanguage();
+
+  useEffect(() => {
+    const fetchLimits = async () => {
+      try {
+        const response = await fetch(`${API_URL}/books/limits`);
+        const data = await response.json();
+        if (response.ok && data.maxImages) {
+          setMaxImages(data.maxImages);
+        }
+      } catch (error) {
+        console.error("Error fetching image limits:", error);
+      }
+    };
+    fetchLimits();
+  }, []);
+
+  const pickImage = async () => {
+    if (images.length >= maxImages) {
+      Alert.alert(t("create.maximg").replace("{max}", maxImages));
+      return;
+    }
+    try {
+      if (Platform.OS !== "web") {
+        const { status } = await ImagePicker.requestMediaLibraryPermissionsAsync();
+        if (status !== "granted") {
+          Alert.alert("Permission to access camera roll is required!");
+          return;
+        }
+      }
+      const result = await ImagePicker.launchImageLibraryAsync({
+        mediaTypes: "images",
+        allowsEditing: true,
+        aspect: [4, 3],
+        quality: 0.5,
+      });
+      if (result.canceled) return;
+
+      const asset = result.assets[0];
+      const fileInfo = await FileSystem.getInfoAsync(asset.uri);
+      if (fileInfo.size > maxImageSize) {
+        onTooLarge();
+        return;
+      }
+      onChange([...images, { uri: asset.uri, mimeType: asset.mimeType, isNew: true }]);
+    } catch (error) {
+      console.error("Error picking image: ", error);
+      Alert.alert("Error picking image");
+    }
+  };
+
+  const removeImage = (index) => {
+    onChange(images.filter((_, i) => i !== index));
+  };
+
+  // Đổi chỗ ảnh với ảnh bên cạnh (direction: -1 trái, 1 phải)
+  const moveImage = (index, direction) => {
+    const target = index + direction;
+    if (target < 0 || target >= images.length) return;
+    const next = [...images];
+    [next[index], next[target]] = [next[target], next[index]];
+    onChange(next);
+  };
+
+  if (images.length === 0) {
+    return (
+      <TouchableOpacity style={style.imagePicker} onPress={pickImage}>
+        <View style={style.placeholderContainer}>
+          <Ionicons name="image-outline" size={40} color={COLORS.textSecondary} />
+          <Text style={style.placeholderText}>{t("create.selectimg")}</Text>
+        </View>
+      </TouchableOpacity>
+    );
+  }
+
+  return (
+    <View>
+      <ScrollView horizontal showsHorizontalScrollIndicator={false}>
+        {images.map((image, index) => (
+          <View key={`${image.uri}-${index}`} style={style.imageThumbContainer}>
+            <Image source={{ uri: image.uri }} style={style.imageThumb} contentFit="cover" />
+            {index === 0 && (
+              <View style={style.coverBadge}>
+                <Text style={style.coverBadgeText}>{t("create.coverimg")}</Text>
+              </View>
+            )}
+            <TouchableOpacity style={style.removeImageButton} onPress={() => removeImage(index)}>
+              <Ionicons name="close" size={16} color={COLORS.white} />
+            </TouchableOpacity>
+            <View style={style.imageThumbActions}>
+              <TouchableOpacity onPress={() => moveImage(index, -1)} disabled={index === 0}>
+                <Ionicons
+                  name="chevron-back"
+                  size={20}
+                  color={index === 0 ? COLORS.placeholderText : COLORS.textPrimary}
+                />
+              </TouchableOpacity>
+              <TouchableOpacity
+                onPress={() => moveImage(index, 1)}
+                disabled={index === images.length - 1}
+              >
+                <Ionicons
+                  name="chevron-forward"
+                  size={20}
+                  color={index === images.length - 1 ? COLORS.placeholderText : COLORS.textPrimary}
+                />
+              </TouchableOpacity>
+            </View>
+          </View>
+        ))}
+        {images.length < maxImages && (
+          <TouchableOpacity style={style.addImageTile} onPress={pickImage}>
+            <Ionicons name="add" size={32} color={COLORS.textSecondary} />
+          </TouchableOpacity>
+        )}
+      </ScrollView>
+      <Text style={style.imageCountText}>
+        {t("create.imgcount").replace("{count}", images.length).replace("{max}", maxImages)}
+      </Text>
+    </View>
+  );
+}
@@ -0,0 +1,279 @@
+import { Ionicons } from "@expo/vector-icons";
+import { Image } from "expo-image";
+import { useCallback, useEffect, useState } from "react";
+import {
+  ActivityIndicator,
+  Alert,
+  Modal,
+  ScrollView,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  View,
+} from "react-native";
+import COLORS from "../constants/colors";
+import { API_URL } from "../constants/api";
+import { useAuthStore } from "../store/authStore";
+import { useLanguage } from "../context/LanguageContext";
+import styles from "../assets/styles/challenge.styles";
+
+const COUNT_SOURCES = ["finished", "reviews"];
+
+// Thẻ thử thách đọc sách năm nay trên trang cá nhân: tiến độ, đặt mục tiêu, bảng xếp hạng
+export default function ChallengeCard({ refreshKey = 0 }) {
+  const [challenge, setChallenge] = useState(null);
+  const [progress, setProgress] = useState(null);
+  const [year, setYear] = useState(new Date().getFullYear());
+  const [isLoading, setIsLoading] = useState(true);
+  const [showGoalModal, setShowGoalModal] = useState(false);
+  const [goalInput, setGoalInput] = useState("");
+  const [sourceInput, setSourceInput] = useState("finished");
+  const [isSaving, setIsSaving] = useState(false);
+  const [leaderboard, setLeaderboard] = useState(null); // null = đang đóng
+  const { token } = useAuthStore();
+  const { t } = useLanguage();
+
+  const applyResponse = useCallback((data) => {
+    setYear(data.year);
+    setChallenge(data.challenge);
+    setProgress(data.progress);
+  }, []);
+
+  const fetchChallenge = useCallback(async () => {
+    try {
+      const response = await fetch(`${API_URL}/challenges/me`, {
+        headers: { Authorization: `Bearer ${token}` },
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.message || "Failed to fetch challenge");
+      }
+      applyResponse(data);
+    } catch (error) {
+      console.error("Error fetching reading challenge:", error);
+    } finally {
+      setIsLoading(false);
+    }
+  }, [token, applyResponse]);
+
+  useEffect(() => {
+    fetchChallenge();
+  }, [refreshKey, fetchChallenge]);
+
+  const openGoalModal = () => {
+    setGoalInput(challenge ? String(challenge.goal) : "");
+    setSourceInput(challenge?.countSource || "finished");
+    setShowGoalModal(true);
+  };
+
+  const handleSaveGoal = async () => {
+    const goal = parseInt(goalInput);
+    if (!goal || goal < 1) {
+      Alert.alert(t("challenge.error"), t("challenge.invalidGoal"));
+      return;
+    }
+    try {
+      setIsSaving(true);
+      const response = await fetch(`${API_URL}/challenges/me`, {
+        method: "PUT",
+        headers: {
+          Authorization: `Bearer ${token}`,
+          "Content-Type": "application/json",
+        },
+        body: JSON.stringify({ goal, countSource: sourceInput, year }),
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.message || "Failed to save challenge");
+      }
+      applyResponse(data);
+      setShowGoalModal(false);
+    } catch (error) {
+      Alert.alert(t("challenge.error"), error.message);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const openLeaderboard = async () => {
+    setLeaderboard([]);
+    try {
+      const response = await fetch(`${API_URL}/challenges/leaderboard?year=${year}`, {
+        headers: { Authorization: `Bearer ${token}` },
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.message || "Failed to fetch leaderboard");
+      }
+      setLeaderboard(data.leaderboard);
+    } catch (error) {
+      setLeaderboard(null);
+      Alert.alert(t("challenge.error"), error.message);
+    }
+  };
+
+  if (isLoading) {
+    return null;
+  }
+
+  return (
+    <View style={styles.card}>
+      <View style={styles.cardHeader}>
+        <View style={styles.cardTitleRow}>
+          <Ionicons name="trophy-outline" size={20} color={COLORS.primary} />
+          <Text style={styles.cardTitle}>
+            {t("challenge.title")} {year}
+          </Text>
+        </View>
+        {challenge && (
+          <TouchableOpacity onPress={openGoalModal}>
+            <Text style={styles.editLink}>{t("challenge.edit")}</Text>
+          </TouchableOpacity>
+        )}
+      </View>
+
+      {challenge && progress ? (
+        <>
+          <Text style={styles.progressText}>
+            <Text style={styles.progressCount}>{progress.completed}</Text>
+            {` / ${progress.goal} ${t("challenge.books")}`}
+          </Text>
+          <View style={styles.progressTrack}>
+            <View style={[styles.progressFill, { width: `${progress.percent}%` }]} />
+          </View>
+          {progress.isCompleted && (
+            <Text style={styles.completedText}>{t("challenge.completed")}</Text>
+          )}
+          <View style={styles.cardFooter}>
+            <Text style={styles.sourceText}>
+              {t(`challenge.source_${challenge.countSource}`)}
+            </Text>
+            <TouchableOpacity onPress={openLeaderboard}>
+              <Text style={styles.editLink}>{t("challenge.leaderboard")}</Text>
+            </TouchableOpacity>
+          </View>
+        </>
+      ) : (
+        <TouchableOpacity style={styles.setGoalButton} onPress={openGoalModal}>
+          <Text style={styles.setGoalButtonText}>{t("challenge.setGoal")}</Text>
+        </TouchableOpacity>
+      )}
+
+      {/* Modal đặt mục tiêu */}
+      <Modal
+        transparent={true}
+        visible={showGoalModal}
+        animationType="fade"
+        onRequestClose={() => setShowGoalModal(false)}
+      >
+        <View style={styles.modalOverlay}>
+          <View style={styles.modalContent}>
+            <Text style={styles.modalTitle}>
+              {t("challenge.goalFor")} {year}
+            </Text>
+            <Text style={styles.label}>{t("challenge.goalLabel")}</Text>
+            <TextInput
+              style={styles.input}
+              value={goalInput}
+              onChangeText={(text) => setGoalInput(text.replace(/[^0-9]/g, ""))}
+              keyboardType="number-pad"
+              placeholder="24"
+              placeholderTextColor={COLORS.placeholderText}
+              maxLength={4}
+            />
+            <Text style={styles.label}>{t("challenge.countBy")}</Text>
+            <View style={styles.chipRow}>
+              {COUNT_SOURCES.map((source) => (
+                <TouchableOpacity
+                  key={source}
+                  style={[styles.chip, sourceInput === source && styles.chipActive]}
+                  onPress={() => setSourceInput(source)}
+                >
+                  <Text
+                    style={[styles.chipText, sourceInput === source && styles.chipTextActive]}
+                  >
+                    {t(`challenge.source_${source}`)}
+                  </Text>
+                </TouchableOpacity>
+              ))}
+            </View>
+            <View style={styles.modalButtons}>
+              <TouchableOpacity
+                style={styles.modalButton}
+                onPress={() => setShowGoalModal(false)}
+              >
+                <Text style={styles.modalButtonText}>{t("challenge.cancel")}</Text>
+              </TouchableOpacity>
+              <TouchableOpacity
+                style={[styles.modalButton, styles.modalButtonPrimary]}
+                onPress={handleSaveGoal}
+                disabled={isSaving}
+              >
+                {isSaving ? (
+                  <ActivityIndicator size="small" color={COLORS.white} />
+                ) : (
+                  <Text style={[styles.modalButtonText, styles.modalButtonPrimaryText]}>
+                    {t("challenge.save")}
+                  </Text>
+                )}
+              </TouchableOpacity>
+            </View>
+          </View>
+        </View>
+      </Modal>
+
+      {/* Modal bảng xếp hạng */}
+      <Modal
+        transparent={true}
+        visible={leaderboard !== null}
+        animationType="fade"
+        onRequestClose={() => setLeaderboard(null)}
+      >
+        <View style={styles.modalOverlay}>
+          <View style={styles.modalContent}>
+            <Text style={styles.modalTitle}>
+              {t("challenge.leaderboard")} {year}
+            </Text>
+            <ScrollView>
+              {leaderboard?.length === 0 ? (
+                <Text style={styles.emptyText}>{t("challenge.emptyLeaderboard")}</Text>
+              ) : (
+                leaderboard?.map((entry) => (
+                  <View
+                    key={entry.user._id}
+                    style={[styles.leaderRow, entry.isMe && styles.leaderRowMe]}
+                  >
+                    <Text style={styles.leaderRank}>{entry.rank}</Text>
+                    <Image
+                      source={{ uri: entry.user.profileImage }}
+                      style={styles.leaderAvatar}
+                    />
+                    <View style={styles.leaderInfo}>
+                      <Text style={styles.leaderName}>{entry.user.username}</Text>
+                      <Text style={styles.leaderProgress}>
+                        {entry.completed} / {entry.goal} {t("challenge.books")} · {entry.percent}%
+                      </Text>
+                    </View>
+                    {entry.isCompleted && (
+                      <Ionicons name="trophy" size={18} color="#f4b400" />
+                    )}
+                  </View>
+                ))
+              )}
+            </ScrollView>
+            <View style={styles.modalButtons}>
+              <TouchableOpacity
+                style={[styles.modalButton, styles.modalButtonPrimary]}
+                onPress={() => setLeaderboard(null)}
+              >
+                <Text style={[styles.modalButtonText, styles.modalButtonPrimaryText]}>
+                  {t("challenge.close")}
+                </Text>
+              </TouchableOpacity>
+            </View>
+          </View>
+        </View>
+      </Modal>
+    </View>
+  );
+}
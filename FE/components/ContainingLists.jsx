@@ -0,0 +1,78 @@
+import { useRouter } from "expo-router";
+import { useCallback, useEffect, useState } from "react";
+import { ScrollView, Text, TouchableOpacity, View } from "react-native";
+import { API_URL } from "../constants/api";
+import { useAuthStore } from "../store/authStore";
+import { useLanguage } from "../context/LanguageContext";
+import AddToListModal from "./AddToListModal";
+import { ListCover } from "./ListCard";
+import styles from "../assets/styles/lists.styles";
+
+// Mục "Có trong các danh sách" ở trang chi tiết bài review, kèm nút thêm bài vào danh sách của mình
+export default function ContainingLists({ book }) {
+  const [lists, setLists] = useState([]);
+  const [showModal, setShowModal] = useState(false);
+  const bookId = book?._id;
+  const { token } = useAuthStore();
+  const { t } = useLanguage();
+  const router = useRouter();
+
+  const fetchLists = useCallback(async () => {
+    try {
+      const response = await fetch(`${API_URL}/lists/containing/${bookId}`, {
+        headers: { Authorization: `Bearer ${token}` },
+      });
+      if (!response.ok) return;
+
+      const data = await response.json();
+      setLists(data.lists);
+    } catch (error) {
+      // Chỉ là thông tin phụ - lỗi thì ẩn đi
+      console.error("Error fetching lists containing book:", error);
+    }
+  }, [bookId, token]);
+
+  useEffect(() => {
+    if (bookId) fetchLists();
+  }, [bookId, fetchLists]);
+
+  const handleCloseModal = () => {
+    setShowModal(false);
+    fetchLists();
+  };
+
+  return (
+    <View style={styles.containingSection}>
+      <View style={styles.modalButtons}>
+        <Text style={styles.containingTitle}>{t("lists.containingTitle")}</Text>
+        <TouchableOpacity onPress={() => setShowModal(true)}>
+          <Text style={styles.modalLink}>+ {t("lists.addToList")}</Text>
+        </TouchableOpacity>
+      </View>
+
+      {lists.length === 0 ? (
+        <Text style={styles.listMeta}>{t("lists.containingEmpty")}</Text>
+      ) : (
+        <ScrollView horizontal showsHorizontalScrollIndicator={false}>
+          {lists.map((list) => (
+            <TouchableOpacity
+              key={list._id}
+              style={styles.containingCard}
+              onPress={() => router.push({ pathname: "/list", params: { listId: list._id } })}
+            >
+              <ListCover list={list} style={styles.containingCover} />
+              <Text style={styles.containingName} numberOfLines={2}>
+                {list.title}
+              </Text>
+              <Text style={styles.listMeta} numberOfLines={1}>
+                {list.user?.username} · {list.itemCount} {t("lists.items")}
+              </Text>
+            </TouchableOpacity>
+          ))}
+        </ScrollView>
+      )}
+
+      <AddToListModal visible={showModal} onClose={handleCloseModal} book={book} />
+    </View>
+  );
+}
@@ -0,0 +1,62 @@
+import { Ionicons } from "@expo/vector-icons";
+import { Image } from "expo-image";
+import { Text, TouchableOpacity, View } from "react-native";
+import COLORS from "../constants/colors";
+import { useLanguage } from "../context/LanguageContext";
+import styles from "../assets/styles/lists.styles";
+
+// Ảnh bìa danh sách; chưa có ảnh bìa thì ghép vài ảnh của các mục đầu tiên
+export function ListCover({ list, style }) {
+  if (list.coverImage) {
+    return <Image source={{ uri: list.coverImage }} style={style} contentFit="cover" />;
+  }
+  if (list.previewImages?.length > 0) {
+    return (
+      <View style={[style, styles.listPreview]}>
+        {list.previewImages.map((image, index) => (
+          <Image
+            key={index}
+            source={{ uri: image }}
+            style={styles.listPreviewImage}
+            contentFit="cover"
+          />
+        ))}
+      </View>
+    );
+  }
+  return (
+    <View style={[style, styles.listCoverEmpty]}>
+      <Ionicons name="list-outline" size={24} color={COLORS.textSecondary} />
+    </View>
+  );
+}
+
+// Thẻ một danh sách trong màn hình duyệt danh sách
+export default function ListCard({ list, onPress }) {
+  const { t } = useLanguage();
+
+  return (
+    <TouchableOpacity style={styles.listCard} onPress={onPress}>
+      <ListCover list={list} style={styles.listCover} />
+      <View style={styles.listInfo}>
+        <View style={styles.listTitleRow}>
+          <Text style={styles.listTitle} numberOfLines={2}>
+            {list.title}
+          </Text>
+          {list.visibility === "private" && (
+            <Ionicons
+              name="lock-closed"
+              size={14}
+              color={COLORS.textSecondary}
+              style={{ marginLeft: 6 }}
+            />
+          )}
+        </View>
+        <Text style={styles.listMeta} numberOfLines={1}>
+          {list.user?.username ? `${list.user.username} · ` : ""}
+          {list.itemCount} {t("lists.items")} · {list.followersCount} {t("lists.followers")}
+        </Text>
+      </View>
+    </TouchableOpacity>
+  );
+}
@@ -0,0 +1,47 @@
+import { Text } from "react-native";
+import { useRouter } from "expo-router";
+import COLORS from "../constants/colors";
+
+// Render text có @mention: mỗi mention (start/end do backend trả về) là link tới trang cá nhân
+export default function MentionText({ text, mentions, style, onPressMention }) {
+  const router = useRouter();
+
+  if (!text || !mentions || mentions.length === 0) {
+    return <Text style={style}>{text}</Text>;
+  }
+
+  const openProfile = (userId) => {
+    if (onPressMention) {
+      onPressMention(userId);
+    } else {
+      router.push({ pathname: "/userprofile", params: { userId } });
+    }
+  };
+
+  const parts = [];
+  let cursor = 0;
+  [...mentions]
+    .sort((a, b) => a.start - b.start)
+    .forEach((mention, index) => {
+      // Bỏ qua range không hợp lệ (text đã bị sửa, range chồng nhau)
+      if (mention.start < cursor || mention.end > text.length) return;
+      if (mention.start > cursor) {
+        parts.push(text.slice(cursor, mention.start));
+      }
+      parts.push(
+        <Text
+          key={`mention-${index}`}
+          style={{ color: COLORS.primary, fontWeight: "600" }}
+          onPress={() => openProfile(mention.user)}
+        >
+          {text.slice(mention.start, mention.end)}
+        </Text>
+      );
+      cursor = mention.end;
+    });
+  if (cursor < text.length) {
+    parts.push(text.slice(cursor));
+  }
+
+  return <Text style={style}>{parts}</Text>;
+}
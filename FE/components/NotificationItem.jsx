@@ -89,10 +89,19 @@ const NotificationItem = ({ notification, onLongPress, onNotificationRead }) =>
           source: { uri: notification.sender?.profileImage.replace("/svg?", "/png?") }
         };
       case 'new_comment':
+      case 'new_reply':
+      case 'mention':
+      case 'reading_finished':
         return {
           type: 'avatar',
           source: { uri: notification.sender?.profileImage.replace("/svg?", "/png?") }
         };
+      case 'challenge_completed':
+        return {
+          type: 'icon',
+          name: 'trophy',
+          color: COLORS.primary
+        };
       default:
         return {
           type: 'icon',
@@ -133,6 +142,11 @@ const NotificationItem = ({ notification, onLongPress, onNotificationRead }) =>
               ...params
             }
           });
+        } else if (segments[0] === 'works' && segments[1]) {
+          router.push({
+            pathname: "/work",
+            params: { workId: segments[1] }
+          });
         } else if (segments[0] === 'profile' && segments[1]) {
           router.push({
             pathname: "/userprofile",
@@ -144,7 +158,7 @@ const NotificationItem = ({ notification, onLongPress, onNotificationRead }) =>
       }
     } else {
       // Fallback navigation based on type
-      if (notification.type === 'new_like_on_book' || notification.type === 'new_comment') {
+      if (notification.type === 'new_like_on_book' || notification.type === 'new_comment' || notification.type === 'new_reply' || notification.type === 'mention') {
         if (notification.relatedItemId && notification.relatedItemType === 'Book') {
           router.push({
             pathname: "/bookdetail",
@@ -181,6 +181,11 @@ const NotificationPopup = () => {
             pathname: "/bookdetail",
             params: params
           });
+        } else if (linkParts[1] === 'works' && linkParts[2]) {
+          router.push({
+            pathname: "/work",
+            params: { workId: linkParts[2] }
+          });
         } else if (linkParts[1] === 'users' && linkParts[2]) {
           router.push({
             pathname: "/userprofile",
@@ -192,7 +197,7 @@ const NotificationPopup = () => {
         }
       } else {
         // Xử lý theo loại thông báo
-        if (notification.type === 'new_like_on_book' || notification.type === 'new_comment') {
+        if (notification.type === 'new_like_on_book' || notification.type === 'new_comment' || notification.type === 'new_reply' || notification.type === 'mention') {
           // Thêm validation cho relatedItemId
           if (notification.relatedItemId) {
             const bookId = notification.relatedItemId._id || notification.relatedItemId;
@@ -244,9 +249,20 @@ const NotificationPopup = () => {
           ? { type: 'image', source: notification.sender.profileImage }
           : { type: 'icon', name: 'heart', color: COLORS.primary };
       case 'new_comment':
+      case 'new_reply':
         return notification.sender && notification.sender.profileImage
           ? { type: 'image', source: notification.sender.profileImage }
           : { type: 'icon', name: 'chatbubble', color: COLORS.primary };
+      case 'mention':
+        return notification.sender && notification.sender.profileImage
+          ? { type: 'image', source: notification.sender.profileImage }
+          : { type: 'icon', name: 'at', color: COLORS.primary };
+      case 'reading_finished':
+        return notification.sender && notification.sender.profileImage
+          ? { type: 'image', source: notification.sender.profileImage }
+          : { type: 'icon', name: 'book', color: COLORS.primary };
+      case 'challenge_completed':
+        return { type: 'icon', name: 'trophy', color: COLORS.primary };
       default:
         return { type: 'icon', name: 'notifications', color: COLORS.primary };
     }
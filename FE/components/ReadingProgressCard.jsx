@@ -0,0 +1,314 @@
+import { Ionicons } from "@expo/vector-icons";
+import { useCallback, useEffect, useState } from "react";
+import {
+  ActivityIndicator,
+  Alert,
+  Modal,
+  Switch,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  View,
+} from "react-native";
+import COLORS from "../constants/colors";
+import { API_URL } from "../constants/api";
+import { useAuthStore } from "../store/authStore";
+import { useLanguage } from "../context/LanguageContext";
+import styles from "../assets/styles/reading.styles";
+
+// Thẻ tiến độ đọc của mình cho cuốn sách đang xem: bắt đầu đọc, ghi tiến độ / nhật ký, đọc xong
+export default function ReadingProgressCard({ book }) {
+  const [session, setSession] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [modal, setModal] = useState(null); // "start" | "progress" | "finish"
+  const [totalPages, setTotalPages] = useState("");
+  const [progressMode, setProgressMode] = useState("page"); // "page" | "percent"
+  const [progressValue, setProgressValue] = useState("");
+  const [note, setNote] = useState("");
+  const [notifyFollowers, setNotifyFollowers] = useState(true);
+  const workId = book?.work;
+  const { token } = useAuthStore();
+  const { t } = useLanguage();
+
+  const fetchActiveSession = useCallback(async () => {
+    try {
+      setIsLoading(true);
+      const response = await fetch(
+        `${API_URL}/reading/sessions?status=reading&workId=${workId}`,
+        { headers: { Authorization: `Bearer ${token}` } }
+      );
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.message || "Failed to fetch reading session");
+      }
+      setSession(data.sessions[0] || null);
+    } catch (error) {
+      console.error("Error fetching reading session:", error);
+    } finally {
+      setIsLoading(false);
+    }
+  }, [workId, token]);
+
+  useEffect(() => {
+    if (workId) {
+      fetchActiveSession();
+    } else {
+      setIsLoading(false);
+    }
+  }, [workId, fetchActiveSession]);
+
+  const closeModal = () => {
+    setModal(null);
+    setProgressValue("");
+    setNote("");
+  };
+
+  // Gửi request chung cho 3 thao tác, cập nhật lại session từ response
+  const submit = async (url, method, body, successMessage) => {
+    try {
+      setIsSubmitting(true);
+      const response = await fetch(url, {
+        method,
+        headers: {
+          Authorization: `Bearer ${token}`,
+          "Content-Type": "application/json",
+        },
+        body: JSON.stringify(body),
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.message || "Request failed");
+      }
+
+      setSession(data.session.status === "reading" ? data.session : null);
+      closeModal();
+      if (successMessage) {
+        Alert.alert(t("reading.title"), successMessage);
+      }
+    } catch (error) {
+      Alert.alert(t("reading.error"), error.message);
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const handleStart = () =>
+    submit(`${API_URL}/reading/sessions`, "POST", {
+      bookId: book._id,
+      totalPages: totalPages ? parseInt(totalPages) : undefined,
+    });
+
+  const handleLogProgress = () => {
+    const value = progressValue ? parseInt(progressValue) : undefined;
+    submit(`${API_URL}/reading/sessions/${session._id}/entries`, "POST", {
+      page: progressMode === "page" ? value : undefined,
+      percent: progressMode === "percent" ? value : undefined,
+      note,
+    });
+  };
+
+  const handleFinish = () =>
+    submit(
+      `${API_URL}/reading/sessions/${session._id}/finish`,
+      "POST",
+      { note, notifyFollowers },
+      t("reading.finishedMessage")
+    );
+
+  const renderModalContent = () => {
+    if (modal === "start") {
+      return (
+        <>
+          <Text style={styles.modalTitle}>{t("reading.startReading")}</Text>
+          <Text style={styles.label}>{t("reading.totalPages")}</Text>
+          <TextInput
+            style={styles.input}
+            value={totalPages}
+            onChangeText={(text) => setTotalPages(text.replace(/[^0-9]/g, ""))}
+            keyboardType="number-pad"
+            placeholder="320"
+            placeholderTextColor={COLORS.placeholderText}
+          />
+        </>
+      );
+    }
+
+    if (modal === "progress") {
+      return (
+        <>
+          <Text style={styles.modalTitle}>{t("reading.updateProgress")}</Text>
+          <View style={styles.modeRow}>
+            {["page", "percent"].map((mode) => (
+              <TouchableOpacity
+                key={mode}
+                style={[styles.modeChip, progressMode === mode && styles.modeChipActive]}
+                onPress={() => setProgressMode(mode)}
+              >
+                <Text
+                  style={[
+                    styles.modeChipText,
+                    progressMode === mode && styles.modeChipTextActive,
+                  ]}
+                >
+                  {t(`reading.${mode}`)}
+                </Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+          <TextInput
+            style={styles.input}
+            value={progressValue}
+            onChangeText={(text) => setProgressValue(text.replace(/[^0-9]/g, ""))}
+            keyboardType="number-pad"
+            placeholder={
+              progressMode === "page"
+                ? session?.totalPages
+                  ? `0 - ${session.totalPages}`
+                  : "0"
+                : "0 - 100"
+            }
+            placeholderTextColor={COLORS.placeholderText}
+          />
+          <Text style={styles.label}>{t("reading.note")}</Text>
+          <TextInput
+            style={[styles.input, styles.noteInput]}
+            value={note}
+            onChangeText={setNote}
+            multiline
+            maxLength={2000}
+            placeholder={t("reading.notePlaceholder")}
+            placeholderTextColor={COLORS.placeholderText}
+          />
+        </>
+      );
+    }
+
+    return (
+      <>
+        <Text style={styles.modalTitle}>{t("reading.markFinished")}</Text>
+        <Text style={styles.label}>{t("reading.note")}</Text>
+        <TextInput
+          style={[styles.input, styles.noteInput]}
+          value={note}
+          onChangeText={setNote}
+          multiline
+          maxLength={2000}
+          placeholder={t("reading.notePlaceholder")}
+          placeholderTextColor={COLORS.placeholderText}
+        />
+        {session?.visibility !== "private" && (
+          <View style={styles.switchRow}>
+            <Text style={styles.switchLabel}>{t("reading.notifyFollowers")}</Text>
+            <Switch
+              value={notifyFollowers}
+              onValueChange={setNotifyFollowers}
+              trackColor={{ true: COLORS.primary }}
+            />
+          </View>
+        )}
+      </>
+    );
+  };
+
+  const modalActions = {
+    start: handleStart,
+    progress: handleLogProgress,
+    finish: handleFinish,
+  };
+
+  if (isLoading) {
+    return null;
+  }
+
+  return (
+    <View style={styles.progressCard}>
+      <View style={styles.progressHeader}>
+        <Text style={styles.progressTitle}>
+          {session ? t("reading.currentlyReading") : t("reading.title")}
+        </Text>
+        {session && (
+          <Text style={styles.progressText}>
+            {session.totalPages
+              ? `${session.currentPage}/${session.totalPages} · ${session.percent}%`
+              : `${session.percent}%`}
+          </Text>
+        )}
+      </View>
+
+      {session && (
+        <View style={styles.progressTrack}>
+          <View style={[styles.progressFill, { width: `${session.percent}%` }]} />
+        </View>
+      )}
+
+      <View style={styles.progressActions}>
+        {session ? (
+          <>
+            <TouchableOpacity
+              style={styles.progressButton}
+              onPress={() => setModal("progress")}
+            >
+              <Ionicons name="create-outline" size={18} color={COLORS.primary} />
+              <Text style={styles.progressButtonText}>{t("reading.updateProgress")}</Text>
+            </TouchableOpacity>
+            <TouchableOpacity
+              style={[
+                styles.progressButton,
+                styles.progressButtonSpacing,
+                styles.progressButtonPrimary,
+              ]}
+              onPress={() => setModal("finish")}
+            >
+              <Ionicons name="checkmark-done" size={18} color={COLORS.white} />
+              <Text style={[styles.progressButtonText, styles.progressButtonPrimaryText]}>
+                {t("reading.markFinished")}
+              </Text>
+            </TouchableOpacity>
+          </>
+        ) : (
+          <TouchableOpacity
+            style={[styles.progressButton, styles.progressButtonPrimary]}
+            onPress={() => setModal("start")}
+          >
+            <Ionicons name="book-outline" size={18} color={COLORS.white} />
+            <Text style={[styles.progressButtonText, styles.progressButtonPrimaryText]}>
+              {t("reading.startReading")}
+            </Text>
+          </TouchableOpacity>
+        )}
+      </View>
+
+      <Modal
+        transparent={true}
+        visible={modal !== null}
+        animationType="fade"
+        onRequestClose={closeModal}
+      >
+        <View style={styles.modalOverlay}>
+          <View style={styles.modalContent}>
+            {renderModalContent()}
+            <View style={styles.modalButtons}>
+              <TouchableOpacity style={styles.modalButton} onPress={closeModal}>
+                <Text style={styles.modalButtonText}>{t("reading.cancel")}</Text>
+              </TouchableOpacity>
+              <TouchableOpacity
+                style={[styles.modalButton, styles.modalButtonPrimary]}
+                onPress={() => modal && modalActions[modal]()}
+                disabled={isSubmitting}
+              >
+                {isSubmitting ? (
+                  <ActivityIndicator size="small" color={COLORS.white} />
+                ) : (
+                  <Text style={[styles.modalButtonText, styles.modalButtonPrimaryText]}>
+                    {t("reading.save")}
+                  </Text>
+                )}
+              </TouchableOpacity>
+            </View>
+          </View>
+        </View>
+      </Modal>
+    </View>
+  );
+}
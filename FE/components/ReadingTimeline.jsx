@@ -0,0 +1,151 @@
+import { Ionicons } from "@expo/vector-icons";
+import { Image } from "expo-image";
+import { useRouter } from "expo-router";
+import { useCallback, useEffect, useState } from "react";
+import { ActivityIndicator, Text, TouchableOpacity, View } from "react-native";
+import COLORS from "../constants/colors";
+import { API_URL } from "../constants/api";
+import { useAuthStore } from "../store/authStore";
+import { useLanguage } from "../context/LanguageContext";
+import styles from "../assets/styles/reading.styles";
+
+// Chỉ lấy phần ngày của chuỗi "YYYY-MM-DD HH:mm:ss" hoặc ISO
+const formatDay = (value) => {
+  if (!value) return "";
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? String(value).split(" ")[0] : date.toLocaleDateString();
+};
+
+// Tab "Nhật ký đọc" trên trang cá nhân: các phiên đọc kèm tiến độ và ghi chú theo thời gian
+export default function ReadingTimeline({ userId, refreshKey = 0 }) {
+  const [sessions, setSessions] = useState([]);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [hasMore, setHasMore] = useState(false);
+  const [isLoading, setIsLoading] = useState(true);
+  const [isLoadingMore, setIsLoadingMore] = useState(false);
+  const { token } = useAuthStore();
+  const { t } = useLanguage();
+  const router = useRouter();
+
+  const fetchTimeline = useCallback(async (cursor = null) => {
+    try {
+      if (cursor) {
+        setIsLoadingMore(true);
+      } else {
+        setIsLoading(true);
+      }
+      const response = await fetch(
+        `${API_URL}/reading/users/${userId}/timeline?limit=10${
+          cursor ? `&cursor=${encodeURIComponent(cursor)}` : ""
+        }`,
+        { headers: { Authorization: `Bearer ${token}` } }
+      );
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.message || "Failed to fetch reading timeline");
+      }
+
+      setSessions((prev) => (cursor ? [...prev, ...data.sessions] : data.sessions));
+      setNextCursor(data.nextCursor);
+      setHasMore(data.hasMore);
+    } catch (error) {
+      console.error("Error fetching reading timeline:", error);
+    } finally {
+      setIsLoading(false);
+      setIsLoadingMore(false);
+    }
+  }, [userId, token]);
+
+  useEffect(() => {
+    if (userId) {
+      fetchTimeline();
+    }
+  }, [userId, refreshKey, fetchTimeline]);
+
+  const renderEntry = (entry) => (
+    <View key={entry._id} style={styles.entryRow}>
+      <View style={styles.entryDot} />
+      <View style={styles.entryContent}>
+        <Text style={styles.entryDate}>{formatDay(entry.date)}</Text>
+        {entry.percent !== undefined && entry.percent !== null && (
+          <Text style={styles.entryProgress}>
+            {entry.page ? `${t("reading.page")} ${entry.page} · ` : ""}
+            {entry.percent}%
+          </Text>
+        )}
+        {!!entry.note && <Text style={styles.entryNote}>{entry.note}</Text>}
+      </View>
+    </View>
+  );
+
+  const renderSession = (session) => (
+    <View key={session._id} style={styles.sessionCard}>
+      <TouchableOpacity
+        style={styles.sessionHeader}
+        onPress={() =>
+          session.work &&
+          router.push({ pathname: "/work", params: { workId: session.work._id } })
+        }
+      >
+        {session.book?.image ? (
+          <Image
+            source={{ uri: session.book.image }}
+            style={styles.sessionCover}
+            contentFit="cover"
+          />
+        ) : (
+          <View style={styles.sessionCover}>
+            <Ionicons name="book-outline" size={20} color={COLORS.textSecondary} />
+          </View>
+        )}
+        <View style={styles.sessionInfo}>
+          <Text style={styles.sessionTitle} numberOfLines={2}>
+            {session.work?.title}
+          </Text>
+          <Text style={styles.sessionMeta}>
+            {formatDay(session.startedAt)}
+            {session.finishedAt ? ` → ${formatDay(session.finishedAt)}` : ""}
+            {session.visibility === "private" ? " · 🔒" : ""}
+          </Text>
+          <View style={styles.statusBadge}>
+            <Text style={styles.statusBadgeText}>
+              {t(`reading.status_${session.status}`)} · {session.percent}%
+            </Text>
+          </View>
+        </View>
+      </TouchableOpacity>
+      {session.entries.map(renderEntry)}
+    </View>
+  );
+
+  if (isLoading) {
+    return (
+      <View style={styles.timelineContainer}>
+        <ActivityIndicator size="small" color={COLORS.primary} />
+      </View>
+    );
+  }
+
+  return (
+    <View style={styles.timelineContainer}>
+      {sessions.length === 0 ? (
+        <Text style={styles.emptyText}>{t("reading.emptyTimeline")}</Text>
+      ) : (
+        sessions.map(renderSession)
+      )}
+      {hasMore && (
+        <TouchableOpacity
+          style={styles.loadMoreButton}
+          onPress={() => fetchTimeline(nextCursor)}
+          disabled={isLoadingMore}
+        >
+          {isLoadingMore ? (
+            <ActivityIndicator size="small" color={COLORS.primary} />
+          ) : (
+            <Text style={styles.loadMoreText}>{t("reading.loadMore")}</Text>
+          )}
+        </TouchableOpacity>
+      )}
+    </View>
+  );
+}
@@ -0,0 +1,216 @@
+import { Ionicons } from "@expo/vector-icons";
+import { Image } from "expo-image";
+import { useRouter } from "expo-router";
+import { useCallback, useEffect, useState } from "react";
+import {
+  ActivityIndicator,
+  Alert,
+  Modal,
+  Switch,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  View,
+} from "react-native";
+import COLORS from "../constants/colors";
+import { API_URL } from "../constants/api";
+import { useAuthStore } from "../store/authStore";
+import { useLanguage } from "../context/LanguageContext";
+import styles from "../assets/styles/shelves.styles";
+
+// Tên hiển thị của kệ: kệ trạng thái dùng bản dịch, kệ tự tạo dùng tên người dùng đặt
+export const getShelfName = (shelf, t) =>
+  shelf.type === "custom" ? shelf.name : t(`shelves.${shelf.type}`);
+
+// Tab "Kệ sách" trong trang cá nhân (của mình hoặc của người khác).
+// refreshKey đổi thì tải lại - trang cá nhân tăng nó khi kéo để làm mới hoặc quay lại màn hình.
+export default function ShelvesTab({ userId, isOwner, refreshKey = 0 }) {
+  const [shelves, setShelves] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [showCreateModal, setShowCreateModal] = useState(false);
+  const [newShelfName, setNewShelfName] = useState("");
+  const [newShelfPrivate, setNewShelfPrivate] = useState(false);
+  const [isCreating, setIsCreating] = useState(false);
+  const { token } = useAuthStore();
+  const { t } = useLanguage();
+  const router = useRouter();
+
+  const fetchShelves = useCallback(async () => {
+    try {
+      setIsLoading(true);
+      const response = await fetch(`${API_URL}/users/${userId}/shelves`, {
+        headers: { Authorization: `Bearer ${token}` },
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.message || "Failed to fetch shelves");
+      }
+      setShelves(data.shelves);
+    } catch (error) {
+      console.error("Error fetching shelves:", error);
+    } finally {
+      setIsLoading(false);
+    }
+  }, [userId, token]);
+
+  useEffect(() => {
+    if (userId) {
+      fetchShelves();
+    }
+  }, [userId, refreshKey, fetchShelves]);
+
+  const handleCreateShelf = async () => {
+    if (!newShelfName.trim()) return;
+    try {
+      setIsCreating(true);
+      const response = await fetch(`${API_URL}/users/me/shelves`, {
+        method: "POST",
+        headers: {
+          Authorization: `Bearer ${token}`,
+          "Content-Type": "application/json",
+        },
+        body: JSON.stringify({
+          name: newShelfName.trim(),
+          visibility: newShelfPrivate ? "private" : "public",
+        }),
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.message || "Failed to create shelf");
+      }
+
+      setShowCreateModal(false);
+      setNewShelfName("");
+      setNewShelfPrivate(false);
+      await fetchShelves();
+    } catch (error) {
+      Alert.alert(t("shelves.error"), error.message);
+    } finally {
+      setIsCreating(false);
+    }
+  };
+
+  const renderShelf = (shelf) => (
+    <TouchableOpacity
+      key={shelf._id}
+      style={styles.shelfCard}
+      onPress={() =>
+        router.push({
+          pathname: "/shelf",
+          params: { userId, shelfId: shelf._id },
+        })
+      }
+    >
+      <View style={styles.shelfPreview}>
+        {shelf.previewImages.length > 0 ? (
+          shelf.previewImages.map((image, index) => (
+            <Image
+              key={`${shelf._id}-${index}`}
+              source={{ uri: image }}
+              style={styles.shelfPreviewImage}
+              contentFit="cover"
+            />
+          ))
+        ) : (
+          <View style={styles.shelfPreviewEmpty}>
+            <Ionicons name="book-outline" size={20} color={COLORS.textSecondary} />
+          </View>
+        )}
+      </View>
+      <View style={styles.shelfInfo}>
+        <View style={styles.shelfNameRow}>
+          <Text style={styles.shelfName} numberOfLines={1}>
+            {getShelfName(shelf, t)}
+          </Text>
+          {shelf.visibility === "private" && (
+            <Ionicons name="lock-closed" size={14} color={COLORS.textSecondary} />
+          )}
+        </View>
+        <Text style={styles.shelfCount}>
+          {shelf.itemCount} {t("shelves.books")}
+        </Text>
+      </View>
+      <Ionicons name="chevron-forward" size={20} color={COLORS.textSecondary} />
+    </TouchableOpacity>
+  );
+
+  if (isLoading) {
+    return (
+      <View style={styles.shelvesContainer}>
+        <ActivityIndicator size="small" color={COLORS.primary} />
+      </View>
+    );
+  }
+
+  return (
+    <View style={styles.shelvesContainer}>
+      {isOwner && (
+        <TouchableOpacity
+          style={styles.newShelfButton}
+          onPress={() => setShowCreateModal(true)}
+        >
+          <Ionicons name="add" size={20} color={COLORS.primary} />
+          <Text style={styles.newShelfButtonText}>{t("shelves.newShelf")}</Text>
+        </TouchableOpacity>
+      )}
+
+      {shelves.length === 0 ? (
+        <Text style={styles.emptyText}>{t("shelves.empty")}</Text>
+      ) : (
+        shelves.map(renderShelf)
+      )}
+
+      {/* Modal tạo kệ mới */}
+      <Modal
+        transparent={true}
+        visible={showCreateModal}
+        animationType="fade"
+        onRequestClose={() => setShowCreateModal(false)}
+      >
+        <View style={styles.modalOverlay}>
+          <View style={styles.modalContent}>
+            <Text style={styles.modalTitle}>{t("shelves.newShelf")}</Text>
+            <TextInput
+              style={styles.input}
+              value={newShelfName}
+              onChangeText={setNewShelfName}
+              placeholder={t("shelves.shelfName")}
+              placeholderTextColor={COLORS.placeholderText}
+              maxLength={50}
+              autoFocus
+            />
+            <View style={styles.visibilityRow}>
+              <Text style={styles.visibilityLabel}>{t("shelves.private")}</Text>
+              <Switch
+                value={newShelfPrivate}
+                onValueChange={setNewShelfPrivate}
+                trackColor={{ true: COLORS.primary }}
+              />
+            </View>
+            <View style={styles.modalButtons}>
+              <TouchableOpacity
+                style={styles.modalButton}
+                onPress={() => setShowCreateModal(false)}
+              >
+                <Text style={styles.modalButtonText}>{t("shelves.cancel")}</Text>
+              </TouchableOpacity>
+              <TouchableOpacity
+                style={[styles.modalButton, styles.modalButtonPrimary]}
+                onPress={handleCreateShelf}
+                disabled={isCreating || !newShelfName.trim()}
+              >
+                {isCreating ? (
+                  <ActivityIndicator size="small" color={COLORS.white} />
+                ) : (
+                  <Text style={[styles.modalButtonText, styles.modalButtonPrimaryText]}>
+                    {t("shelves.create")}
+                  </Text>
+                )}
+              </TouchableOpacity>
+            </View>
+          </View>
+        </View>
+      </Modal>
+    </View>
+  );
+}
@@ -0,0 +1,79 @@
+import { Ionicons } from "@expo/vector-icons";
+import { Image } from "expo-image";
+import { useState } from "react";
+import { ActivityIndicator, Text, TextInput, TouchableOpacity, View } from "react-native";
+import COLORS from "../constants/colors";
+import { useLanguage } from "../context/LanguageContext";
+import styles from "../assets/styles/forgetpassword.styles";
+import twoFactorStyles from "../assets/styles/twofactor.styles";
+
+// Danh sách recovery code (chỉ hiện một lần sau khi bật 2FA / tạo bộ mới)
+export function RecoveryCodes({ codes, onDone }) {
+  const { t } = useLanguage();
+
+  return (
+    <View>
+      <Text style={twoFactorStyles.hint}>{t("twoFactor.recoveryHint")}</Text>
+      <View style={twoFactorStyles.codesGrid}>
+        {codes.map((code) => (
+          <Text key={code} style={twoFactorStyles.recoveryCode} selectable>
+            {code}
+          </Text>
+        ))}
+      </View>
+      <TouchableOpacity style={styles.button} onPress={onDone}>
+        <Text style={styles.buttonText}>{t("twoFactor.savedCodes")}</Text>
+      </TouchableOpacity>
+    </View>
+  );
+}
+
+// Bật 2FA: quét mã QR (hoặc nhập secret) bằng app xác thực rồi nhập mã đầu tiên.
+// setup: { secret, qrCode } từ /auth/2fa/setup hoặc /auth/login/2fa/setup
+export default function TwoFactorSetup({ setup, onSubmit, isSubmitting }) {
+  const [code, setCode] = useState("");
+  const { t } = useLanguage();
+
+  return (
+    <View>
+      <Text style={twoFactorStyles.hint}>{t("twoFactor.scanHint")}</Text>
+      <Image source={{ uri: setup.qrCode }} style={twoFactorStyles.qrCode} contentFit="contain" />
+      <Text style={twoFactorStyles.secret} selectable>
+        {setup.secret}
+      </Text>
+
+      <View style={styles.inputGroup}>
+        <Text style={styles.label}>{t("twoFactor.code")}</Text>
+        <View style={styles.inputContainer}>
+          <Ionicons
+            name="shield-checkmark-outline"
+            size={20}
+            color={COLORS.primary}
+            style={styles.inputIcon}
+          />
+          <TextInput
+            style={styles.input}
+            placeholder="123456"
+            placeholderTextColor={COLORS.placeholderText}
+            value={code}
+            onChangeText={setCode}
+            keyboardType="number-pad"
+            maxLength={6}
+          />
+        </View>
+      </View>
+
+      <TouchableOpacity
+        style={styles.button}
+        onPress={() => onSubmit(code.trim())}
+        disabled={isSubmitting || code.trim().length !== 6}
+      >
+        {isSubmitting ? (
+          <ActivityIndicator color="#fff" />
+        ) : (
+          <Text style={styles.buttonText}>{t("twoFactor.enable")}</Text>
+        )}
+      </TouchableOpacity>
+    </View>
+  );
+}
@@ -29,6 +29,9 @@ export const translations = {
             alertimg:"Pickture is over 7MB, please select another one",
             alertyear: "Please enter a valid year",
             alimgae: "Book image cannot be empty",
+            coverimg: "Cover",
+            imgcount: "{count}/{max} images - the first one is the cover",
+            maximg: "You can add at most {max} images",
             error: "Error",
             done: "Done",
             close: "Close",
@@ -37,6 +40,11 @@ export const translations = {
             done: "Done",
             uedit:"Update Book",
             uplace: "Update Book Recommandation",
+            existingWorks: "Is it one of these books?",
+            notListed: "No, it's a different book",
+            linkedWork: "Reviewing an existing book",
+            unlinkWork: "Change",
+            reviewsCount: "reviews",
         },
         Notification: {
             mark: "Mark all as read",
@@ -69,6 +77,162 @@ export const translations = {
         ChatBox: {  
             noConversation: "Please select a conversation...",
         },
+        home: {
+            everyone: "Everyone",
+            following: "Following",
+            trending: "You are not following anyone yet. Here are trending books instead.",
+        },
+        search: {
+            filters: "Search filters",
+            genre: "Genre",
+            allGenres: "All",
+            rating: "Rating",
+            minRating: "At least",
+            maxRating: "At most",
+            year: "Published year",
+            fromYear: "From",
+            toYear: "To",
+            sortBy: "Sort by",
+            relevance: "Relevance",
+            newest: "Newest",
+            mostLiked: "Most liked",
+            topRated: "Top rated",
+            reset: "Reset",
+            apply: "Apply",
+            loadMore: "Load more books",
+            recent: "Recent searches",
+            clearRecent: "Clear all",
+            type_title: "Book",
+            type_author: "Author",
+            type_user: "User",
+            type_genre: "Genre",
+        },
+        work: {
+            title: "Book",
+            reviews: "reviews",
+            noReviews: "No reviews yet",
+            notFound: "Book not found",
+            seeAll: "See all reviews of this book",
+        },
+        rating: {
+            communityRating: "Community rating",
+        },
+        shelves: {
+            tabBooks: "Books",
+            tabShelves: "Shelves",
+            want_to_read: "Want to read",
+            reading: "Currently reading",
+            finished: "Read",
+            books: "books",
+            newShelf: "New shelf",
+            shelfName: "Shelf name",
+            private: "Private (only you can see it)",
+            create: "Create",
+            cancel: "Cancel",
+            done: "Done",
+            delete: "Delete",
+            remove: "Remove",
+            deleteShelf: "Delete shelf",
+            deleteConfirm: "Delete this shelf? Books on it stay on your other shelves.",
+            removeConfirm: "Remove this book from the shelf?",
+            addToShelf: "Add to shelf",
+            addedOn: "Added",
+            empty: "No shelves to show",
+            emptyShelf: "This shelf is empty",
+            notFound: "Shelf not found",
+            error: "Error",
+        },
+        reading: {
+            tabJournal: "Journal",
+            title: "Reading progress",
+            currentlyReading: "You're reading this",
+            startReading: "Start reading",
+            updateProgress: "Update",
+            markFinished: "Finished",
+            totalPages: "Total pages (optional)",
+            page: "Page",
+            percent: "Percent",
+            note: "Note",
+            notePlaceholder: "What did you think of this part?",
+            notifyFollowers: "Let my followers know I finished this book",
+            finishedMessage: "Congratulations on finishing this book!",
+            status_reading: "Reading",
+            status_finished: "Finished",
+            status_abandoned: "Abandoned",
+            emptyTimeline: "No reading activity yet",
+            loadMore: "Load more",
+            cancel: "Cancel",
+            save: "Save",
+            error: "Error",
+        },
+        bookmarks: {
+            save: "Save",
+            saved: "Saved",
+        },
+        lists: {
+            title: "Book lists",
+            tab_discover: "Discover",
+            tab_mine: "My lists",
+            tab_following: "Following",
+            sort_popular: "Popular",
+            sort_newest: "Newest",
+            searchPlaceholder: "Search lists...",
+            empty_discover: "No lists found",
+            empty_mine: "You haven't created any lists yet",
+            empty_following: "You aren't following any lists yet",
+            items: "books",
+            followers: "followers",
+            follow: "Follow list",
+            following: "Following",
+            reviewBy: "Review by",
+            ownerHint: "Use the arrows to reorder, long press a book to remove it",
+            emptyList: "This list has no books yet",
+            notFound: "List not found",
+            removeConfirm: "Remove this book from the list?",
+            remove: "Remove",
+            deleteList: "Delete list",
+            deleteConfirm: "Are you sure you want to delete this list?",
+            delete: "Delete",
+            cancel: "Cancel",
+            newList: "New list",
+            editList: "Edit list",
+            cover: "Cover image",
+            pickCover: "Tap to choose a cover image",
+            removeCover: "Remove cover",
+            listTitle: "Title",
+            titlePlaceholder: "e.g. Best Vietnamese sci-fi",
+            description: "Description",
+            descriptionPlaceholder: "What is this list about?",
+            private: "Private list",
+            titleRequired: "Please enter a title for the list",
+            imageTooLarge: "Image is too large, please choose an image under 6MB",
+            create: "Create list",
+            save: "Save",
+            addToList: "Add to list",
+            containingTitle: "In these lists",
+            containingEmpty: "This book isn't in any public list yet",
+            done: "Done",
+            error: "Error",
+        },
+        challenge: {
+            title: "Reading challenge",
+            edit: "Edit",
+            books: "books",
+            completed: "Challenge completed!",
+            setGoal: "Set a reading goal for this year",
+            goalFor: "Reading goal for",
+            goalLabel: "How many books do you want to read?",
+            countBy: "Count progress by",
+            source_finished: "Books finished",
+            source_reviews: "Reviews posted",
+            leaderboard: "Leaderboard",
+            emptyLeaderboard: "Nobody you follow has set a goal yet",
+            invalidGoal: "Please enter a goal of at least 1 book",
+            cancel: "Cancel",
+            save: "Save",
+            close: "Close",
+            error: "Error",
+        },
         Navbar: {
             logout: "Logout",
             notifications: "Notifications",
@@ -132,6 +296,10 @@ export const translations = {
             p24:"Enter password again",
             p25:"Your account has been created. Please login to continue.",
             p26:"Already have an account?",
+            tooManyRequests: "Too many attempts. Please try again in",
+            seconds: "seconds",
+            minutes: "minutes",
+            codeAttemptsExceeded: "Too many incorrect attempts. This code is no longer valid, please request a new one.",
 
 
 
@@ -165,6 +333,74 @@ export const translations = {
             rpcmt: "Report Comment",
             rcmttitle: "Do you want to report this comment?",
             rp: "Report",
+            sessions: "Logged-in devices",
+            twoFactor: "Two-factor authentication",
+            changePassword: "Change password",
+            changeEmail: "Change email",
+        },
+        verify: {
+            title: "Verify your email",
+            subtitle: "Enter the 6-digit code we sent to your email",
+            submit: "Verify",
+            resend: "Resend",
+            sent: "A new code has been sent to your email",
+            done: "Your email has been verified",
+            missing: "Please enter your email and the verification code",
+            later: "Verify later?",
+            skip: "Skip",
+            required: "Email not verified",
+            requiredMessage: "Please verify your email before posting or commenting.",
+            verifyNow: "Verify now",
+        },
+        sessions: {
+            title: "Logged-in devices",
+            current: "This device",
+            lastUsed: "Last active:",
+            revoke: "Log out this device",
+            logoutAll: "Log out of all devices",
+            logoutAllConfirm: "You will be logged out on every device, including this one.",
+            empty: "No active sessions",
+            error: "Error",
+        },
+        account: {
+            changePassword: "Change password",
+            changeEmail: "Change email",
+            currentPassword: "Current password",
+            newPassword: "New password",
+            missingFields: "Please fill in all fields",
+            passwordChanged: "Your password has been changed. Other devices have been logged out.",
+            otherDevicesLoggedOut: "Other devices will be logged out after changing your password.",
+            currentEmail: "Current email:",
+            newEmail: "New email",
+            sendCode: "Send confirmation code",
+            codeSentTo: "Enter the 6-digit code we sent to",
+            confirmEmail: "Confirm new email",
+            changeNewEmail: "Use a different email",
+            emailChanged: "Your email has been changed",
+        },
+        twoFactor: {
+            title: "Two-factor authentication",
+            subtitle: "Enter the 6-digit code from your authenticator app",
+            setupRequired: "Admin accounts must turn on two-factor authentication before logging in",
+            code: "Authentication code",
+            recoveryCode: "Recovery code",
+            verify: "Verify",
+            useRecovery: "Lost your phone? Use a recovery code",
+            useApp: "Use authenticator app code",
+            backToLogin: "Back to login",
+            scanHint: "Scan this QR code with an authenticator app (Google Authenticator, Authy...) or enter the key below",
+            enable: "Turn on two-factor authentication",
+            recoveryHint: "Save these recovery codes somewhere safe. Each code can be used once if you lose your phone. They will not be shown again.",
+            savedCodes: "I have saved these codes",
+            statusOn: "Two-factor authentication is on",
+            statusOff: "Two-factor authentication is off",
+            description: "Require a code from your phone when logging in",
+            codesRemaining: "Recovery codes left:",
+            requiredForAdmin: "Required for admin accounts",
+            regenerate: "Generate new recovery codes",
+            disable: "Turn off two-factor authentication",
+            disabled: "Two-factor authentication has been turned off",
+            password: "Password",
         },
         profile: {
             yourProfile: "Your Profile",
@@ -233,6 +469,16 @@ export const translations = {
             cmtsth: "Write your comment here...",
             morecmt: "Load more comments",
             nocmt: "No comments yet, let is the first to comment",
+            reply: "Reply",
+            replyingTo: "Replying to",
+            replyph: "Write your reply...",
+            viewreplies: "View replies",
+            hidereplies: "Hide replies",
+            morereplies: "Load more replies",
+            newest: "Newest",
+            top: "Top comments",
+            reactions: "Reactions",
+            noreactions: "No reactions yet",
         },
         filter: {
             filter: "Filter",
@@ -274,6 +520,8 @@ export const translations = {
             unknow: "Unknown",
             writer: "Writer",
             user: "User",
+            list: "List",
+            listOwner: "Created by",
             rpcontent: "Report Content",
             sltrp: "Select report reason",
             desplaceholder: "Enter details about the issue you are facing...",
@@ -313,6 +561,9 @@ export const translations = {
             alertimg: "Hình ảnh vượt quá 7MB, vui lòng chọn hình ảnh khác",
             alertyear: "Vui lòng nhập năm hợp lệ",
             alimgae: "Hình ảnh sách không được để trống",
+            coverimg: "Ảnh bìa",
+            imgcount: "{count}/{max} ảnh - ảnh đầu tiên là ảnh bìa",
+            maximg: "Bạn chỉ có thể thêm tối đa {max} ảnh",
             error: "Lỗi",
             done: "Hoàn tất", 
             close: "Đóng",   
@@ -322,6 +573,11 @@ export const translations = {
             loading1: "Đang tải chi tiết sách...",
             uedit:"Cập nhật sách",
             uplace: "Cập nhật sách yêu thích",
+            existingWorks: "Có phải một trong những cuốn sách này?",
+            notListed: "Không, đây là sách khác",
+            linkedWork: "Đang review sách đã có trên diễn đàn",
+            unlinkWork: "Đổi",
+            reviewsCount: "bài review",
         },
         Notification: {
             mark: "Đã đọc tất cả",
@@ -354,6 +610,162 @@ export const translations = {
         ChatBox:{
             noConversation: "Vui lòng chọn cuộc trò chuyện...",
         },
+        home: {
+            everyone: "Mọi người",
+            following: "Đang theo dõi",
+            trending: "Bạn chưa theo dõi ai. Đây là những cuốn sách đang thịnh hành.",
+        },
+        search: {
+            filters: "Bộ lọc tìm kiếm",
+            genre: "Thể loại",
+            allGenres: "Tất cả",
+            rating: "Đánh giá",
+            minRating: "Tối thiểu",
+            maxRating: "Tối đa",
+            year: "Năm xuất bản",
+            fromYear: "Từ",
+            toYear: "Đến",
+            sortBy: "Sắp xếp theo",
+            relevance: "Liên quan nhất",
+            newest: "Mới nhất",
+            mostLiked: "Nhiều lượt thích",
+            topRated: "Đánh giá cao",
+            reset: "Đặt lại",
+            apply: "Áp dụng",
+            loadMore: "Xem thêm sách",
+            recent: "Tìm kiếm gần đây",
+            clearRecent: "Xóa tất cả",
+            type_title: "Sách",
+            type_author: "Tác giả",
+            type_user: "Người dùng",
+            type_genre: "Thể loại",
+        },
+        work: {
+            title: "Sách",
+            reviews: "bài review",
+            noReviews: "Chưa có bài review nào",
+            notFound: "Không tìm thấy sách",
+            seeAll: "Xem tất cả review của cuốn sách này",
+        },
+        rating: {
+            communityRating: "Đánh giá từ cộng đồng",
+        },
+        shelves: {
+            tabBooks: "Sách",
+            tabShelves: "Kệ sách",
+            want_to_read: "Muốn đọc",
+            reading: "Đang đọc",
+            finished: "Đã đọc",
+            books: "cuốn",
+            newShelf: "Tạo kệ mới",
+            shelfName: "Tên kệ",
+            private: "Riêng tư (chỉ mình bạn xem được)",
+            create: "Tạo",
+            cancel: "Hủy",
+            done: "Xong",
+            delete: "Xóa",
+            remove: "Bỏ khỏi kệ",
+            deleteShelf: "Xóa kệ",
+            deleteConfirm: "Xóa kệ này? Sách trên kệ vẫn còn ở các kệ khác của bạn.",
+            removeConfirm: "Bỏ cuốn sách này khỏi kệ?",
+            addToShelf: "Thêm vào kệ",
+            addedOn: "Đã thêm",
+            empty: "Chưa có kệ sách nào",
+            emptyShelf: "Kệ này chưa có sách",
+            notFound: "Không tìm thấy kệ sách",
+            error: "Lỗi",
+        },
+        reading: {
+            tabJournal: "Nhật ký",
+            title: "Tiến độ đọc",
+            currentlyReading: "Bạn đang đọc cuốn này",
+            startReading: "Bắt đầu đọc",
+            updateProgress: "Cập nhật",
+            markFinished: "Đã đọc xong",
+            totalPages: "Tổng số trang (không bắt buộc)",
+            page: "Trang",
+            percent: "Phần trăm",
+            note: "Ghi chú",
+            notePlaceholder: "Bạn nghĩ gì về đoạn này?",
+            notifyFollowers: "Báo cho người theo dõi là mình đã đọc xong",
+            finishedMessage: "Chúc mừng bạn đã đọc xong cuốn sách!",
+            status_reading: "Đang đọc",
+            status_finished: "Đã đọc xong",
+            status_abandoned: "Bỏ dở",
+            emptyTimeline: "Chưa có hoạt động đọc nào",
+            loadMore: "Xem thêm",
+            cancel: "Hủy",
+            save: "Lưu",
+            error: "Lỗi",
+        },
+        bookmarks: {
+            save: "Lưu bài",
+            saved: "Đã lưu",
+        },
+        lists: {
+            title: "Danh sách sách",
+            tab_discover: "Khám phá",
+            tab_mine: "Của tôi",
+            tab_following: "Đang theo dõi",
+            sort_popular: "Phổ biến",
+            sort_newest: "Mới nhất",
+            searchPlaceholder: "Tìm danh sách...",
+            empty_discover: "Không tìm thấy danh sách nào",
+            empty_mine: "Bạn chưa tạo danh sách nào",
+            empty_following: "Bạn chưa theo dõi danh sách nào",
+            items: "cuốn",
+            followers: "người theo dõi",
+            follow: "Theo dõi danh sách",
+            following: "Đang theo dõi",
+            reviewBy: "Review của",
+            ownerHint: "Dùng mũi tên để sắp xếp, nhấn giữ một cuốn để bỏ khỏi danh sách",
+            emptyList: "Danh sách chưa có cuốn nào",
+            notFound: "Không tìm thấy danh sách",
+            removeConfirm: "Bỏ cuốn sách này khỏi danh sách?",
+            remove: "Bỏ",
+            deleteList: "Xóa danh sách",
+            deleteConfirm: "Bạn có chắc muốn xóa danh sách này?",
+            delete: "Xóa",
+            cancel: "Hủy",
+            newList: "Danh sách mới",
+            editList: "Sửa danh sách",
+            cover: "Ảnh bìa",
+            pickCover: "Nhấn để chọn ảnh bìa",
+            removeCover: "Bỏ ảnh bìa",
+            listTitle: "Tên danh sách",
+            titlePlaceholder: "VD: Sci-fi Việt Nam hay nhất",
+            description: "Mô tả",
+            descriptionPlaceholder: "Danh sách này nói về điều gì?",
+            private: "Danh sách riêng tư",
+            titleRequired: "Vui lòng nhập tên danh sách",
+            imageTooLarge: "Ảnh quá lớn, vui lòng chọn ảnh dưới 6MB",
+            create: "Tạo danh sách",
+            save: "Lưu",
+            addToList: "Thêm vào danh sách",
+            containingTitle: "Có trong các danh sách",
+            containingEmpty: "Bài này chưa có trong danh sách công khai nào",
+            done: "Xong",
+            error: "Lỗi",
+        },
+        challenge: {
+            title: "Thử thách đọc sách",
+            edit: "Sửa",
+            books: "cuốn",
+            completed: "Bạn đã hoàn thành thử thách!",
+            setGoal: "Đặt mục tiêu đọc sách cho năm nay",
+            goalFor: "Mục tiêu đọc sách năm",
+            goalLabel: "Bạn muốn đọc bao nhiêu cuốn?",
+            countBy: "Tính tiến độ theo",
+            source_finished: "Sách đã đọc xong",
+            source_reviews: "Bài review đã đăng",
+            leaderboard: "Bảng xếp hạng",
+            emptyLeaderboard: "Chưa ai bạn theo dõi đặt mục tiêu",
+            invalidGoal: "Vui lòng nhập mục tiêu ít nhất 1 cuốn",
+            cancel: "Hủy",
+            save: "Lưu",
+            close: "Đóng",
+            error: "Lỗi",
+        },
         Navbar: {
             logout: "Đăng xuất",
             notifications: "Thông báo",
@@ -417,6 +829,10 @@ export const translations = {
             p24: "Nhập lại mật khẩu",
             p25:"Tài khoản của bạn đã được tạo. Vui lòng đăng nhập để tiếp tục.",
             p26: "Đã có tài khoản?",
+            tooManyRequests: "Bạn đã thử quá nhiều lần. Vui lòng thử lại sau",
+            seconds: "giây",
+            minutes: "phút",
+            codeAttemptsExceeded: "Bạn đã nhập sai quá nhiều lần. Mã này không còn hiệu lực, vui lòng yêu cầu mã mới.",
         },
         chat: {
             searchPlaceholder: "Tìm kiếm cuộc trò chuyện",
@@ -447,6 +863,74 @@ export const translations = {
             rpcmt: "Báo cáo bình luận",
             rcmttitle: "Bạn có muốn báo cáo bình luận này không?",
             rp: "Báo cáo",
+            sessions: "Thiết bị đang đăng nhập",
+            twoFactor: "Xác thực hai lớp",
+            changePassword: "Đổi mật khẩu",
+            changeEmail: "Đổi email",
+        },
+        verify: {
+            title: "Xác minh email",
+            subtitle: "Nhập mã 6 số đã được gửi tới email của bạn",
+            submit: "Xác minh",
+            resend: "Gửi lại",
+            sent: "Mã mới đã được gửi tới email của bạn",
+            done: "Email của bạn đã được xác minh",
+            missing: "Vui lòng nhập email và mã xác minh",
+            later: "Để sau?",
+            skip: "Bỏ qua",
+            required: "Email chưa được xác minh",
+            requiredMessage: "Vui lòng xác minh email trước khi đăng bài hoặc bình luận.",
+            verifyNow: "Xác minh ngay",
+        },
+        sessions: {
+            title: "Thiết bị đang đăng nhập",
+            current: "Thiết bị này",
+            lastUsed: "Hoạt động lần cuối:",
+            revoke: "Đăng xuất thiết bị này",
+            logoutAll: "Đăng xuất khỏi tất cả thiết bị",
+            logoutAllConfirm: "Bạn sẽ bị đăng xuất trên mọi thiết bị, kể cả thiết bị này.",
+            empty: "Không có phiên đăng nhập nào",
+            error: "Lỗi",
+        },
+        account: {
+            changePassword: "Đổi mật khẩu",
+            changeEmail: "Đổi email",
+            currentPassword: "Mật khẩu hiện tại",
+            newPassword: "Mật khẩu mới",
+            missingFields: "Vui lòng nhập đầy đủ thông tin",
+            passwordChanged: "Đã đổi mật khẩu. Các thiết bị khác đã bị đăng xuất.",
+            otherDevicesLoggedOut: "Các thiết bị khác sẽ bị đăng xuất sau khi đổi mật khẩu.",
+            currentEmail: "Email hiện tại:",
+            newEmail: "Email mới",
+            sendCode: "Gửi mã xác nhận",
+            codeSentTo: "Nhập mã 6 số đã được gửi tới",
+            confirmEmail: "Xác nhận email mới",
+            changeNewEmail: "Dùng email khác",
+            emailChanged: "Email của bạn đã được thay đổi",
+        },
+        twoFactor: {
+            title: "Xác thực hai lớp",
+            subtitle: "Nhập mã 6 số từ ứng dụng xác thực",
+            setupRequired: "Tài khoản admin phải bật xác thực hai lớp trước khi đăng nhập",
+            code: "Mã xác thực",
+            recoveryCode: "Mã khôi phục",
+            verify: "Xác nhận",
+            useRecovery: "Mất điện thoại? Dùng mã khôi phục",
+            useApp: "Dùng mã từ ứng dụng xác thực",
+            backToLogin: "Quay lại đăng nhập",
+            scanHint: "Quét mã QR bằng ứng dụng xác thực (Google Authenticator, Authy...) hoặc nhập khóa bên dưới",
+            enable: "Bật xác thực hai lớp",
+            recoveryHint: "Lưu các mã khôi phục này ở nơi an toàn. Mỗi mã dùng được một lần khi bạn mất điện thoại. Các mã sẽ không hiện lại.",
+            savedCodes: "Tôi đã lưu các mã",
+            statusOn: "Xác thực hai lớp đang bật",
+            statusOff: "Xác thực hai lớp đang tắt",
+            description: "Yêu cầu mã từ điện thoại khi đăng nhập",
+            codesRemaining: "Mã khôi phục còn lại:",
+            requiredForAdmin: "Bắt buộc với tài khoản admin",
+            regenerate: "Tạo mã khôi phục mới",
+            disable: "Tắt xác thực hai lớp",
+            disabled: "Đã tắt xác thực hai lớp",
+            password: "Mật khẩu",
         },
         profile: {
             yourProfile: "Trang cá nhân của bạn",
@@ -519,6 +1003,16 @@ export const translations = {
             cmtsth: "Viết bình luận của bạn ở đây...",
             morecmt: "Tải thêm bình luận",
             nocmt: "Chưa có bình luận nào, hãy là người đầu tiên bình luận",
+            reply: "Trả lời",
+            replyingTo: "Đang trả lời",
+            replyph: "Viết câu trả lời của bạn...",
+            viewreplies: "Xem câu trả lời",
+            hidereplies: "Ẩn câu trả lời",
+            morereplies: "Tải thêm câu trả lời",
+            newest: "Mới nhất",
+            top: "Nổi bật",
+            reactions: "Lượt bày tỏ cảm xúc",
+            noreactions: "Chưa có ai bày tỏ cảm xúc",
         },
         filter: {
             filter: "Bộ lọc",
@@ -562,6 +1056,8 @@ export const translations = {
             unknow: "Không xác định",
             writer: "Tác giả",
             user: "Người dùng",
+            list: "Danh sách",
+            listOwner: "Người tạo",
             rpcontent: "Báo cáo nội dung",
             sltrp: "Chọn lý do báo cáo",
             desplaceholder: "Nhập thông tin chi tiết về vấn đề bạn gặp phải...",
@@ -0,0 +1,9 @@
+// Emoji cho từng loại reaction trên comment - khớp với COMMENT_REACTION_TYPES ở backend
+export const COMMENT_REACTIONS = {
+  like: "👍",
+  love: "❤️",
+  haha: "😆",
+  wow: "😮",
+  sad: "😢",
+  angry: "😡",
+};
@@ -1 +1,41 @@
+import { Alert } from "react-native";
+
 export const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Server trả 403 với code này khi tài khoản chưa xác minh email mà đăng bài / bình luận
+export const EMAIL_NOT_VERIFIED = "EMAIL_NOT_VERIFIED";
+
+// Nhắc xác minh email, kèm nút mở màn hình nhập mã
+export const promptEmailVerification = (router, t, email) => {
+  Alert.alert(t("verify.required"), t("verify.requiredMessage"), [
+    { text: t("settings.cancel"), style: "cancel" },
+    {
+      text: t("verify.verifyNow"),
+      onPress: () => router.push({ pathname: "/(auth)/verifyemail", params: { email } }),
+    },
+  ]);
+};
+
+// Server hủy mã 6 số (reset mật khẩu, xác minh email) khi nhập sai quá nhiều lần
+export const CODE_ATTEMPTS_EXCEEDED = "CODE_ATTEMPTS_EXCEEDED";
+
+// Thông báo khi server trả 429 (gửi quá nhiều / tài khoản tạm khóa), kèm thời gian phải chờ
+export const tooManyRequestsMessage = (t, retryAfter) => {
+  const seconds = Number(retryAfter) || 60;
+  const wait =
+    seconds < 60
+      ? `${seconds} ${t("login.seconds")}`
+      : `${Math.ceil(seconds / 60)} ${t("login.minutes")}`;
+  return `${t("login.tooManyRequests")} ${wait}.`;
+};
+
+// Lỗi từ các API /auth gọi trực tiếp bằng fetch (quên mật khẩu, xác minh email...)
+export const authErrorMessage = (t, response, data, fallback) => {
+  if (response.status === 429) {
+    return tooManyRequestsMessage(t, data.retryAfter || response.headers.get("Retry-After"));
+  }
+  if (data.code === CODE_ATTEMPTS_EXCEEDED) {
+    return t("login.codeAttemptsExceeded");
+  }
+  return data.message || fallback;
+};
@@ -0,0 +1,85 @@
+import * as FileSystem from "expo-file-system";
+import { API_URL } from "../constants/api";
+import { sleep } from "./helper";
+
+const MAX_ATTEMPTS = 3;
+
+// Đoán MIME từ đuôi file khi image picker không trả về
+export const guessImageMimeType = (uri) => {
+  const extension = uri.split(".").pop()?.toLowerCase();
+  if (extension === "png") return "image/png";
+  if (extension === "webp") return "image/webp";
+  return "image/jpeg";
+};
+
+const fetchUploadStatus = async (uploadToken, token) => {
+  const response = await fetch(`${API_URL}/uploads/${uploadToken}`, {
+    headers: { Authorization: `Bearer ${token}` },
+  });
+  return response.ok ? response.json() : null;
+};
+
+/**
+ * Upload một ảnh trong máy qua /api/uploads (multipart, không đọc base64 vào bộ nhớ).
+ * Mạng chập chờn thì hỏi lại trạng thái phiên rồi gửi lại, tối đa MAX_ATTEMPTS lần.
+ * @param {{ uri: string, mimeType?: string }} image
+ * @param {"book" | "avatar" | "cover"} purpose
+ * @param {string} token - JWT
+ * @returns {Promise<string>} "upload:<token>" để gửi kèm khi đăng bài / đổi avatar
+ */
+export const uploadImageFile = async (image, purpose, token) => {
+  const mimeType = image.mimeType || guessImageMimeType(image.uri);
+  const fileInfo = await FileSystem.getInfoAsync(image.uri);
+
+  const sessionResponse = await fetch(`${API_URL}/uploads`, {
+    method: "POST",
+    headers: {
+      Authorization: `Bearer ${token}`,
+      "Content-Type": "application/json",
+    },
+    body: JSON.stringify({ purpose, mimeType, size: fileInfo.size }),
+  });
+  const session = await sessionResponse.json();
+  if (!sessionResponse.ok) {
+    throw new Error(session.message || "Failed to start upload");
+  }
+
+  for (let attempt = 1; attempt <= MAX_ATTEMPTS; attempt++) {
+    try {
+      // Gửi cả file một lần từ offset 0 - server cho phép gửi lại từ đầu
+      const result = await FileSystem.uploadAsync(
+        `${API_URL}/uploads/${session.token}`,
+        image.uri,
+        {
+          httpMethod: "PATCH",
+          uploadType: FileSystem.FileSystemUploadType.MULTIPART,
+          fieldName: "file",
+          mimeType,
+          headers: {
+            Authorization: `Bearer ${token}`,
+            "Upload-Offset": "0",
+          },
+        }
+      );
+      const data = JSON.parse(result.body);
+      if (result.status === 200 && data.status === "ready") {
+        return data.reference;
+      }
+      // Ảnh không hợp lệ (sai định dạng, quá lớn...) - gửi lại cũng vô ích
+      if (result.status >= 400 && result.status < 500) {
+        throw Object.assign(new Error(data.message || "Upload failed"), {
+          permanent: true,
+        });
+      }
+    } catch (error) {
+      if (error.permanent || attempt === MAX_ATTEMPTS) throw error;
+      // Có thể server đã nhận đủ nhưng response bị mất
+      const status = await fetchUploadStatus(session.token, token).catch(() => null);
+      if (status?.status === "ready") {
+        return status.reference;
+      }
+    }
+    await sleep(1000 * attempt);
+  }
+  throw new Error("Upload failed");
+};
@@ -2,10 +2,43 @@ import AsyncStorage from '@react-native-async-storage/async-storage';
 import { create } from 'zustand';
 import { API_URL } from '../constants/api';
 import { router } from 'expo-router';
+import Constants from 'expo-constants';
 
-export const useAuthStore = create((set) => ({
+// Refresh access token trước khi hết hạn khoảng này
+const REFRESH_MARGIN_MS = 60 * 1000;
+
+let refreshTimer = null;
+// Chỉ một request refresh tại một thời điểm - refresh token đổi sau mỗi lần dùng,
+// gửi song song hai lần thì server coi là token bị lộ và thu hồi phiên
+let refreshPromise = null;
+
+const saveTokens = async ({ token, refreshToken, expiresIn }) => {
+    const tokenExpiresAt = Date.now() + expiresIn * 1000;
+    await AsyncStorage.setItem('token', token);
+    await AsyncStorage.setItem('refreshToken', refreshToken);
+    await AsyncStorage.setItem('tokenExpiresAt', String(tokenExpiresAt));
+    return { token, refreshToken, tokenExpiresAt };
+};
+
+// 429: gửi quá nhiều request hoặc tài khoản bị khóa tạm vì đăng nhập sai nhiều lần.
+// Màn hình hiện thời gian phải chờ (tooManyRequestsMessage trong lib/helper.js).
+const rateLimitedResult = (response, data) => ({
+    success: false,
+    isRateLimited: true,
+    retryAfter: data.retryAfter || Number(response.headers.get('Retry-After')) || 60,
+    error: data.message,
+});
+
+const clearStoredAuth = async () => {
+    clearTimeout(refreshTimer);
+    await AsyncStorage.multiRemove(['token', 'refreshToken', 'tokenExpiresAt', 'user']);
+};
+
+export const useAuthStore = create((set, get) => ({
     user : null,
     token : null,
+    refreshToken: null,
+    tokenExpiresAt: null,
     isLoading: false,
     isCheckingAuth: true,
 
@@ -25,33 +58,109 @@ export const useAuthStore = create((set) => ({
             })
             const data = await response.json();
 
+            if (response.status === 429) {
+                set({isLoading: false});
+                return rateLimitedResult(response, data);
+            }
             if(!response.ok){
                 throw new Error(data.message || 'Something went wrong');
             }
 
             // Don't store token or user data after registration
-            // Don't navigate automatically - we'll show a message and redirect to login instead
+            // Don't navigate automatically - màn hình đăng ký chuyển sang nhập mã xác minh email
             set({isLoading: false});
-            return {success: true, message: 'Registration successful! Please log in.'};
+            return {
+                success: true,
+                message: 'Registration successful! Please verify your email.',
+                email: data.user.email,
+                resendAfter: data.resendAfter,
+            };
         } catch(error){
             set({isLoading: false});
             return {success: false, error: error.message};
         }
     },
     
+    // Hẹn giờ refresh access token trước khi hết hạn
+    scheduleTokenRefresh: () => {
+        clearTimeout(refreshTimer);
+        const { tokenExpiresAt } = get();
+        if (!tokenExpiresAt) return;
+        const delay = Math.max(tokenExpiresAt - Date.now() - REFRESH_MARGIN_MS, 0);
+        refreshTimer = setTimeout(() => get().refreshSession(), delay);
+    },
+
+    // Đổi refresh token lấy access token mới. Phiên bị thu hồi / hết hạn thì đăng xuất;
+    // lỗi mạng thì giữ nguyên, lần sau thử lại.
+    refreshSession: () => {
+        if (refreshPromise) return refreshPromise;
+        refreshPromise = (async () => {
+            const { refreshToken } = get();
+            if (!refreshToken) return false;
+            try {
+                const response = await fetch(`${API_URL}/auth/refresh`, {
+                    method: 'POST',
+                    headers: {
+                        'Content-Type': 'application/json',
+                    },
+                    body: JSON.stringify({ refreshToken }),
+                });
+                const data = await response.json();
+                if (response.status === 401) {
+                    await clearStoredAuth();
+                    set({ token: null, refreshToken: null, tokenExpiresAt: null, user: null });
+                    return false;
+                }
+                if (!response.ok) throw new Error(data.message || 'Failed to refresh session');
+
+                set(await saveTokens(data));
+                get().scheduleTokenRefresh();
+                return true;
+            } catch (error) {
+                console.log('Error refreshing session', error);
+                return false;
+            } finally {
+                refreshPromise = null;
+            }
+        })();
+        return refreshPromise;
+    },
+
+    // Gọi khi app quay lại foreground - timer không chạy lúc app ở background
+    ensureFreshToken: async () => {
+        const { token, tokenExpiresAt } = get();
+        if (token && tokenExpiresAt && tokenExpiresAt - Date.now() < REFRESH_MARGIN_MS) {
+            await get().refreshSession();
+        } else {
+            get().scheduleTokenRefresh();
+        }
+    },
+
     checkAuth: async () => {
         try{
             const token = await AsyncStorage.getItem('token');
+            const refreshToken = await AsyncStorage.getItem('refreshToken');
+            const tokenExpiresAt = Number(await AsyncStorage.getItem('tokenExpiresAt')) || null;
             const userJson = await AsyncStorage.getItem('user');
             const user = userJson ? JSON.parse(userJson) : null;
-            
-            set({token, user});
+
+            // Token đăng nhập từ bản cũ (không có refresh token) không còn dùng được - đăng nhập lại
+            if (token && !refreshToken) {
+                await clearStoredAuth();
+                return;
+            }
+
+            set({token, refreshToken, tokenExpiresAt, user});
+            if (token) {
+                await get().ensureFreshToken();
+            }
+            const currentToken = get().token;
             // Nếu người dùng đã đăng nhập, lấy số lượng thông báo chưa đọc
-            if (token && user) {
+            if (currentToken && user) {
                 try {
                     const response = await fetch(`${API_URL}/notifications/count`, {
                         headers: {
-                            Authorization: `Bearer ${token}`
+                            Authorization: `Bearer ${currentToken}`
                         }
                     });
                     
@@ -79,10 +188,14 @@ export const useAuthStore = create((set) => ({
                 headers: {
                     'Content-Type': 'application/json',
                 },
-                body: JSON.stringify({email, password}),
+                body: JSON.stringify({email, password, deviceName: Constants.deviceName}),
             })
             const data = await response.json();
 
+            if (response.status === 429) {
+                set({isLoading: false});
+                return rateLimitedResult(response, data);
+            }
             if(!response.ok){
                 set({isLoading: false});
                 
@@ -103,16 +216,20 @@ export const useAuthStore = create((set) => ({
                 throw new Error(data.message || 'Something went wrong');
             }
 
+            // Đúng mật khẩu nhưng còn bước 2FA (nhập mã, hoặc admin phải bật 2FA trước)
+            if (data.twoFactorRequired || data.twoFactorSetupRequired) {
+                set({isLoading: false});
+                return {
+                    success: false,
+                    twoFactorRequired: !!data.twoFactorRequired,
+                    twoFactorSetupRequired: !!data.twoFactorSetupRequired,
+                    twoFactorToken: data.twoFactorToken,
+                };
+            }
+
             // Đăng nhập thành công
-            await AsyncStorage.setItem('token', data.token);
-            await AsyncStorage.setItem('user', JSON.stringify(data.user));
-            
-            set({
-                token: data.token,
-                user: data.user,
-                isAuthenticated: true,
-                isLoading: false,
-            });
+            await get().completeLogin(data);
+            set({isLoading: false});
 
             return {success: true, data: data.user};
         } catch(error){
@@ -121,17 +238,134 @@ export const useAuthStore = create((set) => ({
         }
     },
 
+    // Lưu token + user sau khi đăng nhập xong (kể cả khi qua bước 2FA)
+    completeLogin: async (data) => {
+        const tokens = await saveTokens(data);
+        await AsyncStorage.setItem('user', JSON.stringify(data.user));
+
+        set({
+            ...tokens,
+            user: data.user,
+            isAuthenticated: true,
+        });
+        get().scheduleTokenRefresh();
+    },
+
+    // Bước thứ hai khi đăng nhập: mã từ app xác thực hoặc recovery code
+    verifyTwoFactorLogin: async (twoFactorToken, { code, recoveryCode }) => {
+        set({isLoading: true});
+        try {
+            const response = await fetch(`${API_URL}/auth/login/2fa`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                },
+                body: JSON.stringify({twoFactorToken, code, recoveryCode, deviceName: Constants.deviceName}),
+            });
+            const data = await response.json();
+            if (response.status === 429) {
+                set({isLoading: false});
+                return rateLimitedResult(response, data);
+            }
+            if (!response.ok) {
+                throw new Error(data.message || 'Something went wrong');
+            }
+
+            await get().completeLogin(data);
+            set({isLoading: false});
+            return {success: true, data: data.user};
+        } catch (error) {
+            set({isLoading: false});
+            return {success: false, error: error.message};
+        }
+    },
+
+    // Admin bật 2FA ngay lúc đăng nhập. Chưa lưu phiên - màn hình hiện recovery code trước
+    // rồi mới gọi completeLogin(data).
+    enableTwoFactorLogin: async (twoFactorToken, code) => {
+        set({isLoading: true});
+        try {
+            const response = await fetch(`${API_URL}/auth/login/2fa/enable`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                },
+                body: JSON.stringify({twoFactorToken, code, deviceName: Constants.deviceName}),
+            });
+            const data = await response.json();
+            if (response.status === 429) {
+                return rateLimitedResult(response, data);
+            }
+            if (!response.ok) {
+                throw new Error(data.message || 'Something went wrong');
+            }
+            return {success: true, data};
+        } catch (error) {
+            return {success: false, error: error.message};
+        } finally {
+            set({isLoading: false});
+        }
+    },
+
+    // Bật / tắt 2FA trong phần bảo mật - cập nhật user đã lưu
+    setTwoFactorEnabled: async (enabled) => {
+        const { user } = get();
+        if (!user) return;
+        const updatedUser = { ...user, twoFactorEnabled: enabled };
+        await AsyncStorage.setItem('user', JSON.stringify(updatedUser));
+        set({ user: updatedUser });
+    },
+
     logout: async () => {
         try {
-            await AsyncStorage.removeItem('token');
-            await AsyncStorage.removeItem('user');
-            set({token: null, user: null});
+            // Thu hồi phiên trên server - lỗi mạng thì vẫn đăng xuất ở máy
+            const { token } = get();
+            if (token) {
+                fetch(`${API_URL}/auth/logout`, {
+                    method: 'POST',
+                    headers: { Authorization: `Bearer ${token}` },
+                }).catch((error) => console.log('Error revoking session', error));
+            }
+            await clearStoredAuth();
+            set({token: null, refreshToken: null, tokenExpiresAt: null, user: null});
             // Chuyển hướng về trang home sau khi đăng xuất
             router.replace('/(tabs)');
         } catch (error) {
         console.error('Error during logout:', error);
         }
     },
+
+    // Đã xác minh email trong lúc đang đăng nhập - cập nhật user đã lưu
+    markEmailVerified: async () => {
+        const { user } = get();
+        if (!user) return;
+        const updatedUser = { ...user, isEmailVerified: true };
+        await AsyncStorage.setItem('user', JSON.stringify(updatedUser));
+        set({ user: updatedUser });
+    },
+
+    // Đổi email xong (email mới đã xác nhận bằng mã) - cập nhật user đã lưu
+    setUserEmail: async (email) => {
+        const { user } = get();
+        if (!user) return;
+        const updatedUser = { ...user, email, isEmailVerified: true };
+        await AsyncStorage.setItem('user', JSON.stringify(updatedUser));
+        set({ user: updatedUser });
+    },
+
+    // Đăng xuất khỏi mọi thiết bị (kể cả máy này)
+    logoutEverywhere: async () => {
+        const response = await fetch(`${API_URL}/auth/logout-all`, {
+            method: 'POST',
+            headers: { Authorization: `Bearer ${get().token}` },
+        });
+        const data = await response.json();
+        if (!response.ok) throw new Error(data.message || 'Something went wrong');
+
+        await clearStoredAuth();
+        set({token: null, refreshToken: null, tokenExpiresAt: null, user: null});
+        router.replace('/(tabs)');
+    },
     // Thêm action mới:
     decrementUnreadNotificationsCount: () => set((state) => ({ 
         unreadNotificationsCount: Math.max(0, state.unreadNotificationsCount - 1) 
@@ -8,7 +8,8 @@ import {
   Acc,
   Report,
   Book,
-  Genre
+  Genre,
+  Work
 } from "./scenes";
 
 // Component bảo vệ đường dẫn chỉ cho người dùng đã đăng nhập
@@ -61,6 +62,7 @@ const AppRoutes = () => {
         <Route path="/book" element={<Book />} />
         <Route path="/report" element={<Report/>} />
         <Route path="/genre" element={<Genre />} />
+        <Route path="/work" element={<Work />} />
       </Route>
       
       {/* Điều hướng URL không hợp lệ về trang chính */}
@@ -27,9 +27,69 @@ export const login = async (email, password) => {
   }
 };
 
+// Các bước 2FA khi đăng nhập (path: "", "/setup", "/enable") - dùng token tạm từ /login
+export const twoFactorLoginRequest = async (path, body) => {
+  const response = await fetch(`${API_URL}/api/auth/login/2fa${path}`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(body),
+  });
+  const data = await response.json();
+  if (!response.ok) {
+    throw new Error(data.message || "Xác thực hai lớp thất bại");
+  }
+  return data;
+};
+
 export const getAuthHeader = () => {
   const token = localStorage.getItem("admin-token");
   return {
     Authorization: token ? `Bearer ${token}` : "",
   };
-};
\ No newline at end of file
+};
+
+// Lưu cặp token sau khi đăng nhập / refresh. Access token sống ngắn nên phải refresh định kỳ.
+export const saveTokens = ({ token, refreshToken, expiresIn }) => {
+  localStorage.setItem("admin-token", token);
+  localStorage.setItem("admin-refresh-token", refreshToken);
+  localStorage.setItem("admin-token-expires-at", String(Date.now() + expiresIn * 1000));
+};
+
+export const clearTokens = () => {
+  localStorage.removeItem("admin-token");
+  localStorage.removeItem("admin-refresh-token");
+  localStorage.removeItem("admin-token-expires-at");
+  localStorage.removeItem("admin-user");
+};
+
+// Đổi refresh token lấy access token mới. Trả về false nếu phiên đã bị thu hồi / hết hạn.
+export const refreshAdminToken = async () => {
+  const refreshToken = localStorage.getItem("admin-refresh-token");
+  if (!refreshToken) return false;
+
+  const response = await fetch(`${API_URL}/api/auth/refresh`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ refreshToken }),
+  });
+  if (response.status === 401) return false;
+
+  const data = await response.json();
+  if (!response.ok) {
+    throw new Error(data.message || "Không thể làm mới phiên đăng nhập");
+  }
+  saveTokens(data);
+  return true;
+};
+
+// Thu hồi phiên hiện tại trên server (lỗi thì bỏ qua, vẫn đăng xuất ở trình duyệt)
+export const revokeCurrentSession = async () => {
+  try {
+    await fetch(`${API_URL}/api/auth/logout`, {
+      method: "POST",
+      headers: getAuthHeader(),
+    });
+  } catch (error) {
+    console.error("Lỗi khi thu hồi phiên:", error);
+  }
+};
@@ -1,4 +1,14 @@
 import React, { createContext, useState, useContext, useEffect } from "react";
+import {
+  clearTokens,
+  refreshAdminToken,
+  revokeCurrentSession,
+  saveTokens,
+  twoFactorLoginRequest,
+} from "../api/authService";
+
+// Refresh access token trước khi hết hạn khoảng này
+const REFRESH_MARGIN_MS = 60 * 1000;
 
 const AuthContext = createContext();
 
@@ -21,22 +31,27 @@ export const AuthProvider = ({ children }) => {
         const token = localStorage.getItem("admin-token");
         const userData = localStorage.getItem("admin-user");
 
+        // Token từ bản cũ (chưa có refresh token) không còn dùng được - đăng nhập lại
+        if (token && !localStorage.getItem("admin-refresh-token")) {
+          clearTokens();
+          return;
+        }
+
         if (token && userData) {
           const parsedUser = JSON.parse(userData);
-          // Kiểm tra role admin khi load từ localStorage
-          if (parsedUser.role === "admin") {
+          // Kiểm tra role admin khi load từ localStorage. Admin chưa bật 2FA (phiên từ trước khi
+          // bắt buộc 2FA) bị server chặn - đăng nhập lại để bật
+          if (parsedUser.role === "admin" && parsedUser.twoFactorEnabled) {
             setUser(parsedUser);
             setIsAuthenticated(true);
           } else {
             // Xóa token nếu không phải admin
-            localStorage.removeItem("admin-token");
-            localStorage.removeItem("admin-user");
+            clearTokens();
           }
         }
       } catch (error) {
         console.error("Lỗi khi kiểm tra trạng thái xác thực:", error);
-        localStorage.removeItem("admin-token");
-        localStorage.removeItem("admin-user");
+        clearTokens();
       } finally {
         setIsLoading(false);
       }
@@ -45,6 +60,33 @@ export const AuthProvider = ({ children }) => {
     checkAuthStatus();
   }, []);
 
+  // Tự refresh access token khi sắp hết hạn, phiên bị thu hồi thì đăng xuất
+  useEffect(() => {
+    if (!isAuthenticated) return;
+
+    let timer;
+    const scheduleRefresh = () => {
+      const expiresAt = Number(localStorage.getItem("admin-token-expires-at")) || 0;
+      const delay = Math.max(expiresAt - Date.now() - REFRESH_MARGIN_MS, 0);
+      timer = setTimeout(async () => {
+        try {
+          if (await refreshAdminToken()) {
+            scheduleRefresh();
+          } else {
+            logout();
+          }
+        } catch (error) {
+          // Lỗi mạng - thử lại sau
+          console.error("Lỗi khi làm mới phiên đăng nhập:", error);
+          timer = setTimeout(scheduleRefresh, 30 * 1000);
+        }
+      }, delay);
+    };
+    scheduleRefresh();
+
+    return () => clearTimeout(timer);
+  }, [isAuthenticated]);
+
   const login = async (email, password) => {
     try {
       const API_URL = import.meta.env.VITE_API_URL || "http://localhost:3000";
@@ -63,35 +105,75 @@ export const AuthProvider = ({ children }) => {
         throw new Error(data.message || "Đăng nhập thất bại");
       }
 
-      if (!data.token) {
-        throw new Error("Token không hợp lệ");
+      // Đúng mật khẩu, còn bước 2FA: nhập mã, hoặc admin chưa bật 2FA thì phải bật trước
+      if (data.twoFactorRequired || data.twoFactorSetupRequired) {
+        return {
+          success: false,
+          twoFactorRequired: !!data.twoFactorRequired,
+          twoFactorSetupRequired: !!data.twoFactorSetupRequired,
+          twoFactorToken: data.twoFactorToken,
+        };
       }
 
-      // Kiểm tra role của user
-      const userData = data.user || { email, role: "user" };
-      
-      // Chỉ cho phép admin đăng nhập vào trang admin
-      if (userData.role !== "admin") {
-        throw new Error("Bạn không có quyền truy cập vào trang quản trị. Chỉ admin mới được phép đăng nhập.");
-      }
+      return finishLogin(data, email);
+    } catch (error) {
+      console.error("Lỗi đăng nhập:", error);
+      return { success: false, error: error.message };
+    }
+  };
 
-      localStorage.setItem("admin-token", data.token);
-      localStorage.setItem("admin-user", JSON.stringify(userData));
+  // Lưu phiên sau khi đăng nhập xong (kể cả qua bước 2FA)
+  const finishLogin = (data, email) => {
+    if (!data.token) {
+      throw new Error("Token không hợp lệ");
+    }
+
+    // Kiểm tra role của user
+    const userData = data.user || { email, role: "user" };
+
+    // Chỉ cho phép admin đăng nhập vào trang admin
+    if (userData.role !== "admin") {
+      throw new Error("Bạn không có quyền truy cập vào trang quản trị. Chỉ admin mới được phép đăng nhập.");
+    }
+
+    saveTokens(data);
+    localStorage.setItem("admin-user", JSON.stringify(userData));
+
+    setUser(userData);
+    const completeLogin = () => setIsAuthenticated(true);
+
+    return { success: true, user: userData, token: data.token, completeLogin };
+  };
 
-      setUser(userData);
-      const completeLogin = () => setIsAuthenticated(true);
+  // Bước thứ hai: mã từ app xác thực hoặc recovery code
+  const verifyTwoFactor = async (twoFactorToken, { code, recoveryCode }) => {
+    try {
+      const data = await twoFactorLoginRequest("", { twoFactorToken, code, recoveryCode });
+      return finishLogin(data);
+    } catch (error) {
+      console.error("Lỗi xác thực hai lớp:", error);
+      return { success: false, error: error.message };
+    }
+  };
+
+  // Admin chưa bật 2FA: lấy secret / mã QR để quét
+  const startTwoFactorSetup = (twoFactorToken) => twoFactorLoginRequest("/setup", { twoFactorToken });
 
-      return { success: true, user: userData, token: data.token, completeLogin };
+  // Nhập mã đầu tiên để bật 2FA - đăng nhập luôn, trả về recovery code để admin lưu lại
+  const enableTwoFactor = async (twoFactorToken, code) => {
+    try {
+      const data = await twoFactorLoginRequest("/enable", { twoFactorToken, code });
+      return { ...finishLogin(data), recoveryCodes: data.recoveryCodes };
     } catch (error) {
-      console.error("Lỗi đăng nhập:", error);
+      console.error("Lỗi bật xác thực hai lớp:", error);
       return { success: false, error: error.message };
     }
   };
 
   // THÊM: Function logout
   const logout = () => {
-    localStorage.removeItem("admin-token");
-    localStorage.removeItem("admin-user");
+    revokeCurrentSession();
+    clearTokens();
     setUser(null);
     setIsAuthenticated(false);
   };
@@ -100,6 +182,9 @@ export const AuthProvider = ({ children }) => {
     isAuthenticated,
     user,
     login,
+    verifyTwoFactor,
+    startTwoFactorSetup,
+    enableTwoFactor,
     logout, // THÊM logout vào value
     isLoading,
   };
@@ -0,0 +1,170 @@
+import React, { useEffect, useState } from "react";
+import { Alert, Box, Button, TextField, Typography } from "@mui/material";
+import { useAuth } from "../../context/AuthContext";
+
+const inputSx = {
+  mb: 2,
+  "& .MuiOutlinedInput-root": {
+    borderRadius: "10px",
+    backgroundColor: "#f8f9fa",
+    "& fieldset": { borderColor: "#e0e0e0", borderWidth: "1px" },
+    "&:hover fieldset": { borderColor: "#667eea" },
+    "&.Mui-focused fieldset": { borderColor: "#667eea", borderWidth: "2px" },
+  },
+  "& .MuiInputLabel-root": { color: "#666", "&.Mui-focused": { color: "#667eea" } },
+  "& .MuiOutlinedInput-input": { color: "#333", padding: "14px" },
+};
+
+const submitSx = {
+  padding: "14px",
+  borderRadius: "10px",
+  background: "linear-gradient(135deg, #667eea 0%, #764ba2 100%)",
+  color: "white",
+  fontSize: "16px",
+  fontWeight: "600",
+  textTransform: "none",
+  "&:disabled": { background: "#ccc" },
+};
+
+// Bước thứ hai sau mật khẩu. mode "verify": nhập mã từ app xác thực / recovery code;
+// mode "setup": admin chưa bật 2FA - quét QR, nhập mã đầu tiên rồi lưu recovery code.
+const TwoFactorStep = ({ twoFactorToken, mode, onSuccess, onCancel }) => {
+  const { verifyTwoFactor, startTwoFactorSetup, enableTwoFactor } = useAuth();
+  const [code, setCode] = useState("");
+  const [useRecoveryCode, setUseRecoveryCode] = useState(false);
+  const [setup, setSetup] = useState(null);
+  // Kết quả bật 2FA (đã đăng nhập) - chờ admin lưu recovery code rồi mới vào dashboard
+  const [enabledResult, setEnabledResult] = useState(null);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    if (mode !== "setup") return;
+    startTwoFactorSetup(twoFactorToken)
+      .then(setSetup)
+      .catch((err) => setError(err.message));
+  }, [mode, twoFactorToken]);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError("");
+    setIsSubmitting(true);
+
+    const value = code.trim();
+    const result =
+      mode === "setup"
+        ? await enableTwoFactor(twoFactorToken, value)
+        : await verifyTwoFactor(twoFactorToken, useRecoveryCode ? { recoveryCode: value } : { code: value });
+    setIsSubmitting(false);
+
+    if (!result.success) {
+      setError(result.error || "Mã xác thực không hợp lệ");
+      return;
+    }
+    if (result.recoveryCodes) {
+      setEnabledResult(result);
+    } else {
+      onSuccess(result);
+    }
+  };
+
+  if (enabledResult) {
+    return (
+      <Box>
+        <Typography variant="body2" sx={{ color: "#666", mb: 2 }}>
+          Lưu các mã khôi phục này ở nơi an toàn. Mỗi mã dùng được một lần khi mất điện thoại, và sẽ
+          không hiện lại.
+        </Typography>
+        <Box
+          sx={{
+            display: "grid",
+            gridTemplateColumns: "1fr 1fr",
+            gap: 1,
+            mb: 3,
+            fontFamily: "monospace",
+            fontSize: "1rem",
+            textAlign: "center",
+          }}
+        >
+          {enabledResult.recoveryCodes.map((recoveryCode) => (
+            <Box key={recoveryCode} sx={{ backgroundColor: "#f8f9fa", borderRadius: "8px", py: 1 }}>
+              {recoveryCode}
+            </Box>
+          ))}
+        </Box>
+        <Button variant="contained" fullWidth sx={submitSx} onClick={() => onSuccess(enabledResult)}>
+          Tôi đã lưu các mã
+        </Button>
+      </Box>
+    );
+  }
+
+  return (
+    <Box component="form" onSubmit={handleSubmit} sx={{ width: "100%" }}>
+      {error && (
+        <Alert severity="error" sx={{ mb: 2, borderRadius: "10px" }}>
+          {error}
+        </Alert>
+      )}
+
+      {mode === "setup" ? (
+        <Box sx={{ textAlign: "center", mb: 2 }}>
+          <Typography variant="body2" sx={{ color: "#666", mb: 2 }}>
+            Tài khoản admin bắt buộc bật xác thực hai lớp. Quét mã QR bằng ứng dụng xác thực
+            (Google Authenticator, Authy...) hoặc nhập khóa bên dưới.
+          </Typography>
+          {setup && (
+            <>
+              <img src={setup.qrCode} alt="Mã QR xác thực hai lớp" width={200} height={200} />
+              <Typography sx={{ fontFamily: "monospace", wordBreak: "break-all", mt: 1 }}>
+                {setup.secret}
+              </Typography>
+            </>
+          )}
+        </Box>
+      ) : (
+        <Typography variant="body2" sx={{ color: "#666", mb: 2, textAlign: "center" }}>
+          {useRecoveryCode
+            ? "Nhập một mã khôi phục đã lưu khi bật xác thực hai lớp."
+            : "Nhập mã 6 số từ ứng dụng xác thực."}
+        </Typography>
+      )}
+
+      <TextField
+        fullWidth
+        label={useRecoveryCode ? "Mã khôi phục" : "Mã xác thực"}
+        value={code}
+        onChange={(e) => setCode(e.target.value)}
+        required
+        autoFocus
+        autoComplete="one-time-code"
+        inputProps={{ maxLength: useRecoveryCode ? 9 : 6 }}
+        disabled={isSubmitting || (mode === "setup" && !setup)}
+        sx={inputSx}
+      />
+
+      <Button type="submit" variant="contained" fullWidth disabled={isSubmitting || !code.trim()} sx={submitSx}>
+        {mode === "setup" ? "Bật xác thực hai lớp" : "Xác nhận"}
+      </Button>
+
+      <Box sx={{ display: "flex", justifyContent: "space-between", mt: 2 }}>
+        <Button onClick={onCancel} sx={{ textTransform: "none", color: "#666" }}>
+          Quay lại
+        </Button>
+        {mode !== "setup" && (
+          <Button
+            onClick={() => {
+              setUseRecoveryCode(!useRecoveryCode);
+              setCode("");
+            }}
+            sx={{ textTransform: "none", color: "#667eea" }}
+          >
+            {useRecoveryCode ? "Dùng mã từ ứng dụng" : "Dùng mã khôi phục"}
+          </Button>
+        )}
+      </Box>
+    </Box>
+  );
+};
+
+export default TwoFactorStep;
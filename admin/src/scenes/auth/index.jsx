@@ -2,6 +2,7 @@ import React, { useState, useEffect, useRef, useCallback } from "react";
 import { useNavigate } from "react-router-dom";
 import { useAuth } from "../../context/AuthContext";
 import LoadingPage from "../loading/index.jsx";
+import TwoFactorStep from "./TwoFactorStep.jsx";
 import {
   Box,
   Button,
@@ -25,6 +26,8 @@ const Login = () => {
   const [isLoading, setIsLoading] = useState(false);
   const [error, setError] = useState("");
   const [showLoading, setShowLoading] = useState(false);
+  // { token, mode: "verify" | "setup" } khi đúng mật khẩu nhưng còn bước 2FA
+  const [twoFactor, setTwoFactor] = useState(null);
 
   const startTimer = useCallback(() => {
     console.log("=== BẮT ĐẦU COUNTDOWN 3 GIÂY ===");
@@ -46,6 +49,24 @@ const Login = () => {
 
   const handleClickShowPassword = () => setShowPassword(!showPassword);
 
+  const enterDashboard = (result) => {
+    console.log("Đăng nhập thành công!");
+    setShowLoading(true); // Bắt đầu hiển thị loading
+
+    // BẮT BUỘC CHỜ 3 GIÂY RỒI MỚI CHUYỂN TRANG
+    console.log("=== BẮT ĐẦU COUNTDOWN 3 GIÂY ===");
+    console.log("Thời gian bắt đầu:", new Date().getTime());
+
+    timerRef.current = setTimeout(() => {
+      console.log("=== 3 GIÂY ĐÃ TRÔI QUA ===");
+      console.log("Thời gian kết thúc:", new Date().getTime());
+      console.log("Chuyển hướng đến dashboard...");
+      setShowLoading(false); // Tắt loading trước khi navigate
+      if (result.completeLogin) result.completeLogin(); // Gọi sau loading
+      navigate("/");
+    }, 3000); // 3 giây thay vì 5 giây
+  };
+
   const handleSubmit = async (e) => {
     e.preventDefault();
     setError("");
@@ -56,28 +77,20 @@ const Login = () => {
       const result = await login(formData.email, formData.password);
       console.log("Kết quả đăng nhập:", result);
 
-      if (result.success === false) {
+      if (result.twoFactorRequired || result.twoFactorSetupRequired) {
+        setTwoFactor({
+          token: result.twoFactorToken,
+          mode: result.twoFactorSetupRequired ? "setup" : "verify",
+        });
+        setIsLoading(false);
+        return;
+      } else if (result.success === false) {
         setError(result.error || "Đăng nhập thất bại");
         setIsLoading(false);
         return;
       } else {
-        console.log("Đăng nhập thành công!");
-        // KHÔNG tắt isLoading ngay - chuyển sang showLoading
         setIsLoading(false);
-        setShowLoading(true); // Bắt đầu hiển thị loading
-        
-        // BẮT BUỘC CHỜ 3 GIÂY RỒI MỚI CHUYỂN TRANG
-        console.log("=== BẮT ĐẦU COUNTDOWN 3 GIÂY ===");
-        console.log("Thời gian bắt đầu:", new Date().getTime());
-        
-        timerRef.current = setTimeout(() => {
-          console.log("=== 3 GIÂY ĐÃ TRÔI QUA ===");
-          console.log("Thời gian kết thúc:", new Date().getTime());
-          console.log("Chuyển hướng đến dashboard...");
-          setShowLoading(false); // Tắt loading trước khi navigate
-          if (result.completeLogin) result.completeLogin(); // Gọi sau loading
-          navigate("/");
-        }, 3000); // 3 giây thay vì 5 giây
+        enterDashboard(result);
       }
     } catch (error) {
       console.error("Lỗi khi đăng nhập:", error);
@@ -199,117 +212,126 @@ const Login = () => {
               </Alert>
             )}
 
-            <Box component="form" onSubmit={handleSubmit} sx={{ width: "100%" }}>
-              <TextField
-                fullWidth
-                label="Email"
-                name="email"
-                variant="outlined"
-                value={formData.email}
-                onChange={handleChange}
-                required
-                autoComplete="email"
-                disabled={isLoading}
-                sx={{
-                  mb: 2,
-                  "& .MuiOutlinedInput-root": {
-                    borderRadius: "10px",
-                    backgroundColor: "#f8f9fa",
-                    "& fieldset": { borderColor: "#e0e0e0", borderWidth: "1px" },
-                    "&:hover fieldset": { borderColor: "#667eea" },
-                    "&.Mui-focused fieldset": { borderColor: "#667eea", borderWidth: "2px" },
-                  },
-                  "& .MuiInputLabel-root": { color: "#666", "&.Mui-focused": { color: "#667eea" } },
-                  "& .MuiOutlinedInput-input": { color: "#333", padding: "14px" },
-                }}
+            {twoFactor ? (
+              <TwoFactorStep
+                twoFactorToken={twoFactor.token}
+                mode={twoFactor.mode}
+                onSuccess={enterDashboard}
+                onCancel={() => setTwoFactor(null)}
               />
-              <TextField
-                fullWidth
-                label="Mật khẩu"
-                name="password"
-                type={showPassword ? "text" : "password"}
-                variant="outlined"
-                value={formData.password}
-                onChange={handleChange}
-                required
-                autoComplete="current-password"
-                disabled={isLoading}
-                InputProps={{
-                  endAdornment: (
-                    <InputAdornment position="end">
-                      <IconButton
-                        aria-label="toggle password visibility"
-                        onClick={handleClickShowPassword}
-                        edge="end"
-                        disabled={isLoading}
-                        sx={{ color: "#666", "&:hover": { color: "#667eea" } }}
-                      >
-                        {showPassword ? <VisibilityOff /> : <Visibility />}
-                      </IconButton>
-                    </InputAdornment>
-                  ),
-                }}
-                sx={{
-                  mb: 3,
-                  "& .MuiOutlinedInput-root": {
+            ) : (
+              <Box component="form" onSubmit={handleSubmit} sx={{ width: "100%" }}>
+                <TextField
+                  fullWidth
+                  label="Email"
+                  name="email"
+                  variant="outlined"
+                  value={formData.email}
+                  onChange={handleChange}
+                  required
+                  autoComplete="email"
+                  disabled={isLoading}
+                  sx={{
+                    mb: 2,
+                    "& .MuiOutlinedInput-root": {
+                      borderRadius: "10px",
+                      backgroundColor: "#f8f9fa",
+                      "& fieldset": { borderColor: "#e0e0e0", borderWidth: "1px" },
+                      "&:hover fieldset": { borderColor: "#667eea" },
+                      "&.Mui-focused fieldset": { borderColor: "#667eea", borderWidth: "2px" },
+                    },
+                    "& .MuiInputLabel-root": { color: "#666", "&.Mui-focused": { color: "#667eea" } },
+                    "& .MuiOutlinedInput-input": { color: "#333", padding: "14px" },
+                  }}
+                />
+                <TextField
+                  fullWidth
+                  label="Mật khẩu"
+                  name="password"
+                  type={showPassword ? "text" : "password"}
+                  variant="outlined"
+                  value={formData.password}
+                  onChange={handleChange}
+                  required
+                  autoComplete="current-password"
+                  disabled={isLoading}
+                  InputProps={{
+                    endAdornment: (
+                      <InputAdornment position="end">
+                        <IconButton
+                          aria-label="toggle password visibility"
+                          onClick={handleClickShowPassword}
+                          edge="end"
+                          disabled={isLoading}
+                          sx={{ color: "#666", "&:hover": { color: "#667eea" } }}
+                        >
+                          {showPassword ? <VisibilityOff /> : <Visibility />}
+                        </IconButton>
+                      </InputAdornment>
+                    ),
+                  }}
+                  sx={{
+                    mb: 3,
+                    "& .MuiOutlinedInput-root": {
+                      borderRadius: "10px",
+                      backgroundColor: "#f8f9fa",
+                      "& fieldset": { borderColor: "#e0e0e0", borderWidth: "1px" },
+                      "&:hover fieldset": { borderColor: "#667eea" },
+                      "&.Mui-focused fieldset": { borderColor: "#667eea", borderWidth: "2px" },
+                    },
+                    "& .MuiInputLabel-root": { color: "#666", "&.Mui-focused": { color: "#667eea" } },
+                    "& .MuiOutlinedInput-input": { color: "#333", padding: "14px" },
+                  }}
+                />
+                <Button
+                  onClick={() => {
+                    console.log("=== TEST LOADING BUTTON ===");
+                    setShowLoading(true);
+                    
+                    console.log("=== BẮT ĐẦU COUNTDOWN 3 GIÂY ===");
+                    console.log("Thời gian bắt đầu:", new Date().getTime());
+                    
+                    timerRef.current = setTimeout(() => {
+                      console.log("=== 3 GIÂY ĐÃ TRÔI QUA ===");
+                      console.log("Thời gian kết thúc:", new Date().getTime());
+                      console.log("Chuyển hướng đến dashboard...");
+                      setShowLoading(false);
+                      navigate("/");
+                    }, 3000); // Đổi thành 3 giây
+                  }}
+                  variant="outlined"
+                  fullWidth
+                  sx={{ mb: 2 }}
+                >
+                  Test Loading Page (3s)
+                </Button>
+                <Button
+                  type="submit"
+                  variant="contained"
+                  fullWidth
+                  disabled={isLoading}
+                  sx={{
+                    padding: "14px",
                     borderRadius: "10px",
-                    backgroundColor: "#f8f9fa",
-                    "& fieldset": { borderColor: "#e0e0e0", borderWidth: "1px" },
-                    "&:hover fieldset": { borderColor: "#667eea" },
-                    "&.Mui-focused fieldset": { borderColor: "#667eea", borderWidth: "2px" },
-                  },
-                  "& .MuiInputLabel-root": { color: "#666", "&.Mui-focused": { color: "#667eea" } },
-                  "& .MuiOutlinedInput-input": { color: "#333", padding: "14px" },
-                }}
-              />
-              <Button
-                onClick={() => {
-                  console.log("=== TEST LOADING BUTTON ===");
-                  setShowLoading(true);
-                  
-                  console.log("=== BẮT ĐẦU COUNTDOWN 3 GIÂY ===");
-                  console.log("Thời gian bắt đầu:", new Date().getTime());
-                  
-                  timerRef.current = setTimeout(() => {
-                    console.log("=== 3 GIÂY ĐÃ TRÔI QUA ===");
-                    console.log("Thời gian kết thúc:", new Date().getTime());
-                    console.log("Chuyển hướng đến dashboard...");
-                    setShowLoading(false);
-                    navigate("/");
-                  }, 3000); // Đổi thành 3 giây
-                }}
-                variant="outlined"
-                fullWidth
-                sx={{ mb: 2 }}
-              >
-                Test Loading Page (3s)
-              </Button>
-              <Button
-                type="submit"
-                variant="contained"
-                fullWidth
-                disabled={isLoading}
-                sx={{
-                  padding: "14px",
-                  borderRadius: "10px",
-                  background: "linear-gradient(135deg, #667eea 0%, #764ba2 100%)",
-                  color: "white",
-                  fontSize: "16px",
-                  fontWeight: "600",
-                  textTransform: "none",
-                  boxShadow: "0 8px 25px rgba(102, 126, 234, 0.3)",
-                  transition: "all 0.3s ease",
-                  "&:hover": {
-                    background: "linear-gradient(135deg, #5a6fd8 0%, #6a4190 100%)",
-                    boxShadow: "0 12px 35px rgba(102, 126, 234, 0.4)",
-                    transform: "translateY(-1px)",
-                  },
-                  "&:disabled": { background: "#ccc", boxShadow: "none", transform: "none" },
-                }}
-              >
-                Đăng nhập
-              </Button>
-            </Box>
+                    background: "linear-gradient(135deg, #667eea 0%, #764ba2 100%)",
+                    color: "white",
+                    fontSize: "16px",
+                    fontWeight: "600",
+                    textTransform: "none",
+                    boxShadow: "0 8px 25px rgba(102, 126, 234, 0.3)",
+                    transition: "all 0.3s ease",
+                    "&:hover": {
+                      background: "linear-gradient(135deg, #5a6fd8 0%, #6a4190 100%)",
+                      boxShadow: "0 12px 35px rgba(102, 126, 234, 0.4)",
+                      transform: "translateY(-1px)",
+                    },
+                    "&:disabled": { background: "#ccc", boxShadow: "none", transform: "none" },
+                  }}
+                >
+                  Đăng nhập
+                </Button>
+              </Box>
+            )}
             <Box sx={{ textAlign: "center", mt: 3 }}>
               <Typography variant="body2" sx={{ color: "#999", fontSize: "0.8rem" }}>
                 © 2025 Thư viện tan vỡ. Tất cả quyền được bảo lưu.
@@ -6,6 +6,7 @@ import Report from "./report";
 import Login from "./auth";
 import Book from "./book";
 import Genre from "./genre";
+import Work from "./work";
 
 export {
   Navbar,
@@ -15,5 +16,6 @@ export {
   Report,
   Login,
   Book,
-  Genre
+  Genre,
+  Work
 };
\ No newline at end of file
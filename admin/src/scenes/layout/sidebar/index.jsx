@@ -10,6 +10,7 @@ import {
   PeopleAltOutlined,
   Category,
   BookOutlined,
+  LibraryBooksOutlined,
   ChevronLeft,
   ChevronRight,
 } from "@mui/icons-material"
@@ -228,6 +229,12 @@ const SideBar = () => {
             colors={colors}
             icon={<Category sx={{ fontSize: "22px", color: colors.primary[200] }} />}
           />
+          <Item
+            title="Quản lý tác phẩm"
+            path="/work"
+            colors={colors}
+            icon={<LibraryBooksOutlined sx={{ fontSize: "22px", color: colors.blueAccent[300] }} />}
+          />
         </Menu>
       </Box>
     </Sidebar>
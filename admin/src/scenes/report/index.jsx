@@ -672,6 +672,8 @@ const handleViewBookDetail = () => {
                     ? "Sách bị báo cáo:" 
                     : selectedReport.reportedItemType === "User"
                     ? "Người dùng bị báo cáo:"
+                    : selectedReport.reportedItemType === "BookList"
+                    ? "Danh sách bị báo cáo:"
                     : "Mục bị báo cáo:"}
                 </Typography>
 
@@ -784,6 +786,48 @@ const handleViewBookDetail = () => {
                   </Box>
                 )}
 
+                {/* Hiển thị cho BookList */}
+                {selectedReport.reportedItemType === "BookList" && (
+                  <Box
+                    sx={{
+                      backgroundColor: colors.primary[500],
+                      padding: "15px",
+                      borderRadius: "12px",
+                      boxShadow: getNeumorphicInsetShadow(),
+                      color: colors.gray[100],
+                      fontSize: "15px",
+                      mb: 2,
+                      border: `1px solid ${colors.redAccent[400]}`,
+                    }}
+                  >
+                    {typeof selectedReport.reportedItemObject === "object" && selectedReport.reportedItemObject?.title ? (
+                      <div>
+                        <Typography sx={{ fontWeight: "bold", mb: 0.5 }}>
+                          📋 {selectedReport.reportedItemObject.title}
+                        </Typography>
+                        <Typography>
+                          👤 Người tạo: {selectedReport.reportedItemObject.user?.username || "Unknown"}
+                        </Typography>
+                        <Typography>
+                          📚 Số mục: {selectedReport.reportedItemObject.items?.length || 0}
+                        </Typography>
+                        {selectedReport.reportedItemObject.description && (
+                          <Typography variant="caption" sx={{ color: colors.gray[300] }}>
+                            📝 {selectedReport.reportedItemObject.description.substring(0, 150)}
+                            {selectedReport.reportedItemObject.description.length > 150 ? "..." : ""}
+                          </Typography>
+                        )}
+                      </div>
+                    ) : (
+                      <Typography sx={{ color: colors.gray[400], fontStyle: "italic" }}>
+                        List ID: {selectedReport.reportedItemId}
+                        <br />
+                        <small>(Danh sách có thể đã bị xóa hoặc không tải được)</small>
+                      </Typography>
+                    )}
+                  </Box>
+                )}
+
                 {/* Hiển thị cho User */}
                 {selectedReport.reportedItemType === "User" && (
                   <Box
@@ -0,0 +1,490 @@
+"use client"
+
+import { useState, useEffect } from "react"
+import {
+  Box,
+  useTheme,
+  Button,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  TextField,
+  Typography,
+  IconButton,
+  FormControlLabel,
+  Switch,
+  Radio,
+  RadioGroup,
+} from "@mui/material"
+import { Header } from "../../components"
+import { DataGrid, GridToolbar, GridToolbarContainer } from "@mui/x-data-grid"
+import { tokens } from "../../theme"
+import { Edit as EditIcon, MergeType as MergeIcon } from "@mui/icons-material"
+
+const API_URL = import.meta.env.VITE_API_URL || "http://localhost:3000"
+
+// Quản lý tác phẩm (Work): sửa thông tin gốc và gộp các tác phẩm bị trùng
+const Work = () => {
+  const theme = useTheme()
+  const colors = tokens(theme.palette.mode)
+  const isDark = theme.palette.mode === "dark"
+
+  const [works, setWorks] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState(null)
+  const [successMessage, setSuccessMessage] = useState("")
+  const [onlyDuplicates, setOnlyDuplicates] = useState(false)
+  const [selectedIds, setSelectedIds] = useState([])
+  const [mergeDialogOpen, setMergeDialogOpen] = useState(false)
+  const [mergeTargetId, setMergeTargetId] = useState("")
+  const [editingWork, setEditingWork] = useState(null)
+  const [editForm, setEditForm] = useState({ title: "", authors: "", published_year: "" })
+
+  const getNeumorphicShadow = () => {
+    return isDark
+      ? `5px 5px 10px ${colors.primary[600]}, -5px -5px 10px ${colors.primary[400]}`
+      : `5px 5px 10px rgba(0, 0, 0, 0.05), -5px -5px 10px rgba(255, 255, 255, 0.8)`
+  }
+
+  const getNeumorphicInsetShadow = () => {
+    return isDark
+      ? `inset 3px 3px 6px ${colors.primary[600]}, inset -3px -3px 6px ${colors.primary[400]}`
+      : `inset 3px 3px 6px rgba(0, 0, 0, 0.05), inset -3px -3px 6px rgba(255, 255, 255, 0.8)`
+  }
+
+  const buttonSx = (color) => ({
+    backgroundColor: colors.primary[500],
+    color,
+    padding: "10px 20px",
+    borderRadius: "12px",
+    boxShadow: getNeumorphicShadow(),
+    fontSize: "14px",
+    fontWeight: "bold",
+    "&:hover": { backgroundColor: colors.primary[500] },
+  })
+
+  const inputSx = {
+    mb: 2,
+    "& .MuiOutlinedInput-root": {
+      backgroundColor: colors.primary[500],
+      borderRadius: "12px",
+      boxShadow: getNeumorphicInsetShadow(),
+      "& fieldset": { border: "none" },
+    },
+    "& .MuiInputBase-input": {
+      color: colors.gray[100],
+      padding: "15px",
+      fontSize: "15px",
+    },
+  }
+
+  const showSuccess = (message) => {
+    setSuccessMessage(message)
+    setTimeout(() => setSuccessMessage(""), 3000)
+  }
+
+  useEffect(() => {
+    fetchWorks()
+  }, [])
+
+  const fetchWorks = async () => {
+    try {
+      setLoading(true)
+      setError(null)
+
+      const token = localStorage.getItem("admin-token")
+      if (!token) {
+        throw new Error("Không tìm thấy token xác thực")
+      }
+
+      const response = await fetch(`${API_URL}/api/admin/works`, {
+        headers: {
+          Authorization: `Bearer ${token}`,
+          "Content-Type": "application/json",
+        },
+      })
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}: ${response.statusText}`)
+      }
+
+      const data = await response.json()
+      setWorks(
+        data.works.map((work, index) => ({
+          ...work,
+          id: work._id,
+          stt: index + 1,
+          authorsText: work.authors.join(", "),
+          genreName: work.genre?.genre_name || "",
+        }))
+      )
+    } catch (error) {
+      console.error("Error fetching works:", error)
+      setError(error.message)
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const openMergeDialog = () => {
+    if (selectedIds.length < 2) {
+      alert("Vui lòng chọn ít nhất 2 tác phẩm để gộp")
+      return
+    }
+    // Mặc định giữ lại tác phẩm có nhiều review nhất
+    const selectedWorks = works.filter((work) => selectedIds.includes(work.id))
+    const target = selectedWorks.reduce((best, work) =>
+      work.reviewCount > best.reviewCount ? work : best
+    )
+    setMergeTargetId(target.id)
+    setMergeDialogOpen(true)
+  }
+
+  const handleMerge = async () => {
+    try {
+      const token = localStorage.getItem("admin-token")
+      if (!token) {
+        alert("Không tìm thấy token xác thực")
+        return
+      }
+
+      const response = await fetch(`${API_URL}/api/admin/works/merge`, {
+        method: "POST",
+        headers: {
+          Authorization: `Bearer ${token}`,
+          "Content-Type": "application/json",
+        },
+        body: JSON.stringify({
+          targetId: mergeTargetId,
+          sourceIds: selectedIds.filter((id) => id !== mergeTargetId),
+        }),
+      })
+
+      const data = await response.json()
+      if (response.ok) {
+        showSuccess(`Đã gộp ${data.mergedWorks} tác phẩm, chuyển ${data.movedReviews} bài review`)
+        setMergeDialogOpen(false)
+        setSelectedIds([])
+        await fetchWorks()
+      } else {
+        alert("Lỗi khi gộp tác phẩm: " + data.message)
+      }
+    } catch (error) {
+      console.error("Error merging works:", error)
+      alert("Lỗi khi gộp tác phẩm: " + error.message)
+    }
+  }
+
+  const openEditDialog = (work) => {
+    setEditingWork(work)
+    setEditForm({
+      title: work.title,
+      authors: work.authorsText,
+      published_year: work.published_year ? String(work.published_year) : "",
+    })
+  }
+
+  const handleEditSave = async () => {
+    if (!editForm.title.trim() || !editForm.authors.trim()) {
+      alert("Tên sách và tác giả không được để trống")
+      return
+    }
+
+    try {
+      const token = localStorage.getItem("admin-token")
+      if (!token) {
+        alert("Không tìm thấy token xác thực")
+        return
+      }
+
+      const response = await fetch(`${API_URL}/api/admin/works/${editingWork.id}`, {
+        method: "PATCH",
+        headers: {
+          Authorization: `Bearer ${token}`,
+          "Content-Type": "application/json",
+        },
+        body: JSON.stringify({
+          title: editForm.title.trim(),
+          authors: editForm.authors,
+          published_year: editForm.published_year ? parseInt(editForm.published_year) : null,
+        }),
+      })
+
+      const data = await response.json()
+      if (response.ok) {
+        showSuccess(`Cập nhật tác phẩm thành công (${data.updatedBooks} bài review được đồng bộ)`)
+        setEditingWork(null)
+        await fetchWorks()
+      } else {
+        alert("Lỗi khi cập nhật tác phẩm: " + data.message)
+      }
+    } catch (error) {
+      console.error("Error updating work:", error)
+      alert("Lỗi khi cập nhật tác phẩm: " + error.message)
+    }
+  }
+
+  const CustomToolbar = () => (
+    <GridToolbarContainer sx={{ justifyContent: "space-between", p: 2 }}>
+      <Box display="flex" alignItems="center" gap={2}>
+        <GridToolbar />
+        <FormControlLabel
+          control={
+            <Switch
+              checked={onlyDuplicates}
+              onChange={(e) => setOnlyDuplicates(e.target.checked)}
+              color="secondary"
+            />
+          }
+          label="Chỉ hiện tác phẩm nghi trùng"
+          sx={{ color: colors.gray[100] }}
+        />
+      </Box>
+      <Button
+        variant="contained"
+        startIcon={<MergeIcon />}
+        onClick={openMergeDialog}
+        disabled={selectedIds.length < 2}
+        sx={buttonSx(colors.greenAccent[400])}
+      >
+        Gộp {selectedIds.length > 0 ? `(${selectedIds.length})` : ""}
+      </Button>
+    </GridToolbarContainer>
+  )
+
+  const columns = [
+    { field: "stt", headerName: "STT", flex: 0.4 },
+    { field: "title", headerName: "Tên sách", flex: 2 },
+    { field: "authorsText", headerName: "Tác giả", flex: 1.5 },
+    { field: "published_year", headerName: "Năm XB", flex: 0.6 },
+    { field: "genreName", headerName: "Thể loại", flex: 1 },
+    { field: "reviewCount", headerName: "Số review", flex: 0.6 },
+    { field: "averageRating", headerName: "Điểm TB", flex: 0.6 },
+    {
+      field: "duplicateCount",
+      headerName: "Nghi trùng",
+      flex: 0.7,
+      renderCell: ({ value }) => (
+        <Typography
+          sx={{
+            color: value > 0 ? colors.redAccent[400] : colors.gray[300],
+            fontWeight: value > 0 ? "bold" : "normal",
+          }}
+        >
+          {value > 0 ? `${value} tác phẩm` : "-"}
+        </Typography>
+      ),
+    },
+    {
+      field: "action",
+      headerName: "Hành động",
+      flex: 0.6,
+      sortable: false,
+      renderCell: ({ row }) => (
+        <IconButton
+          onClick={() => openEditDialog(row)}
+          sx={{
+            backgroundColor: colors.primary[500],
+            color: colors.blueAccent[400],
+            padding: "8px",
+            borderRadius: "12px",
+            boxShadow: getNeumorphicShadow(),
+          }}
+        >
+          <EditIcon fontSize="small" />
+        </IconButton>
+      ),
+    },
+  ]
+
+  const visibleWorks = onlyDuplicates
+    ? works.filter((work) => work.duplicateCount > 0)
+    : works
+  const selectedWorks = works.filter((work) => selectedIds.includes(work.id))
+
+  const dialogPaperProps = {
+    style: {
+      backgroundColor: colors.primary[500],
+      borderRadius: "20px",
+      boxShadow: "0 10px 30px rgba(0, 0, 0, 0.3)",
+      overflow: "hidden",
+    },
+  }
+  const dialogTitleSx = {
+    bgcolor: colors.primary[400],
+    color: colors.gray[100],
+    padding: "20px 25px",
+  }
+
+  return (
+    <Box m="20px">
+      <Header title="Quản lý Tác phẩm" subtitle="Gộp các tác phẩm trùng và chỉnh sửa thông tin sách gốc" />
+
+      {error && (
+        <Box
+          bgcolor={colors.primary[500]}
+          color={colors.redAccent[400]}
+          p={3}
+          borderRadius="20px"
+          mb={3}
+          sx={{ boxShadow: getNeumorphicShadow() }}
+        >
+          <Typography fontWeight="bold">Lỗi: {error}</Typography>
+        </Box>
+      )}
+
+      {successMessage && (
+        <Box
+          bgcolor={colors.primary[500]}
+          color={colors.greenAccent[400]}
+          p={3}
+          borderRadius="20px"
+          mb={3}
+          sx={{ boxShadow: getNeumorphicShadow() }}
+        >
+          <Typography fontWeight="bold">{successMessage}</Typography>
+        </Box>
+      )}
+
+      <Box
+        mt="20px"
+        height="75vh"
+        maxWidth="100%"
+        sx={{
+          "& .MuiDataGrid-root": { border: "none" },
+          "& .MuiDataGrid-cell": { border: "none", fontSize: "15px" },
+          "& .MuiDataGrid-columnHeaders": {
+            backgroundColor: colors.primary[400],
+            borderBottom: "none",
+            fontWeight: "bold",
+            color: colors.gray[100],
+          },
+          "& .MuiDataGrid-virtualScroller": { backgroundColor: colors.primary[500] },
+          "& .MuiDataGrid-footerContainer": {
+            borderTop: "none",
+            backgroundColor: colors.primary[400],
+          },
+          "& .MuiDataGrid-toolbarContainer": {
+            backgroundColor: colors.primary[400],
+            borderTopLeftRadius: "20px",
+            borderTopRightRadius: "20px",
+          },
+          "& .MuiCheckbox-root": { color: `${colors.greenAccent[400]} !important` },
+        }}
+      >
+        <DataGrid
+          rows={visibleWorks}
+          columns={columns}
+          components={{ Toolbar: CustomToolbar }}
+          loading={loading}
+          checkboxSelection
+          disableRowSelectionOnClick
+          rowSelectionModel={selectedIds}
+          onRowSelectionModelChange={(ids) => setSelectedIds(ids)}
+          initialState={{
+            pagination: { paginationModel: { pageSize: 10 } },
+            sorting: { sortModel: [{ field: "title", sort: "asc" }] },
+          }}
+        />
+      </Box>
+
+      {/* Merge Dialog */}
+      <Dialog
+        open={mergeDialogOpen}
+        onClose={() => setMergeDialogOpen(false)}
+        maxWidth="sm"
+        fullWidth
+        PaperProps={dialogPaperProps}
+      >
+        <DialogTitle sx={dialogTitleSx}>
+          <Typography variant="h4" fontWeight="bold">
+            Gộp tác phẩm
+          </Typography>
+        </DialogTitle>
+        <DialogContent sx={{ bgcolor: colors.primary[500], padding: "25px" }}>
+          <Typography sx={{ mb: 2, mt: 2, color: colors.gray[300] }}>
+            Chọn tác phẩm được giữ lại. Các bài review của tác phẩm còn lại sẽ được chuyển sang và các tác phẩm đó bị xóa.
+          </Typography>
+          <RadioGroup value={mergeTargetId} onChange={(e) => setMergeTargetId(e.target.value)}>
+            {selectedWorks.map((work) => (
+              <FormControlLabel
+                key={work.id}
+                value={work.id}
+                control={<Radio color="secondary" />}
+                label={`${work.title} — ${work.authorsText}${
+                  work.published_year ? ` (${work.published_year})` : ""
+                } · ${work.reviewCount} review`}
+                sx={{ color: colors.gray[100] }}
+              />
+            ))}
+          </RadioGroup>
+        </DialogContent>
+        <DialogActions sx={{ bgcolor: colors.primary[400], p: 3 }}>
+          <Button onClick={() => setMergeDialogOpen(false)} sx={buttonSx(colors.gray[300])}>
+            Hủy
+          </Button>
+          <Button onClick={handleMerge} sx={buttonSx(colors.greenAccent[400])}>
+            Gộp
+          </Button>
+        </DialogActions>
+      </Dialog>
+
+      {/* Edit Dialog */}
+      <Dialog
+        open={Boolean(editingWork)}
+        onClose={() => setEditingWork(null)}
+        maxWidth="sm"
+        fullWidth
+        PaperProps={dialogPaperProps}
+      >
+        <DialogTitle sx={dialogTitleSx}>
+          <Typography variant="h4" fontWeight="bold">
+            Chỉnh sửa tác phẩm
+          </Typography>
+        </DialogTitle>
+        <DialogContent sx={{ bgcolor: colors.primary[500], padding: "25px" }}>
+          <Typography sx={{ mb: 1, mt: 2, color: colors.gray[300], fontSize: "14px" }}>
+            Tên sách
+          </Typography>
+          <TextField
+            fullWidth
+            value={editForm.title}
+            onChange={(e) => setEditForm({ ...editForm, title: e.target.value })}
+            sx={inputSx}
+          />
+          <Typography sx={{ mb: 1, color: colors.gray[300], fontSize: "14px" }}>
+            Tác giả (phân cách bằng dấu phẩy)
+          </Typography>
+          <TextField
+            fullWidth
+            value={editForm.authors}
+            onChange={(e) => setEditForm({ ...editForm, authors: e.target.value })}
+            sx={inputSx}
+          />
+          <Typography sx={{ mb: 1, color: colors.gray[300], fontSize: "14px" }}>
+            Năm xuất bản
+          </Typography>
+          <TextField
+            fullWidth
+            value={editForm.published_year}
+            onChange={(e) =>
+              setEditForm({ ...editForm, published_year: e.target.value.replace(/[^0-9]/g, "") })
+            }
+            inputProps={{ maxLength: 4 }}
+            sx={inputSx}
+          />
+        </DialogContent>
+        <DialogActions sx={{ bgcolor: colors.primary[400], p: 3 }}>
+          <Button onClick={() => setEditingWork(null)} sx={buttonSx(colors.gray[300])}>
+            Hủy
+          </Button>
+          <Button onClick={handleEditSave} sx={buttonSx(colors.greenAccent[400])}>
+            Lưu
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </Box>
+  )
+}
+
+export default Work
@@ -0,0 +1,38 @@
+import { connectDB } from "./lib/db.js";
+import Book from "./models/book.js";
+import RatingStat from "./models/ratingStat.js";
+import { ratingTargetsForBook, recomputeRatingStats } from "./lib/ratingHelper.js";
+import mongoose from "mongoose";
+
+// File nay dung de tinh lai toan bo thong ke rating theo tac pham / tac gia tu cac bai review dang co
+// --> chay doc lap: node src/backfillRatingStats.js
+// Nen chay backfillWorks.js truoc de cac bai review cu da co Work.
+
+import dotenv from "dotenv";
+dotenv.config();
+
+async function backfillRatingStats() {
+  try {
+    await connectDB();
+
+    const targets = [];
+    const cursor = Book.find().select("title author rating work").cursor();
+    for await (const book of cursor) {
+      targets.push(...ratingTargetsForBook(book));
+    }
+
+    // Xóa thống kê cũ rồi tính lại từ đầu cho các nhóm còn review
+    await RatingStat.deleteMany({});
+    await recomputeRatingStats(targets);
+
+    const statCount = await RatingStat.countDocuments();
+    console.log(`${statCount} rating stats rebuilt.`);
+  } catch (error) {
+    console.error("Error backfilling rating stats:", error);
+  } finally {
+    await mongoose.connection.close();
+    console.log("MongoDB connection closed.");
+  }
+}
+
+backfillRatingStats();
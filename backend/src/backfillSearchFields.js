@@ -0,0 +1,65 @@
+import { connectDB } from "./lib/db.js";
+import Book from "./models/book.js";
+import User from "./models/user.js";
+import Genre from "./models/genre.js";
+import { foldVietnamese } from "./lib/textNormalize.js";
+import mongoose from "mongoose";
+
+// File nay dung de dien cac field khong dau (title_normalized, author_normalized, username_normalized,
+// genre_name_normalized)
+// cho du lieu cu truoc khi co tim kiem khong dau --> chay doc lap: node src/backfillSearchFields.js
+// Du lieu moi da duoc pre("save") cua model tu cap nhat.
+
+import dotenv from "dotenv";
+dotenv.config();
+
+const BATCH_SIZE = 500;
+
+// Ghi các field không dấu theo từng batch cho một collection
+async function backfillCollection(Model, sourceFields) {
+  const normalizedFields = sourceFields.map((field) => `${field}_normalized`);
+  const missingFilter = {
+    $or: normalizedFields.map((field) => ({ [field]: { $exists: false } })),
+  };
+
+  const cursor = Model.find(missingFilter).select(sourceFields.join(" ")).lean().cursor();
+  let operations = [];
+  let updatedCount = 0;
+
+  for await (const doc of cursor) {
+    const updates = {};
+    sourceFields.forEach((field) => {
+      updates[`${field}_normalized`] = foldVietnamese(doc[field]);
+    });
+    operations.push({ updateOne: { filter: { _id: doc._id }, update: { $set: updates } } });
+
+    if (operations.length >= BATCH_SIZE) {
+      await Model.bulkWrite(operations);
+      updatedCount += operations.length;
+      operations = [];
+    }
+  }
+  if (operations.length > 0) {
+    await Model.bulkWrite(operations);
+    updatedCount += operations.length;
+  }
+
+  console.log(`${Model.modelName}: ${updatedCount} documents updated.`);
+}
+
+async function backfillSearchFields() {
+  try {
+    await connectDB();
+
+    await backfillCollection(Book, ["title", "author"]);
+    await backfillCollection(User, ["username"]);
+    await backfillCollection(Genre, ["genre_name"]);
+  } catch (error) {
+    console.error("Error backfilling search fields:", error);
+  } finally {
+    await mongoose.connection.close();
+    console.log("MongoDB connection closed.");
+  }
+}
+
+backfillSearchFields();
@@ -0,0 +1,46 @@
+import { connectDB } from "./lib/db.js";
+import Book from "./models/book.js";
+import { findOrCreateWork, syncWorkToBooks } from "./lib/workHelper.js";
+import mongoose from "mongoose";
+
+// File nay dung de gan Work cho cac bai review cu (truoc khi co Work) --> chay doc lap: node src/backfillWorks.js
+// Cac bai cung ten sach + tac gia (khong phan biet dau) se tro ve cung mot Work.
+// Nen chay backfillSearchFields.js truoc.
+
+import dotenv from "dotenv";
+dotenv.config();
+
+async function backfillWorks() {
+  try {
+    await connectDB();
+
+    const cursor = Book.find({ work: null })
+      .select("title author published_year genre user")
+      .sort({ createdAt: 1 }) // bài đăng sớm nhất quyết định thông tin ban đầu của Work
+      .cursor();
+    let linkedCount = 0;
+
+    for await (const book of cursor) {
+      const work = await findOrCreateWork(
+        {
+          title: book.title,
+          author: book.author,
+          published_year: book.published_year,
+          genre: book.genre,
+        },
+        book.user
+      );
+      await syncWorkToBooks(work, { _id: book._id });
+      linkedCount += 1;
+    }
+
+    console.log(`${linkedCount} books linked to works.`);
+  } catch (error) {
+    console.error("Error backfilling works:", error);
+  } finally {
+    await mongoose.connection.close();
+    console.log("MongoDB connection closed.");
+  }
+}
+
+backfillWorks();
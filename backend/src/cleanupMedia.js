@@ -0,0 +1,220 @@
+import fs from "fs/promises";
+import path from "path";
+import { connectDB } from "./lib/db.js";
+import Book from "./models/book.js";
+import BookList from "./models/bookList.js";
+import Upload from "./models/upload.js";
+import User from "./models/user.js";
+import { STORAGE_DRIVER, deleteMedia, listStoredMedia, storageKeyFromUrl } from "./lib/storage.js";
+import { UPLOAD_TEMP_DIR, discardUpload } from "./lib/uploadHelper.js";
+import mongoose from "mongoose";
+
+// File nay dung de don anh mo coi tren storage (anh khong con bai review / user / danh sach nao dung,
+// vd do xoa anh that bai) va cac tham chieu toi anh khong con ton tai.
+// --> chay doc lap: node src/cleanupMedia.js            (chi bao cao, khong xoa gi)
+//                   node src/cleanupMedia.js --confirm  (xoa / sua that)
+// Tuy chon: --min-age-hours=N - bo qua anh moi upload chua qua N gio (mac dinh 24), tranh xoa anh
+// vua upload ma bai dang chua kip luu.
+// Chi kiem tra duoc anh tren driver dang cau hinh (STORAGE_DRIVER), trong thu muc Book_Forum.
+
+import dotenv from "dotenv";
+dotenv.config();
+
+const STORAGE_PREFIX = "Book_Forum/";
+
+const args = process.argv.slice(2);
+const confirm = args.includes("--confirm");
+const minAgeArg = args.find((arg) => arg.startsWith("--min-age-hours="));
+const minAgeHours = minAgeArg ? Number(minAgeArg.split("=")[1]) : 24;
+
+// key -> nơi đang dùng ảnh, vd "book 665f... (image 1)"
+const references = new Map();
+
+const addReference = (key, owner) => {
+  if (key) references.set(key, owner);
+};
+
+const mediaKey = (media) => media.key || storageKeyFromUrl(media.url);
+
+// Ảnh chính và các bản resize đều được tính là đang dùng
+const addMediaReferences = (media, owner) => {
+  addReference(mediaKey(media), owner);
+  for (const variant of Object.values(media.variants || {}).filter(Boolean)) {
+    addReference(mediaKey(variant), owner);
+  }
+};
+
+// Phiên upload hết hạn chưa dùng: xóa file tạm, ảnh đã xử lý và document.
+// Phiên đã dùng thì ảnh thuộc về bài đăng / avatar, chỉ xóa document.
+async function cleanupUploads() {
+  const now = new Date();
+  const expired = await Upload.find({ status: { $ne: "used" }, expiresAt: { $lt: now } });
+  const usedCount = await Upload.countDocuments({ status: "used", expiresAt: { $lt: now } });
+  console.log(`${expired.length} expired unused upload sessions, ${usedCount} expired used sessions.`);
+  if (!confirm) return;
+
+  for (const upload of expired) {
+    await discardUpload(upload);
+  }
+  await Upload.deleteMany({ status: "used", expiresAt: { $lt: now } });
+}
+
+// File tạm không còn phiên upload đang nhận dữ liệu nào
+async function cleanupTempFiles() {
+  let fileNames;
+  try {
+    fileNames = await fs.readdir(UPLOAD_TEMP_DIR);
+  } catch (error) {
+    if (error.code === "ENOENT") return;
+    throw error;
+  }
+
+  const tokens = fileNames.map((fileName) => path.basename(fileName, ".part"));
+  const activeUploads = await Upload.find({
+    token: { $in: tokens },
+    status: "uploading",
+    expiresAt: { $gt: new Date() },
+  }).select("token");
+  const activeTokens = new Set(activeUploads.map((upload) => upload.token));
+
+  const staleFiles = fileNames.filter((fileName) => !activeTokens.has(path.basename(fileName, ".part")));
+  console.log(`${staleFiles.length} stale temp files in ${UPLOAD_TEMP_DIR}.`);
+  for (const fileName of staleFiles) {
+    console.log(`  temp file ${fileName}`);
+    if (confirm) {
+      await fs.rm(path.join(UPLOAD_TEMP_DIR, fileName), { force: true });
+    }
+  }
+}
+
+async function collectReferences() {
+  for await (const book of Book.find().select("image images imageMedia").cursor()) {
+    if (book.imageMedia.length > 0) {
+      book.imageMedia.forEach((media, index) =>
+        addMediaReferences(media.toObject(), `book ${book._id} (image ${index + 1})`)
+      );
+    } else {
+      // Bài đăng trước khi có imageMedia chỉ có URL
+      const urls = book.images.length > 0 ? book.images : [book.image];
+      urls.forEach((url, index) =>
+        addReference(storageKeyFromUrl(url), `book ${book._id} (image ${index + 1})`)
+      );
+    }
+  }
+
+  for await (const user of User.find().select("profileImage profileImageKey").cursor()) {
+    addReference(user.profileImageKey || storageKeyFromUrl(user.profileImage), `user ${user._id}`);
+  }
+
+  for await (const list of BookList.find().select("coverImage coverImageKey").cursor()) {
+    addReference(list.coverImageKey || storageKeyFromUrl(list.coverImage), `list ${list._id}`);
+  }
+
+  // Ảnh đã upload xong, đang chờ gắn vào bài đăng / avatar
+  for await (const upload of Upload.find({ status: "ready" }).select("token media").cursor()) {
+    addMediaReferences(upload.media.toObject(), `upload ${upload.token}`);
+  }
+}
+
+// Ảnh trên storage không còn ai dùng. Trả về các key đang có trên storage.
+async function cleanupOrphans() {
+  const cutoff = new Date(Date.now() - minAgeHours * 60 * 60 * 1000);
+  const storedKeys = new Set();
+  let orphanCount = 0;
+
+  for await (const { key, createdAt } of listStoredMedia(STORAGE_PREFIX)) {
+    storedKeys.add(key);
+    if (references.has(key) || createdAt > cutoff) continue;
+    orphanCount++;
+    console.log(`  orphan ${key} (uploaded ${createdAt.toISOString()})`);
+    if (confirm) {
+      await deleteMedia({ key });
+    }
+  }
+  console.log(`${orphanCount} orphaned media on ${STORAGE_DRIVER} storage.`);
+  return storedKeys;
+}
+
+// Tham chiếu tới ảnh không còn trên storage: avatar về ảnh mặc định, bỏ ảnh bìa danh sách,
+// bỏ ảnh hỏng khỏi bài review nếu bài vẫn còn ảnh khác (bài chỉ có ảnh hỏng thì chỉ báo cáo).
+// Chỉ xét ảnh chính - bản resize thiếu thì client vẫn dùng được ảnh chính.
+async function cleanupDanglingReferences(storedKeys) {
+  const isMissing = (key) => key?.startsWith(`${STORAGE_DRIVER}:`) && !storedKeys.has(key);
+  let danglingCount = 0;
+  const report = (description) => {
+    danglingCount++;
+    console.log(`  dangling ${description}`);
+  };
+
+  for await (const book of Book.find().select("image images imageMedia").cursor()) {
+    const media = book.imageMedia.length > 0
+      ? book.imageMedia.map((item) => item.toObject())
+      : (book.images.length > 0 ? book.images : [book.image]).map((url) => ({ url }));
+    const missing = media.filter((item) => isMissing(mediaKey(item)));
+    if (missing.length === 0) continue;
+
+    const kept = media.filter((item) => !missing.includes(item));
+    missing.forEach((item) =>
+      report(`book ${book._id}: ${item.url}${kept.length === 0 ? " (no images left, fix manually)" : ""}`)
+    );
+    if (confirm && kept.length > 0) {
+      if (book.imageMedia.length > 0) {
+        book.imageMedia = kept;
+      } else {
+        book.images = kept.map((item) => item.url);
+      }
+      await book.save();
+    }
+  }
+
+  for await (const user of User.find().select("username profileImage profileImageKey").cursor()) {
+    if (!isMissing(user.profileImageKey || storageKeyFromUrl(user.profileImage))) continue;
+    report(`user ${user._id}: ${user.profileImage}`);
+    if (confirm) {
+      // Giống avatar mặc định lúc đăng ký
+      await User.updateOne(
+        { _id: user._id },
+        {
+          $set: {
+            profileImage: `https://api.dicebear.com/6.x/initials/svg?seed=${user.username}`,
+            profileImageKey: "",
+          },
+        }
+      );
+    }
+  }
+
+  for await (const list of BookList.find().select("coverImage coverImageKey").cursor()) {
+    if (!isMissing(list.coverImageKey || storageKeyFromUrl(list.coverImage))) continue;
+    report(`list ${list._id}: ${list.coverImage}`);
+    if (confirm) {
+      await BookList.updateOne({ _id: list._id }, { $set: { coverImage: "", coverImageKey: "" } });
+    }
+  }
+
+  console.log(`${danglingCount} dangling image references.`);
+}
+
+async function cleanupMedia() {
+  try {
+    if (!Number.isFinite(minAgeHours) || minAgeHours < 0) {
+      console.error("--min-age-hours must be a non-negative number");
+      return;
+    }
+    await connectDB();
+    console.log(confirm ? "Deleting orphaned media..." : "Dry run - pass --confirm to delete.");
+
+    await cleanupUploads();
+    await cleanupTempFiles();
+    await collectReferences();
+    const storedKeys = await cleanupOrphans();
+    await cleanupDanglingReferences(storedKeys);
+  } catch (error) {
+    console.error("Error cleaning up media:", error);
+  } finally {
+    await mongoose.connection.close();
+    console.log("MongoDB connection closed.");
+  }
+}
+
+cleanupMedia();
@@ -10,13 +10,28 @@ import bookRoutes from "./routes/bookRoutes.js";
 import reportRoutes from "./routes/reportRoutes.js";
 import adminRoutes from "./routes/adminRoutes.js";
 import notificationRoutes from "./routes/notificationRoutes.js";
+import searchRoutes from "./routes/searchRoutes.js";
+import workRoutes from "./routes/workRoutes.js";
+import authorRoutes from "./routes/authorRoutes.js";
+import shelfRoutes from "./routes/shelfRoutes.js";
+import readingRoutes from "./routes/readingRoutes.js";
+import challengeRoutes from "./routes/challengeRoutes.js";
+import listRoutes from "./routes/listRoutes.js";
+import uploadRoutes from "./routes/uploadRoutes.js";
 
 import { connectDB } from "./lib/db.js";
+import { LOCAL_UPLOAD_DIR, LOCAL_UPLOAD_ROUTE } from "./lib/storage.js";
 
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// Chạy sau reverse proxy (vd Render) thì đặt TRUST_PROXY = số proxy phía trước để req.ip là IP thật
+// của client - rate limit ở routes/authRoutes.js đếm theo IP. Không đặt thì không tin X-Forwarded-For.
+if (process.env.TRUST_PROXY) {
+  app.set("trust proxy", Number(process.env.TRUST_PROXY) || process.env.TRUST_PROXY);
+}
+
 // Tạo HTTP server
 const httpServer = createServer(app);
 // Khởi tạo Socket.IO và lấy instance để sử dụng trong routes
@@ -30,16 +45,28 @@ app.use((req, res, next) => {
 });
 
 
+// Giới hạn lớn chỉ còn cần cho ảnh base64 (client cũ, trang admin) - app dùng /api/uploads
 app.use(express.json({ limit: '10mb' })); // Example: allow up to 10MB JSON body
 app.use(express.urlencoded({ limit: '10mb', extended: true }));
 
 app.use(cors()); // cho phép tất cả các domain truy cập vào API Port 3000 (tránh trường hợp FE dùng Port 5000 không nối được )
 
+// Ảnh lưu bằng driver local (STORAGE_DRIVER=local) - luôn phục vụ để ảnh cũ vẫn xem được khi đổi driver
+app.use(LOCAL_UPLOAD_ROUTE, express.static(LOCAL_UPLOAD_DIR));
+
 app.use("/api/auth", authRoutes);
+app.use("/api/users/:id/shelves", shelfRoutes);
 app.use("/api/users", userRoutes);
 app.use("/api/books", bookRoutes);
 app.use("/api/reports", reportRoutes);
 app.use("/api/notifications", notificationRoutes);
+app.use("/api/search", searchRoutes);
+app.use("/api/works", workRoutes);
+app.use("/api/authors", authorRoutes);
+app.use("/api/reading", readingRoutes);
+app.use("/api/challenges", challengeRoutes);
+app.use("/api/lists", listRoutes);
+app.use("/api/uploads", uploadRoutes);
 
 // Cac xu ly logic cua admin trong day 
 app.use("/api/admin", adminRoutes);
@@ -0,0 +1,133 @@
+import { deleteImageMedia, processImage, uploadProcessedImage } from "./imageProcessing.js";
+import {
+    claimUpload,
+    findReadyUpload,
+    isUploadReference,
+    releaseUploads,
+} from "./uploadHelper.js";
+
+// Số ảnh tối đa của một bài review (bìa, trang sách, trích dẫn...) - chỉnh bằng biến môi trường
+export const MAX_BOOK_IMAGES = parseInt(process.env.MAX_BOOK_IMAGES) || 5;
+
+const BOOK_IMAGE_FOLDER = "Book_Forum/Book_Review";
+
+/**
+ * Danh sách ảnh theo thứ tự của bài review. Bài cũ chỉ có `image` thì coi như một ảnh.
+ * @param {{ images?: string[], image?: string }} book
+ * @returns {string[]}
+ */
+export const getBookImages = (book) =>
+    book.images?.length > 0 ? [...book.images] : book.image ? [book.image] : [];
+
+/**
+ * Ảnh base64 gửi trong JSON (data URL); ảnh đã có là URL trên storage.
+ * @param {string} image
+ */
+const isNewImageData = (image) => typeof image === "string" && image.startsWith("data:");
+
+/**
+ * Thông tin ảnh của bài review (cùng thứ tự với images) dạng object thường.
+ * Bài đăng trước khi có imageMedia chỉ có URL, key để trống - storage tự suy ra từ URL khi xóa.
+ * @param {{ imageMedia?: object[], images?: string[], image?: string }} book
+ * @returns {{ url: string, key?: string, width?: number, height?: number, blurhash?: string, variants?: object }[]}
+ */
+export const getBookMedia = (book) =>
+    book.imageMedia?.length > 0
+        ? book.imageMedia.map((media) => (media.toObject ? media.toObject() : media))
+        : getBookImages(book).map((url) => ({ url, key: "" }));
+
+/**
+ * Ảnh mới: data URL (base64) hoặc tham chiếu tới ảnh đã upload qua /api/uploads.
+ * @param {string} image
+ */
+export const isNewImage = (image) => isNewImageData(image) || isUploadReference(image);
+
+/**
+ * Kiểm tra các ảnh mới trước khi lưu: xử lý ảnh base64 (xem processImage),
+ * kiểm tra tham chiếu upload còn dùng được. Ảnh đã có (URL) được giữ nguyên.
+ * @param {string[]} images
+ * @param {object} userId - người đăng bài
+ * @returns {Promise<{ error: string } | { prepared: ({ processed: object } | { reference: string } | null)[] }>}
+ */
+export const processBookImages = async (images, userId) => {
+    const prepared = [];
+    for (const image of images) {
+        if (isUploadReference(image)) {
+            if (!(await findReadyUpload(image, userId, "book"))) {
+                return { error: "Upload not found or expired" };
+            }
+            prepared.push({ reference: image });
+        } else if (isNewImageData(image)) {
+            const result = await processImage(image);
+            if (result.error) {
+                return { error: result.error };
+            }
+            prepared.push({ processed: result });
+        } else {
+            prepared.push(null);
+        }
+    }
+    return { prepared };
+};
+
+/**
+ * Lưu các ảnh mới đã kiểm tra (processBookImages): đánh dấu các upload đã dùng rồi mới
+ * upload ảnh base64 (các bản thumb / feed / full).
+ * @param {object[]} prepared - kết quả processBookImages
+ * @param {object} userId
+ * @param {(index: number) => string} [nameFor] - tên ảnh base64, bỏ trống để tự đặt
+ * @returns {Promise<{ error: string } | { media: (object|null)[] }>} media[i] = null với ảnh đã có
+ */
+export const storeBookImages = async (prepared, userId, nameFor = () => undefined) => {
+    const media = prepared.map(() => null);
+
+    const claimedUploads = [];
+    for (const [index, item] of prepared.entries()) {
+        if (!item?.reference) continue;
+        const upload = await claimUpload(item.reference, userId, "book");
+        if (!upload) {
+            await releaseUploads(claimedUploads);
+            return { error: "Upload not found or expired" };
+        }
+        claimedUploads.push(upload);
+        media[index] = upload.media.toObject();
+    }
+
+    for (const [index, item] of prepared.entries()) {
+        if (!item?.processed) continue;
+        media[index] = await uploadProcessedImage(item.processed, {
+            folder: BOOK_IMAGE_FOLDER,
+            name: nameFor(index),
+        });
+    }
+    return { media };
+};
+
+/**
+ * Xóa các ảnh của bài review (cả các bản resize) khỏi storage. Lỗi từng ảnh chỉ ghi log
+ * để việc xóa bài vẫn tiếp tục.
+ * @param {object[]} media - xem getBookMedia
+ */
+export const destroyBookImages = async (media) => {
+    for (const item of media) {
+        await deleteImageMedia(item);
+    }
+};
+
+/**
+ * Kiểm tra số lượng ảnh gửi lên.
+ * @param {unknown} images
+ * @returns {string|null} thông báo lỗi, null nếu hợp lệ
+ */
+export const validateBookImages = (images) => {
+    if (!Array.isArray(images) || images.length === 0) {
+        return "At least one image is required";
+    }
+    if (images.length > MAX_BOOK_IMAGES) {
+        return `A post can have at most ${MAX_BOOK_IMAGES} images`;
+    }
+    if (!images.every((image) => typeof image === "string" && image.length > 0)) {
+        return "Invalid image";
+    }
+    return null;
+};
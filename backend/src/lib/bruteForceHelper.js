@@ -0,0 +1,117 @@
+import User from "../models/user.js";
+import LoginAttempt from "../models/loginAttempt.js";
+import { sendTooManyRequests } from "./rateLimiter.js";
+
+// Sai mật khẩu / mã 2FA quá số lần này thì khóa đăng nhập từ IP đó: 1 phút, gấp đôi sau mỗi lần sai tiếp,
+// tối đa 1 giờ. Đếm theo tài khoản + IP (models/loginAttempt.js) - từ IP khác chủ tài khoản vẫn đăng nhập được,
+// còn dò mật khẩu từ nhiều IP thì bị rate limit theo email chặn (routes/authRoutes.js).
+const FREE_FAILED_LOGINS = 5;
+const BASE_LOCKOUT_SECONDS = 60;
+const MAX_LOCKOUT_SECONDS = 60 * 60;
+// Lần sai gần nhất cách đây lâu hơn khoảng này thì đếm lại từ đầu
+const FAILED_LOGIN_RESET_HOURS = 24;
+
+// Nhập sai mã 6 số (reset mật khẩu, xác minh email) quá số lần này thì mã bị hủy
+export const MAX_CODE_ATTEMPTS = 5;
+
+/**
+ * Thời gian khóa (giây) sau lần sai thứ `failedAttempts`, 0 = chưa khóa.
+ * @param {number} failedAttempts
+ */
+export const lockoutSeconds = (failedAttempts) =>
+    failedAttempts < FREE_FAILED_LOGINS
+        ? 0
+        : Math.min(BASE_LOCKOUT_SECONDS * 2 ** (failedAttempts - FREE_FAILED_LOGINS), MAX_LOCKOUT_SECONDS);
+
+/**
+ * Số giây tài khoản còn bị khóa đăng nhập từ IP của request, 0 = đăng nhập được.
+ * @param {{ _id: object }} user
+ * @param {import("express").Request} req
+ */
+export const lockoutWaitSeconds = async (user, req) => {
+    const attempt = await LoginAttempt.findOne({ user: user._id, ip: req.ip }).lean();
+    if (!attempt?.lockoutUntil) return 0;
+    return Math.max(Math.ceil((attempt.lockoutUntil.getTime() - Date.now()) / 1000), 0);
+};
+
+/**
+ * Ghi nhận một lần đăng nhập sai (mật khẩu hoặc mã 2FA) từ IP của request, khóa nếu sai quá nhiều.
+ * @param {{ _id: object }} user
+ * @param {import("express").Request} req
+ * @returns {Promise<number>} số giây bị khóa, 0 nếu chưa khóa
+ */
+export const recordFailedLogin = async (user, req) => {
+    const now = new Date();
+    const isCounting = { $gt: ["$expiresAt", now] };
+    // Một lệnh update: tăng bộ đếm, hoặc đếm lại từ 1 nếu lần sai trước đã quá lâu
+    let attempt;
+    try {
+        attempt = await LoginAttempt.findOneAndUpdate(
+            { user: user._id, ip: req.ip },
+            [{
+                $set: {
+                    failedAttempts: { $cond: [isCounting, { $add: ["$failedAttempts", 1] }, 1] },
+                    expiresAt: new Date(now.getTime() + FAILED_LOGIN_RESET_HOURS * 60 * 60 * 1000),
+                },
+            }],
+            { new: true, upsert: true }
+        );
+    } catch (error) {
+        // Hai lần sai song song cùng tạo bộ đếm - tính tiếp vào bộ đếm request kia vừa tạo
+        if (error.code !== 11000) throw error;
+        return recordFailedLogin(user, req);
+    }
+    const seconds = lockoutSeconds(attempt.failedAttempts);
+    if (seconds > 0) {
+        await LoginAttempt.updateOne(
+            { _id: attempt._id },
+            { $set: { lockoutUntil: new Date(now.getTime() + seconds * 1000) } }
+        );
+    }
+    return seconds;
+};
+
+/**
+ * Xóa bộ đếm sai: sau khi đăng nhập thành công từ một IP, hoặc mọi IP (không truyền req)
+ * khi chủ tài khoản đặt lại mật khẩu qua email.
+ * @param {{ _id: object }} user
+ * @param {import("express").Request} [req]
+ */
+export const clearFailedLogins = async (user, req) => {
+    await LoginAttempt.deleteMany(req ? { user: user._id, ip: req.ip } : { user: user._id });
+};
+
+/**
+ * 429 khi tài khoản đang bị khóa đăng nhập.
+ * @param {import("express").Response} res
+ * @param {number} seconds
+ */
+export const sendAccountLocked = (res, seconds) =>
+    sendTooManyRequests(res, seconds, {
+        message: `Too many failed login attempts. Please try again in ${seconds} seconds.`,
+        code: "ACCOUNT_LOCKED",
+    });
+
+/**
+ * Ghi nhận một lần nhập sai mã gửi qua email; đủ MAX_CODE_ATTEMPTS lần thì hủy mã,
+ * người dùng phải xin mã mới.
+ * @param {object} user
+ * @param {{ attemptsField: string, codeFields: string[] }} fields - field đếm và các field của mã cần xóa
+ * @returns {Promise<number>} số lần nhập còn lại, 0 = mã đã bị hủy
+ */
+export const recordFailedCodeAttempt = async (user, { attemptsField, codeFields }) => {
+    // Field đếm mặc định không select (models/user.js)
+    const updated = await User.findByIdAndUpdate(
+        user._id,
+        { $inc: { [attemptsField]: 1 } },
+        { new: true }
+    ).select(`+${attemptsField}`);
+    const remaining = Math.max(MAX_CODE_ATTEMPTS - updated[attemptsField], 0);
+    if (remaining === 0) {
+        await User.updateOne(
+            { _id: user._id },
+            { $unset: Object.fromEntries(codeFields.map((field) => [field, ""])) }
+        );
+    }
+    return remaining;
+};
@@ -0,0 +1,114 @@
+import mongoose from "mongoose";
+import Book from "../models/book.js";
+import ReadingChallenge from "../models/readingChallenge.js";
+import ReadingSession from "../models/readingSession.js";
+import { createAndSendNotification } from "./notificationHelper.js";
+
+/**
+ * Khoảng thời gian [đầu năm, đầu năm sau) để đếm tiến độ.
+ * @param {number} year
+ */
+const yearRange = (year) => ({
+    $gte: new Date(year, 0, 1),
+    $lt: new Date(year + 1, 0, 1),
+});
+
+/**
+ * Đọc năm từ query/body; bỏ trống = năm hiện tại.
+ * @returns {number|null} null nếu không hợp lệ
+ */
+export const parseChallengeYear = (value) => {
+    if (value === undefined || value === null || value === "") {
+        return new Date().getFullYear();
+    }
+    const year = Number(value);
+    return Number.isInteger(year) && year >= 2000 && year <= 2100 ? year : null;
+};
+
+/**
+ * Đếm số cuốn đã hoàn thành trong năm của nhiều user cùng lúc.
+ * @param {Array<string|object>} userIds
+ * @param {number} year
+ * @param {"finished" | "reviews"} countSource
+ * @returns {Promise<Object<string, number>>} theo userId
+ */
+export const countCompletedBooks = async (userIds, year, countSource) => {
+    if (userIds.length === 0) return {};
+    const userObjectIds = userIds.map((id) => new mongoose.Types.ObjectId(id));
+
+    const counts =
+        countSource === "reviews"
+            ? await Book.aggregate([
+                  { $match: { user: { $in: userObjectIds }, createdAt: yearRange(year) } },
+                  { $group: { _id: "$user", count: { $sum: 1 } } },
+              ])
+            : await ReadingSession.aggregate([
+                  {
+                      $match: {
+                          user: { $in: userObjectIds },
+                          status: "finished",
+                          finishedAt: yearRange(year),
+                      },
+                  },
+                  // Đọc lại cùng một cuốn trong năm chỉ tính một lần
+                  { $group: { _id: { user: "$user", work: "$work" } } },
+                  { $group: { _id: "$_id.user", count: { $sum: 1 } } },
+              ]);
+
+    return Object.fromEntries(counts.map((item) => [item._id.toString(), item.count]));
+};
+
+/**
+ * Tiến độ của một thử thách.
+ * @param {object} challenge - ReadingChallenge document
+ * @returns {Promise<{ completed: number, goal: number, percent: number, isCompleted: boolean }>}
+ */
+export const getChallengeProgress = async (challenge) => {
+    const counts = await countCompletedBooks([challenge.user], challenge.year, challenge.countSource);
+    const completed = counts[challenge.user.toString()] || 0;
+    return {
+        completed,
+        goal: challenge.goal,
+        percent: Math.min(Math.round((completed / challenge.goal) * 100), 100),
+        isCompleted: completed >= challenge.goal,
+    };
+};
+
+/**
+ * Kiểm tra user vừa đạt mục tiêu năm chưa (sau khi đọc xong / đăng review / đặt lại mục tiêu).
+ * Đạt lần đầu thì ghi completedAt và gửi thông báo chúc mừng.
+ * @param {object} io
+ * @param {string|object} userId
+ * @param {Date} [date] - thời điểm của hoạt động, quyết định thử thách năm nào
+ * @returns {Promise<boolean>} true nếu vừa hoàn thành
+ */
+export const checkChallengeCompletion = async (io, userId, date = new Date()) => {
+    const challenge = await ReadingChallenge.findOne({
+        user: userId,
+        year: new Date(date).getFullYear(),
+        completedAt: null,
+    });
+    if (!challenge) return false;
+
+    const progress = await getChallengeProgress(challenge);
+    if (!progress.isCompleted) return false;
+
+    // Chỉ một request được ghi completedAt để không gửi trùng thông báo
+    const result = await ReadingChallenge.updateOne(
+        { _id: challenge._id, completedAt: null },
+        { $set: { completedAt: new Date() } }
+    );
+    if (result.modifiedCount === 0) return false;
+
+    await createAndSendNotification(
+        io,
+        userId,
+        userId,
+        "challenge_completed",
+        `Chúc mừng! Bạn đã hoàn thành thử thách đọc ${challenge.goal} cuốn sách trong năm ${challenge.year}.`,
+        `/profile/${userId}`,
+        "User",
+        userId
+    );
+    return true;
+};
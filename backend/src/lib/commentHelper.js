@@ -0,0 +1,51 @@
+import Comment from "../models/comment.js";
+
+// Độ sâu tối đa của thread (0 = comment gốc). Reply vào comment ở độ sâu này
+// sẽ được gắn vào cùng comment cha để thread không lồng vô hạn.
+export const MAX_COMMENT_DEPTH = 2;
+
+/**
+ * Xóa một comment cùng toàn bộ reply bên dưới và giảm replyCount của comment cha.
+ * @param {object} comment - Comment document cần xóa.
+ * @returns {Promise<string[]>} ID của tất cả comment đã bị xóa (gồm cả comment gốc).
+ */
+export const deleteCommentThread = async (comment) => {
+    const deletedIds = [comment._id];
+    let currentLevel = [comment._id];
+
+    // Duyệt theo từng tầng reply cho đến khi không còn comment con
+    while (currentLevel.length > 0) {
+        const children = await Comment.find({ parentComment: { $in: currentLevel } }).select("_id");
+        currentLevel = children.map((child) => child._id);
+        deletedIds.push(...currentLevel);
+    }
+
+    await Comment.deleteMany({ _id: { $in: deletedIds } });
+
+    if (comment.parentComment) {
+        await Comment.updateOne(
+            { _id: comment.parentComment, replyCount: { $gt: 0 } },
+            { $inc: { replyCount: -1 } }
+        );
+    }
+
+    return deletedIds.map((id) => id.toString());
+};
+
+/**
+ * Xóa mọi comment của một user, mỗi comment kèm cả thread reply bên dưới
+ * (kể cả reply của người khác) và cập nhật replyCount của comment cha còn lại.
+ * @param {string|import("mongoose").Types.ObjectId} userId - User bị xóa comment.
+ * @returns {Promise<void>}
+ */
+export const deleteUserComments = async (userId) => {
+    const comments = await Comment.find({ user: userId }).select("_id parentComment");
+    const deleted = new Set();
+
+    for (const comment of comments) {
+        // Comment đã bị xóa theo thread của một comment khác của cùng user
+        if (deleted.has(comment._id.toString())) continue;
+        const deletedIds = await deleteCommentThread(comment);
+        deletedIds.forEach((id) => deleted.add(id));
+    }
+};
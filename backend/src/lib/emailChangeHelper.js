@@ -0,0 +1,72 @@
+import crypto from "crypto";
+import sendEmail from "../utils/sendEmail.js";
+
+// Mã xác nhận email mới hết hạn sau khoảng này
+export const EMAIL_CHANGE_CODE_TTL_MINUTES = 30;
+
+// Email đang chờ và hash mã mặc định không select - thêm vào khi xác nhận mã
+export const EMAIL_CHANGE_FIELDS = "+pendingEmail +pendingEmailCode +pendingEmailExpires";
+
+/**
+ * Lưu email mới đang chờ xác nhận và gửi mã tới địa chỉ đó.
+ * @param {object} user - User document
+ * @param {string} newEmail
+ * @returns {Promise<boolean>} email đã gửi được hay chưa
+ */
+export const sendEmailChangeCode = async (user, newEmail) => {
+    const confirmationCode = user.getPendingEmailCode(newEmail, EMAIL_CHANGE_CODE_TTL_MINUTES);
+    await user.save({ validateBeforeSave: false });
+    const message = `
+            Chào ${user.username},
+            Bạn vừa yêu cầu đổi email tài khoản sang địa chỉ này. Mã xác nhận của bạn là: ${confirmationCode}
+            \n\n
+            Mã này sẽ hết hạn sau ${EMAIL_CHANGE_CODE_TTL_MINUTES} phút.
+            Nếu bạn không yêu cầu điều này, vui lòng bỏ qua email này.
+        `;
+    return sendEmail({
+        email: newEmail,
+        subject: "Xác nhận email mới",
+        message,
+    });
+};
+
+/**
+ * So mã người dùng nhập với hash đã lưu (còn hạn).
+ * @param {object} user
+ * @param {string} code
+ */
+export const isValidEmailChangeCode = (user, code) => {
+    if (!user.pendingEmail || !user.pendingEmailCode || !user.pendingEmailExpires) return false;
+    if (user.pendingEmailExpires.getTime() <= Date.now()) return false;
+    const hashedCode = crypto.createHash("sha256").update(String(code)).digest("hex");
+    return crypto.timingSafeEqual(Buffer.from(hashedCode), Buffer.from(user.pendingEmailCode));
+};
+
+/**
+ * Đổi sang email đang chờ (đã xác nhận bằng mã) rồi báo cho địa chỉ cũ.
+ * Email mới vừa nhận mã nên coi như đã xác minh.
+ * @param {object} user
+ * @returns {Promise<string>} email cũ
+ */
+export const applyEmailChange = async (user) => {
+    const oldEmail = user.email;
+    user.email = user.pendingEmail;
+    user.isEmailVerified = true;
+    user.pendingEmail = undefined;
+    user.pendingEmailCode = undefined;
+    user.pendingEmailExpires = undefined;
+    user.pendingEmailAttempts = 0;
+    await user.save({ validateBeforeSave: false });
+
+    // Báo cho địa chỉ cũ - nếu không phải chủ tài khoản đổi thì còn biết để xử lý
+    await sendEmail({
+        email: oldEmail,
+        subject: "Email tài khoản đã được thay đổi",
+        message: `
+            Chào ${user.username},
+            Email đăng nhập của tài khoản bạn vừa được đổi từ ${oldEmail} sang ${user.email}.
+            Nếu bạn không thực hiện thay đổi này, vui lòng liên hệ hỗ trợ ngay.
+        `,
+    });
+    return oldEmail;
+};
@@ -0,0 +1,82 @@
+import crypto from "crypto";
+import sendEmail from "../utils/sendEmail.js";
+
+// Mã xác minh hết hạn sau khoảng này, người dùng phải xin mã mới
+export const VERIFICATION_CODE_TTL_MINUTES = 30;
+
+// Hash mã và hạn dùng mặc định không select - thêm vào khi kiểm tra / gửi mã
+export const EMAIL_VERIFICATION_FIELDS = "+emailVerificationCode +emailVerificationExpires";
+
+// Chờ trước khi được gửi lại mã: 60s, tăng gấp đôi sau mỗi lần gửi, tối đa 1 giờ
+const BASE_RESEND_COOLDOWN_SECONDS = 60;
+const MAX_RESEND_COOLDOWN_SECONDS = 60 * 60;
+
+/**
+ * Thời gian chờ (giây) sau lần gửi thứ `sendCount` trước khi được gửi tiếp.
+ * @param {number} sendCount
+ */
+export const resendCooldownSeconds = (sendCount) =>
+    Math.min(
+        BASE_RESEND_COOLDOWN_SECONDS * 2 ** Math.max(sendCount - 1, 0),
+        MAX_RESEND_COOLDOWN_SECONDS
+    );
+
+/**
+ * Số giây còn phải chờ trước khi gửi lại mã cho user, 0 = gửi được ngay.
+ * @param {{ emailVerificationSentAt?: Date, emailVerificationSendCount: number }} user
+ */
+export const resendWaitSeconds = (user) => {
+    if (!user.emailVerificationSentAt) return 0;
+    const readyAt =
+        user.emailVerificationSentAt.getTime() +
+        resendCooldownSeconds(user.emailVerificationSendCount) * 1000;
+    return Math.max(Math.ceil((readyAt - Date.now()) / 1000), 0);
+};
+
+/**
+ * Tạo mã mới, lưu vào user và gửi email. Gửi thất bại thì vẫn giữ mã (người dùng gửi lại sau).
+ * @param {object} user - User document chưa xác minh
+ * @returns {Promise<boolean>} email đã gửi được hay chưa
+ */
+export const sendVerificationEmail = async (user) => {
+    const verificationCode = user.getEmailVerificationCode(VERIFICATION_CODE_TTL_MINUTES);
+    await user.save({ validateBeforeSave: false });
+    const message = `
+            Chào ${user.username},
+            Cảm ơn bạn đã đăng ký tài khoản. Mã xác minh email của bạn là: ${verificationCode}
+            \n\n
+            Mã này sẽ hết hạn sau ${VERIFICATION_CODE_TTL_MINUTES} phút.
+            Nếu bạn không đăng ký tài khoản, vui lòng bỏ qua email này.
+        `;
+    return sendEmail({
+        email: user.email,
+        subject: "Mã xác minh email",
+        message,
+    });
+};
+
+/**
+ * So mã người dùng nhập với hash đã lưu (còn hạn).
+ * @param {object} user
+ * @param {string} code
+ */
+export const isValidVerificationCode = (user, code) => {
+    if (!user.emailVerificationCode || !user.emailVerificationExpires) return false;
+    if (user.emailVerificationExpires.getTime() <= Date.now()) return false;
+    const hashedCode = crypto.createHash("sha256").update(String(code)).digest("hex");
+    return crypto.timingSafeEqual(Buffer.from(hashedCode), Buffer.from(user.emailVerificationCode));
+};
+
+/**
+ * Đánh dấu đã xác minh và xóa mã / bộ đếm gửi lại.
+ * @param {object} user
+ */
+export const markEmailVerified = async (user) => {
+    user.isEmailVerified = true;
+    user.emailVerificationCode = undefined;
+    user.emailVerificationExpires = undefined;
+    user.emailVerificationSentAt = undefined;
+    user.emailVerificationSendCount = 0;
+    user.emailVerificationAttempts = 0;
+    await user.save({ validateBeforeSave: false });
+};
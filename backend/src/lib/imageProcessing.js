@@ -0,0 +1,156 @@
+import crypto from "crypto";
+import sharp from "sharp";
+import { encode } from "blurhash";
+import { deleteMedia, uploadMedia } from "./storage.js";
+
+// Định dạng ảnh nhận upload - kiểm tra cả MIME khai báo lẫn nội dung file thật
+export const ALLOWED_IMAGE_TYPES = {
+    "image/jpeg": "jpeg",
+    "image/jpg": "jpeg",
+    "image/png": "png",
+    "image/webp": "webp",
+};
+
+// Dung lượng tối đa của một ảnh (sau khi giải base64) - chỉnh bằng biến môi trường
+export const MAX_IMAGE_BYTES = (parseInt(process.env.MAX_IMAGE_MB) || 7) * 1024 * 1024;
+
+// Chiều rộng tối đa của từng bản ảnh. thumb: ô nhỏ / lưới, feed: card ở trang home, full: xem chi tiết
+export const IMAGE_VARIANTS = { thumb: 320, feed: 800, full: 1600 };
+// Avatar, ảnh bìa danh sách chỉ cần một bản
+export const AVATAR_VARIANTS = { full: 400 };
+export const COVER_VARIANTS = { full: 1200 };
+
+const OUTPUT_QUALITY = 80;
+
+/**
+ * Kiểm tra và xử lý một ảnh: đúng định dạng, không quá dung lượng, xoay theo EXIF rồi bỏ EXIF
+ * (vị trí GPS, thiết bị...), resize thành các bản theo `variants` và tính blurhash.
+ * Chưa upload gì - dùng để kiểm tra hết ảnh trước khi upload.
+ * @param {Buffer} input - nội dung file
+ * @param {string} mimeType - MIME client khai báo
+ * @param {Record<string, number>} [variants] - tên bản -> chiều rộng tối đa, phải có `full`
+ * @returns {Promise<{ error: string } | { width: number, height: number, blurhash: string, variants: Record<string, { buffer: Buffer, width: number, height: number }> }>}
+ */
+export const processImageBuffer = async (input, mimeType, variants = IMAGE_VARIANTS) => {
+    const expectedFormat = ALLOWED_IMAGE_TYPES[mimeType?.toLowerCase()];
+    if (!expectedFormat) {
+        return { error: "Unsupported image type" };
+    }
+    if (input.length > MAX_IMAGE_BYTES) {
+        return { error: `Image must be at most ${MAX_IMAGE_BYTES / 1024 / 1024}MB` };
+    }
+
+    let metadata;
+    try {
+        metadata = await sharp(input).metadata();
+    } catch {
+        return { error: "Invalid image" };
+    }
+    // MIME khai báo chỉ là chuỗi client gửi, định dạng thật phải khớp
+    if (metadata.format !== expectedFormat) {
+        return { error: "Image content does not match its type" };
+    }
+
+    const processedVariants = {};
+    let blurhash;
+    try {
+        // rotate() xoay theo EXIF orientation; sharp không giữ metadata khi xuất nên EXIF bị bỏ
+        const oriented = await sharp(input).rotate().toBuffer();
+
+        for (const [name, maxWidth] of Object.entries(variants)) {
+            const { data: buffer, info } = await sharp(oriented)
+                .resize({ width: maxWidth, height: maxWidth * 2, fit: "inside", withoutEnlargement: true })
+                .flatten({ background: "#ffffff" })
+                .jpeg({ quality: OUTPUT_QUALITY, mozjpeg: true })
+                .toBuffer({ resolveWithObject: true });
+            processedVariants[name] = { buffer, width: info.width, height: info.height };
+        }
+
+        const { data: pixels, info } = await sharp(oriented)
+            .resize(32, 32, { fit: "inside" })
+            .ensureAlpha()
+            .raw()
+            .toBuffer({ resolveWithObject: true });
+        blurhash = encode(new Uint8ClampedArray(pixels), info.width, info.height, 4, 3);
+    } catch {
+        // File hỏng / cắt cụt: đọc được header nhưng không giải mã được
+        return { error: "Invalid image" };
+    }
+
+    return {
+        width: processedVariants.full.width,
+        height: processedVariants.full.height,
+        blurhash,
+        variants: processedVariants,
+    };
+};
+
+/**
+ * Như processImageBuffer nhưng nhận ảnh base64 gửi trong JSON.
+ * @param {string} data - data URL
+ * @param {Record<string, number>} [variants]
+ */
+export const processImage = async (data, variants = IMAGE_VARIANTS) => {
+    const match = typeof data === "string" && /^data:([\w/+.-]+);base64,(.+)$/s.exec(data);
+    if (!match) {
+        return { error: "Invalid image" };
+    }
+    return processImageBuffer(Buffer.from(match[2], "base64"), match[1], variants);
+};
+
+/**
+ * Upload các bản ảnh đã xử lý (processImage). Bản `full` là ảnh chính.
+ * @param {object} processed - kết quả processImage
+ * @param {object} options
+ * @param {string} options.folder
+ * @param {string} [options.name] - tên gốc, các bản có hậu tố _thumb, _feed...
+ * @returns {Promise<{ url: string, key: string, width: number, height: number, blurhash: string, variants: Record<string, { url: string, key: string, width: number, height: number }> }>}
+ */
+export const uploadProcessedImage = async (processed, { folder, name }) => {
+    const baseName = name || crypto.randomBytes(12).toString("hex");
+    const uploadedVariants = {};
+    for (const [variant, { buffer, width, height }] of Object.entries(processed.variants)) {
+        const uploaded = await uploadMedia(`data:image/jpeg;base64,${buffer.toString("base64")}`, {
+            folder,
+            name: variant === "full" ? baseName : `${baseName}_${variant}`,
+        });
+        uploadedVariants[variant] = { ...uploaded, width, height };
+    }
+    const { full, ...otherVariants } = uploadedVariants;
+    return {
+        url: full.url,
+        key: full.key,
+        width: processed.width,
+        height: processed.height,
+        blurhash: processed.blurhash,
+        variants: otherVariants,
+    };
+};
+
+/**
+ * Xử lý rồi upload luôn một ảnh - dùng cho chỗ chỉ có một ảnh (avatar, ảnh bìa).
+ * @param {string} data - data URL
+ * @param {object} options
+ * @param {string} options.folder
+ * @param {string} [options.name]
+ * @param {Record<string, number>} [options.variants]
+ * @returns {Promise<{ error: string } | { media: object }>} media - xem uploadProcessedImage
+ */
+export const uploadImage = async (data, { folder, name, variants }) => {
+    const processed = await processImage(data, variants);
+    if (processed.error) {
+        return { error: processed.error };
+    }
+    return { media: await uploadProcessedImage(processed, { folder, name }) };
+};
+
+/**
+ * Xóa ảnh chính và mọi bản resize của nó khỏi storage (lỗi chỉ ghi log).
+ * @param {{ url?: string, key?: string, variants?: object }} media
+ */
+export const deleteImageMedia = async (media) => {
+    await deleteMedia(media);
+    for (const variant of Object.values(media.variants || {}).filter(Boolean)) {
+        await deleteMedia(variant);
+    }
+};
@@ -0,0 +1,177 @@
+import mongoose from "mongoose";
+import Book from "../models/book.js";
+import BookList from "../models/bookList.js";
+import Report from "../models/report.js";
+import Work from "../models/work.js";
+import { deleteMedia } from "./storage.js";
+
+const PREVIEW_IMAGE_COUNT = 3;
+export const MAX_LIST_ITEMS = 200;
+
+/**
+ * Xác định mục cần thêm vào danh sách từ bookId (bài review) hoặc workId (tác phẩm).
+ * @param {{ bookId?: string, workId?: string }} body
+ * @returns {Promise<{ book?: object, work?: object, error?: string, status?: number }>}
+ */
+export const resolveListItem = async ({ bookId, workId }) => {
+    if (bookId) {
+        if (!mongoose.Types.ObjectId.isValid(bookId)) {
+            return { error: "Invalid book ID format", status: 400 };
+        }
+        const book = await Book.findById(bookId).select("_id");
+        if (!book) {
+            return { error: "Book not found", status: 404 };
+        }
+        return { book };
+    }
+    if (!mongoose.Types.ObjectId.isValid(workId)) {
+        return { error: "bookId or workId is required", status: 400 };
+    }
+    const work = await Work.findById(workId).select("_id");
+    if (!work) {
+        return { error: "Work not found", status: 404 };
+    }
+    return { work };
+};
+
+/**
+ * Mục đã có trong danh sách chưa (cùng bài review hoặc cùng tác phẩm).
+ * @param {object} list - BookList document
+ * @param {{ book?: object, work?: object }} target
+ */
+export const listHasItem = (list, { book, work }) =>
+    list.items.some((item) =>
+        book
+            ? item.book?.toString() === book._id.toString()
+            : item.work?.toString() === work._id.toString()
+    );
+
+/**
+ * Ảnh đại diện cho tác phẩm: ảnh của bài review được thích nhiều nhất.
+ * @param {object[]} workIds
+ * @returns {Promise<Record<string, string>>} workId -> image
+ */
+const coverImagesForWorks = async (workIds) => {
+    if (workIds.length === 0) return {};
+    const covers = await Book.aggregate([
+        { $match: { work: { $in: workIds.map((id) => new mongoose.Types.ObjectId(id.toString())) } } },
+        { $sort: { like_count: -1, createdAt: -1 } },
+        { $group: { _id: "$work", image: { $first: "$image" } } },
+    ]);
+    return Object.fromEntries(covers.map((cover) => [cover._id.toString(), cover.image]));
+};
+
+/**
+ * Tóm tắt danh sách để hiển thị dạng thẻ: người tạo, số mục, vài ảnh preview, người xem có đang theo dõi không.
+ * @param {object[]} lists - BookList documents (đã populate user)
+ * @param {string|object} viewerId
+ * @param {string} [bookId] - có thì thêm bookItemId: ID mục chứa bài review này (null nếu không có)
+ */
+export const summarizeLists = async (lists, viewerId, bookId) => {
+    const previewItems = lists.flatMap((list) => list.items.slice(0, PREVIEW_IMAGE_COUNT));
+    const previewBooks = await Book.find({
+        _id: { $in: previewItems.map((item) => item.book).filter(Boolean) },
+    }).select("image");
+    const imageByBook = Object.fromEntries(
+        previewBooks.map((book) => [book._id.toString(), book.image])
+    );
+    const imageByWork = await coverImagesForWorks(
+        previewItems.map((item) => item.work).filter(Boolean)
+    );
+
+    return lists.map((list) => {
+        const { items, ...rest } = list.toJSON();
+        const summary = {
+            ...rest,
+            itemCount: items.length,
+            previewImages: list.items
+                .slice(0, PREVIEW_IMAGE_COUNT)
+                .map((item) =>
+                    item.book ? imageByBook[item.book.toString()] : imageByWork[item.work?.toString()]
+                )
+                .filter(Boolean),
+            isFollowing: list.followers.some((id) => id.toString() === viewerId.toString()),
+        };
+        if (bookId) {
+            summary.bookItemId =
+                list.items.find((item) => item.book?.toString() === bookId)?._id || null;
+        }
+        return summary;
+    });
+};
+
+/**
+ * Các mục của danh sách kèm thông tin bài review / tác phẩm, theo đúng thứ tự đã sắp xếp.
+ * Mục trỏ tới bài / tác phẩm đã bị xóa thì bỏ qua.
+ * @param {object} list - BookList document
+ */
+export const populateListItems = async (list) => {
+    await list.populate([
+        {
+            path: "items.book",
+            select: "title author caption image rating like_count work user createdAt",
+            populate: { path: "user", select: "username profileImage" },
+        },
+        { path: "items.work", select: "title authors published_year" },
+    ]);
+    const imageByWork = await coverImagesForWorks(
+        list.items.filter((item) => item.work).map((item) => item.work._id)
+    );
+
+    return list.items
+        .filter((item) => item.book || item.work)
+        .map((item) => ({
+            _id: item._id,
+            type: item.book ? "book" : "work",
+            book: item.book || null,
+            work: item.work
+                ? { ...item.work.toJSON(), image: imageByWork[item.work._id.toString()] || null }
+                : null,
+            note: item.note,
+            addedAt: item.addedAt,
+        }));
+};
+
+/**
+ * Xóa ảnh bìa danh sách khỏi storage (lỗi chỉ ghi log).
+ * @param {{ coverImage: string, coverImageKey?: string }} list
+ */
+export const destroyListCover = (list) =>
+    deleteMedia({ url: list.coverImage, key: list.coverImageKey });
+
+/**
+ * Bỏ các bài review đã bị xóa ra khỏi mọi danh sách.
+ * @param {object[]} bookIds
+ */
+export const removeBooksFromLists = async (bookIds) => {
+    if (bookIds.length === 0) return;
+    await BookList.updateMany(
+        { "items.book": { $in: bookIds } },
+        { $pull: { items: { book: { $in: bookIds } } } }
+    );
+};
+
+/**
+ * Xóa danh sách (kèm ảnh bìa và các report về danh sách đó).
+ * @param {object} list - BookList document
+ */
+export const deleteBookList = async (list) => {
+    await destroyListCover(list);
+    await Report.deleteMany({ reportedItemType: "BookList", reportedItemId: list._id });
+    await list.deleteOne();
+};
+
+/**
+ * Dọn dẹp khi xóa tài khoản: xóa danh sách của user và bỏ theo dõi các danh sách khác.
+ * @param {string|object} userId
+ */
+export const deleteUserLists = async (userId) => {
+    const lists = await BookList.find({ user: userId });
+    for (const list of lists) {
+        await deleteBookList(list);
+    }
+    await BookList.updateMany(
+        { followers: userId },
+        { $pull: { followers: userId }, $inc: { followersCount: -1 } }
+    );
+};
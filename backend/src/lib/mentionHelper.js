@@ -0,0 +1,53 @@
+import User from "../models/user.js";
+
+// "@username" đứng đầu chuỗi hoặc sau ký tự không phải chữ/số (tránh bắt email như a@b.com)
+const MENTION_REGEX = /(^|[^\p{L}\p{N}_])@([\p{L}\p{N}_.]+)/gu;
+
+/**
+ * Tìm các "@username" trong text cùng vị trí của chúng.
+ * @param {string} text
+ * @returns {{ username: string, start: number, end: number }[]}
+ */
+export const parseMentions = (text) => {
+    if (!text || typeof text !== "string") return [];
+
+    const candidates = [];
+    for (const match of text.matchAll(MENTION_REGEX)) {
+        // Dấu chấm cuối câu không thuộc username: "cảm ơn @huy."
+        const username = match[2].replace(/\.+$/, "");
+        if (!username) continue;
+        const start = match.index + match[1].length;
+        candidates.push({ username, start, end: start + username.length + 1 });
+    }
+    return candidates;
+};
+
+/**
+ * Parse mention trong text và đối chiếu với User.username (không phân biệt hoa thường).
+ * Username không tồn tại sẽ bị bỏ qua.
+ * @param {string} text
+ * @returns {Promise<{ user: object, username: string, start: number, end: number }[]>}
+ */
+export const resolveMentions = async (text) => {
+    const candidates = parseMentions(text);
+    if (candidates.length === 0) return [];
+
+    const usernames = [...new Set(candidates.map((candidate) => candidate.username))];
+    const users = await User.find({ username: { $in: usernames } })
+        .collation({ locale: "en", strength: 2 })
+        .select("_id username");
+
+    const usersByName = new Map(users.map((user) => [user.username.toLowerCase(), user]));
+
+    return candidates
+        .filter((candidate) => usersByName.has(candidate.username.toLowerCase()))
+        .map((candidate) => {
+            const user = usersByName.get(candidate.username.toLowerCase());
+            return {
+                user: user._id,
+                username: user.username,
+                start: candidate.start,
+                end: candidate.end,
+            };
+        });
+};
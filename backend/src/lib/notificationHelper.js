@@ -7,10 +7,10 @@ import User from "../models/user.js";
  * @param {object} io 
  * @param {string} recipientId 
  * @param {string} senderId 
- * @param {'new_follower' | 'new_comment' | 'new_like_on_book'} type 
+ * @param {'new_follower' | 'new_comment' | 'new_reply' | 'new_like_on_book' | 'mention' | 'reading_finished' | 'challenge_completed'} type 
  * @param {string} message - Nội dung thông báo.
  * @param {string} [link] - (Tùy chọn) Link điều hướng.
- * @param {'Book' | 'Comment' | 'User'} [relatedItemType] - (Tùy chọn) Loại item liên quan.
+ * @param {'Book' | 'Comment' | 'User' | 'Work'} [relatedItemType] - (Tùy chọn) Loại item liên quan.
  * @param {string} [relatedItemId] - (Tùy chọn) ID của item liên quan.
  */
 export const createAndSendNotification = async (
@@ -49,7 +49,7 @@ export const createAndSendNotification = async (
             .populate("sender", "username profileImage _id")
             .populate({ 
                 path: "relatedItemId",
-                select: type === "new_comment" ? "text user book" : (type === "new_like_on_book" ? "title user" : "username") 
+                select: (type === "new_comment" || type === "new_reply") ? "text user book" : (type === "new_like_on_book" ? "title user" : (type === "mention" ? "text title user book" : (type === "reading_finished" ? "title authors" : "username"))) 
             });
 
 
@@ -65,4 +65,83 @@ export const createAndSendNotification = async (
         console.error("Error creating or sending notification:", error);
         return null;
     }
-};
\ No newline at end of file
+};
+
+/**
+ * Gửi thông báo "mention" cho những user được nhắc tới trong một nội dung.
+ * Mỗi user chỉ nhận 1 thông báo (dù được nhắc nhiều lần) và không tự thông báo cho chính mình.
+ * @param {object} io
+ * @param {{ user: object }[]} mentions - Danh sách mention đã resolve (xem mentionHelper.js).
+ * @param {string} senderId
+ * @param {string} message
+ * @param {string} link
+ * @param {'Book' | 'Comment'} relatedItemType
+ * @param {string} relatedItemId
+ * @param {string[]} [excludeUserIds] - User đã nhận thông báo khác cho cùng nội dung này.
+ */
+export const sendMentionNotifications = async (
+    io,
+    mentions,
+    senderId,
+    message,
+    link,
+    relatedItemType,
+    relatedItemId,
+    excludeUserIds = []
+) => {
+    const skipped = new Set([senderId.toString(), ...excludeUserIds.map((id) => id.toString())]);
+    const recipientIds = [...new Set(mentions.map((mention) => mention.user.toString()))]
+        .filter((recipientId) => !skipped.has(recipientId));
+
+    for (const recipientId of recipientIds) {
+        await createAndSendNotification(
+            io,
+            recipientId,
+            senderId,
+            "mention",
+            message,
+            link,
+            relatedItemType,
+            relatedItemId
+        );
+    }
+    return recipientIds;
+};
+
+/**
+ * Gửi cùng một thông báo hoạt động (vd "X đã đọc xong Y") cho tất cả người theo dõi của sender.
+ * @param {object} io
+ * @param {string} senderId
+ * @param {'reading_finished'} type
+ * @param {string} message
+ * @param {string} link
+ * @param {'Book' | 'Comment' | 'User' | 'Work'} relatedItemType
+ * @param {string} relatedItemId
+ * @returns {Promise<number>} số người đã nhận thông báo
+ */
+export const sendFollowerNotifications = async (
+    io,
+    senderId,
+    type,
+    message,
+    link,
+    relatedItemType,
+    relatedItemId
+) => {
+    const sender = await User.findById(senderId).select("followers");
+    const followerIds = sender?.followers || [];
+
+    for (const followerId of followerIds) {
+        await createAndSendNotification(
+            io,
+            followerId,
+            senderId,
+            type,
+            message,
+            link,
+            relatedItemType,
+            relatedItemId
+        );
+    }
+    return followerIds.length;
+};
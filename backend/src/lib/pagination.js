@@ -0,0 +1,180 @@
+import mongoose from "mongoose";
+
+// Cursor phân trang dạng opaque: base64url của JSON chứa vị trí phần tử cuối trang trước.
+// Client chỉ cần gửi lại nguyên chuỗi nextCursor, không cần biết bên trong có gì.
+
+export const encodeCursor = (values) =>
+    Buffer.from(JSON.stringify(values)).toString("base64url");
+
+/**
+ * @param {string} cursor
+ * @returns {object|null} null nếu cursor không hợp lệ
+ */
+export const decodeCursor = (cursor) => {
+    try {
+        const values = JSON.parse(Buffer.from(cursor, "base64url").toString("utf8"));
+        return values && typeof values === "object" ? values : null;
+    } catch {
+        return null;
+    }
+};
+
+/**
+ * Cursor (createdAt + _id) của một document - dùng cho trang tiếp theo.
+ * @param {{ createdAt: Date, _id: object }} doc - document chưa qua toJSON (createdAt còn là Date).
+ * @param {object} [extraValues] - Giá trị sort bổ sung, vd { score } cho feed trending.
+ */
+export const cursorFromDoc = (doc, extraValues = {}) =>
+    encodeCursor({
+        ...extraValues,
+        createdAt: new Date(doc.createdAt).toISOString(),
+        id: doc._id.toString(),
+    });
+
+/**
+ * Điều kiện lấy các document nằm sau cursor khi sort theo { createdAt, _id }.
+ * @param {object} cursor - cursor đã decode.
+ * @param {1 | -1} [direction] - -1: mới nhất trước, 1: cũ nhất trước.
+ * @returns {object|null} null nếu cursor thiếu createdAt/id hợp lệ
+ */
+export const createdAtCursorFilter = (cursor, direction = -1) => {
+    const createdAt = new Date(cursor.createdAt);
+    if (isNaN(createdAt.getTime()) || !mongoose.Types.ObjectId.isValid(cursor.id)) {
+        return null;
+    }
+    const id = new mongoose.Types.ObjectId(cursor.id);
+    const op = direction === -1 ? "$lt" : "$gt";
+    return {
+        $or: [
+            { createdAt: { [op]: createdAt } },
+            { createdAt, _id: { [op]: id } },
+        ],
+    };
+};
+
+/**
+ * Như createdAtCursorFilter nhưng sort theo một field điểm trước (vd like_count), rồi mới tới createdAt, _id.
+ * Document cũ chưa có field điểm được MongoDB xếp sau mọi số khi sort giảm dần (trước khi tăng dần),
+ * nên score null trong cursor và nhánh `{ [scoreField]: null }` giữ chúng lại ở các trang sau.
+ * @param {object} cursor - cursor đã decode, phải có thêm `score` (số, hoặc null nếu document thiếu field).
+ * @param {string} scoreField - tên field điểm trong collection.
+ * @param {1 | -1} [direction]
+ * @returns {object|null} null nếu cursor không hợp lệ
+ */
+export const scoredCursorFilter = (cursor, scoreField, direction = -1) => {
+    const createdAtFilter = createdAtCursorFilter(cursor, direction);
+    if (!createdAtFilter || (cursor.score !== null && !Number.isFinite(cursor.score))) {
+        return null;
+    }
+    const sameScore = { [scoreField]: cursor.score, ...createdAtFilter };
+
+    if (cursor.score === null) {
+        return direction === -1
+            ? sameScore
+            : { $or: [{ [scoreField]: { $ne: null } }, sameScore] };
+    }
+
+    const op = direction === -1 ? "$lt" : "$gt";
+    return {
+        $or: [
+            { [scoreField]: { [op]: cursor.score } },
+            ...(direction === -1 ? [{ [scoreField]: null }] : []),
+            sameScore,
+        ],
+    };
+};
+
+/**
+ * Điều kiện lấy các document nằm sau cursor khi sort theo một field chuỗi rồi _id, vd { username: 1, _id: 1 }.
+ * @param {object} cursor - cursor đã decode, dạng { value, id } (xem paginateByField).
+ * @param {string} sortField
+ * @param {1 | -1} [direction]
+ * @returns {object|null} null nếu cursor không hợp lệ
+ */
+export const sortFieldCursorFilter = (cursor, sortField, direction = 1) => {
+    if (typeof cursor.value !== "string" || !mongoose.Types.ObjectId.isValid(cursor.id)) {
+        return null;
+    }
+    const id = new mongoose.Types.ObjectId(cursor.id);
+    const op = direction === -1 ? "$lt" : "$gt";
+    return {
+        $or: [
+            { [sortField]: { [op]: cursor.value } },
+            { [sortField]: cursor.value, _id: { [op]: id } },
+        ],
+    };
+};
+
+/**
+ * Đọc tham số phân trang từ query. Có `cursor` thì dùng cursor (cho mobile),
+ * không thì giữ kiểu page/limit cũ (cho các bảng ở trang admin).
+ * @param {object} query - req.query
+ * @param {object} [options]
+ * @param {number} [options.defaultLimit] - bỏ trống = không giới hạn khi client không gửi limit.
+ * @param {1 | -1} [options.direction] - chiều sort theo createdAt.
+ * @param {string} [options.scoreField] - field điểm sort trước createdAt (xem scoredCursorFilter).
+ * @param {string} [options.sortField] - sort theo field này + _id thay cho createdAt (xem sortFieldCursorFilter).
+ * @returns {{ limit: number, page: number|null, skip: number, cursorFilter: object } | { error: string }}
+ */
+export const getPaginationParams = (query, { defaultLimit, direction = -1, scoreField, sortField } = {}) => {
+    const limit = parseInt(query.limit) || defaultLimit || 0;
+
+    if (query.cursor) {
+        const cursor = decodeCursor(query.cursor);
+        const cursorFilter = cursor
+            ? sortField
+                ? sortFieldCursorFilter(cursor, sortField, direction)
+                : scoreField
+                    ? scoredCursorFilter(cursor, scoreField, direction)
+                    : createdAtCursorFilter(cursor, direction)
+            : null;
+        if (!cursorFilter) {
+            return { error: "Invalid cursor" };
+        }
+        return { limit, page: null, skip: 0, cursorFilter };
+    }
+
+    const page = parseInt(query.page) || 1;
+    return { limit, page, skip: (page - 1) * limit, cursorFilter: {} };
+};
+
+// Điểm thật trong DB của document: Mongoose điền default (vd 0) khi field bị thiếu,
+// nhưng MongoDB vẫn sort document đó như null nên cursor phải giữ null.
+const scoreOf = (doc, scoreField) =>
+    doc.$isDefault?.(scoreField) ? null : doc[scoreField] ?? null;
+
+/**
+ * Cắt kết quả đã lấy dư 1 phần tử (limit + 1) thành trang hiện tại và tính nextCursor.
+ * @param {object[]} results - document sort theo đúng thứ tự của cursor.
+ * @param {number} limit - 0 = không giới hạn.
+ * @param {string} [scoreField]
+ * @returns {{ items: object[], hasMore: boolean, nextCursor: string|null }}
+ */
+export const paginateResults = (results, limit, scoreField) => {
+    const hasMore = limit > 0 && results.length > limit;
+    const items = hasMore ? results.slice(0, limit) : results;
+    const lastItem = items[items.length - 1];
+    const nextCursor =
+        hasMore && lastItem
+            ? cursorFromDoc(lastItem, scoreField ? { score: scoreOf(lastItem, scoreField) } : {})
+            : null;
+    return { items, hasMore, nextCursor };
+};
+
+/**
+ * Như paginateResults nhưng cho kết quả sort theo sortField + _id (xem sortFieldCursorFilter).
+ * @param {object[]} results
+ * @param {number} limit
+ * @param {string} sortField
+ * @returns {{ items: object[], hasMore: boolean, nextCursor: string|null }}
+ */
+export const paginateByField = (results, limit, sortField) => {
+    const hasMore = limit > 0 && results.length > limit;
+    const items = hasMore ? results.slice(0, limit) : results;
+    const lastItem = items[items.length - 1];
+    const nextCursor =
+        hasMore && lastItem
+            ? encodeCursor({ value: lastItem[sortField], id: lastItem._id.toString() })
+            : null;
+    return { items, hasMore, nextCursor };
+};
@@ -0,0 +1,52 @@
+import RateLimit from "../models/rateLimit.js";
+
+/**
+ * Tính một request vào bộ đếm `key`; vượt `limit` trong cửa sổ `windowSeconds` thì bị chặn
+ * tới khi hết cửa sổ. Một lệnh update duy nhất (pipeline) vừa tăng bộ đếm vừa mở cửa sổ mới khi
+ * cửa sổ cũ đã hết, nên request song song không bị đếm thiếu. TTL index chỉ dọn dẹp định kỳ.
+ * @param {string} key
+ * @param {{ limit: number, windowSeconds: number }} options
+ * @returns {Promise<{ allowed: boolean, retryAfter: number }>} retryAfter: số giây tới khi hết cửa sổ
+ */
+export const consumeRateLimit = async (key, { limit, windowSeconds }) => {
+    const now = new Date();
+    const isWindowOpen = { $gt: ["$resetAt", now] };
+    let counter;
+    try {
+        counter = await RateLimit.findOneAndUpdate(
+            { key },
+            [{
+                $set: {
+                    count: { $cond: [isWindowOpen, { $add: ["$count", 1] }, 1] },
+                    resetAt: {
+                        $cond: [isWindowOpen, "$resetAt", new Date(now.getTime() + windowSeconds * 1000)],
+                    },
+                },
+            }],
+            { new: true, upsert: true }
+        );
+    } catch (error) {
+        // Hai request cùng tạo bộ đếm lần đầu - request kia đã tạo, tính tiếp vào đó
+        if (error.code !== 11000) throw error;
+        return consumeRateLimit(key, { limit, windowSeconds });
+    }
+    return {
+        allowed: counter.count <= limit,
+        retryAfter: Math.max(Math.ceil((counter.resetAt.getTime() - now.getTime()) / 1000), 1),
+    };
+};
+
+/**
+ * Trả 429 kèm Retry-After - client đọc `retryAfter` (giây) để báo người dùng.
+ * @param {import("express").Response} res
+ * @param {number} retryAfter
+ * @param {{ message?: string, code?: string }} [options]
+ */
+export const sendTooManyRequests = (res, retryAfter, { message, code = "RATE_LIMITED" } = {}) => {
+    res.set("Retry-After", String(retryAfter));
+    return res.status(429).json({
+        message: message || `Too many requests. Please try again in ${retryAfter} seconds.`,
+        code,
+        retryAfter,
+    });
+};
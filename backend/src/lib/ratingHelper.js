@@ -0,0 +1,174 @@
+import mongoose from "mongoose";
+import Book from "../models/book.js";
+import RatingStat from "../models/ratingStat.js";
+import { escapeRegex, foldVietnamese } from "./textNormalize.js";
+import { splitAuthors } from "./workHelper.js";
+
+const RATING_LEVELS = 5;
+
+/**
+ * Các nhóm thống kê mà một review được tính vào: Work của nó và từng tác giả.
+ * @param {{ work?: object, title?: string, author?: string }} book
+ * @returns {{ scope: string, key: string, name: string }[]}
+ */
+export const ratingTargetsForBook = (book) => {
+    const targets = [];
+    if (book.work) {
+        targets.push({ scope: "work", key: book.work.toString(), name: book.title || "" });
+    }
+    const seenAuthors = new Set();
+    for (const name of splitAuthors(book.author)) {
+        const key = foldVietnamese(name);
+        if (!seenAuthors.has(key)) {
+            seenAuthors.add(key);
+            targets.push({ scope: "author", key, name });
+        }
+    }
+    return targets;
+};
+
+const ratingBucket = (rating) =>
+    Math.min(Math.max(Math.round(rating), 1), RATING_LEVELS) - 1;
+
+/**
+ * Cộng (direction = 1) hoặc trừ (direction = -1) rating của một review vào các thống kê liên quan.
+ * @param {{ work?: object, title?: string, author?: string, rating: number }} book
+ * @param {1 | -1} direction
+ */
+const applyReviewRating = async (book, direction) => {
+    if (!book.rating) return;
+    const targets = ratingTargetsForBook(book);
+    if (targets.length === 0) return;
+
+    // Tạo trước document với distribution là mảng 0 - $inc "distribution.N" trên document
+    // chưa có sẽ tạo ra object { N: 1 } thay vì mảng
+    const createOperations =
+        direction === 1
+            ? targets.map(({ scope, key }) => ({
+                  updateOne: {
+                      filter: { scope, key },
+                      update: {
+                          $setOnInsert: { scope, key, distribution: Array(RATING_LEVELS).fill(0) },
+                      },
+                      upsert: true,
+                  },
+              }))
+            : [];
+
+    await RatingStat.bulkWrite([
+        ...createOperations,
+        ...targets.map(({ scope, key, name }) => ({
+            updateOne: {
+                filter: { scope, key },
+                update: {
+                    $inc: {
+                        reviewCount: direction,
+                        ratingSum: book.rating * direction,
+                        [`distribution.${ratingBucket(book.rating)}`]: direction,
+                    },
+                    // Chỉ ghi tên khi thêm review để tên luôn là tên mới nhất
+                    ...(direction === 1 ? { $set: { name } } : {}),
+                },
+            },
+        })),
+    ]);
+};
+
+/** Tính review mới vào thống kê. */
+export const recordReviewRating = (book) => applyReviewRating(book, 1);
+
+/** Bỏ review đã xóa khỏi thống kê. */
+export const removeReviewRating = (book) => applyReviewRating(book, -1);
+
+/**
+ * Cập nhật thống kê sau khi sửa review - chỉ làm khi rating, Work hoặc tác giả thay đổi.
+ * @param {{ work?: object, title?: string, author?: string, rating: number }} previous - giá trị trước khi sửa
+ * @param {object} book - review sau khi sửa
+ */
+export const updateReviewRating = async (previous, book) => {
+    const unchanged =
+        previous.rating === book.rating &&
+        String(previous.work) === String(book.work) &&
+        previous.author === book.author;
+    if (unchanged) return;
+
+    await removeReviewRating(previous);
+    await recordReviewRating(book);
+};
+
+/**
+ * Tính lại từ đầu thống kê của các nhóm cho trước dựa trên review đang có trong DB.
+ * Dùng cho các thao tác hàng loạt (xóa user, gộp / sửa Work) và script backfill.
+ * @param {{ scope: string, key: string, name?: string }[]} targets
+ */
+export const recomputeRatingStats = async (targets) => {
+    const uniqueTargets = [
+        ...new Map(targets.map((target) => [`${target.scope}:${target.key}`, target])).values(),
+    ];
+
+    for (const { scope, key, name } of uniqueTargets) {
+        const match =
+            scope === "work"
+                ? { work: new mongoose.Types.ObjectId(key) }
+                : // Tác giả có thể nằm giữa chuỗi "A, B" nên lọc thô bằng regex rồi tách lại cho chính xác
+                  { author_normalized: { $regex: escapeRegex(key) } };
+        const books = await Book.find(match).select("title author rating work");
+
+        const stat = {
+            name: name || "",
+            reviewCount: 0,
+            ratingSum: 0,
+            distribution: Array(RATING_LEVELS).fill(0),
+        };
+        for (const book of books) {
+            if (!ratingTargetsForBook(book).some((target) => target.scope === scope && target.key === key)) {
+                continue;
+            }
+            stat.reviewCount += 1;
+            stat.ratingSum += book.rating;
+            stat.distribution[ratingBucket(book.rating)] += 1;
+            if (!name) {
+                stat.name =
+                    scope === "work"
+                        ? book.title
+                        : splitAuthors(book.author).find((author) => foldVietnamese(author) === key);
+            }
+        }
+
+        if (stat.reviewCount === 0) {
+            await RatingStat.deleteOne({ scope, key });
+        } else {
+            await RatingStat.updateOne({ scope, key }, { $set: stat }, { upsert: true });
+        }
+    }
+};
+
+/**
+ * Định dạng thống kê trả cho client.
+ * @param {object|null} stat - RatingStat document (có thể null khi chưa có review)
+ * @returns {{ averageRating: number, reviewCount: number, distribution: Object<string, number> }}
+ */
+export const formatRatingStat = (stat) => {
+    const reviewCount = Math.max(stat?.reviewCount || 0, 0);
+    const distribution = {};
+    for (let level = 1; level <= RATING_LEVELS; level++) {
+        distribution[level] = Math.max(stat?.distribution?.[level - 1] || 0, 0);
+    }
+    return {
+        averageRating: reviewCount > 0 ? Math.round((stat.ratingSum / reviewCount) * 10) / 10 : 0,
+        reviewCount,
+        distribution,
+    };
+};
+
+/**
+ * Lấy thống kê đã định dạng của nhiều nhóm cùng scope.
+ * @param {"work" | "author"} scope
+ * @param {string[]} keys
+ * @returns {Promise<Object<string, ReturnType<typeof formatRatingStat>>>} theo key
+ */
+export const getRatingStats = async (scope, keys) => {
+    if (keys.length === 0) return {};
+    const stats = await RatingStat.find({ scope, key: { $in: keys } });
+    return Object.fromEntries(stats.map((stat) => [stat.key, formatRatingStat(stat)]));
+};
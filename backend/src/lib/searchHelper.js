@@ -0,0 +1,112 @@
+import mongoose from "mongoose";
+import { escapeRegex, foldVietnamese, hasDiacritics } from "./textNormalize.js";
+
+// Chế độ so khớp từ khóa:
+// - exact: giữ nguyên dấu người dùng gõ
+// - folded: bỏ dấu cả hai phía, "tieu thuyet" khớp "Tiểu thuyết"
+// - auto (mặc định): gõ không dấu thì dùng folded, có dấu thì dùng exact
+export const SEARCH_MATCH_MODES = ["auto", "exact", "folded"];
+
+/**
+ * @param {string} searchText - từ khóa đã trim.
+ * @param {string} [match] - req.query.match
+ * @returns {"exact" | "folded" | null} null nếu match không hợp lệ
+ */
+export const resolveMatchMode = (searchText, match = "auto") => {
+    if (!SEARCH_MATCH_MODES.includes(match)) {
+        return null;
+    }
+    if (match === "auto") {
+        return hasDiacritics(searchText) ? "exact" : "folded";
+    }
+    return match;
+};
+
+/**
+ * Điều kiện regex (đã escape) trên các field không dấu.
+ * @param {string} searchText
+ * @param {string[]} fields - vd ["title_normalized", "author_normalized"]
+ */
+export const foldedMatchFilter = (searchText, fields) => {
+    const pattern = escapeRegex(foldVietnamese(searchText));
+    return { $or: fields.map((field) => ({ [field]: { $regex: pattern } })) };
+};
+
+// Các kiểu sort hỗ trợ ở /api/books/search. "relevance" chỉ có nghĩa khi tìm bằng text index.
+export const BOOK_SEARCH_SORTS = {
+    relevance: { score: { $meta: "textScore" }, createdAt: -1, _id: -1 },
+    newest: { createdAt: -1, _id: -1 },
+    most_liked: { like_count: -1, createdAt: -1, _id: -1 },
+    top_rated: { rating: -1, like_count: -1, _id: -1 },
+};
+
+// Đọc số từ query, trả về undefined nếu không gửi, NaN nếu gửi sai
+const parseNumberParam = (value) =>
+    value === undefined || value === "" ? undefined : Number(value);
+
+// Ghép điều kiện $gte/$lte cho một khoảng, bỏ qua cận không được gửi
+const buildRange = (min, max) => {
+    const range = {};
+    if (min !== undefined) range.$gte = min;
+    if (max !== undefined) range.$lte = max;
+    return Object.keys(range).length > 0 ? range : null;
+};
+
+/**
+ * Dựng điều kiện $match cho tìm kiếm sách từ query string.
+ * Chế độ exact đi qua text index; folded so khớp title/author không dấu (input đã được escape).
+ * @param {object} query - req.query: q, match, genre, minRating, maxRating, minYear, maxYear, sort
+ * @returns {{ filter: object, sort: object, matchMode: string, hasFilters: boolean } | { error: string }}
+ */
+export const buildBookSearchQuery = (query) => {
+    const searchText = typeof query.q === "string" ? query.q.trim() : "";
+    const filter = {};
+
+    const matchMode = searchText ? resolveMatchMode(searchText, query.match) : "exact";
+    if (!matchMode) {
+        return { error: "Invalid match mode" };
+    }
+    if (searchText && matchMode === "exact") {
+        filter.$text = { $search: searchText };
+    } else if (searchText) {
+        Object.assign(filter, foldedMatchFilter(searchText, ["title_normalized", "author_normalized"]));
+    }
+
+    if (query.genre) {
+        if (!mongoose.Types.ObjectId.isValid(query.genre)) {
+            return { error: "Invalid genre ID format" };
+        }
+        filter.genre = new mongoose.Types.ObjectId(query.genre);
+    }
+
+    const minRating = parseNumberParam(query.minRating);
+    const maxRating = parseNumberParam(query.maxRating);
+    const minYear = parseNumberParam(query.minYear);
+    const maxYear = parseNumberParam(query.maxYear);
+    if ([minRating, maxRating, minYear, maxYear].some((value) => Number.isNaN(value))) {
+        return { error: "Rating and year filters must be numbers" };
+    }
+    if (
+        (minRating !== undefined && maxRating !== undefined && minRating > maxRating) ||
+        (minYear !== undefined && maxYear !== undefined && minYear > maxYear)
+    ) {
+        return { error: "Invalid range: min is greater than max" };
+    }
+
+    const ratingRange = buildRange(minRating, maxRating);
+    if (ratingRange) filter.rating = ratingRange;
+    const yearRange = buildRange(minYear, maxYear);
+    if (yearRange) filter.published_year = yearRange;
+
+    const sortKey = query.sort || (searchText ? "relevance" : "newest");
+    if (!BOOK_SEARCH_SORTS[sortKey]) {
+        return { error: "Invalid sort option" };
+    }
+    // Không tìm qua text index thì không có textScore -> quay về mới nhất
+    const sort =
+        sortKey === "relevance" && !filter.$text
+            ? BOOK_SEARCH_SORTS.newest
+            : BOOK_SEARCH_SORTS[sortKey];
+
+    return { filter, sort, matchMode, hasFilters: Object.keys(filter).length > 0 };
+};
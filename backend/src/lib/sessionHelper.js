@@ -0,0 +1,153 @@
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+import AuthSession from "../models/authSession.js";
+
+// Access token sống ngắn, hết hạn thì client dùng refresh token để lấy cái mới (/api/auth/refresh)
+export const ACCESS_TOKEN_TTL_MINUTES = parseInt(process.env.ACCESS_TOKEN_TTL_MINUTES) || 15;
+
+// Không mở app quá số ngày này thì phải đăng nhập lại
+export const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+// Chỉ ghi lại lastUsedAt khi lần ghi trước đã cách khoảng này, tránh ghi DB ở mọi request
+const LAST_USED_UPDATE_MS = 5 * 60 * 1000;
+
+const hashToken = (token) => crypto.createHash("sha256").update(token).digest("hex");
+
+const refreshExpiry = () => new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+/**
+ * Tên thiết bị hiển thị trong danh sách phiên: client tự gửi (vd "iPhone 13"),
+ * không có thì lấy User-Agent.
+ * @param {import("express").Request} req
+ */
+const deviceNameFrom = (req) => {
+    const deviceName = typeof req.body?.deviceName === "string" ? req.body.deviceName.trim() : "";
+    return (deviceName || req.get("User-Agent") || "Unknown device").slice(0, 100);
+};
+
+/**
+ * Access token + refresh token trả cho client. `token` giữ tên cũ để client cũ vẫn đọc được.
+ * @param {object} session
+ * @param {string} refreshToken - bản gốc (DB chỉ lưu hash)
+ */
+const tokenResponse = (session, refreshToken) => ({
+    token: jwt.sign(
+        { userId: session.user, sessionId: session._id },
+        process.env.JWT_SECRET,
+        { expiresIn: `${ACCESS_TOKEN_TTL_MINUTES}m` }
+    ),
+    refreshToken,
+    expiresIn: ACCESS_TOKEN_TTL_MINUTES * 60,
+});
+
+/**
+ * Tạo phiên đăng nhập mới cho user trên thiết bị gửi request.
+ * @param {{ _id: object }} user
+ * @param {import("express").Request} req
+ * @returns {Promise<{ token: string, refreshToken: string, expiresIn: number }>}
+ */
+export const createSession = async (user, req) => {
+    const refreshToken = crypto.randomBytes(48).toString("hex");
+    const session = await AuthSession.create({
+        user: user._id,
+        refreshTokenHash: hashToken(refreshToken),
+        deviceName: deviceNameFrom(req),
+        ip: req.ip || "",
+        expiresAt: refreshExpiry(),
+    });
+    return tokenResponse(session, refreshToken);
+};
+
+/**
+ * Đổi refresh token lấy cặp token mới (refresh token cũ hết hiệu lực ngay).
+ * Refresh token đã bị đổi trước đó mà vẫn được gửi lên nghĩa là có người khác giữ nó -
+ * thu hồi luôn cả phiên.
+ * @param {string} refreshToken
+ * @returns {Promise<{ error: string } | { tokens: object }>}
+ */
+export const rotateSession = async (refreshToken) => {
+    const tokenHash = hashToken(refreshToken);
+    const nextRefreshToken = crypto.randomBytes(48).toString("hex");
+    const session = await AuthSession.findOneAndUpdate(
+        { refreshTokenHash: tokenHash, revokedAt: null, expiresAt: { $gt: new Date() } },
+        {
+            $set: {
+                refreshTokenHash: hashToken(nextRefreshToken),
+                previousRefreshTokenHash: tokenHash,
+                lastUsedAt: new Date(),
+                expiresAt: refreshExpiry(),
+            },
+        },
+        { new: true }
+    );
+    if (session) {
+        return { tokens: tokenResponse(session, nextRefreshToken) };
+    }
+
+    const reused = await AuthSession.findOneAndUpdate(
+        { previousRefreshTokenHash: tokenHash, revokedAt: null },
+        { $set: { revokedAt: new Date() } }
+    );
+    if (reused) {
+        console.warn(`Refresh token reuse detected, session ${reused._id} revoked`);
+    }
+    return { error: "Refresh token is not valid or has expired" };
+};
+
+/**
+ * Phiên còn hiệu lực của access token (protectRoute gọi ở mỗi request). Cập nhật lastUsedAt.
+ * @param {string} sessionId
+ * @param {string} userId
+ * @returns {Promise<object|null>}
+ */
+export const findActiveSession = async (sessionId, userId) => {
+    const session = await AuthSession.findOne({
+        _id: sessionId,
+        user: userId,
+        revokedAt: null,
+        expiresAt: { $gt: new Date() },
+    });
+    if (session && Date.now() - session.lastUsedAt.getTime() > LAST_USED_UPDATE_MS) {
+        session.lastUsedAt = new Date();
+        await session.save();
+    }
+    return session;
+};
+
+/**
+ * Các phiên đang đăng nhập của user, dùng gần nhất lên đầu.
+ * @param {string|object} userId
+ */
+export const listActiveSessions = (userId) =>
+    AuthSession.find({ user: userId, revokedAt: null, expiresAt: { $gt: new Date() } })
+        .sort({ lastUsedAt: -1 });
+
+/**
+ * Thu hồi một phiên của user.
+ * @returns {Promise<boolean>} false nếu không có phiên đang hoạt động với id này
+ */
+export const revokeSession = async (sessionId, userId) => {
+    const result = await AuthSession.updateOne(
+        { _id: sessionId, user: userId, revokedAt: null },
+        { $set: { revokedAt: new Date() } }
+    );
+    return result.modifiedCount > 0;
+};
+
+/**
+ * Thu hồi mọi phiên của user ("đăng xuất khỏi tất cả thiết bị"), có thể chừa phiên hiện tại.
+ * @param {string|object} userId
+ * @param {{ exceptSessionId?: string|object }} [options]
+ * @returns {Promise<number>} số phiên bị thu hồi
+ */
+export const revokeUserSessions = async (userId, { exceptSessionId } = {}) => {
+    const result = await AuthSession.updateMany(
+        {
+            user: userId,
+            revokedAt: null,
+            ...(exceptSessionId ? { _id: { $ne: exceptSessionId } } : {}),
+        },
+        { $set: { revokedAt: new Date() } }
+    );
+    return result.modifiedCount;
+};
@@ -0,0 +1,185 @@
+import mongoose from "mongoose";
+import Book from "../models/book.js";
+import Shelf from "../models/shelf.js";
+import Work from "../models/work.js";
+import { findOrCreateWork } from "./workHelper.js";
+import { ratingTargetsForBook, recomputeRatingStats } from "./ratingHelper.js";
+
+// Kệ trạng thái: một cuốn sách chỉ nằm ở một trong các kệ này tại một thời điểm
+export const STATUS_SHELF_TYPES = ["want_to_read", "reading", "finished"];
+
+const DEFAULT_SHELF_NAMES = {
+    want_to_read: "Want to read",
+    reading: "Currently reading",
+    finished: "Read",
+};
+
+const PREVIEW_IMAGE_COUNT = 3;
+
+/**
+ * Tạo 3 kệ trạng thái cho user nếu chưa có (user cũ chưa từng mở tab kệ sách).
+ * @param {string|object} userId
+ */
+export const ensureDefaultShelves = async (userId) => {
+    try {
+        await Shelf.bulkWrite(
+            STATUS_SHELF_TYPES.map((type) => ({
+                updateOne: {
+                    filter: { user: userId, type },
+                    update: {
+                        $setOnInsert: {
+                            user: userId,
+                            type,
+                            name: DEFAULT_SHELF_NAMES[type],
+                            visibility: "public",
+                            items: [],
+                        },
+                    },
+                    upsert: true,
+                },
+            })),
+            { ordered: false }
+        );
+    } catch (error) {
+        // Request song song đã tạo kệ trước - unique index chặn bản trùng, kệ đã có là đủ
+        if (error.code !== 11000) throw error;
+    }
+};
+
+/**
+ * Xác định Work cần thêm vào kệ từ workId, hoặc từ bookId (bài review chưa gắn Work thì gắn luôn).
+ * @param {{ workId?: string, bookId?: string }} body
+ * @param {string|object} userId
+ * @returns {Promise<{ work?: object, book?: object, error?: string, status?: number }>}
+ */
+export const resolveShelfWork = async ({ workId, bookId }, userId) => {
+    if (bookId) {
+        if (!mongoose.Types.ObjectId.isValid(bookId)) {
+            return { error: "Invalid book ID format", status: 400 };
+        }
+        const book = await Book.findById(bookId).select("title author published_year genre work");
+        if (!book) {
+            return { error: "Book not found", status: 404 };
+        }
+        if (book.work) {
+            const work = await Work.findById(book.work);
+            if (work) return { work, book };
+        }
+        const work = await findOrCreateWork(
+            {
+                title: book.title,
+                author: book.author,
+                published_year: book.published_year,
+                genre: book.genre,
+            },
+            userId
+        );
+        await Book.updateOne({ _id: book._id }, { $set: { work: work._id } });
+        // Rating của review giờ thuộc Work này - tác giả không đổi nên chỉ cần tính lại thống kê của Work
+        await recomputeRatingStats(ratingTargetsForBook({ title: book.title, work: work._id }));
+        return { work, book };
+    }
+
+    if (!mongoose.Types.ObjectId.isValid(workId)) {
+        return { error: "workId or bookId is required", status: 400 };
+    }
+    const work = await Work.findById(workId);
+    if (!work) {
+        return { error: "Work not found", status: 404 };
+    }
+    // Lấy ảnh bìa từ bài review được thích nhiều nhất của tác phẩm
+    const book = await Book.findOne({ work: work._id }).sort({ like_count: -1 }).select("_id");
+    return { work, book };
+};
+
+/**
+ * Thêm Work vào kệ. Với kệ trạng thái, Work được bỏ khỏi các kệ trạng thái khác của user.
+ * @param {object} shelf - Shelf document
+ * @param {object} work - Work document
+ * @param {object} [book] - bài review dùng làm ảnh bìa
+ * @returns {Promise<{ added: boolean, movedFrom: object[] }>} added = false nếu Work đã có trên kệ
+ */
+export const addWorkToShelf = async (shelf, work, book) => {
+    if (shelf.items.some((item) => item.work.toString() === work._id.toString())) {
+        return { added: false, movedFrom: [] };
+    }
+
+    let movedFrom = [];
+    if (STATUS_SHELF_TYPES.includes(shelf.type)) {
+        const otherStatusShelves = await Shelf.find({
+            user: shelf.user,
+            type: { $in: STATUS_SHELF_TYPES.filter((type) => type !== shelf.type) },
+            "items.work": work._id,
+        }).select("_id");
+        movedFrom = otherStatusShelves.map((other) => other._id);
+        if (movedFrom.length > 0) {
+            await Shelf.updateMany(
+                { _id: { $in: movedFrom } },
+                { $pull: { items: { work: work._id } } }
+            );
+        }
+    }
+
+    shelf.items.push({ work: work._id, book: book?._id || null });
+    await shelf.save();
+    return { added: true, movedFrom };
+};
+
+/**
+ * Đưa Work lên kệ trạng thái của user (tạo kệ mặc định nếu chưa có) - dùng khi bắt đầu / đọc xong.
+ * @param {string|object} userId
+ * @param {"want_to_read" | "reading" | "finished"} type
+ * @param {object} work
+ * @param {object} [book]
+ */
+export const placeOnStatusShelf = async (userId, type, work, book) => {
+    await ensureDefaultShelves(userId);
+    const shelf = await Shelf.findOne({ user: userId, type });
+    return addWorkToShelf(shelf, work, book);
+};
+
+/**
+ * Tóm tắt kệ cho danh sách: số sách, vài ảnh bìa đầu tiên và (tùy chọn) kệ có chứa workId không.
+ * @param {object[]} shelves - Shelf documents
+ * @param {string} [workId]
+ */
+export const summarizeShelves = async (shelves, workId) => {
+    const previewBookIds = shelves.flatMap((shelf) =>
+        [...shelf.items]
+            .sort((a, b) => b.addedAt - a.addedAt)
+            .slice(0, PREVIEW_IMAGE_COUNT)
+            .map((item) => item.book)
+            .filter(Boolean)
+    );
+    const previewBooks = await Book.find({ _id: { $in: previewBookIds } }).select("image");
+    const imageById = Object.fromEntries(
+        previewBooks.map((book) => [book._id.toString(), book.image])
+    );
+
+    return shelves.map((shelf) => {
+        const { items, ...rest } = shelf.toJSON();
+        const summary = {
+            ...rest,
+            itemCount: items.length,
+            previewImages: [...shelf.items]
+                .sort((a, b) => b.addedAt - a.addedAt)
+                .slice(0, PREVIEW_IMAGE_COUNT)
+                .map((item) => imageById[item.book?.toString()])
+                .filter(Boolean),
+        };
+        if (workId) {
+            summary.containsWork = shelf.items.some((item) => item.work.toString() === workId);
+        }
+        return summary;
+    });
+};
+
+/**
+ * Thứ tự hiển thị: kệ trạng thái theo thứ tự cố định, sau đó tới kệ tự tạo theo thời gian tạo.
+ */
+export const sortShelves = (shelves) =>
+    [...shelves].sort((a, b) => {
+        const rankA = STATUS_SHELF_TYPES.includes(a.type) ? STATUS_SHELF_TYPES.indexOf(a.type) : STATUS_SHELF_TYPES.length;
+        const rankB = STATUS_SHELF_TYPES.includes(b.type) ? STATUS_SHELF_TYPES.indexOf(b.type) : STATUS_SHELF_TYPES.length;
+        return rankA - rankB || a.createdAt - b.createdAt;
+    });
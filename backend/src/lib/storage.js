@@ -0,0 +1,186 @@
+import crypto from "crypto";
+import fs from "fs/promises";
+import path from "path";
+import cloudinary from "./cloudinary.js";
+import "dotenv/config";
+
+// Nơi lưu ảnh upload: "cloudinary" (mặc định) hoặc "local" - lưu vào ổ đĩa và Express phục vụ
+// tại /uploads, dùng khi chạy offline / không có tài khoản Cloudinary.
+export const STORAGE_DRIVER = process.env.STORAGE_DRIVER || "cloudinary";
+
+export const LOCAL_UPLOAD_DIR = path.resolve(process.env.LOCAL_UPLOAD_DIR || "uploads");
+export const LOCAL_UPLOAD_ROUTE = "/uploads";
+// Địa chỉ app dùng để tải ảnh local (thiết bị thật không truy cập được localhost)
+const LOCAL_PUBLIC_URL = (
+    process.env.LOCAL_PUBLIC_URL || `http://localhost:${process.env.PORT || 3000}`
+).replace(/\/$/, "");
+
+const EXTENSION_BY_MIME = {
+    "image/jpeg": "jpg",
+    "image/jpg": "jpg",
+    "image/png": "png",
+    "image/webp": "webp",
+    "image/gif": "gif",
+    "image/heic": "heic",
+};
+
+// Storage key lưu kèm URL có dạng "<driver>:<id>", vd "cloudinary:Book_Forum/User/abc"
+// hoặc "local:Book_Forum/User/abc.jpg" - nhờ vậy đổi driver vẫn xóa được ảnh cũ.
+const drivers = {
+    cloudinary: {
+        upload: async (data, { folder, name }) => {
+            const uploadResponse = await cloudinary.uploader.upload(data, {
+                folder,
+                ...(name ? { public_id: name } : {}),
+            });
+            return { url: uploadResponse.secure_url, id: uploadResponse.public_id };
+        },
+        remove: async (id) => {
+            await cloudinary.uploader.destroy(id);
+        },
+        // .../upload/v1741568358/Book_Forum/Book_Review/abc.png -> Book_Forum/Book_Review/abc
+        idFromUrl: (url) => {
+            if (!url.includes("res.cloudinary.com")) return null;
+            const parts = url.split("/");
+            // Bỏ "upload" và phần version phía sau
+            return parts.slice(parts.indexOf("upload") + 2).join("/").split(".")[0];
+        },
+        list: async function* (prefix) {
+            let nextCursor;
+            do {
+                const page = await cloudinary.api.resources({
+                    type: "upload",
+                    prefix,
+                    max_results: 500,
+                    next_cursor: nextCursor,
+                });
+                for (const resource of page.resources) {
+                    yield { id: resource.public_id, createdAt: new Date(resource.created_at) };
+                }
+                nextCursor = page.next_cursor;
+            } while (nextCursor);
+        },
+    },
+    local: {
+        upload: async (data, { folder, name }) => {
+            const match = /^data:([\w/+.-]+);base64,(.+)$/s.exec(data);
+            if (!match) {
+                throw new Error("Local storage only accepts base64 data URLs");
+            }
+            const extension = EXTENSION_BY_MIME[match[1].toLowerCase()] || "bin";
+            const id = `${folder}/${name || crypto.randomBytes(12).toString("hex")}.${extension}`;
+            const filePath = localPath(id);
+            await fs.mkdir(path.dirname(filePath), { recursive: true });
+            await fs.writeFile(filePath, Buffer.from(match[2], "base64"));
+            return { url: `${LOCAL_PUBLIC_URL}${LOCAL_UPLOAD_ROUTE}/${id}`, id };
+        },
+        remove: async (id) => {
+            try {
+                await fs.unlink(localPath(id));
+            } catch (error) {
+                if (error.code !== "ENOENT") throw error;
+            }
+        },
+        idFromUrl: (url) => {
+            const marker = `${LOCAL_UPLOAD_ROUTE}/`;
+            return url.startsWith(`${LOCAL_PUBLIC_URL}${marker}`)
+                ? url.slice(LOCAL_PUBLIC_URL.length + marker.length)
+                : null;
+        },
+        list: async function* (prefix) {
+            let entries;
+            try {
+                entries = await fs.readdir(localPath(prefix), { recursive: true, withFileTypes: true });
+            } catch (error) {
+                if (error.code === "ENOENT") return;
+                throw error;
+            }
+            for (const entry of entries.filter((item) => item.isFile())) {
+                const filePath = path.join(entry.parentPath ?? entry.path, entry.name);
+                const { mtime } = await fs.stat(filePath);
+                yield {
+                    id: path.relative(LOCAL_UPLOAD_DIR, filePath).split(path.sep).join("/"),
+                    createdAt: mtime,
+                };
+            }
+        },
+    },
+};
+
+if (!drivers[STORAGE_DRIVER]) {
+    throw new Error(`Unknown STORAGE_DRIVER "${STORAGE_DRIVER}"`);
+}
+
+// Đường dẫn file local từ id, chặn id kiểu "../" thoát ra ngoài thư mục upload
+const localPath = (id) => {
+    const filePath = path.resolve(LOCAL_UPLOAD_DIR, id);
+    if (!filePath.startsWith(LOCAL_UPLOAD_DIR + path.sep)) {
+        throw new Error("Invalid storage key");
+    }
+    return filePath;
+};
+
+const parseKey = (key) => {
+    const separator = key.indexOf(":");
+    const driver = drivers[key.slice(0, separator)];
+    return separator > 0 && driver ? { driver, id: key.slice(separator + 1) } : null;
+};
+
+/**
+ * Storage key của ảnh chỉ có URL (dữ liệu trước khi lưu key). Ảnh ngoài hệ thống
+ * (vd avatar mặc định của dicebear) trả về null.
+ * @param {string} url
+ * @returns {string|null}
+ */
+export const storageKeyFromUrl = (url) => {
+    if (!url) return null;
+    for (const [name, driver] of Object.entries(drivers)) {
+        const id = driver.idFromUrl(url);
+        if (id) return `${name}:${id}`;
+    }
+    return null;
+};
+
+/**
+ * Upload một ảnh bằng driver đang cấu hình.
+ * @param {string} data - data URL (base64)
+ * @param {object} options
+ * @param {string} options.folder - vd "Book_Forum/User"
+ * @param {string} [options.name] - tên file không kèm đuôi, bỏ trống để tự đặt
+ * @returns {Promise<{ url: string, key: string }>}
+ */
+export const uploadMedia = async (data, { folder, name }) => {
+    const { url, id } = await drivers[STORAGE_DRIVER].upload(data, { folder, name });
+    return { url, key: `${STORAGE_DRIVER}:${id}` };
+};
+
+/**
+ * Xóa một ảnh theo key đã lưu (không có key thì suy ra từ URL). Lỗi chỉ ghi log
+ * để việc xóa dữ liệu đi kèm vẫn tiếp tục.
+ * @param {{ url?: string, key?: string }} media
+ */
+export const deleteMedia = async ({ url, key }) => {
+    const storageKey = key || storageKeyFromUrl(url);
+    if (!storageKey) return;
+    const parsed = parseKey(storageKey);
+    if (!parsed) {
+        console.error(`Unknown storage key ${storageKey}`);
+        return;
+    }
+    try {
+        await parsed.driver.remove(parsed.id);
+    } catch (error) {
+        console.error(`Error deleting media ${storageKey}:`, error);
+    }
+};
+
+/**
+ * Liệt kê ảnh đang lưu trên driver hiện tại trong một thư mục (dùng cho script dọn ảnh mồ côi).
+ * @param {string} prefix - vd "Book_Forum/"
+ * @returns {AsyncGenerator<{ key: string, createdAt: Date }>}
+ */
+export async function* listStoredMedia(prefix) {
+    for await (const { id, createdAt } of drivers[STORAGE_DRIVER].list(prefix)) {
+        yield { key: `${STORAGE_DRIVER}:${id}`, createdAt };
+    }
+}
@@ -0,0 +1,32 @@
+// Chuẩn hóa tiếng Việt để tìm kiếm không dấu: "Tiểu thuyết" -> "tieu thuyet"
+
+const COMBINING_MARKS = /[\u0300-\u036f]/g;
+const COMBINING_MARK = /[\u0300-\u036f]/;
+
+/**
+ * Bỏ dấu, đổi đ -> d, về chữ thường và gộp khoảng trắng.
+ * @param {string} text
+ * @returns {string}
+ */
+export const foldVietnamese = (text = "") =>
+    String(text)
+        .normalize("NFD")
+        .replace(COMBINING_MARKS, "")
+        .replace(/[đĐ]/g, "d")
+        .toLowerCase()
+        .replace(/\s+/g, " ")
+        .trim();
+
+/**
+ * Chuỗi có chứa dấu tiếng Việt hay không (dùng để đoán người dùng có gõ dấu).
+ * @param {string} text
+ * @returns {boolean}
+ */
+export const hasDiacritics = (text = "") => {
+    const decomposed = String(text).normalize("NFD");
+    return COMBINING_MARK.test(decomposed) || /[đĐ]/.test(decomposed);
+};
+
+// Escape ký tự đặc biệt để đưa input của user vào $regex một cách an toàn
+export const escapeRegex = (text = "") =>
+    String(text).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
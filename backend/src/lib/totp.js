@@ -0,0 +1,98 @@
+import crypto from "crypto";
+
+// TOTP theo RFC 6238 (tương thích Google Authenticator, Authy...): HMAC-SHA1, 6 số, 30 giây
+const TOTP_STEP_SECONDS = 30;
+const TOTP_DIGITS = 6;
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+
+/**
+ * @param {Buffer} buffer
+ * @returns {string} base32 không padding (dạng app xác thực dùng cho secret)
+ */
+const base32Encode = (buffer) => {
+    let bits = "";
+    for (const byte of buffer) {
+        bits += byte.toString(2).padStart(8, "0");
+    }
+    let output = "";
+    for (let i = 0; i < bits.length; i += 5) {
+        output += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, "0"), 2)];
+    }
+    return output;
+};
+
+/**
+ * @param {string} input - base32, bỏ qua khoảng trắng / padding, không phân biệt hoa thường
+ * @returns {Buffer}
+ */
+const base32Decode = (input) => {
+    let bits = "";
+    for (const char of input.toUpperCase().replace(/[\s=]/g, "")) {
+        const value = BASE32_ALPHABET.indexOf(char);
+        if (value === -1) throw new Error("Invalid base32 secret");
+        bits += value.toString(2).padStart(5, "0");
+    }
+    const bytes = [];
+    for (let i = 0; i + 8 <= bits.length; i += 8) {
+        bytes.push(parseInt(bits.slice(i, i + 8), 2));
+    }
+    return Buffer.from(bytes);
+};
+
+/** Secret mới (160 bit) dạng base32. */
+export const generateTotpSecret = () => base32Encode(crypto.randomBytes(20));
+
+/** Bước thời gian hiện tại (số khoảng 30 giây kể từ epoch). */
+export const currentTotpStep = () => Math.floor(Date.now() / 1000 / TOTP_STEP_SECONDS);
+
+/**
+ * Mã TOTP tại một bước thời gian.
+ * @param {string} secret - base32
+ * @param {number} step
+ * @returns {string}
+ */
+export const generateTotp = (secret, step = currentTotpStep()) => {
+    const counter = Buffer.alloc(8);
+    counter.writeBigUInt64BE(BigInt(step));
+    const hmac = crypto.createHmac("sha1", base32Decode(secret)).update(counter).digest();
+    const offset = hmac[hmac.length - 1] & 0x0f;
+    const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+    return String(binary % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, "0");
+};
+
+/**
+ * Kiểm tra mã người dùng nhập, chấp nhận lệch một bước (đồng hồ điện thoại lệch vài giây).
+ * Mã của bước đã dùng rồi (`lastUsedStep`) bị từ chối để không dùng lại được mã vừa bị lộ.
+ * @param {string} secret - base32
+ * @param {string} code
+ * @param {{ lastUsedStep?: number }} [options]
+ * @returns {number|null} bước khớp (lưu lại làm lastUsedStep) hoặc null
+ */
+export const verifyTotp = (secret, code, { lastUsedStep } = {}) => {
+    const normalized = String(code ?? "").replace(/\s/g, "");
+    if (!/^\d{6}$/.test(normalized)) return null;
+    const step = currentTotpStep();
+    for (const candidate of [step - 1, step, step + 1]) {
+        if (lastUsedStep !== undefined && lastUsedStep !== null && candidate <= lastUsedStep) continue;
+        const expected = generateTotp(secret, candidate);
+        if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+            return candidate;
+        }
+    }
+    return null;
+};
+
+/**
+ * URI để app xác thực quét (mã QR) hoặc mở trực tiếp.
+ * @param {string} secret
+ * @param {{ accountName: string, issuer: string }} options
+ */
+export const totpAuthUrl = (secret, { accountName, issuer }) =>
+    `otpauth://totp/${encodeURIComponent(`${issuer}:${accountName}`)}?` +
+    new URLSearchParams({
+        secret,
+        issuer,
+        algorithm: "SHA1",
+        digits: String(TOTP_DIGITS),
+        period: String(TOTP_STEP_SECONDS),
+    }).toString();
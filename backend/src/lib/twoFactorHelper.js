@@ -0,0 +1,160 @@
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+import QRCode from "qrcode";
+import User from "../models/user.js";
+import { generateTotpSecret, totpAuthUrl, verifyTotp } from "./totp.js";
+
+// Tên hiện trong app xác thực
+const TOTP_ISSUER = process.env.TOTP_ISSUER || "Bookworm";
+
+const RECOVERY_CODE_COUNT = 10;
+
+// Token tạm giữa bước mật khẩu và bước nhập mã 2FA khi đăng nhập
+const TWO_FACTOR_TOKEN_TTL = "5m";
+
+// Các field 2FA mặc định không select - thêm vào khi cần kiểm tra / đổi 2FA
+export const TWO_FACTOR_FIELDS =
+    "+twoFactorSecret +twoFactorPendingSecret +twoFactorRecoveryCodes +twoFactorLastUsedStep";
+
+const hashRecoveryCode = (code) =>
+    crypto.createHash("sha256").update(code.trim().toLowerCase()).digest("hex");
+
+/**
+ * Admin bắt buộc bật 2FA; user thường tự chọn.
+ * @param {{ role: string }} user
+ */
+export const isTwoFactorRequired = (user) => user.role === "admin";
+
+/**
+ * Token tạm sau khi đúng mật khẩu: "2fa" = còn phải nhập mã, "2fa-setup" = admin chưa bật 2FA
+ * phải đăng ký trước khi đăng nhập được.
+ * @param {{ _id: object }} user
+ * @param {"2fa" | "2fa-setup"} purpose
+ */
+export const signTwoFactorToken = (user, purpose) =>
+    jwt.sign({ userId: user._id, purpose }, process.env.JWT_SECRET, {
+        expiresIn: TWO_FACTOR_TOKEN_TTL,
+    });
+
+/**
+ * @param {string} token
+ * @param {"2fa" | "2fa-setup"} purpose
+ * @returns {string|null} userId, null nếu token sai / hết hạn / sai mục đích
+ */
+export const verifyTwoFactorToken = (token, purpose) => {
+    try {
+        const decoded = jwt.verify(token, process.env.JWT_SECRET);
+        return decoded.purpose === purpose ? decoded.userId : null;
+    } catch {
+        return null;
+    }
+};
+
+/**
+ * Tạo secret mới (chưa có hiệu lực) và mã QR để quét bằng app xác thực.
+ * @param {object} user - User document
+ * @returns {Promise<{ secret: string, otpauthUrl: string, qrCode: string }>} qrCode là data URL ảnh PNG
+ */
+export const startTwoFactorSetup = async (user) => {
+    const secret = generateTotpSecret();
+    user.twoFactorPendingSecret = secret;
+    await user.save({ validateBeforeSave: false });
+
+    const otpauthUrl = totpAuthUrl(secret, { accountName: user.email, issuer: TOTP_ISSUER });
+    return { secret, otpauthUrl, qrCode: await QRCode.toDataURL(otpauthUrl) };
+};
+
+/**
+ * Tạo bộ recovery code mới (bộ cũ hết hiệu lực). Chỉ trả bản gốc một lần, DB lưu hash.
+ * @param {object} user - User document (đã select TWO_FACTOR_FIELDS)
+ * @returns {string[]} vd "3f9a-1c2b"
+ */
+const replaceRecoveryCodes = (user) => {
+    const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+        const hex = crypto.randomBytes(4).toString("hex");
+        return `${hex.slice(0, 4)}-${hex.slice(4)}`;
+    });
+    user.twoFactorRecoveryCodes = codes.map(hashRecoveryCode);
+    return codes;
+};
+
+/**
+ * Xác nhận secret đang đăng ký bằng mã đầu tiên từ app rồi bật 2FA.
+ * @param {object} user - User document (đã select TWO_FACTOR_FIELDS)
+ * @param {string} code
+ * @returns {Promise<{ error: string } | { recoveryCodes: string[] }>}
+ */
+export const enableTwoFactor = async (user, code) => {
+    if (!user.twoFactorPendingSecret) {
+        return { error: "Two-factor setup has not been started" };
+    }
+    const step = verifyTotp(user.twoFactorPendingSecret, code);
+    if (step === null) {
+        return { error: "Invalid authentication code" };
+    }
+    user.twoFactorSecret = user.twoFactorPendingSecret;
+    user.twoFactorPendingSecret = undefined;
+    user.twoFactorLastUsedStep = step;
+    user.twoFactorEnabled = true;
+    const recoveryCodes = replaceRecoveryCodes(user);
+    await user.save({ validateBeforeSave: false });
+    return { recoveryCodes };
+};
+
+/**
+ * Kiểm tra bước thứ hai: mã TOTP, hoặc recovery code (mất điện thoại) - recovery code dùng xong bị xóa.
+ * Cập nhật DB có điều kiện để hai request song song không dùng được cùng một mã.
+ * @param {object} user - User document (đã select TWO_FACTOR_FIELDS)
+ * @param {{ code?: string, recoveryCode?: string }} input
+ * @returns {Promise<boolean>}
+ */
+export const verifySecondFactor = async (user, { code, recoveryCode }) => {
+    if (!user.twoFactorEnabled || !user.twoFactorSecret) return false;
+
+    if (recoveryCode) {
+        const hash = hashRecoveryCode(String(recoveryCode));
+        const result = await User.updateOne(
+            { _id: user._id, twoFactorRecoveryCodes: hash },
+            { $pull: { twoFactorRecoveryCodes: hash } }
+        );
+        return result.modifiedCount > 0;
+    }
+
+    const step = verifyTotp(user.twoFactorSecret, code, {
+        lastUsedStep: user.twoFactorLastUsedStep,
+    });
+    if (step === null) return false;
+    const result = await User.updateOne(
+        {
+            _id: user._id,
+            // null khớp cả khi chưa có field
+            $or: [{ twoFactorLastUsedStep: { $lt: step } }, { twoFactorLastUsedStep: null }],
+        },
+        { $set: { twoFactorLastUsedStep: step } }
+    );
+    return result.modifiedCount > 0;
+};
+
+/**
+ * Đổi bộ recovery code (sau khi đã xác minh mã 2FA).
+ * @param {object} user - User document (đã select TWO_FACTOR_FIELDS)
+ * @returns {Promise<string[]>}
+ */
+export const regenerateRecoveryCodes = async (user) => {
+    const recoveryCodes = replaceRecoveryCodes(user);
+    await user.save({ validateBeforeSave: false });
+    return recoveryCodes;
+};
+
+/**
+ * Tắt 2FA và xóa secret / recovery code.
+ * @param {object} user - User document (đã select TWO_FACTOR_FIELDS)
+ */
+export const disableTwoFactor = async (user) => {
+    user.twoFactorEnabled = false;
+    user.twoFactorSecret = undefined;
+    user.twoFactorPendingSecret = undefined;
+    user.twoFactorRecoveryCodes = [];
+    user.twoFactorLastUsedStep = undefined;
+    await user.save({ validateBeforeSave: false });
+};
@@ -0,0 +1,226 @@
+import crypto from "crypto";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import busboy from "busboy";
+import Upload from "../models/upload.js";
+import {
+    AVATAR_VARIANTS,
+    COVER_VARIANTS,
+    IMAGE_VARIANTS,
+    deleteImageMedia,
+    processImageBuffer,
+    uploadImage,
+    uploadProcessedImage,
+} from "./imageProcessing.js";
+
+// Phiên upload chưa dùng sau khoảng này thì hết hạn
+export const UPLOAD_TTL_HOURS = parseInt(process.env.UPLOAD_TTL_HOURS) || 24;
+
+// Dữ liệu đang nhận dở lưu tạm ở đây, xử lý xong thì xóa
+export const UPLOAD_TEMP_DIR = path.join(os.tmpdir(), "bookworm-uploads");
+
+// Client gửi "upload:<token>" vào chỗ trước đây gửi data URL (images, profileImage, coverImage)
+const UPLOAD_REFERENCE_PREFIX = "upload:";
+
+// Thư mục lưu và các bản resize theo mục đích upload
+const UPLOAD_PURPOSES = {
+    book: { folder: "Book_Forum/Book_Review", variants: IMAGE_VARIANTS },
+    avatar: { folder: "Book_Forum/User", variants: AVATAR_VARIANTS },
+    cover: { folder: "Book_Forum/Book_List", variants: COVER_VARIANTS },
+};
+
+export const isUploadPurpose = (purpose) => Object.hasOwn(UPLOAD_PURPOSES, purpose);
+
+/**
+ * Thư mục lưu ảnh - avatar của admin để riêng như trước đây.
+ * @param {string} purpose
+ * @param {{ role: string }} user
+ */
+const folderFor = (purpose, user) =>
+    purpose === "avatar" && user.role === "admin" ? "Book_Forum/Admin" : UPLOAD_PURPOSES[purpose].folder;
+
+export const generateUploadToken = () => crypto.randomBytes(24).toString("hex");
+
+export const uploadTempPath = (token) => path.join(UPLOAD_TEMP_DIR, `${token}.part`);
+
+/**
+ * @param {unknown} value
+ * @returns {boolean} true nếu là tham chiếu tới phiên upload ("upload:<token>")
+ */
+export const isUploadReference = (value) =>
+    typeof value === "string" && value.startsWith(UPLOAD_REFERENCE_PREFIX);
+
+const readyUploadFilter = (reference, userId, purpose) => ({
+    token: reference.slice(UPLOAD_REFERENCE_PREFIX.length),
+    user: userId,
+    purpose,
+    status: "ready",
+    expiresAt: { $gt: new Date() },
+});
+
+/**
+ * Phiên upload đã xử lý xong, của đúng người dùng và đúng mục đích (chưa đánh dấu đã dùng).
+ * @returns {Promise<object|null>}
+ */
+export const findReadyUpload = (reference, userId, purpose) =>
+    Upload.findOne(readyUploadFilter(reference, userId, purpose));
+
+/**
+ * Đánh dấu phiên upload đã dùng - atomic để một ảnh không gắn được vào hai nơi.
+ * @returns {Promise<object|null>} null nếu không còn dùng được (hết hạn, đã dùng, sai người...)
+ */
+export const claimUpload = (reference, userId, purpose) =>
+    Upload.findOneAndUpdate(
+        readyUploadFilter(reference, userId, purpose),
+        { $set: { status: "used" } },
+        { new: true }
+    );
+
+/**
+ * Trả lại các phiên đã claim khi bước sau thất bại, để client gửi lại request vẫn dùng được.
+ * @param {object[]} uploads
+ */
+export const releaseUploads = async (uploads) => {
+    if (uploads.length === 0) return;
+    await Upload.updateMany(
+        { _id: { $in: uploads.map((upload) => upload._id) }, status: "used" },
+        { $set: { status: "ready" } }
+    );
+};
+
+/**
+ * Ảnh đơn (avatar, ảnh bìa danh sách) từ tham chiếu upload hoặc data URL (client cũ, trang admin).
+ * @param {string} value
+ * @param {object} options
+ * @param {{ _id: object, role: string }} options.user
+ * @param {"avatar" | "cover"} options.purpose
+ * @returns {Promise<{ error: string } | { media: object }>}
+ */
+export const resolveSingleImage = async (value, { user, purpose }) => {
+    if (isUploadReference(value)) {
+        const upload = await claimUpload(value, user._id, purpose);
+        if (!upload) {
+            return { error: "Upload not found or expired" };
+        }
+        return { media: upload.media.toObject() };
+    }
+    return uploadImage(value, {
+        folder: folderFor(purpose, user),
+        variants: UPLOAD_PURPOSES[purpose].variants,
+    });
+};
+
+/**
+ * Ghi một đoạn dữ liệu multipart (field "file") vào file tạm tại vị trí `offset`, dạng stream
+ * nên không giữ cả file trong bộ nhớ. Mỗi request chỉ nhận một file.
+ * @param {import("express").Request} req
+ * @param {object} upload - Upload document
+ * @param {number} offset - 0 = gửi lại từ đầu
+ * @returns {Promise<{ error: string } | { receivedBytes: number }>}
+ */
+export const receiveUploadChunk = (req, upload, offset) =>
+    new Promise((resolve, reject) => {
+        let parser;
+        try {
+            parser = busboy({
+                headers: req.headers,
+                // busboy báo "limit" khi chạm đúng giới hạn nên +1 để chỉ bắt trường hợp vượt quá
+                limits: { files: 1, fileSize: upload.size - offset + 1 },
+            });
+        } catch {
+            resolve({ error: "Expected multipart/form-data" });
+            return;
+        }
+
+        let output = null;
+        let fileWrite = null;
+        let truncated = false;
+        parser.on("file", (fieldName, stream) => {
+            if (fieldName !== "file") {
+                stream.resume();
+                return;
+            }
+            fs.mkdirSync(UPLOAD_TEMP_DIR, { recursive: true });
+            output = fs.createWriteStream(uploadTempPath(upload.token), {
+                // Gửi tiếp thì ghi đè từ offset, gửi lại từ đầu thì tạo file mới
+                flags: offset > 0 ? "r+" : "w",
+                start: offset,
+            });
+            stream.on("limit", () => {
+                truncated = true;
+            });
+            fileWrite = new Promise((resolveWrite, rejectWrite) => {
+                output.on("finish", resolveWrite);
+                output.on("error", rejectWrite);
+                stream.on("error", rejectWrite);
+            });
+            stream.pipe(output);
+        });
+        parser.on("error", reject);
+        parser.on("close", async () => {
+            try {
+                if (!fileWrite) {
+                    resolve({ error: "File is required" });
+                    return;
+                }
+                await fileWrite;
+                // Phần vượt quá kích thước đã khai báo bị cắt - coi như cả đoạn không hợp lệ
+                if (truncated) {
+                    fs.truncateSync(uploadTempPath(upload.token), offset);
+                    resolve({ error: "Upload exceeds declared size" });
+                    return;
+                }
+                // Bỏ phần thừa của lần gửi trước bị đứt giữa chừng (nếu có) phía sau đoạn vừa ghi
+                const receivedBytes = offset + output.bytesWritten;
+                fs.truncateSync(uploadTempPath(upload.token), receivedBytes);
+                resolve({ receivedBytes });
+            } catch (error) {
+                reject(error);
+            }
+        });
+        req.pipe(parser);
+    });
+
+/**
+ * Nhận đủ dữ liệu thì kiểm tra / xử lý ảnh và lưu lên storage. File tạm bị xóa trong mọi trường hợp;
+ * ảnh không hợp lệ thì phiên upload bị xóa, client phải tạo phiên mới.
+ * @param {object} upload - Upload document đã nhận đủ `size` byte
+ * @param {{ role: string }} user - người upload
+ * @returns {Promise<{ error: string } | { upload: object }>}
+ */
+export const finalizeUpload = async (upload, user) => {
+    const tempPath = uploadTempPath(upload.token);
+    try {
+        const buffer = await fs.promises.readFile(tempPath);
+        const processed = await processImageBuffer(
+            buffer,
+            upload.mimeType,
+            UPLOAD_PURPOSES[upload.purpose].variants
+        );
+        if (processed.error) {
+            await upload.deleteOne();
+            return { error: processed.error };
+        }
+        upload.media = await uploadProcessedImage(processed, {
+            folder: folderFor(upload.purpose, user),
+        });
+        upload.status = "ready";
+        await upload.save();
+        return { upload };
+    } finally {
+        await fs.promises.rm(tempPath, { force: true });
+    }
+};
+
+/**
+ * Hủy phiên upload: xóa file tạm, ảnh đã lưu (nếu chưa được dùng) và document.
+ * @param {object} upload
+ */
+export const discardUpload = async (upload) => {
+    await fs.promises.rm(uploadTempPath(upload.token), { force: true });
+    if (upload.status === "ready" && upload.media) {
+        await deleteImageMedia(upload.media.toObject());
+    }
+    await upload.deleteOne();
+};
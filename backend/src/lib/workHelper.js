@@ -0,0 +1,120 @@
+import Book from "../models/book.js";
+import Work from "../models/work.js";
+import Shelf from "../models/shelf.js";
+import ReadingSession from "../models/readingSession.js";
+import BookList from "../models/bookList.js";
+import { foldVietnamese } from "./textNormalize.js";
+
+/**
+ * Tách chuỗi tác giả tự do thành danh sách: "Nam Cao, Tô Hoài & Vũ Bằng" -> 3 tác giả.
+ * @param {string} author
+ * @returns {string[]}
+ */
+export const splitAuthors = (author = "") =>
+    String(author)
+        .split(/[,;&]/)
+        .map((name) => name.trim())
+        .filter(Boolean);
+
+/**
+ * Tìm Work trùng tiêu đề + tác giả (không phân biệt dấu, thứ tự tác giả), chưa có thì tạo mới.
+ * @param {{ title: string, author: string, published_year?: number, genre?: string }} fields
+ * @param {string} userId - người tạo Work nếu phải tạo mới
+ * @returns {Promise<object>} Work document
+ */
+export const findOrCreateWork = async ({ title, author, published_year, genre }, userId) => {
+    const authors = splitAuthors(author);
+    const authorsNormalized = authors.map((name) => foldVietnamese(name));
+
+    const existingWork = await Work.findOne({
+        title_normalized: foldVietnamese(title),
+        // $all với mảng rỗng không khớp document nào - Work không tác giả chỉ so theo $size
+        authors_normalized: authorsNormalized.length
+            ? { $all: authorsNormalized, $size: authorsNormalized.length }
+            : { $size: 0 },
+    });
+    if (existingWork) {
+        return existingWork;
+    }
+
+    return Work.create({
+        title: title.trim(),
+        authors,
+        published_year: published_year || undefined,
+        genre: genre || undefined,
+        createdBy: userId,
+    });
+};
+
+/**
+ * Các field của bài review được sao từ Work.
+ * @param {object} work
+ */
+export const workFieldsForBook = (work) => {
+    const fields = {
+        work: work._id,
+        title: work.title,
+        author: work.authors.join(", "),
+    };
+    if (work.published_year) fields.published_year = work.published_year;
+    if (work.genre) fields.genre = work.genre;
+    return fields;
+};
+
+/**
+ * Ghi lại các field sao từ Work cho nhiều bài review cùng lúc (updateMany không chạy pre("save")
+ * nên phải tự cập nhật các field không dấu).
+ * @param {object} work
+ * @param {object} [bookFilter] - mặc định là các review đang trỏ tới work
+ * @returns {Promise<number>} số bài review đã cập nhật
+ */
+export const syncWorkToBooks = async (work, bookFilter = { work: work._id }) => {
+    const fields = workFieldsForBook(work);
+    const result = await Book.updateMany(bookFilter, {
+        $set: {
+            ...fields,
+            title_normalized: foldVietnamese(fields.title),
+            author_normalized: foldVietnamese(fields.author),
+        },
+    });
+    return result.modifiedCount;
+};
+
+/**
+ * Gộp các Work trùng vào một Work đích: chuyển toàn bộ review sang Work đích rồi xóa Work nguồn.
+ * Work đích thiếu năm xuất bản / thể loại thì lấy từ Work nguồn.
+ * @param {object} targetWork - Work document được giữ lại
+ * @param {object[]} sourceWorks - các Work document bị gộp
+ * @returns {Promise<number>} số bài review đã được chuyển
+ */
+export const mergeWorks = async (targetWork, sourceWorks) => {
+    const sourceIds = sourceWorks.map((work) => work._id);
+
+    if (!targetWork.published_year) {
+        targetWork.published_year = sourceWorks.find((work) => work.published_year)?.published_year;
+    }
+    if (!targetWork.genre) {
+        targetWork.genre = sourceWorks.find((work) => work.genre)?.genre;
+    }
+    await targetWork.save();
+
+    const movedCount = await syncWorkToBooks(targetWork, { work: { $in: sourceIds } });
+    // Sách trên kệ, các phiên đọc và mục trong danh sách cũng trỏ sang Work đích
+    await Shelf.updateMany(
+        { "items.work": { $in: sourceIds } },
+        { $set: { "items.$[item].work": targetWork._id } },
+        { arrayFilters: [{ "item.work": { $in: sourceIds } }] }
+    );
+    await ReadingSession.updateMany(
+        { work: { $in: sourceIds } },
+        { $set: { work: targetWork._id } }
+    );
+    await BookList.updateMany(
+        { "items.work": { $in: sourceIds } },
+        { $set: { "items.$[item].work": targetWork._id } },
+        { arrayFilters: [{ "item.work": { $in: sourceIds } }] }
+    );
+    await Work.deleteMany({ _id: { $in: sourceIds } });
+
+    return movedCount;
+};
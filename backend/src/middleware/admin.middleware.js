@@ -1,5 +1,12 @@
 const isAdmin = (req, res, next) => {
     if (req.user && req.user.role === "admin") {
+    // Tài khoản admin bắt buộc bật 2FA (xem lib/twoFactorHelper.js)
+    if (!req.user.twoFactorEnabled) {
+        return res.status(403).json({
+            message: "Forbidden: Two-factor authentication is required for admin accounts.",
+            code: "TWO_FACTOR_SETUP_REQUIRED",
+        });
+    }
     next();
 } else {
     res.status(403).json({ message: "Forbidden: Admin access required." });
@@ -1,6 +1,7 @@
 // src/middleware/auth.middleware.js
 import jwt from "jsonwebtoken";
 import User from "../models/user.js"; 
+import { findActiveSession } from "../lib/sessionHelper.js";
 
 const protectRoute = async (req, res, next) => {
     try {
@@ -14,6 +15,14 @@ const protectRoute = async (req, res, next) => {
         
 
         const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+        // Token cũ (trước khi có phiên đăng nhập) không thu hồi được nên không chấp nhận nữa
+        const session = decoded.sessionId
+            ? await findActiveSession(decoded.sessionId, decoded.userId)
+            : null;
+        if (!session) {
+            return res.status(401).json({ message: "Session has been revoked or has expired." });
+        }
        
         const user = await User.findById(decoded.userId).select("-password"); 
 
@@ -52,6 +61,7 @@ const protectRoute = async (req, res, next) => {
        
 
         req.user = user;
+        req.authSession = session;
         next();
     } catch (error) {
         console.error("Authentication error in protectRoute:", error.message);
@@ -0,0 +1,37 @@
+import { consumeRateLimit, sendTooManyRequests } from "../lib/rateLimiter.js";
+
+// Giá trị dùng làm khóa bộ đếm theo từng loại giới hạn
+const keyParts = {
+    ip: (req) => req.ip,
+    // Theo tài khoản nhập vào form (login, quên mật khẩu...) - chặn đoán mã từ nhiều IP
+    email: (req) =>
+        typeof req.body?.email === "string" ? req.body.email.trim().toLowerCase() : null,
+    // Theo tài khoản đang đăng nhập - dùng sau protectRoute
+    user: (req) => req.user?._id?.toString(),
+};
+
+/**
+ * Giới hạn số request cho một nhóm route. Vượt bất kỳ giới hạn nào thì trả 429.
+ * @param {string} name - tên nhóm, vd "login"
+ * @param {{ by: "ip" | "email" | "user", limit: number, windowSeconds: number }[]} rules
+ * @example router.post("/login", rateLimit("login", [{ by: "ip", limit: 20, windowSeconds: 900 }]), ...)
+ */
+const rateLimit = (name, rules) => async (req, res, next) => {
+    try {
+        for (const rule of rules) {
+            const value = keyParts[rule.by](req);
+            if (!value) continue;
+            const { allowed, retryAfter } = await consumeRateLimit(`${name}:${rule.by}:${value}`, rule);
+            if (!allowed) {
+                return sendTooManyRequests(res, retryAfter);
+            }
+        }
+        next();
+    } catch (error) {
+        // Lỗi bộ đếm không được làm hỏng đăng nhập
+        console.error(`Error in rate limit "${name}":`, error);
+        next();
+    }
+};
+
+export default rateLimit;
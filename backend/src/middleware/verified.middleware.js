@@ -0,0 +1,12 @@
+// Dùng sau protectRoute: tài khoản chưa xác minh email thì không được đăng bài / bình luận
+const requireVerifiedEmail = (req, res, next) => {
+    if (req.user && req.user.isEmailVerified === false) {
+        return res.status(403).json({
+            message: "Forbidden: Please verify your email first.",
+            code: "EMAIL_NOT_VERIFIED",
+        });
+    }
+    next();
+};
+
+export default requireVerifiedEmail;
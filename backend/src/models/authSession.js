@@ -0,0 +1,72 @@
+import mongoose from "mongoose";
+
+const pad = (num) => String(num).padStart(2, "0");
+
+// Phiên đăng nhập trên một thiết bị. Access token (JWT ngắn hạn) mang id phiên, refresh token
+// chỉ lưu dạng hash và đổi mới mỗi lần dùng - xem lib/sessionHelper.js.
+const authSessionSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+        required: true,
+    },
+    refreshTokenHash: {
+        type: String,
+        required: true,
+        unique: true,
+    },
+    // Hash của refresh token ngay trước đó - bị dùng lại nghĩa là token đã lộ, thu hồi cả phiên
+    previousRefreshTokenHash: {
+        type: String,
+        default: null,
+    },
+    deviceName: {
+        type: String,
+        trim: true,
+        maxlength: 100,
+        default: "Unknown device",
+    },
+    ip: {
+        type: String,
+        default: "",
+    },
+    lastUsedAt: {
+        type: Date,
+        default: Date.now,
+    },
+    // Refresh token hết hạn lúc này; mỗi lần refresh được gia hạn thêm
+    expiresAt: {
+        type: Date,
+        required: true,
+    },
+    revokedAt: {
+        type: Date,
+        default: null,
+    },
+}, {
+    timestamps: true,
+    toJSON: {
+        transform: (doc, ret) => {
+            delete ret.refreshTokenHash;
+            delete ret.previousRefreshTokenHash;
+            if (ret.createdAt) {
+                const createdAtLocal = new Date(ret.createdAt.getTime());
+                ret.createdAt = `${createdAtLocal.getFullYear()}-${pad(createdAtLocal.getMonth() + 1)}-${pad(createdAtLocal.getDate())} ${pad(createdAtLocal.getHours())}:${pad(createdAtLocal.getMinutes())}:${pad(createdAtLocal.getSeconds())}`;
+            }
+            if (ret.updatedAt) {
+                const updatedAtLocal = new Date(ret.updatedAt.getTime());
+                ret.updatedAt = `${updatedAtLocal.getFullYear()}-${pad(updatedAtLocal.getMonth() + 1)}-${pad(updatedAtLocal.getDate())} ${pad(updatedAtLocal.getHours())}:${pad(updatedAtLocal.getMinutes())}:${pad(updatedAtLocal.getSeconds())}`;
+            }
+            return ret;
+        },
+    },
+});
+
+authSessionSchema.index({ user: 1, revokedAt: 1, lastUsedAt: -1 });
+authSessionSchema.index({ previousRefreshTokenHash: 1 });
+// MongoDB tự xóa phiên khi refresh token hết hạn
+authSessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const AuthSession = mongoose.model("AuthSession", authSessionSchema);
+
+export default AuthSession;
@@ -1,4 +1,7 @@
 import mongoose from "mongoose";
+import mentionSchema from "./mention.js";
+import mediaSchema, { publicMedia } from "./media.js";
+import { foldVietnamese } from "../lib/textNormalize.js";
 
 // Helper function to pad numbers with leading zeros -- cho format gio
 const pad = (num) => String(num).padStart(2, "0");
@@ -12,10 +15,26 @@ const bookSchema = new mongoose.Schema({
         type: String,
         required: true,
     },
+    captionMentions: { // Các @username trong caption đã được resolve
+        type: [mentionSchema],
+        default: [],
+    },
+    // Ảnh đầu tiên trong images (ảnh bìa) - giữ lại cho các màn hình chỉ hiện một ảnh
     image: {
         type: String,
         required: true,
     },
+    // URL tất cả ảnh của bài review theo thứ tự người đăng sắp xếp - lấy từ imageMedia khi lưu
+    images: {
+        type: [String],
+        default: [],
+    },
+    // Thông tin từng ảnh (storage key, kích thước, blurhash, bản resize), cùng thứ tự với images
+    // - xem lib/bookImageHelper.js
+    imageMedia: {
+        type: [mediaSchema],
+        default: [],
+    },
     rating: {
         type: Number,
         required: true,
@@ -52,11 +71,26 @@ const bookSchema = new mongoose.Schema({
         type: String,
         required: true,
     },
+    // Bản không dấu của title/author cho tìm kiếm không dấu - tự cập nhật trong pre("save")
+    title_normalized: {
+        type: String,
+        select: false,
+    },
+    author_normalized: {
+        type: String,
+        select: false,
+    },
     genre: {
         type: mongoose.Schema.Types.ObjectId,
         ref: "Genre", 
         required: true, 
     },
+    // Tác phẩm gốc của bài review - title/author/published_year/genre ở trên là bản sao từ Work
+    work: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Work",
+        default: null,
+    },
 
 
     // ở dưới đây là các features dùng cho Admin
@@ -74,6 +108,13 @@ const bookSchema = new mongoose.Schema({
     timestamps: true, //create at auto update + create ngày
      toJSON: {
     transform: (doc, ret) => {
+      if (ret.imageMedia) {
+        ret.imageMedia = ret.imageMedia.map(publicMedia);
+      }
+      // Bài đăng trước khi có nhiều ảnh chỉ có image
+      if (ret.image && (!ret.images || ret.images.length === 0)) {
+        ret.images = [ret.image];
+      }
       // Convert timestamps to local time (+07:00) and format as YYYY-MM-DD HH:MM:SS
       if (ret.createdAt) {
         const createdAtLocal = new Date(ret.createdAt.getTime());
@@ -89,6 +130,41 @@ const bookSchema = new mongoose.Schema({
   },
 });
 
+bookSchema.pre("save", function (next) {
+    if (this.isModified("title")) {
+        this.title_normalized = foldVietnamese(this.title);
+    }
+    if (this.isModified("author")) {
+        this.author_normalized = foldVietnamese(this.author);
+    }
+    if (this.isModified("imageMedia") && this.imageMedia.length > 0) {
+        this.images = this.imageMedia.map((media) => media.url);
+    }
+    if (this.isModified("images") && this.images.length > 0) {
+        this.image = this.images[0];
+    }
+    next();
+});
+
+bookSchema.index({ work: 1, createdAt: -1 });
+// Cho gợi ý tìm kiếm theo tiền tố (regex neo ^ dùng được index)
+bookSchema.index({ title_normalized: 1 });
+bookSchema.index({ author_normalized: 1 });
+// Đếm số sách theo người đăng / thể loại (xếp hạng gợi ý tìm kiếm)
+bookSchema.index({ user: 1 });
+bookSchema.index({ genre: 1 });
+
+// Text index cho /api/books/search - tiêu đề quan trọng nhất, rồi tới tác giả, caption.
+// default_language "none" vì nội dung chủ yếu là tiếng Việt, không dùng stemming tiếng Anh.
+bookSchema.index(
+    { title: "text", author: "text", caption: "text" },
+    {
+        name: "book_text_search",
+        weights: { title: 10, author: 5, caption: 1 },
+        default_language: "none",
+    }
+);
+
 const Book = mongoose.model("Book", bookSchema);
 
 export default Book;
\ No newline at end of file
@@ -0,0 +1,113 @@
+import mongoose from "mongoose";
+import { foldVietnamese } from "../lib/textNormalize.js";
+
+const pad = (num) => String(num).padStart(2, "0");
+
+// Danh sách sách do người dùng tuyển chọn (vd "Sci-fi Việt Nam hay nhất"),
+// mỗi mục là một bài review (Book) hoặc một tác phẩm (Work), giữ đúng thứ tự người tạo sắp xếp
+const bookListSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+        required: true,
+    },
+    title: {
+        type: String,
+        required: true,
+        trim: true,
+        maxlength: 100,
+    },
+    description: {
+        type: String,
+        trim: true,
+        maxlength: 1000,
+        default: "",
+    },
+    coverImage: {
+        type: String,
+        default: "",
+    },
+    // Storage key của ảnh bìa - xem lib/storage.js
+    coverImageKey: {
+        type: String,
+        default: "",
+    },
+    visibility: {
+        type: String,
+        enum: ["public", "private"],
+        default: "public",
+    },
+    items: [{
+        // Đúng một trong hai: bài review hoặc tác phẩm
+        book: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "Book",
+            default: null,
+        },
+        work: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "Work",
+            default: null,
+        },
+        note: {
+            type: String,
+            trim: true,
+            maxlength: 300,
+            default: "",
+        },
+        addedAt: {
+            type: Date,
+            default: Date.now,
+        },
+    }],
+    followers: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+    }],
+    followersCount: {
+        type: Number,
+        default: 0,
+    },
+    // Bản không dấu để tìm kiếm - tự cập nhật trong pre("save")
+    title_normalized: {
+        type: String,
+        select: false,
+    },
+}, {
+    timestamps: true,
+    toJSON: {
+        transform: (doc, ret) => {
+            delete ret.followers;
+            delete ret.coverImageKey;
+            if (ret.createdAt) {
+                const createdAtLocal = new Date(ret.createdAt.getTime());
+                ret.createdAt = `${createdAtLocal.getFullYear()}-${pad(createdAtLocal.getMonth() + 1)}-${pad(createdAtLocal.getDate())} ${pad(createdAtLocal.getHours())}:${pad(createdAtLocal.getMinutes())}:${pad(createdAtLocal.getSeconds())}`;
+            }
+            if (ret.updatedAt) {
+                const updatedAtLocal = new Date(ret.updatedAt.getTime());
+                ret.updatedAt = `${updatedAtLocal.getFullYear()}-${pad(updatedAtLocal.getMonth() + 1)}-${pad(updatedAtLocal.getDate())} ${pad(updatedAtLocal.getHours())}:${pad(updatedAtLocal.getMinutes())}:${pad(updatedAtLocal.getSeconds())}`;
+            }
+            return ret;
+        },
+    },
+});
+
+bookListSchema.pre("save", function (next) {
+    if (this.isModified("title")) {
+        this.title_normalized = foldVietnamese(this.title);
+    }
+    next();
+});
+
+bookListSchema.index({ user: 1, createdAt: -1 });
+bookListSchema.index({ visibility: 1, createdAt: -1, _id: -1 });
+bookListSchema.index({ visibility: 1, followersCount: -1, createdAt: -1, _id: -1 });
+bookListSchema.index({ followers: 1 });
+bookListSchema.index({ "items.book": 1 });
+bookListSchema.index({ "items.work": 1 });
+bookListSchema.index({ title_normalized: 1 });
+
+// Tên model trùng với Report.reportedItemType (refPath)
+const BookList = mongoose.model("BookList", bookListSchema);
+
+export default BookList;
@@ -0,0 +1,41 @@
+import mongoose from "mongoose";
+
+const pad = (num) => String(num).padStart(2, "0");
+
+// Bài review được người dùng lưu lại để đọc sau - createdAt chính là thời điểm lưu
+const bookmarkSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+        required: true,
+    },
+    book: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Book",
+        required: true,
+    },
+}, {
+    timestamps: true,
+    toJSON: {
+        transform: (doc, ret) => {
+            if (ret.createdAt) {
+                const createdAtLocal = new Date(ret.createdAt.getTime());
+                ret.createdAt = `${createdAtLocal.getFullYear()}-${pad(createdAtLocal.getMonth() + 1)}-${pad(createdAtLocal.getDate())} ${pad(createdAtLocal.getHours())}:${pad(createdAtLocal.getMinutes())}:${pad(createdAtLocal.getSeconds())}`;
+            }
+            if (ret.updatedAt) {
+                const updatedAtLocal = new Date(ret.updatedAt.getTime());
+                ret.updatedAt = `${updatedAtLocal.getFullYear()}-${pad(updatedAtLocal.getMonth() + 1)}-${pad(updatedAtLocal.getDate())} ${pad(updatedAtLocal.getHours())}:${pad(updatedAtLocal.getMinutes())}:${pad(updatedAtLocal.getSeconds())}`;
+            }
+            return ret;
+        },
+    },
+});
+
+bookmarkSchema.index({ user: 1, book: 1 }, { unique: true });
+// Danh sách đã lưu sort theo thời điểm lưu (xem getPaginationParams)
+bookmarkSchema.index({ user: 1, createdAt: -1, _id: -1 });
+bookmarkSchema.index({ book: 1 });
+
+const Bookmark = mongoose.model("Bookmark", bookmarkSchema);
+
+export default Bookmark;
@@ -1,5 +1,9 @@
 import mongoose from "mongoose";
+import mentionSchema from "./mention.js";
 const pad = (num) => String(num).padStart(2, "0");
+
+// Các loại reaction người dùng có thể thả vào comment
+export const COMMENT_REACTION_TYPES = ["like", "love", "haha", "wow", "sad", "angry"];
 const commentSchema = new mongoose.Schema({
     text: {
         type: String,
@@ -15,6 +19,44 @@ const commentSchema = new mongoose.Schema({
         type: mongoose.Schema.Types.ObjectId,
         ref: "Book",
         required: true,
+    },
+    parentComment: { // Comment cha - null nếu là comment gốc (top-level)
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Comment",
+        default: null,
+    },
+    depth: { // Vị trí trong thread: 0 = comment gốc, 1 = reply, ...
+        type: Number,
+        default: 0,
+        min: 0,
+    },
+    replyCount: { // Số reply trực tiếp - cập nhật khi tạo/xóa reply
+        type: Number,
+        default: 0,
+        min: 0,
+    },
+    // Track ai đã reaction - mỗi user chỉ có 1 reaction trên 1 comment
+    reactions: [{
+        _id: false,
+        user: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User",
+            required: true,
+        },
+        type: {
+            type: String,
+            enum: COMMENT_REACTION_TYPES,
+            required: true,
+        },
+    }],
+    reaction_count: { // Tổng số reaction - dùng để sort "top comments"
+        type: Number,
+        default: 0,
+        min: 0,
+    },
+    mentions: { // Các @username trong text đã được resolve
+        type: [mentionSchema],
+        default: [],
     },},
     {
         timestamps: true, //create at auto update + create ngày
@@ -34,6 +76,18 @@ const commentSchema = new mongoose.Schema({
         virtuals: true, // Include virtual fields if any
 },    }
 );
+// Số reaction theo từng loại, vd { like: 3, love: 1 }
+commentSchema.virtual("reactionCounts").get(function() {
+    const counts = {};
+    for (const reaction of this.reactions || []) {
+        counts[reaction.type] = (counts[reaction.type] || 0) + 1;
+    }
+    return counts;
+});
+
+// Listing comment gốc / reply của một sách theo thứ tự thời gian
+commentSchema.index({ book: 1, parentComment: 1, createdAt: -1 });
+
 const Comment = mongoose.model("Comment", commentSchema);
 
 export default Comment;
\ No newline at end of file
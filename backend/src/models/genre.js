@@ -1,4 +1,5 @@
 import mongoose from "mongoose";
+import { foldVietnamese } from "../lib/textNormalize.js";
 
 const genreSchema = new mongoose.Schema({
     genre_name: {
@@ -6,6 +7,11 @@ const genreSchema = new mongoose.Schema({
     required: true,
     unique: true, // Keep unique constraint to prevent duplicates
   },
+    // Tên không dấu cho gợi ý tìm kiếm - tự cập nhật trong pre("save")
+    genre_name_normalized: {
+        type: String,
+        select: false,
+    },
     soft_delete: {
         type: Boolean,
         default: false, // Mặc định là không xóa mềm --> trảnh conflict với các query sách khác 
@@ -15,6 +21,15 @@ const genreSchema = new mongoose.Schema({
     timestamps: true, // Tự động thêm createdAt và updatedAt
 });
 
+genreSchema.pre("save", function (next) {
+    if (this.isModified("genre_name")) {
+        this.genre_name_normalized = foldVietnamese(this.genre_name);
+    }
+    next();
+});
+
+genreSchema.index({ genre_name_normalized: 1 });
+
 // o day mongoose se tu dong them collection la "genres"
 const Genre = mongoose.model("Genre", genreSchema);
 export default Genre;
\ No newline at end of file
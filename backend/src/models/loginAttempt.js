@@ -0,0 +1,36 @@
+import mongoose from "mongoose";
+
+// Số lần đăng nhập sai của một tài khoản từ một IP - xem lib/bruteForceHelper.js.
+// Khóa theo tài khoản + IP để người khác không thể cố tình nhập sai làm khóa tài khoản của chủ.
+const loginAttemptSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+        required: true,
+    },
+    ip: {
+        type: String,
+        required: true,
+    },
+    failedAttempts: {
+        type: Number,
+        default: 0,
+    },
+    lockoutUntil: {
+        type: Date,
+        default: null,
+    },
+    // Không sai thêm lần nào tới lúc này thì đếm lại từ đầu
+    expiresAt: {
+        type: Date,
+        required: true,
+    },
+});
+
+loginAttemptSchema.index({ user: 1, ip: 1 }, { unique: true });
+// MongoDB tự xóa bộ đếm đã hết hạn
+loginAttemptSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const LoginAttempt = mongoose.model("LoginAttempt", loginAttemptSchema);
+
+export default LoginAttempt;
@@ -0,0 +1,51 @@
+import mongoose from "mongoose";
+
+// Một bản resize của ảnh (thumb, feed) - xem lib/imageProcessing.js
+const variantSchema = new mongoose.Schema({
+    url: {
+        type: String,
+        required: true,
+    },
+    key: {
+        type: String,
+        default: "",
+    },
+    width: Number,
+    height: Number,
+}, { _id: false });
+
+// Sub-schema dùng chung cho ảnh đã qua xử lý: url/key là bản full, kèm kích thước,
+// blurhash (placeholder lúc đang tải) và các bản nhỏ hơn.
+// key là storage key - xem lib/storage.js. Ảnh upload trước khi có pipeline chỉ có url.
+const mediaSchema = new mongoose.Schema({
+    url: {
+        type: String,
+        required: true,
+    },
+    key: {
+        type: String,
+        default: "",
+    },
+    width: Number,
+    height: Number,
+    blurhash: String,
+    variants: {
+        thumb: variantSchema,
+        feed: variantSchema,
+    },
+}, { _id: false });
+
+/**
+ * Bỏ storage key khỏi dữ liệu ảnh trả cho client.
+ * @param {object} media - object thường (đã toObject / toJSON)
+ */
+export const publicMedia = ({ key, variants, ...media }) => ({
+    ...media,
+    variants: Object.fromEntries(
+        Object.entries(variants || {})
+            .filter(([, variant]) => variant)
+            .map(([name, { key: variantKey, ...variant }]) => [name, variant])
+    ),
+});
+
+export default mediaSchema;
@@ -0,0 +1,27 @@
+import mongoose from "mongoose";
+
+// Sub-schema dùng chung cho các nội dung có @mention (comment, caption sách).
+// start/end là vị trí của "@username" trong text (end không bao gồm) để client render thành link.
+const mentionSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+        required: true,
+    },
+    username: {
+        type: String,
+        required: true,
+    },
+    start: {
+        type: Number,
+        required: true,
+        min: 0,
+    },
+    end: {
+        type: Number,
+        required: true,
+        min: 0,
+    },
+}, { _id: false });
+
+export default mentionSchema;
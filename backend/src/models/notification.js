@@ -18,7 +18,7 @@ const notificationSchema = new mongoose.Schema(
         type: { 
             type: String,
             required: true,
-            enum: ["new_follower", "new_comment", "new_like_on_book"],
+            enum: ["new_follower", "new_comment", "new_reply", "new_like_on_book", "mention", "reading_finished", "challenge_completed"],
         },
         message: { 
             type: String,
@@ -30,7 +30,7 @@ const notificationSchema = new mongoose.Schema(
         },
         relatedItemType: { 
             type: String,
-            enum: ["Book", "Comment", "User"], 
+            enum: ["Book", "Comment", "User", "Work"], 
         },
         relatedItemId: { 
             type: mongoose.Schema.Types.ObjectId,
@@ -0,0 +1,28 @@
+import mongoose from "mongoose";
+
+// Bộ đếm request theo cửa sổ thời gian cố định cho lib/rateLimiter.js.
+// Lưu trong MongoDB để nhiều instance server dùng chung giới hạn.
+const rateLimitSchema = new mongoose.Schema({
+    // vd "login:ip:1.2.3.4", "login:email:a@b.com"
+    key: {
+        type: String,
+        required: true,
+        unique: true,
+    },
+    count: {
+        type: Number,
+        default: 0,
+    },
+    // Hết cửa sổ thì đếm lại từ đầu
+    resetAt: {
+        type: Date,
+        required: true,
+    },
+});
+
+// MongoDB tự xóa bộ đếm đã hết cửa sổ
+rateLimitSchema.index({ resetAt: 1 }, { expireAfterSeconds: 0 });
+
+const RateLimit = mongoose.model("RateLimit", rateLimitSchema);
+
+export default RateLimit;
@@ -0,0 +1,56 @@
+import mongoose from "mongoose";
+
+const pad = (num) => String(num).padStart(2, "0");
+
+// Thống kê rating cộng dồn theo tác phẩm hoặc theo tác giả - cập nhật mỗi khi review được tạo / sửa / xóa
+const ratingStatSchema = new mongoose.Schema({
+    scope: {
+        type: String,
+        enum: ["work", "author"],
+        required: true,
+    },
+    // Work ID (scope "work") hoặc tên tác giả không dấu (scope "author")
+    key: {
+        type: String,
+        required: true,
+    },
+    // Tên hiển thị: tên sách hoặc tên tác giả
+    name: {
+        type: String,
+        default: "",
+    },
+    reviewCount: {
+        type: Number,
+        default: 0,
+    },
+    ratingSum: {
+        type: Number,
+        default: 0,
+    },
+    // distribution[i] = số review được (i + 1) sao
+    distribution: {
+        type: [Number],
+        default: () => [0, 0, 0, 0, 0],
+    },
+}, {
+    timestamps: true,
+    toJSON: {
+        transform: (doc, ret) => {
+            if (ret.createdAt) {
+                const createdAtLocal = new Date(ret.createdAt.getTime());
+                ret.createdAt = `${createdAtLocal.getFullYear()}-${pad(createdAtLocal.getMonth() + 1)}-${pad(createdAtLocal.getDate())} ${pad(createdAtLocal.getHours())}:${pad(createdAtLocal.getMinutes())}:${pad(createdAtLocal.getSeconds())}`;
+            }
+            if (ret.updatedAt) {
+                const updatedAtLocal = new Date(ret.updatedAt.getTime());
+                ret.updatedAt = `${updatedAtLocal.getFullYear()}-${pad(updatedAtLocal.getMonth() + 1)}-${pad(updatedAtLocal.getDate())} ${pad(updatedAtLocal.getHours())}:${pad(updatedAtLocal.getMinutes())}:${pad(updatedAtLocal.getSeconds())}`;
+            }
+            return ret;
+        },
+    },
+});
+
+ratingStatSchema.index({ scope: 1, key: 1 }, { unique: true });
+
+const RatingStat = mongoose.model("RatingStat", ratingStatSchema);
+
+export default RatingStat;
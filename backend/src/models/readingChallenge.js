@@ -0,0 +1,55 @@
+import mongoose from "mongoose";
+
+const pad = (num) => String(num).padStart(2, "0");
+
+// Thử thách đọc sách trong năm: mục tiêu số cuốn, tiến độ tính từ sách đã đọc xong hoặc bài review đã đăng
+const readingChallengeSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+        required: true,
+    },
+    year: {
+        type: Number,
+        required: true,
+    },
+    goal: {
+        type: Number,
+        required: true,
+        min: 1,
+        max: 1000,
+    },
+    // "finished": đếm phiên đọc đã xong, "reviews": đếm bài review đã đăng trong năm
+    countSource: {
+        type: String,
+        enum: ["finished", "reviews"],
+        default: "finished",
+    },
+    // Thời điểm đạt mục tiêu - chỉ gửi thông báo chúc mừng một lần
+    completedAt: {
+        type: Date,
+        default: null,
+    },
+}, {
+    timestamps: true,
+    toJSON: {
+        transform: (doc, ret) => {
+            if (ret.createdAt) {
+                const createdAtLocal = new Date(ret.createdAt.getTime());
+                ret.createdAt = `${createdAtLocal.getFullYear()}-${pad(createdAtLocal.getMonth() + 1)}-${pad(createdAtLocal.getDate())} ${pad(createdAtLocal.getHours())}:${pad(createdAtLocal.getMinutes())}:${pad(createdAtLocal.getSeconds())}`;
+            }
+            if (ret.updatedAt) {
+                const updatedAtLocal = new Date(ret.updatedAt.getTime());
+                ret.updatedAt = `${updatedAtLocal.getFullYear()}-${pad(updatedAtLocal.getMonth() + 1)}-${pad(updatedAtLocal.getDate())} ${pad(updatedAtLocal.getHours())}:${pad(updatedAtLocal.getMinutes())}:${pad(updatedAtLocal.getSeconds())}`;
+            }
+            return ret;
+        },
+    },
+});
+
+readingChallengeSchema.index({ user: 1, year: 1 }, { unique: true });
+readingChallengeSchema.index({ year: 1 });
+
+const ReadingChallenge = mongoose.model("ReadingChallenge", readingChallengeSchema);
+
+export default ReadingChallenge;
@@ -0,0 +1,100 @@
+import mongoose from "mongoose";
+
+const pad = (num) => String(num).padStart(2, "0");
+
+// Một lần đọc một cuốn sách của user: tiến độ (trang / phần trăm), nhật ký và ngày bắt đầu / kết thúc
+const readingSessionSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+        required: true,
+    },
+    work: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Work",
+        required: true,
+    },
+    // Bài review dùng làm ảnh bìa (nếu có)
+    book: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Book",
+        default: null,
+    },
+    status: {
+        type: String,
+        enum: ["reading", "finished", "abandoned"],
+        default: "reading",
+    },
+    visibility: {
+        type: String,
+        enum: ["public", "private"],
+        default: "public",
+    },
+    startedAt: {
+        type: Date,
+        default: Date.now,
+    },
+    finishedAt: {
+        type: Date,
+        default: null,
+    },
+    totalPages: {
+        type: Number,
+        min: 1,
+    },
+    currentPage: {
+        type: Number,
+        min: 0,
+        default: 0,
+    },
+    percent: {
+        type: Number,
+        min: 0,
+        max: 100,
+        default: 0,
+    },
+    // Nhật ký: mỗi lần cập nhật tiến độ và / hoặc ghi chú
+    entries: [{
+        date: {
+            type: Date,
+            default: Date.now,
+        },
+        page: {
+            type: Number,
+            min: 0,
+        },
+        percent: {
+            type: Number,
+            min: 0,
+            max: 100,
+        },
+        note: {
+            type: String,
+            trim: true,
+            maxlength: 2000,
+            default: "",
+        },
+    }],
+}, {
+    timestamps: true,
+    toJSON: {
+        transform: (doc, ret) => {
+            if (ret.createdAt) {
+                const createdAtLocal = new Date(ret.createdAt.getTime());
+                ret.createdAt = `${createdAtLocal.getFullYear()}-${pad(createdAtLocal.getMonth() + 1)}-${pad(createdAtLocal.getDate())} ${pad(createdAtLocal.getHours())}:${pad(createdAtLocal.getMinutes())}:${pad(createdAtLocal.getSeconds())}`;
+            }
+            if (ret.updatedAt) {
+                const updatedAtLocal = new Date(ret.updatedAt.getTime());
+                ret.updatedAt = `${updatedAtLocal.getFullYear()}-${pad(updatedAtLocal.getMonth() + 1)}-${pad(updatedAtLocal.getDate())} ${pad(updatedAtLocal.getHours())}:${pad(updatedAtLocal.getMinutes())}:${pad(updatedAtLocal.getSeconds())}`;
+            }
+            return ret;
+        },
+    },
+});
+
+readingSessionSchema.index({ user: 1, createdAt: -1, _id: -1 });
+readingSessionSchema.index({ user: 1, work: 1, status: 1 });
+
+const ReadingSession = mongoose.model("ReadingSession", readingSessionSchema);
+
+export default ReadingSession;
@@ -0,0 +1,77 @@
+import mongoose from "mongoose";
+
+const pad = (num) => String(num).padStart(2, "0");
+
+// Kệ sách cá nhân: 3 kệ trạng thái có sẵn (muốn đọc / đang đọc / đã đọc) và các kệ tự đặt tên
+const shelfSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+        required: true,
+    },
+    name: {
+        type: String,
+        required: true,
+        trim: true,
+        maxlength: 50,
+    },
+    type: {
+        type: String,
+        enum: ["want_to_read", "reading", "finished", "custom"],
+        default: "custom",
+    },
+    visibility: {
+        type: String,
+        enum: ["public", "private"],
+        default: "public",
+    },
+    items: [{
+        work: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "Work",
+            required: true,
+        },
+        // Bài review được dùng để thêm vào kệ - lấy ảnh bìa
+        book: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "Book",
+            default: null,
+        },
+        addedAt: {
+            type: Date,
+            default: Date.now,
+        },
+        _id: false,
+    }],
+}, {
+    timestamps: true,
+    toJSON: {
+        transform: (doc, ret) => {
+            if (ret.createdAt) {
+                const createdAtLocal = new Date(ret.createdAt.getTime());
+                ret.createdAt = `${createdAtLocal.getFullYear()}-${pad(createdAtLocal.getMonth() + 1)}-${pad(createdAtLocal.getDate())} ${pad(createdAtLocal.getHours())}:${pad(createdAtLocal.getMinutes())}:${pad(createdAtLocal.getSeconds())}`;
+            }
+            if (ret.updatedAt) {
+                const updatedAtLocal = new Date(ret.updatedAt.getTime());
+                ret.updatedAt = `${updatedAtLocal.getFullYear()}-${pad(updatedAtLocal.getMonth() + 1)}-${pad(updatedAtLocal.getDate())} ${pad(updatedAtLocal.getHours())}:${pad(updatedAtLocal.getMinutes())}:${pad(updatedAtLocal.getSeconds())}`;
+            }
+            return ret;
+        },
+    },
+});
+
+shelfSchema.index({ user: 1 });
+// Mỗi user chỉ có một kệ cho mỗi loại trạng thái, kệ "custom" thì không giới hạn
+shelfSchema.index(
+    { user: 1, type: 1 },
+    {
+        name: "user_status_shelf_unique",
+        unique: true,
+        partialFilterExpression: { type: { $in: ["want_to_read", "reading", "finished"] } },
+    }
+);
+shelfSchema.index({ "items.work": 1 });
+
+const Shelf = mongoose.model("Shelf", shelfSchema);
+
+export default Shelf;
@@ -0,0 +1,78 @@
+import mongoose from "mongoose";
+import mediaSchema, { publicMedia } from "./media.js";
+
+const pad = (num) => String(num).padStart(2, "0");
+
+// Phiên upload ảnh qua multipart (thay cho base64 trong JSON) - xem routes/uploadRoutes.js.
+// Client tạo phiên với kích thước file, gửi dữ liệu (một lần hoặc nhiều đoạn, gửi tiếp từ `receivedBytes`
+// khi mạng chập chờn), nhận ảnh đã xử lý rồi dùng `token` khi đăng bài / đổi avatar.
+const uploadSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+        required: true,
+    },
+    token: {
+        type: String,
+        required: true,
+        unique: true,
+    },
+    // Ảnh dùng cho đâu - quyết định thư mục và các bản resize, xem lib/uploadHelper.js
+    purpose: {
+        type: String,
+        enum: ["book", "avatar", "cover"],
+        required: true,
+    },
+    mimeType: {
+        type: String,
+        required: true,
+    },
+    size: {
+        type: Number,
+        required: true,
+        min: 1,
+    },
+    receivedBytes: {
+        type: Number,
+        default: 0,
+    },
+    // uploading: đang nhận dữ liệu, ready: đã xử lý xong chờ dùng, used: đã gắn vào bài / avatar
+    status: {
+        type: String,
+        enum: ["uploading", "ready", "used"],
+        default: "uploading",
+    },
+    media: {
+        type: mediaSchema,
+        default: null,
+    },
+    // Quá hạn mà chưa dùng thì không gắn được nữa
+    expiresAt: {
+        type: Date,
+        required: true,
+    },
+}, {
+    timestamps: true,
+    toJSON: {
+        transform: (doc, ret) => {
+            if (ret.media) {
+                ret.media = publicMedia(ret.media);
+            }
+            if (ret.createdAt) {
+                const createdAtLocal = new Date(ret.createdAt.getTime());
+                ret.createdAt = `${createdAtLocal.getFullYear()}-${pad(createdAtLocal.getMonth() + 1)}-${pad(createdAtLocal.getDate())} ${pad(createdAtLocal.getHours())}:${pad(createdAtLocal.getMinutes())}:${pad(createdAtLocal.getSeconds())}`;
+            }
+            if (ret.updatedAt) {
+                const updatedAtLocal = new Date(ret.updatedAt.getTime());
+                ret.updatedAt = `${updatedAtLocal.getFullYear()}-${pad(updatedAtLocal.getMonth() + 1)}-${pad(updatedAtLocal.getDate())} ${pad(updatedAtLocal.getHours())}:${pad(updatedAtLocal.getMinutes())}:${pad(updatedAtLocal.getSeconds())}`;
+            }
+            return ret;
+        },
+    },
+});
+
+uploadSchema.index({ status: 1, expiresAt: 1 });
+
+const Upload = mongoose.model("Upload", uploadSchema);
+
+export default Upload;
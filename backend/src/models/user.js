@@ -1,6 +1,7 @@
 import mongoose from "mongoose";
 import bcrypt from "bcryptjs";
 import crypto from "crypto";
+import { foldVietnamese } from "../lib/textNormalize.js";
 const pad = (num) => String(num).padStart(2, "0");
 
 const userSchema = new mongoose.Schema({
@@ -9,6 +10,11 @@ const userSchema = new mongoose.Schema({
         required: true,
         unique: true,
     },
+    // Username không dấu cho tìm kiếm - tự cập nhật trong pre("save")
+    username_normalized: {
+        type: String,
+        select: false,
+    },
     email:{
         type: String,
         required: true,
@@ -28,6 +34,11 @@ const userSchema = new mongoose.Schema({
         type: String,
         default: "",
     },
+    // Storage key của avatar đã upload - xem lib/storage.js
+    profileImageKey: {
+        type: String,
+        default: "",
+    },
     isSuspended: {
         type: Boolean,
         default: false,
@@ -49,12 +60,100 @@ const userSchema = new mongoose.Schema({
         type: mongoose.Schema.Types.ObjectId,
         ref: "User"
     }],
-    resetPasswordToken: String, 
-    resetPasswordExpires: Date,
+    // Hash mã reset và bộ đếm nhập sai không bao giờ trả về client (mã 6 số dò ngược hash rất nhanh)
+    // nên mặc định không select - route reset mật khẩu select "+resetPasswordToken" khi cần.
+    resetPasswordToken: {
+        type: String,
+        select: false,
+    },
+    resetPasswordExpires: {
+        type: Date,
+        select: false,
+    },
+    // Số lần nhập sai mã reset - đủ MAX_CODE_ATTEMPTS thì mã bị hủy (lib/bruteForceHelper.js)
+    resetPasswordAttempts: {
+        type: Number,
+        default: 0,
+        select: false,
+    },
+    // Tài khoản tạo trước khi có xác minh email coi như đã xác minh - đăng ký mới đặt false.
+    // Chưa xác minh thì không đăng bài / bình luận được (middleware/verified.middleware.js)
+    isEmailVerified: {
+        type: Boolean,
+        default: true,
+    },
+    // Hash mã xác minh mặc định không select - chỉ verify-email / resend-verification cần đến
+    emailVerificationCode: {
+        type: String,
+        select: false,
+    },
+    emailVerificationExpires: {
+        type: Date,
+        select: false,
+    },
+    // Lần gửi mã gần nhất và số lần đã gửi - tính thời gian chờ trước khi gửi lại
+    emailVerificationSentAt: Date,
+    emailVerificationSendCount: {
+        type: Number,
+        default: 0,
+    },
+    // Số lần nhập sai mã xác minh - đủ MAX_CODE_ATTEMPTS thì mã bị hủy
+    emailVerificationAttempts: {
+        type: Number,
+        default: 0,
+        select: false,
+    },
+    // Đổi email: địa chỉ mới chỉ thay email khi nhập đúng mã gửi tới nó - xem lib/emailChangeHelper.js.
+    // Mặc định không select, route xác nhận select EMAIL_CHANGE_FIELDS.
+    pendingEmail: {
+        type: String,
+        select: false,
+    },
+    pendingEmailCode: {
+        type: String,
+        select: false,
+    },
+    pendingEmailExpires: {
+        type: Date,
+        select: false,
+    },
+    pendingEmailAttempts: {
+        type: Number,
+        default: 0,
+        select: false,
+    },
+    // Xác thực 2 bước bằng TOTP - bắt buộc với admin, xem lib/twoFactorHelper.js.
+    // Secret và recovery code không bao giờ trả về client nên mặc định không select.
+    twoFactorEnabled: {
+        type: Boolean,
+        default: false,
+    },
+    twoFactorSecret: {
+        type: String,
+        select: false,
+    },
+    // Secret đang đăng ký, chỉ thành twoFactorSecret khi người dùng nhập đúng mã đầu tiên
+    twoFactorPendingSecret: {
+        type: String,
+        select: false,
+    },
+    // Hash các recovery code còn dùng được, mỗi code dùng một lần
+    twoFactorRecoveryCodes: {
+        type: [String],
+        select: false,
+    },
+    // Bước TOTP đã dùng gần nhất - chặn dùng lại cùng một mã
+    twoFactorLastUsedStep: {
+        type: Number,
+        select: false,
+    },
 }, { 
     timestamps: true, //create at auto update + create ngày
      toJSON: {
     transform: (doc, ret) => {
+      delete ret.profileImageKey;
+      delete ret.emailVerificationCode;
+      delete ret.pendingEmailCode;
       // Convert timestamps to local time (+07:00) and format as YYYY-MM-DD HH:MM:SS
       if (ret.createdAt) {
         const createdAtLocal = new Date(ret.createdAt.getTime());
@@ -70,6 +169,16 @@ const userSchema = new mongoose.Schema({
   },
 });
 
+userSchema.pre("save", function (next) {
+    if (this.isModified("username")) {
+        this.username_normalized = foldVietnamese(this.username);
+    }
+    next();
+});
+
+// Cho gợi ý tìm kiếm theo tiền tố (regex neo ^ dùng được index)
+userSchema.index({ username_normalized: 1 });
+
 // Hook để mã hóa mật khẩu trước khi lưu vào cơ sở dữ liệu
 userSchema.pre("save",async function(next){
     if (!this.isModified("password")) {
@@ -93,15 +202,43 @@ userSchema.methods.comparePassword = async function(userPassword){
 };
 
 userSchema.methods.getResetPasswordCode = function() {
-    const resetCode = Math.floor(100000 + Math.random() * 900000).toString();
+    const resetCode = crypto.randomInt(100000, 1000000).toString();
     this.resetPasswordToken = crypto
         .createHash('sha256')
         .update(resetCode)
         .digest('hex');
     this.resetPasswordExpires = Date.now() + 10 * 60 * 1000;
+    this.resetPasswordAttempts = 0;
     return resetCode; 
 };
 
+// Mã xác minh email 6 số, DB chỉ lưu hash giống mã reset mật khẩu
+userSchema.methods.getEmailVerificationCode = function(ttlMinutes) {
+    const verificationCode = crypto.randomInt(100000, 1000000).toString();
+    this.emailVerificationCode = crypto
+        .createHash('sha256')
+        .update(verificationCode)
+        .digest('hex');
+    this.emailVerificationExpires = Date.now() + ttlMinutes * 60 * 1000;
+    this.emailVerificationSentAt = new Date();
+    this.emailVerificationSendCount += 1;
+    this.emailVerificationAttempts = 0;
+    return verificationCode;
+};
+
+// Mã xác nhận email mới khi đổi email
+userSchema.methods.getPendingEmailCode = function(newEmail, ttlMinutes) {
+    const confirmationCode = crypto.randomInt(100000, 1000000).toString();
+    this.pendingEmail = newEmail;
+    this.pendingEmailCode = crypto
+        .createHash('sha256')
+        .update(confirmationCode)
+        .digest('hex');
+    this.pendingEmailExpires = Date.now() + ttlMinutes * 60 * 1000;
+    this.pendingEmailAttempts = 0;
+    return confirmationCode;
+};
+
 //AUTO remove ngày bị treo và lý do treo useruser
 userSchema.methods.checkAndLiftSuspension = async function() {
     if (this.isSuspended && this.suspensionEndDate && this.suspensionEndDate <= new Date()) {
@@ -0,0 +1,75 @@
+import mongoose from "mongoose";
+import { foldVietnamese } from "../lib/textNormalize.js";
+
+const pad = (num) => String(num).padStart(2, "0");
+
+// Tác phẩm gốc (cuốn sách thật), nhiều bài review (Book) cùng trỏ về một Work
+const workSchema = new mongoose.Schema({
+    title: {
+        type: String,
+        required: true,
+        trim: true,
+    },
+    authors: {
+        type: [String],
+        default: [],
+    },
+    published_year: {
+        type: Number, // optional
+    },
+    genre: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Genre",
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+    },
+    // Bản không dấu để tìm và phát hiện trùng - tự cập nhật trong pre("save")
+    title_normalized: {
+        type: String,
+        select: false,
+    },
+    authors_normalized: {
+        type: [String],
+        select: false,
+    },
+}, {
+    timestamps: true,
+    toJSON: {
+        transform: (doc, ret) => {
+            if (ret.createdAt) {
+                const createdAtLocal = new Date(ret.createdAt.getTime());
+                ret.createdAt = `${createdAtLocal.getFullYear()}-${pad(createdAtLocal.getMonth() + 1)}-${pad(createdAtLocal.getDate())} ${pad(createdAtLocal.getHours())}:${pad(createdAtLocal.getMinutes())}:${pad(createdAtLocal.getSeconds())}`;
+            }
+            if (ret.updatedAt) {
+                const updatedAtLocal = new Date(ret.updatedAt.getTime());
+                ret.updatedAt = `${updatedAtLocal.getFullYear()}-${pad(updatedAtLocal.getMonth() + 1)}-${pad(updatedAtLocal.getDate())} ${pad(updatedAtLocal.getHours())}:${pad(updatedAtLocal.getMinutes())}:${pad(updatedAtLocal.getSeconds())}`;
+            }
+            return ret;
+        },
+        virtuals: true,
+    },
+});
+
+// Tên tác giả dạng chuỗi như Book.author cũ
+workSchema.virtual("author").get(function () {
+    return (this.authors || []).join(", ");
+});
+
+workSchema.pre("save", function (next) {
+    if (this.isModified("title")) {
+        this.title_normalized = foldVietnamese(this.title);
+    }
+    if (this.isModified("authors")) {
+        this.authors_normalized = this.authors.map((author) => foldVietnamese(author));
+    }
+    next();
+});
+
+workSchema.index({ title_normalized: 1 });
+workSchema.index({ authors_normalized: 1 });
+
+const Work = mongoose.model("Work", workSchema);
+
+export default Work;
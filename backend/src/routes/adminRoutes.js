@@ -8,8 +8,30 @@ import User from "../models/user.js";
 import Book from "../models/book.js";
 import Comment from "../models/comment.js"; 
 import Report from "../models/report.js"; 
-import cloudinary from "../lib/cloudinary.js"; 
+import { destroyBookImages, getBookMedia } from "../lib/bookImageHelper.js";
+import { deleteMedia } from "../lib/storage.js";
 import sendEmail from "../lib/sendEmail.js";
+import Work from "../models/work.js";
+import Shelf from "../models/shelf.js";
+import ReadingSession from "../models/readingSession.js";
+import ReadingChallenge from "../models/readingChallenge.js";
+import Bookmark from "../models/bookmark.js";
+import AuthSession from "../models/authSession.js";
+import {
+  mergeWorks,
+  splitAuthors,
+  syncWorkToBooks,
+} from "../lib/workHelper.js";
+import {
+  getRatingStats,
+  ratingTargetsForBook,
+  recomputeRatingStats,
+  removeReviewRating,
+} from "../lib/ratingHelper.js";
+import { deleteUserLists, removeBooksFromLists } from "../lib/listHelper.js";
+import { deleteUserComments } from "../lib/commentHelper.js";
+import { getPaginationParams } from "../lib/pagination.js";
+import { escapeRegex, foldVietnamese } from "../lib/textNormalize.js";
 
 const router = express.Router();
 
@@ -214,27 +236,28 @@ router.delete("/users/:userId", protectRoute, isAdmin, async (req, res) => {
       // 1. Xóa tất cả Sách (Books) của User này
       const userBooks = await Book.find({ user: userId });
       for (const book of userBooks) {
-          // Xóa ảnh của sách trên Cloudinary
-          if (book.image && book.image.includes("cloudinary")) {
-              try {
-                  const publicId = book.image.split("/").pop().split(".")[0];
-                  await cloudinary.uploader.destroy(publicId);
-                  console.log(`Cloudinary image for book ${book._id} deleted.`);
-              } catch (cloudError) {
-                  console.error(`Error deleting Cloudinary image for book ${book._id}:`, cloudError);
-              }
-          }
+          // Xóa toàn bộ ảnh của sách khỏi storage
+          await destroyBookImages(getBookMedia(book));
           // Xóa tất cả Comments của sách này
           await Comment.deleteMany({ book: book._id });
           console.log(`Comments for book ${book._id} (owned by user ${userId}) deleted.`);
           await Report.deleteMany({ reportedItemType: "Book", reportedItemId: book._id });
       }
       await Book.deleteMany({ user: userId });
+      await Shelf.deleteMany({ user: userId });
+      await ReadingSession.deleteMany({ user: userId });
+      await ReadingChallenge.deleteMany({ user: userId });
+      await Bookmark.deleteMany({ user: userId });
+      await Bookmark.deleteMany({ book: { $in: userBooks.map((book) => book._id) } });
+      await removeBooksFromLists(userBooks.map((book) => book._id));
+      await deleteUserLists(userId);
+      await recomputeRatingStats(userBooks.flatMap((book) => ratingTargetsForBook(book)));
       console.log(`All books by user ${userId} deleted.`);
 
       // 2. Xóa tất cả Comments do User này viết
-      await Comment.deleteMany({ user: userId });
+      await deleteUserComments(userId);
       console.log(`All comments by user ${userId} deleted.`);
+      await AuthSession.deleteMany({ user: userId });
 
       // 3. Xóa tất cả Reports do User này gửi hoặc về User này
       await Report.deleteMany({ reporter: userId });
@@ -258,9 +281,17 @@ router.delete("/users/:userId", protectRoute, isAdmin, async (req, res) => {
           }
       );
       console.log(`Likes/dislikes by user ${userId} on other books have been removed and counts updated.`);
+      await Comment.updateMany(
+          { "reactions.user": userId }, // Gỡ reaction của user trên comment của người khác
+          {
+              $pull: { reactions: { user: userId } },
+              $inc: { reaction_count: -1 }
+          }
+      );
       const emailToNotify = userToDelete.email;
       const usernameToNotify = userToDelete.username;
-      // Cuối cùng, xóa User
+      // Cuối cùng, xóa avatar và User
+      await deleteMedia({ url: userToDelete.profileImage, key: userToDelete.profileImageKey });
       await User.findByIdAndDelete(userId);
       if (emailToNotify) { // Chỉ gửi nếu user có email
         const appName = process.env.SENDGRID_FROM_NAME || 'Bookworm App';
@@ -635,44 +666,10 @@ router.delete("/books/:bookId", protectRoute, isAdmin, async (req, res) => {
           return res.status(404).json({ message: "Book not found." });
       }
 
-      // Xóa ảnh của sách trên Cloudinary
-      if (bookToDelete.image && bookToDelete.image.includes("cloudinary")) {
-          try {
-              // const publicId = bookToDelete.image.split("/").pop().split(".")[0];
-              // await cloudinary.uploader.destroy(publicId);
-              
-              // const parts = book.image.split("/"); // cắt ra thành các phần từ dấu "/"
-
-              const parts = bookToDelete.image.split("/"); // cắt ra thành các phần từ dấu "/"
-
-              const publicIdWithVersionAndExtension = parts
-                .slice(parts.indexOf("upload") + 2)
-                .join("/"); //bắt đầu đi từ index "upload" trong đoạn parts, và bỏ 2 phần tử đầu là upload và id và nối lại các phần còn lại
-              console.log(
-                "Public ID with version and extension:",
-                publicIdWithVersionAndExtension
-              );
-              // Và join laị sẽ được: "Book_Forum/Book_Review/your_image_unique_id.png"
-
-              const publicId = publicIdWithVersionAndExtension.split(".")[0];
-              // Tách ra sẽ được "Book_Forum/Book_Review/your_image_unique_id"
-
-              console.log("Extracted Public ID for Cloudinary deletion:", publicId);
-
-              await cloudinary.uploader.destroy(publicId);
-              console.log("Image deleted from Cloudinary successfully.");
-
-              await Comment.deleteMany({ bookToDelete: bookId });
-              // Nếu đó là user đã review sách -> thực hiện xóa trên MongoDB
-              await bookToDelete.deleteOne();
-              res.json({ message: "Book deleted successfully" });
-              
-              console.log(`Cloudinary image for book ${bookToDelete._id} deleted by admin.`);
-          } catch (cloudError) {
-              console.error(`Error deleting Cloudinary image for book ${bookToDelete._id} by admin:`, cloudError);
-              // Tiếp tục xóa sách dù có lỗi xóa ảnh
-          }
-      }
+      await removeReviewRating(bookToDelete);
+
+      // Xóa toàn bộ ảnh của sách khỏi storage
+      await destroyBookImages(getBookMedia(bookToDelete));
 
       // Xóa tất cả Comments của sách này
       await Comment.deleteMany({ book: bookId });
@@ -682,6 +679,10 @@ router.delete("/books/:bookId", protectRoute, isAdmin, async (req, res) => {
       await Report.deleteMany({ reportedItemType: "Book", reportedItemId: bookId });
       console.log(`Reports related to book ${bookId} deleted by admin.`);
 
+      // Xóa các bookmark trỏ tới Sách này và bỏ Sách khỏi các danh sách
+      await Bookmark.deleteMany({ book: bookId });
+      await removeBooksFromLists([bookToDelete._id]);
+
       // Xóa Sách
       await Book.findByIdAndDelete(bookId);
 
@@ -787,7 +788,168 @@ router.get("/books/count", protectRoute, isAdmin, async (req, res) => {
   }
 });
 
+// Danh sách tác phẩm cho trang quản lý - kèm số review, điểm trung bình và số Work nghi trùng tên
+router.get("/works", protectRoute, isAdmin, async (req, res) => {
+  try {
+    const { page, limit, skip } = getPaginationParams({
+      page: req.query.page,
+      limit: req.query.limit,
+    });
+    const searchText = typeof req.query.q === "string" ? req.query.q.trim() : "";
+    const queryConditions = searchText
+      ? { title_normalized: { $regex: escapeRegex(foldVietnamese(searchText)) } }
+      : {};
+
+    const works = await Work.find(queryConditions)
+      .select("+title_normalized")
+      .populate("genre", "genre_name _id")
+      .sort({ title_normalized: 1, createdAt: 1 })
+      .skip(skip)
+      .limit(limit);
+    const totalWorks = await Work.countDocuments(queryConditions);
+
+    const stats = await getRatingStats("work", works.map((work) => work._id.toString()));
+    // Các Work cùng tên (không dấu) là ứng viên để gộp
+    const titleGroups = await Work.aggregate([
+      { $match: { title_normalized: { $in: works.map((work) => work.title_normalized) } } },
+      { $group: { _id: "$title_normalized", count: { $sum: 1 } } },
+    ]);
+    const titleCounts = Object.fromEntries(
+      titleGroups.map((group) => [group._id, group.count])
+    );
+
+    res.status(200).json({
+      works: works.map((work) => ({
+        ...work.toJSON(),
+        averageRating: stats[work._id.toString()]?.averageRating || 0,
+        reviewCount: stats[work._id.toString()]?.reviewCount || 0,
+        duplicateCount: (titleCounts[work.title_normalized] || 1) - 1,
+      })),
+      currentPage: page,
+      totalWorks,
+      totalPages: limit ? Math.ceil(totalWorks / limit) : 1,
+    });
+  } catch (error) {
+    console.error("Error fetching works:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+// Sửa thông tin tác phẩm và đồng bộ sang tất cả bài review
+router.patch("/works/:workId", protectRoute, isAdmin, async (req, res) => {
+  try {
+    const { workId } = req.params;
+    const { title, authors, published_year, genre } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(workId)) {
+      return res.status(400).json({ message: "Invalid work ID format" });
+    }
+    const work = await Work.findById(workId);
+    if (!work) {
+      return res.status(404).json({ message: "Work not found" });
+    }
+    const previousTargets = ratingTargetsForBook({ work: work._id, author: work.author });
+
+    if (title !== undefined) {
+      if (typeof title !== "string" || title.trim() === "") {
+        return res.status(400).json({ message: "Title must be a non-empty string" });
+      }
+      work.title = title.trim();
+    }
+    if (authors !== undefined) {
+      // Nhận mảng tên hoặc chuỗi "A, B"
+      const authorList = Array.isArray(authors)
+        ? authors.map((name) => String(name).trim()).filter(Boolean)
+        : splitAuthors(authors);
+      if (authorList.length === 0) {
+        return res.status(400).json({ message: "At least one author is required" });
+      }
+      work.authors = authorList;
+    }
+    if (published_year !== undefined) {
+      if (
+        published_year !== null &&
+        (isNaN(published_year) || published_year < 0 || published_year > new Date().getFullYear())
+      ) {
+        return res.status(400).json({ message: "Invalid published year" });
+      }
+      work.published_year = published_year || undefined;
+    }
+    if (genre !== undefined) {
+      if (!mongoose.Types.ObjectId.isValid(genre)) {
+        return res.status(400).json({ message: "Invalid genre ID format" });
+      }
+      const genreExists = await Genre.findById(genre);
+      if (!genreExists || genreExists.soft_delete) {
+        return res.status(400).json({ message: "Invalid or deleted genre" });
+      }
+      work.genre = genre;
+    }
+
+    await work.save();
+    const updatedBooks = await syncWorkToBooks(work);
+    // Tác giả cũ cũng phải tính lại vì các review đã chuyển sang tên tác giả mới
+    await recomputeRatingStats([
+      ...previousTargets,
+      ...ratingTargetsForBook({ work: work._id, title: work.title, author: work.author }),
+    ]);
+
+    res.status(200).json({
+      message: "Work updated successfully",
+      work,
+      updatedBooks,
+    });
+  } catch (error) {
+    console.error("Error updating work:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+// Gộp các tác phẩm trùng: review của sourceIds chuyển sang targetId, Work nguồn bị xóa
+router.post("/works/merge", protectRoute, isAdmin, async (req, res) => {
+  try {
+    const { targetId, sourceIds } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(targetId)) {
+      return res.status(400).json({ message: "Invalid target work ID" });
+    }
+    if (
+      !Array.isArray(sourceIds) ||
+      sourceIds.length === 0 ||
+      !sourceIds.every((id) => mongoose.Types.ObjectId.isValid(id))
+    ) {
+      return res.status(400).json({ message: "sourceIds must be a non-empty array of work IDs" });
+    }
+    if (sourceIds.includes(targetId)) {
+      return res.status(400).json({ message: "Target work cannot be merged into itself" });
+    }
+
+    const targetWork = await Work.findById(targetId);
+    if (!targetWork) {
+      return res.status(404).json({ message: "Target work not found" });
+    }
+    const sourceWorks = await Work.find({ _id: { $in: sourceIds } });
+    if (sourceWorks.length !== new Set(sourceIds).size) {
+      return res.status(404).json({ message: "Some source works were not found" });
+    }
 
+    const movedReviews = await mergeWorks(targetWork, sourceWorks);
+    await recomputeRatingStats(
+      [targetWork, ...sourceWorks].flatMap((work) =>
+        ratingTargetsForBook({ work: work._id, title: targetWork.title, author: work.author })
+      )
+    );
 
+    res.status(200).json({
+      message: "Works merged successfully",
+      work: targetWork,
+      movedReviews,
+      mergedWorks: sourceWorks.length,
+    });
+  } catch (error) {
+    console.error("Error merging works:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+});
 
 export default router;
@@ -1,20 +1,112 @@
 import express from "express";
 import User from "../models/user.js";
-import jwt from "jsonwebtoken";
 import crypto from "crypto";
+import mongoose from "mongoose";
 import sendEmail from "../utils/sendEmail.js";
+import protectRoute from "../middleware/auth.middleware.js";
+import rateLimit from "../middleware/rateLimit.middleware.js";
+import {
+    createSession,
+    listActiveSessions,
+    revokeSession,
+    revokeUserSessions,
+    rotateSession,
+} from "../lib/sessionHelper.js";
+import {
+    EMAIL_VERIFICATION_FIELDS,
+    isValidVerificationCode,
+    markEmailVerified,
+    resendCooldownSeconds,
+    resendWaitSeconds,
+    sendVerificationEmail,
+} from "../lib/emailVerificationHelper.js";
+import {
+    TWO_FACTOR_FIELDS,
+    disableTwoFactor,
+    enableTwoFactor,
+    isTwoFactorRequired,
+    regenerateRecoveryCodes,
+    signTwoFactorToken,
+    startTwoFactorSetup,
+    verifySecondFactor,
+    verifyTwoFactorToken,
+} from "../lib/twoFactorHelper.js";
+import {
+    clearFailedLogins,
+    lockoutWaitSeconds,
+    recordFailedCodeAttempt,
+    recordFailedLogin,
+    sendAccountLocked,
+} from "../lib/bruteForceHelper.js";
+import {
+    EMAIL_CHANGE_FIELDS,
+    applyEmailChange,
+    isValidEmailChangeCode,
+    sendEmailChangeCode,
+} from "../lib/emailChangeHelper.js";
 
 const router = express.Router();
 
-// Create JWT within 15days - Access token (this case exist for 15 days) 
-// jwt.sign() create header - payload - signature 
-// header: implicitly defined by jwt.sign + payload: use the user_id + signature: use the private key from Server.
-// token --> use for authentication purpose only
-const generateToken = (userId) => {
-    return jwt.sign({userId}, process.env.JWT_SECRET, {expiresIn: "15d"});
+// Giới hạn request theo IP và theo email nhập vào - chặn dò mật khẩu / mã 6 số.
+// Sai mật khẩu nhiều lần còn bị khóa tài khoản tăng dần (lib/bruteForceHelper.js).
+const FIFTEEN_MINUTES = 15 * 60;
+const ONE_HOUR = 60 * 60;
+const loginLimit = rateLimit("login", [
+    { by: "ip", limit: 20, windowSeconds: FIFTEEN_MINUTES },
+    { by: "email", limit: 10, windowSeconds: FIFTEEN_MINUTES },
+]);
+const twoFactorLoginLimit = rateLimit("login-2fa", [
+    { by: "ip", limit: 20, windowSeconds: FIFTEEN_MINUTES },
+]);
+const twoFactorManageLimit = rateLimit("2fa", [
+    { by: "user", limit: 10, windowSeconds: FIFTEEN_MINUTES },
+]);
+const registerLimit = rateLimit("register", [
+    { by: "ip", limit: 10, windowSeconds: ONE_HOUR },
+]);
+const verifyEmailLimit = rateLimit("verify-email", [
+    { by: "ip", limit: 20, windowSeconds: FIFTEEN_MINUTES },
+    { by: "email", limit: 10, windowSeconds: FIFTEEN_MINUTES },
+]);
+const resendVerificationLimit = rateLimit("resend-verification", [
+    { by: "ip", limit: 10, windowSeconds: ONE_HOUR },
+]);
+const forgotPasswordLimit = rateLimit("forgot-password", [
+    { by: "ip", limit: 10, windowSeconds: ONE_HOUR },
+    { by: "email", limit: 5, windowSeconds: ONE_HOUR },
+]);
+const resetPasswordLimit = rateLimit("reset-password", [
+    { by: "ip", limit: 20, windowSeconds: FIFTEEN_MINUTES },
+    { by: "email", limit: 10, windowSeconds: FIFTEEN_MINUTES },
+]);
+const accountChangeLimit = rateLimit("account-change", [
+    { by: "user", limit: 10, windowSeconds: FIFTEEN_MINUTES },
+]);
+
+// Đăng nhập xong (đủ các bước): tạo phiên mới (access token ngắn hạn + refresh token) kèm thông tin user
+const loginResponse = async (user, req) => {
+    await clearFailedLogins(user, req);
+    return {
+        ...(await createSession(user, req)),
+        user:{
+            id: user._id,
+            username: user.username,
+            email: user.email,
+            profileImage: user.profileImage,
+            role: user.role,
+            isEmailVerified: user.isEmailVerified,
+            twoFactorEnabled: user.twoFactorEnabled,
+        },
+    };
+};
+
+// User của token tạm giữa các bước đăng nhập (kèm các field 2FA), null nếu token không hợp lệ
+const userFromTwoFactorToken = (twoFactorToken, purpose) => {
+    const userId = typeof twoFactorToken === "string" && verifyTwoFactorToken(twoFactorToken, purpose);
+    return userId ? User.findById(userId).select(TWO_FACTOR_FIELDS) : null;
 };
 
-router.post("/register", async (req,res) => {
+router.post("/register", registerLimit, async (req,res) => {
     try{
         const {email,username,password}=req.body;
         if(!username || !email || !password){
@@ -47,9 +139,12 @@ router.post("/register", async (req,res) => {
             username,
             password,
             profileImage,
-            role: "user" // mặc định
+            role: "user", // mặc định
+            isEmailVerified: false,
         });
         await user.save();
+        // Gửi lỗi thì người dùng bấm gửi lại ở màn hình xác minh
+        const verificationEmailSent = await sendVerificationEmail(user);
         
         // THÊM ĐOẠN NÀY - Emit to admin clients khi có user mới đăng ký -> fix một chút 
         if (req.emitToAdmins) {
@@ -71,7 +166,10 @@ router.post("/register", async (req,res) => {
                 username: user.username,
                 email: user.email,
                 profileImage: user.profileImage,
-            }
+                isEmailVerified: user.isEmailVerified,
+            },
+            verificationEmailSent,
+            resendAfter: resendCooldownSeconds(user.emailVerificationSendCount),
         });
     }
     catch (error){
@@ -80,7 +178,7 @@ router.post("/register", async (req,res) => {
     }
 });
 
-router.post("/login", async (req,res) => {
+router.post("/login", loginLimit, async (req,res) => {
     try{
         const {email,password}= req.body;
         if(!email || !password) return res.status(400).json({message:"All fields are required"});
@@ -89,8 +187,16 @@ router.post("/login", async (req,res) => {
         const user = await User.findOne({email});
         if(!user) return res.status(400).json({message:"User does not exist"});
 
+        // Đang bị khóa vì sai nhiều lần: không kiểm tra mật khẩu
+        const lockedSeconds = await lockoutWaitSeconds(user, req);
+        if (lockedSeconds > 0) return sendAccountLocked(res, lockedSeconds);
+
         const isPasswordCorrect = await user.comparePassword(password); 
-        if(!isPasswordCorrect) return res.status(400).json({message: "invalid credentials"});
+        if(!isPasswordCorrect) {
+            const lockSeconds = await recordFailedLogin(user, req);
+            if (lockSeconds > 0) return sendAccountLocked(res, lockSeconds);
+            return res.status(400).json({message: "invalid credentials"});
+        }
         if (user.isSuspended && user.suspensionEndDate && user.suspensionEndDate <= new Date()) {
             await user.checkAndLiftSuspension();
         }
@@ -111,18 +217,22 @@ router.post("/login", async (req,res) => {
                 });
             }
         }
-        const token = generateToken(user._id);
-        res.status(200).json({
-            token,
-            user:{
-                id: user._id,
-                username: user.username,
-                email: user.email,
-                profileImage: user.profileImage,
-                password: user.password, // Note: Avoid sending password in response
-                role: user.role
-            },
-        });
+        // Đã bật 2FA: còn bước nhập mã (POST /login/2fa)
+        if (user.twoFactorEnabled) {
+            return res.status(200).json({
+                twoFactorRequired: true,
+                twoFactorToken: signTwoFactorToken(user, "2fa"),
+            });
+        }
+        // Admin chưa bật 2FA: phải đăng ký xong mới đăng nhập được (POST /login/2fa/setup, /login/2fa/enable)
+        if (isTwoFactorRequired(user)) {
+            return res.status(200).json({
+                twoFactorSetupRequired: true,
+                twoFactorToken: signTwoFactorToken(user, "2fa-setup"),
+            });
+        }
+
+        res.status(200).json(await loginResponse(user, req));
     }
     catch(error){
         console.log("error in login route", error);
@@ -130,7 +240,421 @@ router.post("/login", async (req,res) => {
     }
 });
 
-router.post("/forgot-password", async (req, res) => {
+// Bước thứ hai khi đăng nhập: { twoFactorToken, code } hoặc { twoFactorToken, recoveryCode }
+router.post("/login/2fa", twoFactorLoginLimit, async (req, res) => {
+    try {
+        const { twoFactorToken, code, recoveryCode } = req.body;
+        const user = await userFromTwoFactorToken(twoFactorToken, "2fa");
+        if (!user) {
+            return res.status(401).json({ message: "Login session has expired, please log in again" });
+        }
+        if (!code && !recoveryCode) {
+            return res.status(400).json({ message: "Authentication code is required" });
+        }
+        // Sai mã 2FA tính chung bộ đếm khóa với sai mật khẩu
+        const lockedSeconds = await lockoutWaitSeconds(user, req);
+        if (lockedSeconds > 0) return sendAccountLocked(res, lockedSeconds);
+        if (!(await verifySecondFactor(user, { code, recoveryCode }))) {
+            const lockSeconds = await recordFailedLogin(user, req);
+            if (lockSeconds > 0) return sendAccountLocked(res, lockSeconds);
+            return res.status(400).json({ message: "Invalid authentication code" });
+        }
+        res.status(200).json(await loginResponse(user, req));
+    } catch (error) {
+        console.error("Error verifying two-factor login:", error);
+        res.status(500).json({ message: "Internal server error" });
+    }
+});
+
+// Admin chưa bật 2FA đăng ký ngay trong lúc đăng nhập: lấy secret / mã QR
+router.post("/login/2fa/setup", twoFactorLoginLimit, async (req, res) => {
+    try {
+        const user = await userFromTwoFactorToken(req.body.twoFactorToken, "2fa-setup");
+        if (!user) {
+            return res.status(401).json({ message: "Login session has expired, please log in again" });
+        }
+        res.status(200).json(await startTwoFactorSetup(user));
+    } catch (error) {
+        console.error("Error starting two-factor setup:", error);
+        res.status(500).json({ message: "Internal server error" });
+    }
+});
+
+// ...rồi nhập mã đầu tiên để bật 2FA - trả về recovery code và đăng nhập luôn
+router.post("/login/2fa/enable", twoFactorLoginLimit, async (req, res) => {
+    try {
+        const user = await userFromTwoFactorToken(req.body.twoFactorToken, "2fa-setup");
+        if (!user) {
+            return res.status(401).json({ message: "Login session has expired, please log in again" });
+        }
+        const result = await enableTwoFactor(user, req.body.code);
+        if (result.error) {
+            return res.status(400).json({ message: result.error });
+        }
+        res.status(200).json({
+            ...(await loginResponse(user, req)),
+            recoveryCodes: result.recoveryCodes,
+        });
+    } catch (error) {
+        console.error("Error enabling two-factor login:", error);
+        res.status(500).json({ message: "Internal server error" });
+    }
+});
+
+// Trạng thái 2FA của tài khoản đang đăng nhập
+router.get("/2fa", protectRoute, async (req, res) => {
+    try {
+        const user = await User.findById(req.user._id).select(TWO_FACTOR_FIELDS);
+        res.status(200).json({
+            enabled: user.twoFactorEnabled,
+            required: isTwoFactorRequired(user),
+            recoveryCodesRemaining: user.twoFactorEnabled ? user.twoFactorRecoveryCodes.length : 0,
+        });
+    } catch (error) {
+        console.error("Error fetching two-factor status:", error);
+        res.status(500).json({ message: "Internal server error" });
+    }
+});
+
+// Bật 2FA (tùy chọn với user thường): bước 1 lấy secret / mã QR
+router.post("/2fa/setup", protectRoute, async (req, res) => {
+    try {
+        const user = await User.findById(req.user._id).select(TWO_FACTOR_FIELDS);
+        if (user.twoFactorEnabled) {
+            return res.status(400).json({ message: "Two-factor authentication is already enabled" });
+        }
+        res.status(200).json(await startTwoFactorSetup(user));
+    } catch (error) {
+        console.error("Error starting two-factor setup:", error);
+        res.status(500).json({ message: "Internal server error" });
+    }
+});
+
+// Bước 2: nhập mã từ app xác thực - trả về recovery code (chỉ hiện một lần)
+router.post("/2fa/enable", protectRoute, twoFactorManageLimit, async (req, res) => {
+    try {
+        const user = await User.findById(req.user._id).select(TWO_FACTOR_FIELDS);
+        if (user.twoFactorEnabled) {
+            return res.status(400).json({ message: "Two-factor authentication is already enabled" });
+        }
+        const result = await enableTwoFactor(user, req.body.code);
+        if (result.error) {
+            return res.status(400).json({ message: result.error });
+        }
+        res.status(200).json({ recoveryCodes: result.recoveryCodes });
+    } catch (error) {
+        console.error("Error enabling two-factor authentication:", error);
+        res.status(500).json({ message: "Internal server error" });
+    }
+});
+
+// Tắt 2FA: cần mật khẩu và mã 2FA (hoặc recovery code). Admin không được tắt.
+router.post("/2fa/disable", protectRoute, twoFactorManageLimit, async (req, res) => {
+    try {
+        const { password, code, recoveryCode } = req.body;
+        const user = await User.findById(req.user._id).select(TWO_FACTOR_FIELDS);
+        if (isTwoFactorRequired(user)) {
+            return res.status(403).json({ message: "Two-factor authentication is required for admin accounts" });
+        }
+        if (!user.twoFactorEnabled) {
+            return res.status(400).json({ message: "Two-factor authentication is not enabled" });
+        }
+        if (!password || !(await user.comparePassword(password))) {
+            return res.status(400).json({ message: "Incorrect password" });
+        }
+        if (!(await verifySecondFactor(user, { code, recoveryCode }))) {
+            return res.status(400).json({ message: "Invalid authentication code" });
+        }
+        await disableTwoFactor(user);
+        res.status(200).json({ message: "Two-factor authentication disabled" });
+    } catch (error) {
+        console.error("Error disabling two-factor authentication:", error);
+        res.status(500).json({ message: "Internal server error" });
+    }
+});
+
+// Tạo bộ recovery code mới (bộ cũ hết hiệu lực) - cần mã 2FA hiện tại
+router.post("/2fa/recovery-codes", protectRoute, twoFactorManageLimit, async (req, res) => {
+    try {
+        const user = await User.findById(req.user._id).select(TWO_FACTOR_FIELDS);
+        if (!user.twoFactorEnabled) {
+            return res.status(400).json({ message: "Two-factor authentication is not enabled" });
+        }
+        if (!(await verifySecondFactor(user, { code: req.body.code }))) {
+            return res.status(400).json({ message: "Invalid authentication code" });
+        }
+        res.status(200).json({ recoveryCodes: await regenerateRecoveryCodes(user) });
+    } catch (error) {
+        console.error("Error regenerating recovery codes:", error);
+        res.status(500).json({ message: "Internal server error" });
+    }
+});
+
+// Xác minh email bằng mã 6 số gửi lúc đăng ký (không cần đăng nhập)
+router.post("/verify-email", verifyEmailLimit, async (req, res) => {
+    try {
+        const { email, code } = req.body;
+        if (!email || !code) {
+            return res.status(400).json({ message: "Email and verification code are required" });
+        }
+
+        // Email không tồn tại / đã xác minh trả về giống mã sai để không lộ email nào đã đăng ký
+        const user = await User.findOne({ email }).select(EMAIL_VERIFICATION_FIELDS);
+        if (!user || user.isEmailVerified || !isValidVerificationCode(user, code)) {
+            if (user?.emailVerificationCode) {
+                const attemptsRemaining = await recordFailedCodeAttempt(user, {
+                    attemptsField: "emailVerificationAttempts",
+                    codeFields: ["emailVerificationCode", "emailVerificationExpires"],
+                });
+                if (attemptsRemaining === 0) {
+                    return res.status(400).json({
+                        message: "Too many incorrect attempts. Please request a new code.",
+                        code: "CODE_ATTEMPTS_EXCEEDED",
+                    });
+                }
+            }
+            return res.status(400).json({ message: "Invalid or expired verification code" });
+        }
+
+        await markEmailVerified(user);
+        res.status(200).json({ message: "Email verified successfully" });
+    } catch (error) {
+        console.error("Error verifying email:", error);
+        res.status(500).json({ message: "Internal server error" });
+    }
+});
+
+// Gửi lại mã xác minh - phải chờ hết thời gian chờ, thời gian chờ tăng dần sau mỗi lần gửi.
+// Email không tồn tại / đã xác minh cũng trả về như gửi thành công để không lộ email nào đã đăng ký.
+router.post("/resend-verification", resendVerificationLimit, async (req, res) => {
+    try {
+        const { email } = req.body;
+        if (!email) {
+            return res.status(400).json({ message: "Email is required" });
+        }
+
+        const user = await User.findOne({ email }).select(EMAIL_VERIFICATION_FIELDS);
+        if (!user || user.isEmailVerified) {
+            return res.status(200).json({
+                message: "If your account needs verification, a new code has been sent.",
+                resendAfter: resendCooldownSeconds(1),
+            });
+        }
+
+        const waitSeconds = resendWaitSeconds(user);
+        if (waitSeconds > 0) {
+            res.set("Retry-After", String(waitSeconds));
+            return res.status(429).json({
+                message: `Please wait ${waitSeconds} seconds before requesting a new code`,
+                resendAfter: waitSeconds,
+            });
+        }
+
+        const emailSent = await sendVerificationEmail(user);
+        if (!emailSent) {
+            return res.status(500).json({ message: "Could not send verification email. Please try again." });
+        }
+        res.status(200).json({
+            message: "If your account needs verification, a new code has been sent.",
+            resendAfter: resendCooldownSeconds(user.emailVerificationSendCount),
+        });
+    } catch (error) {
+        console.error("Error resending verification email:", error);
+        res.status(500).json({ message: "Internal server error" });
+    }
+});
+
+// Đổi refresh token lấy access token mới - refresh token cũ hết hiệu lực, client phải lưu cái mới
+router.post("/refresh", async (req, res) => {
+    try {
+        const { refreshToken } = req.body;
+        if (typeof refreshToken !== "string" || !refreshToken) {
+            return res.status(400).json({ message: "Refresh token is required" });
+        }
+        const result = await rotateSession(refreshToken);
+        if (result.error) {
+            return res.status(401).json({ message: result.error });
+        }
+        res.status(200).json(result.tokens);
+    } catch (error) {
+        console.error("Error refreshing token:", error);
+        res.status(500).json({ message: "Internal server error" });
+    }
+});
+
+// Đăng xuất thiết bị hiện tại
+router.post("/logout", protectRoute, async (req, res) => {
+    try {
+        await revokeSession(req.authSession._id, req.user._id);
+        res.status(200).json({ message: "Logged out" });
+    } catch (error) {
+        console.error("Error logging out:", error);
+        res.status(500).json({ message: "Internal server error" });
+    }
+});
+
+// Đăng xuất khỏi tất cả thiết bị (kể cả thiết bị hiện tại)
+router.post("/logout-all", protectRoute, async (req, res) => {
+    try {
+        const revokedCount = await revokeUserSessions(req.user._id);
+        res.status(200).json({ message: "Logged out from all devices", revokedCount });
+    } catch (error) {
+        console.error("Error logging out from all devices:", error);
+        res.status(500).json({ message: "Internal server error" });
+    }
+});
+
+// Các thiết bị đang đăng nhập, `current` = phiên của request này
+router.get("/sessions", protectRoute, async (req, res) => {
+    try {
+        const sessions = await listActiveSessions(req.user._id);
+        res.status(200).json({
+            sessions: sessions.map((session) => ({
+                _id: session._id,
+                deviceName: session.deviceName,
+                ip: session.ip,
+                createdAt: session.toJSON().createdAt,
+                lastUsedAt: session.lastUsedAt,
+                current: session._id.equals(req.authSession._id),
+            })),
+        });
+    } catch (error) {
+        console.error("Error fetching sessions:", error);
+        res.status(500).json({ message: "Internal server error" });
+    }
+});
+
+// Thu hồi một phiên (đăng xuất thiết bị đó)
+router.delete("/sessions/:sessionId", protectRoute, async (req, res) => {
+    try {
+        const { sessionId } = req.params;
+        if (!mongoose.Types.ObjectId.isValid(sessionId)) {
+            return res.status(400).json({ message: "Invalid session ID format" });
+        }
+        const revoked = await revokeSession(sessionId, req.user._id);
+        if (!revoked) {
+            return res.status(404).json({ message: "Session not found" });
+        }
+        res.status(200).json({ message: "Session revoked" });
+    } catch (error) {
+        console.error("Error revoking session:", error);
+        res.status(500).json({ message: "Internal server error" });
+    }
+});
+
+// Đổi mật khẩu khi đang đăng nhập: phải đúng mật khẩu hiện tại, các thiết bị khác bị đăng xuất
+router.post("/change-password", protectRoute, accountChangeLimit, async (req, res) => {
+    try {
+        const { currentPassword, newPassword } = req.body;
+        if (!currentPassword || !newPassword) {
+            return res.status(400).json({ message: "Current password and new password are required." });
+        }
+        if (typeof newPassword !== "string" || newPassword.length < 6) {
+            return res.status(400).json({ message: "New password must be at least 6 characters long." });
+        }
+
+        const user = await User.findById(req.user._id);
+        if (!(await user.comparePassword(String(currentPassword)))) {
+            return res.status(400).json({ message: "Incorrect current password." });
+        }
+        if (await user.comparePassword(newPassword)) {
+            return res.status(400).json({ message: "New password must be different from the current password." });
+        }
+
+        user.password = newPassword;
+        await user.save();
+        // Giữ phiên đang dùng, các thiết bị khác phải đăng nhập lại
+        await revokeUserSessions(user._id, { exceptSessionId: req.authSession._id });
+        await sendEmail({
+            email: user.email,
+            subject: 'Mật khẩu đã được thay đổi',
+            message: `Mật khẩu cho tài khoản ${user.email} của bạn vừa được thay đổi thành công. Các thiết bị khác đã bị đăng xuất.`,
+        });
+
+        res.status(200).json({ message: "Password changed successfully" });
+    } catch (error) {
+        console.error("Error changing password:", error);
+        res.status(500).json({ message: "Internal server error" });
+    }
+});
+
+// Đổi email bước 1: kiểm tra mật khẩu, gửi mã tới email mới. Email chỉ đổi khi xác nhận mã (bước 2).
+router.post("/change-email", protectRoute, accountChangeLimit, async (req, res) => {
+    try {
+        const { newEmail, password } = req.body;
+        if (!newEmail || !password) {
+            return res.status(400).json({ message: "New email and password are required." });
+        }
+        const email = String(newEmail).trim();
+        const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+        if (!emailRegex.test(email)) {
+            return res.status(400).json({ message: "Invalid email format" });
+        }
+
+        const user = await User.findById(req.user._id);
+        if (!(await user.comparePassword(String(password)))) {
+            return res.status(400).json({ message: "Incorrect password." });
+        }
+        if (email === user.email) {
+            return res.status(400).json({ message: "This is already your email." });
+        }
+        if (await User.exists({ email })) {
+            return res.status(400).json({ message: "email already exists" });
+        }
+
+        const emailSent = await sendEmailChangeCode(user, email);
+        if (!emailSent) {
+            return res.status(500).json({ message: "Could not send confirmation email. Please try again." });
+        }
+        res.status(200).json({ message: "A confirmation code has been sent to your new email.", pendingEmail: email });
+    } catch (error) {
+        console.error("Error requesting email change:", error);
+        res.status(500).json({ message: "Internal server error" });
+    }
+});
+
+// Đổi email bước 2: nhập mã gửi tới email mới, đổi xong báo cho email cũ
+router.post("/change-email/confirm", protectRoute, accountChangeLimit, async (req, res) => {
+    try {
+        const { code } = req.body;
+        if (!code) {
+            return res.status(400).json({ message: "Confirmation code is required." });
+        }
+
+        const user = await User.findById(req.user._id).select(EMAIL_CHANGE_FIELDS);
+        if (!isValidEmailChangeCode(user, code)) {
+            if (user.pendingEmailCode) {
+                const attemptsRemaining = await recordFailedCodeAttempt(user, {
+                    attemptsField: "pendingEmailAttempts",
+                    codeFields: ["pendingEmail", "pendingEmailCode", "pendingEmailExpires"],
+                });
+                if (attemptsRemaining === 0) {
+                    return res.status(400).json({
+                        message: "Too many incorrect attempts. Please request a new code.",
+                        code: "CODE_ATTEMPTS_EXCEEDED",
+                    });
+                }
+                return res.status(400).json({ message: "Invalid or expired confirmation code", attemptsRemaining });
+            }
+            return res.status(400).json({ message: "Invalid or expired confirmation code" });
+        }
+        // Email mới có thể đã bị tài khoản khác đăng ký trong lúc chờ xác nhận
+        if (await User.exists({ email: user.pendingEmail, _id: { $ne: user._id } })) {
+            return res.status(400).json({ message: "email already exists" });
+        }
+
+        await applyEmailChange(user);
+        res.status(200).json({ message: "Email changed successfully", email: user.email });
+    } catch (error) {
+        if (error.code === 11000) {
+            return res.status(400).json({ message: "email already exists" });
+        }
+        console.error("Error confirming email change:", error);
+        res.status(500).json({ message: "Internal server error" });
+    }
+});
+
+router.post("/forgot-password", forgotPasswordLimit, async (req, res) => {
     const { email } = req.body;
     
     if (!email) {
@@ -174,7 +698,7 @@ router.post("/forgot-password", async (req, res) => {
     }
 });
 
-router.post("/reset-password", async (req, res) => {
+router.post("/reset-password", resetPasswordLimit, async (req, res) => {
     const { email, code, newPassword } = req.body;
 
     if (!email || !code || !newPassword) {
@@ -191,7 +715,7 @@ router.post("/reset-password", async (req, res) => {
         const user = await User.findOne({
             email,
             resetPasswordExpires: { $gt: Date.now() }, //*$ gt la toan tu >= dc su dung trong Mongodb 
-        });
+        }).select("+resetPasswordToken");
 
         if (!user) {
             return res.status(400).json({ success: false, message: 'Email không tồn tại hoặc mã xác nhận đã hết hạn.' });
@@ -206,12 +730,33 @@ router.post("/reset-password", async (req, res) => {
             .digest('hex');
 
         if (user.resetPasswordToken !== hashedCode) {
-            return res.status(400).json({ success: false, message: 'Mã xác nhận không đúng.' });
+            // Sai quá nhiều lần thì hủy mã - không dò hết 6 số trong thời gian mã còn hạn được
+            const attemptsRemaining = await recordFailedCodeAttempt(user, {
+                attemptsField: "resetPasswordAttempts",
+                codeFields: ["resetPasswordToken", "resetPasswordExpires"],
+            });
+            if (attemptsRemaining === 0) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Bạn đã nhập sai mã quá nhiều lần. Vui lòng yêu cầu mã mới.',
+                    code: "CODE_ATTEMPTS_EXCEEDED",
+                });
+            }
+            return res.status(400).json({
+                success: false,
+                message: `Mã xác nhận không đúng. Bạn còn ${attemptsRemaining} lần thử.`,
+                attemptsRemaining,
+            });
         }
         user.password = newPassword;
         user.resetPasswordToken = undefined;
         user.resetPasswordExpires = undefined;
+        user.resetPasswordAttempts = 0;
         await user.save();
+        // Đặt lại mật khẩu qua email mở khóa đăng nhập (tài khoản có thể bị người khác cố tình làm khóa)
+        await clearFailedLogins(user);
+        // Mật khẩu đã đổi thì các thiết bị đang đăng nhập phải đăng nhập lại
+        await revokeUserSessions(user._id);
         const confirmationMessage = `Mật khẩu cho tài khoản ${user.email} của bạn vừa được thay đổi thành công.`;
         await sendEmail({
             email: user.email,
@@ -0,0 +1,29 @@
+import express from "express";
+import protectRoute from "../middleware/auth.middleware.js";
+import { formatRatingStat, getRatingStats } from "../lib/ratingHelper.js";
+import { foldVietnamese } from "../lib/textNormalize.js";
+
+const router = express.Router();
+
+// Điểm trung bình, phân bố số sao và số review của một tác giả (tên không phân biệt dấu / hoa thường)
+router.get("/:name/ratings", protectRoute, async (req, res) => {
+  try {
+    const name = req.params.name.trim();
+    if (!name) {
+      return res.status(400).json({ message: "Author name is required" });
+    }
+
+    const key = foldVietnamese(name);
+    const stats = await getRatingStats("author", [key]);
+
+    res.status(200).json({
+      author: name,
+      ...(stats[key] || formatRatingStat(null)),
+    });
+  } catch (error) {
+    console.error("Error fetching author rating stats:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+export default router;
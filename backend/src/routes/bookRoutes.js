@@ -1,31 +1,141 @@
 import express from "express";
-import cloudinary from "../lib/cloudinary.js";
-import Comment from "../models/comment.js";
+import Comment, { COMMENT_REACTION_TYPES } from "../models/comment.js";
 import Book from "../models/book.js";
 import Genre from "../models/genre.js";
+import Work from "../models/work.js";
+import Bookmark from "../models/bookmark.js";
+import { removeBooksFromLists } from "../lib/listHelper.js";
+import {
+  MAX_BOOK_IMAGES,
+  destroyBookImages,
+  getBookMedia,
+  isNewImage,
+  processBookImages,
+  storeBookImages,
+  validateBookImages,
+} from "../lib/bookImageHelper.js";
 import protectRoute from "../middleware/auth.middleware.js";
+import requireVerifiedEmail from "../middleware/verified.middleware.js";
 import mongoose from "mongoose"; // Import mongoose here
-import { createAndSendNotification } from "../lib/notificationHelper.js";
+import {
+  createAndSendNotification,
+  sendMentionNotifications,
+} from "../lib/notificationHelper.js";
+import { resolveMentions } from "../lib/mentionHelper.js";
+import {
+  MAX_COMMENT_DEPTH,
+  deleteCommentThread,
+} from "../lib/commentHelper.js";
+import {
+  getPaginationParams,
+  paginateResults,
+} from "../lib/pagination.js";
+import { buildBookSearchQuery } from "../lib/searchHelper.js";
+import { findOrCreateWork, workFieldsForBook } from "../lib/workHelper.js";
+import { checkChallengeCompletion } from "../lib/challengeHelper.js";
+import {
+  formatRatingStat,
+  getRatingStats,
+  ratingTargetsForBook,
+  recordReviewRating,
+  removeReviewRating,
+  updateReviewRating,
+} from "../lib/ratingHelper.js";
 
 const router = express.Router();
 
+// Feed trending chỉ xét sách đăng trong khoảng thời gian này
+const TRENDING_WINDOW_DAYS = 30;
+
+// Join thông tin user và bỏ các sách có user đã bị xóa - dùng chung cho các listing sách
+const userLookupStages = [
+  {
+    $lookup: {
+      from: "users",
+      localField: "user",
+      foreignField: "_id",
+      as: "user",
+    },
+  },
+  {
+    $match: {
+      "user.0": { $exists: true }, // Chỉ lấy books có user tồn tại
+    },
+  },
+];
+
+// Các field trả về cho card sách ở trang home / feed
+const bookCardProjection = {
+  $project: {
+    title: 1,
+    caption: 1,
+    captionMentions: 1,
+    image: 1,
+    // Bản nhỏ + blurhash của ảnh bìa để card tải nhanh; bài cũ không có thì client dùng `image`
+    imagePreview: {
+      $let: {
+        vars: { cover: { $arrayElemAt: ["$imageMedia", 0] } },
+        in: {
+          url: "$$cover.variants.feed.url",
+          width: "$$cover.variants.feed.width",
+          height: "$$cover.variants.feed.height",
+          blurhash: "$$cover.blurhash",
+        },
+      },
+    },
+    rating: 1,
+    like_count: 1,
+    dislike_count: 1,
+    likedBy: 1,
+    dislikedBy: 1,
+    createdAt: 1,
+    "user.username": 1,
+    "user.profileImage": 1,
+    "user._id": 1,
+  },
+};
+
 // Before async to send POST --> Call protectRoute to check Token.
-router.post("/", protectRoute, async (req, res) => {
+router.post("/", protectRoute, requireVerifiedEmail, async (req, res) => {
   try {
-    const { title, caption, rating, image, author, published_year, genre } =
-      req.body;
+    const {
+      title,
+      caption,
+      rating,
+      image,
+      author,
+      published_year,
+      genre,
+      workId,
+    } = req.body;
+    // images: mảng data URL theo thứ tự; client cũ chỉ gửi một `image`
+    const images = req.body.images ?? (image ? [image] : []);
+
+    // Chọn tác phẩm có sẵn (workId) thì title/author lấy từ Work, không cần gửi lại
+    let work = null;
+    if (workId) {
+      if (!mongoose.Types.ObjectId.isValid(workId)) {
+        return res.status(400).json({ message: "Invalid work ID format" });
+      }
+      work = await Work.findById(workId);
+      if (!work) {
+        return res.status(404).json({ message: "Work not found" });
+      }
+    }
 
-    if (!title || !caption || !rating || !image || !author || !genre) {
+    if (
+      !caption ||
+      !rating ||
+      images.length === 0 ||
+      (!work && (!title || !author)) ||
+      !(genre || work?.genre)
+    ) {
       return res.status(400).json({ message: "All fields are required" });
     }
-
-    // Upload image to Cloudinary
-    const uploadResponse = await cloudinary.uploader.upload(image, {
-      folder: "Book_Forum/Book_Review",
-    });
-
-    // Link Upload to Cloudinary
-    const imageUrl = uploadResponse.secure_url;
+    const imagesError = validateBookImages(images);
+    if (imagesError || !images.every(isNewImage)) {
+      return res.status(400).json({ message: imagesError || "Invalid image" });
+    }
 
     if (rating < 1 || rating > 5) {
       return res.status(400).json({ message: "Rating out of scope" });
@@ -53,20 +163,61 @@ router.post("/", protectRoute, async (req, res) => {
       return res.status(400).json({ message: "Invalid published year" });
     }
 
+    // Kiểm tra định dạng / dung lượng và resize ảnh trước khi tạo dữ liệu
+    const { error: processError, prepared } = await processBookImages(
+      images,
+      req.user._id
+    );
+    if (processError) {
+      return res.status(400).json({ message: processError });
+    }
+
+    // Chưa chọn Work thì tìm Work trùng tên + tác giả, không có thì tạo mới
+    if (!work) {
+      work = await findOrCreateWork(
+        { title, author, published_year, genre },
+        req.user._id
+      );
+    }
+
+    // Lưu ảnh sau khi đã kiểm tra xong dữ liệu, giữ đúng thứ tự
+    const { error: storeError, media: uploadedImages } = await storeBookImages(
+      prepared,
+      req.user._id
+    );
+    if (storeError) {
+      return res.status(400).json({ message: storeError });
+    }
+
     const newBook = new Book({
       title,
       caption,
+      captionMentions: await resolveMentions(caption),
       rating,
-      image: imageUrl,
+      image: uploadedImages[0].url,
+      imageMedia: uploadedImages,
       user: req.user._id, // Cần Token để xác định danh tính người gửi
       author,
       published_year: published_year || undefined, // Optional field
       genre,
       process: "pending", // Default o trang thai pending
       is_deleted: false, // Default khong xoa sach
+      ...workFieldsForBook(work),
     });
 
     await newBook.save(); //build function của  Mongoose - store data
+    await recordReviewRating(newBook);
+    await checkChallengeCompletion(req.io, req.user._id, newBook.createdAt);
+
+    await sendMentionNotifications(
+      req.io,
+      newBook.captionMentions,
+      req.user._id,
+      `${req.user.username} đã nhắc đến bạn trong bài viết về sách "${newBook.title}".`,
+      `/books/${newBook._id}`,
+      "Book",
+      newBook._id
+    );
 
     // Emit to admin clients khi có sách mới
     if (req.emitToAdmins) {
@@ -112,12 +263,19 @@ router.get("/genres", async (req, res) => {
   }
 });
 
+// Giới hạn khi đăng bài - app đọc để biết được chọn tối đa bao nhiêu ảnh
+router.get("/limits", (req, res) => {
+  res.status(200).json({ maxImages: MAX_BOOK_IMAGES });
+});
+
 // Pagination cho trang home - phân trang --> danh cho da la user
 router.get("/", async (req, res) => {
   try {
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 10;
-    const skip = (page - 1) * limit;
+    const pagination = getPaginationParams(req.query, { defaultLimit: 10 });
+    if (pagination.error) {
+      return res.status(400).json({ message: pagination.error });
+    }
+    const { page, limit, skip, cursorFilter } = pagination;
 
     // Add filter for user if provided
     const matchFilter = req.query.user
@@ -125,61 +283,27 @@ router.get("/", async (req, res) => {
       : {};
 
     // Sử dụng aggregate để loại bỏ books có user null
-    const books = await Book.aggregate([
-      { $match: matchFilter },
-      {
-        $lookup: {
-          from: "users",
-          localField: "user",
-          foreignField: "_id",
-          as: "user",
-        },
-      },
-      {
-        $match: {
-          "user.0": { $exists: true }, // Chỉ lấy books có user tồn tại
-        },
-      },
+    // Lấy dư 1 phần tử để biết còn trang sau hay không
+    const results = await Book.aggregate([
+      { $match: { $and: [matchFilter, cursorFilter] } },
+      ...userLookupStages,
       {
         $unwind: "$user",
       },
-      {
-        $project: {
-          title: 1,
-          caption: 1,
-          image: 1,
-          rating: 1,
-          like_count: 1,
-          dislike_count: 1,
-          likedBy: 1,
-          dislikedBy: 1,
-          createdAt: 1,
-          "user.username": 1,
-          "user.profileImage": 1,
-          "user._id": 1,
-        },
-      },
-      { $sort: { createdAt: -1 } },
+      bookCardProjection,
+      { $sort: { createdAt: -1, _id: -1 } },
       { $skip: skip },
-      { $limit: limit },
+      { $limit: limit + 1 },
     ]);
+    const { items: books, hasMore, nextCursor } = paginateResults(
+      results,
+      limit
+    );
 
     // Đếm tổng số books hợp lệ
     const totalBooksResult = await Book.aggregate([
       { $match: matchFilter },
-      {
-        $lookup: {
-          from: "users",
-          localField: "user",
-          foreignField: "_id",
-          as: "user",
-        },
-      },
-      {
-        $match: {
-          "user.0": { $exists: true },
-        },
-      },
+      ...userLookupStages,
       { $count: "total" },
     ]);
 
@@ -190,6 +314,8 @@ router.get("/", async (req, res) => {
       currentPage: page,
       totalBooks,
       totalPages: Math.ceil(totalBooks / limit),
+      nextCursor,
+      hasMore,
     });
   } catch (error) {
     console.error(error);
@@ -197,6 +323,66 @@ router.get("/", async (req, res) => {
   }
 });
 
+// Feed cá nhân: sách của những người mình follow (kèm sách của chính mình), mới nhất trước.
+// Phân trang bằng cursor để sách mới đăng không làm lệch trang. Chưa follow ai thì trả về sách trending.
+router.get("/feed", protectRoute, async (req, res) => {
+  try {
+    const following = req.user.following || [];
+    const source = following.length > 0 ? "following" : "trending";
+    // Trending sort theo like_count trước nên cursor cần mang thêm like_count
+    const scoreField = source === "trending" ? "like_count" : undefined;
+
+    const pagination = getPaginationParams(
+      { cursor: req.query.cursor, limit: Math.min(parseInt(req.query.limit) || 10, 50) },
+      { scoreField }
+    );
+    if (pagination.error) {
+      return res.status(400).json({ message: pagination.error });
+    }
+    const { limit, cursorFilter } = pagination;
+
+    let matchFilter;
+    let sortStage;
+    if (source === "following") {
+      matchFilter = { user: { $in: [...following, req.user._id] } };
+      sortStage = { createdAt: -1, _id: -1 };
+    } else {
+      const since = new Date();
+      since.setDate(since.getDate() - TRENDING_WINDOW_DAYS);
+      matchFilter = { createdAt: { $gte: since } };
+      sortStage = { like_count: -1, createdAt: -1, _id: -1 };
+    }
+
+    // Lấy dư 1 phần tử để biết còn trang sau hay không
+    const results = await Book.aggregate([
+      { $match: { $and: [matchFilter, cursorFilter] } },
+      ...userLookupStages,
+      {
+        $unwind: "$user",
+      },
+      bookCardProjection,
+      { $sort: sortStage },
+      { $limit: limit + 1 },
+    ]);
+
+    const { items: books, hasMore, nextCursor } = paginateResults(
+      results,
+      limit,
+      scoreField
+    );
+
+    res.json({
+      books,
+      source,
+      nextCursor,
+      hasMore,
+    });
+  } catch (error) {
+    console.error("Get feed error:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+});
+
 // Tính năng Get hết review sách của User đó - và hiển thị lên profile (giống hiển thị bài đăng)
 router.get("/user", protectRoute, async (req, res) => {
   try {
@@ -213,8 +399,16 @@ router.get("/user", protectRoute, async (req, res) => {
 // Update (về bản chất - Put update toàn bộ, Patch update 1 phần)
 router.patch("/:id", protectRoute, async (req, res) => {
   try {
-    const { title, caption, rating, image, author, published_year, genre } =
-      req.body;
+    const {
+      title,
+      caption,
+      rating,
+      image,
+      author,
+      published_year,
+      genre,
+      workId,
+    } = req.body;
 
     const book = await Book.findById(req.params.id);
     if (!book) return res.status(404).json({ message: "Book not found" });
@@ -224,45 +418,119 @@ router.patch("/:id", protectRoute, async (req, res) => {
       return res.status(401).json({ message: "Unauthorized" });
     }
 
+    // Giá trị cũ để cập nhật lại thống kê rating sau khi sửa
+    const previousRating = {
+      work: book.work,
+      title: book.title,
+      author: book.author,
+      rating: book.rating,
+    };
+
+    // Mention cũ - chỉ thông báo cho người mới được nhắc tới khi sửa caption
+    const previousMentionIds = book.captionMentions.map((mention) =>
+      mention.user.toString()
+    );
+
     // Cập nhật các thông tin văn bản
     if (title !== undefined) book.title = title;
-    if (caption !== undefined) book.caption = caption;
+    if (caption !== undefined) {
+      book.caption = caption;
+      book.captionMentions = await resolveMentions(caption);
+    }
     if (rating !== undefined) book.rating = rating;
     if (author !== undefined) book.author = author;
     if (published_year !== undefined) book.published_year = published_year;
     if (genre !== undefined) book.genre = genre;
 
-    // Nếu có hình ảnh mới, xử lý xóa hình ảnh cũ và upload hình mới
-    if (image !== undefined) {
-      // Xóa ảnh cũ nếu có
-      if (book.image && book.image.includes("cloudinary")) {
-        try {
-          const parts = book.image.split("/");
-          const oldPublicId = parts
-            .slice(parts.indexOf("upload") + 2)
-            .join("/")
-            .split(".")[0];
-          await cloudinary.uploader.destroy(oldPublicId);
-          console.log("Đã xóa ảnh cũ: ", oldPublicId);
-        } catch (deleteError) {
-          console.log("Lỗi xóa ảnh cũ:", deleteError);
-          // Tiếp tục xử lý dù có lỗi khi xóa ảnh cũ
-        }
+    // Đổi sang Work khác, hoặc sửa tên sách / tác giả thì liên kết lại Work tương ứng
+    if (workId) {
+      if (!mongoose.Types.ObjectId.isValid(workId)) {
+        return res.status(400).json({ message: "Invalid work ID format" });
+      }
+      const work = await Work.findById(workId);
+      if (!work) {
+        return res.status(404).json({ message: "Work not found" });
       }
+      Object.assign(book, workFieldsForBook(work));
+    } else if (book.isModified("title") || book.isModified("author")) {
+      const work = await findOrCreateWork(
+        {
+          title: book.title,
+          author: book.author,
+          published_year: book.published_year,
+          genre: book.genre,
+        },
+        req.user._id
+      );
+      Object.assign(book, workFieldsForBook(work));
+    }
 
-      // Tạo tên ảnh duy nhất với timestamp và ID sách
-      const uniqueFilename = `${book._id}_${Date.now()}`;
+    // images: thứ tự mới của ảnh, gồm URL ảnh đang có và data URL ảnh mới.
+    // Client cũ chỉ gửi `image` thì thay toàn bộ ảnh bằng ảnh đó.
+    const nextImages = req.body.images ?? (image !== undefined ? [image] : undefined);
+    let removedImages = [];
+    if (nextImages !== undefined) {
+      const imagesError = validateBookImages(nextImages);
+      if (imagesError) {
+        return res.status(400).json({ message: imagesError });
+      }
+      const currentMedia = getBookMedia(book);
+      if (
+        nextImages.some(
+          (img) =>
+            !isNewImage(img) &&
+            !currentMedia.some((media) => media.url === img)
+        )
+      ) {
+        return res.status(400).json({ message: "Invalid image" });
+      }
 
-      // Upload ảnh mới với tên duy nhất
-      const uploadResponse = await cloudinary.uploader.upload(image, {
-        folder: "Book_Forum/Book_Review",
-        public_id: uniqueFilename, // Đặt tên duy nhất cho ảnh
-      });
+      const { error: processError, prepared } = await processBookImages(
+        nextImages,
+        req.user._id
+      );
+      if (processError) {
+        return res.status(400).json({ message: processError });
+      }
 
-      book.image = uploadResponse.secure_url;
+      // Ảnh base64 mới đặt tên duy nhất theo ID sách + timestamp
+      const { error: storeError, media: storedMedia } = await storeBookImages(
+        prepared,
+        req.user._id,
+        (index) => `${book._id}_${Date.now()}_${index}`
+      );
+      if (storeError) {
+        return res.status(400).json({ message: storeError });
+      }
+      const nextMedia = nextImages.map(
+        (img, index) =>
+          storedMedia[index] ||
+          currentMedia.find((media) => media.url === img)
+      );
+      removedImages = currentMedia.filter(
+        (media) => !nextMedia.some((next) => next.url === media.url)
+      );
+      book.imageMedia = nextMedia;
     }
 
     await book.save();
+    await updateReviewRating(previousRating, book);
+    // Chỉ xóa ảnh cũ sau khi đã lưu thứ tự ảnh mới
+    await destroyBookImages(removedImages);
+
+    if (caption !== undefined) {
+      await sendMentionNotifications(
+        req.io,
+        book.captionMentions,
+        req.user._id,
+        `${req.user.username} đã nhắc đến bạn trong bài viết về sách "${book.title}".`,
+        `/books/${book._id}`,
+        "Book",
+        book._id,
+        previousMentionIds
+      );
+    }
+
     res
       .status(200)
       .json({ message: "Book updated successfully", updatedBook: book });
@@ -286,51 +554,26 @@ router.delete("/:id", protectRoute, async (req, res) => {
       return res.status(401).json({ message: "Unauthorized" });
     }
 
-    // "https://res.cloudinary.com/de1rm4uto/image/upload/v1741568358/Book_Forum/Book_Review/your_image_unique_id.png"
-    const parts = book.image.split("/"); // cắt ra thành các phần từ dấu "/"
-
-    const publicIdWithVersionAndExtension = parts
-      .slice(parts.indexOf("upload") + 2)
-      .join("/"); //bắt đầu đi từ index "upload" trong đoạn parts, và bỏ 2 phần tử đầu là upload và id và nối lại các phần còn lại
-    console.log(
-      "Public ID with version and extension:",
-      publicIdWithVersionAndExtension
-    );
-    // Và join laị sẽ được: "Book_Forum/Book_Review/your_image_unique_id.png"
-
-    const publicId = publicIdWithVersionAndExtension.split(".")[0];
-    // Tách ra sẽ được "Book_Forum/Book_Review/your_image_unique_id"
-
-    console.log("Extracted Public ID for Cloudinary deletion:", publicId);
-
-    await cloudinary.uploader.destroy(publicId);
-    console.log("Image deleted from Cloudinary successfully.");
+    // Xóa toàn bộ ảnh của bài khỏi storage
+    await destroyBookImages(getBookMedia(book));
 
     await Comment.deleteMany({ book: req.params.id });
+    await Bookmark.deleteMany({ book: req.params.id });
+    await removeBooksFromLists([book._id]);
     // Nếu đó là user đã review sách -> thực hiện xóa trên MongoDB
     await book.deleteOne();
+    await removeReviewRating(book);
     res.json({ message: "Book deleted successfully" });
-
-    // ví dụ đường dẫn ảnh https://res.cloudinary.com/de1rm4uto/image/upload/v1741568358/qyup61vejflxxw8igvi0.png
-    // Delete ảnh của Cloudinary
-    // if (book.image && book.image.includes("cloudinary") ) {
-    //     try {
-    //         const publicId = book.image.split("/").pop().split(".")[0]; //tách đường link lấy qyup61vejflxxw8igvi0.png --> và lấy vị trí [0] tức lấy ảnh
-    //         await cloudinary.ploader.destroy(publicId);
-    //     } catch (deleteError) {
-    //         console.log("Error deleting image from cloudinary", deleteError);
-    //     }
-    // }
   } catch (error) {
     console.error(error);
     res.status(500).json({ message: "Internal server error" });
   }
 });
 
-// Create comment for a book
-router.post("/:bookId/comments", protectRoute, async (req, res) => {
+// Create comment for a book - gửi kèm parentCommentId để trả lời một comment khác
+router.post("/:bookId/comments", protectRoute, requireVerifiedEmail, async (req, res) => {
   try {
-    const { text } = req.body;
+    const { text, parentCommentId } = req.body;
     const { bookId } = req.params;
     const io = req.io;
     const currentUser = req.user;
@@ -350,17 +593,57 @@ router.post("/:bookId/comments", protectRoute, async (req, res) => {
       return res.status(404).json({ message: "Book not found" });
     }
 
+    // Nếu là reply: kiểm tra comment được trả lời có thuộc sách này không
+    let repliedComment = null;
+    let parentComment = null;
+    if (parentCommentId) {
+      if (!mongoose.Types.ObjectId.isValid(parentCommentId)) {
+        return res
+          .status(400)
+          .json({ message: "Invalid parent comment ID format" });
+      }
+      repliedComment = await Comment.findById(parentCommentId);
+      if (!repliedComment) {
+        return res.status(404).json({ message: "Parent comment not found" });
+      }
+      if (repliedComment.book.toString() !== bookId) {
+        return res.status(400).json({
+          message: "Bad request: Parent comment does not belong to this book.",
+        });
+      }
+      // Thread đã đạt độ sâu tối đa -> gắn reply vào cùng comment cha
+      parentComment =
+        repliedComment.depth >= MAX_COMMENT_DEPTH &&
+        repliedComment.parentComment
+          ? await Comment.findById(repliedComment.parentComment)
+          : repliedComment;
+      if (!parentComment) {
+        return res.status(404).json({ message: "Parent comment not found" });
+      }
+    }
+
     const newComment = new Comment({
       text: text.trim(),
+      mentions: await resolveMentions(text.trim()),
       user: req.user._id,
       book: bookId,
+      parentComment: parentComment ? parentComment._id : null,
+      depth: parentComment ? parentComment.depth + 1 : 0,
     });
 
     await newComment.save();
 
+    if (parentComment) {
+      await Comment.updateOne(
+        { _id: parentComment._id },
+        { $inc: { replyCount: 1 } }
+      );
+    }
+
     // Populate user info before sending response
     await newComment.populate("user", "username profileImage _id");
     if (io) {
+      // parentComment + depth cho client biết vị trí của comment trong thread
       io.to(bookId.toString()).emit("newComment", newComment.toJSON());
       // Kiểm tra io có tồn tại không
       console.log(
@@ -371,11 +654,38 @@ router.post("/:bookId/comments", protectRoute, async (req, res) => {
         "Socket.io instance (req.io) not found. Cannot emit 'newComment'."
       );
     }
-    // Gửi newComment đã populate và transform
-    if (book.user.toString() !== currentUser._id.toString()) {
+    // Link đến comment cụ thể có thể phức tạp, tạm thời link đến sách
+    const notificationLink = `/books/${bookId}?commentId=${newComment._id}`; // Ví dụ link
+
+    // User đã nhận thông báo về comment này - không gửi thêm thông báo mention
+    const notifiedUserIds = [];
+
+    // Thông báo cho người viết comment được trả lời
+    const repliedAuthorId = repliedComment
+      ? repliedComment.user.toString()
+      : null;
+    if (repliedAuthorId && repliedAuthorId !== currentUser._id.toString()) {
+      notifiedUserIds.push(repliedAuthorId);
+      const replyMessage = `${currentUser.username} đã trả lời bình luận của bạn về sách "${book.title}".`;
+      await createAndSendNotification(
+        io,
+        repliedComment.user,
+        currentUser._id,
+        "new_reply",
+        replyMessage,
+        notificationLink,
+        "Comment",
+        newComment._id
+      );
+    }
+
+    // Gửi newComment đã populate và transform - chủ sách đã nhận new_reply thì không gửi thêm
+    if (
+      book.user.toString() !== currentUser._id.toString() &&
+      book.user.toString() !== repliedAuthorId
+    ) {
+      notifiedUserIds.push(book.user.toString());
       const notificationMessage = `${currentUser.username} đã bình luận về sách "${book.title}".`;
-      // Link đến comment cụ thể có thể phức tạp, tạm thời link đến sách
-      const notificationLink = `/books/${bookId}?commentId=${newComment._id}`; // Ví dụ link
       await createAndSendNotification(
         io,
         book.user, // Người nhận là chủ sở hữu sách
@@ -387,6 +697,17 @@ router.post("/:bookId/comments", protectRoute, async (req, res) => {
         newComment._id // relatedItemId là ID của comment mới
       );
     }
+
+    await sendMentionNotifications(
+      io,
+      newComment.mentions,
+      currentUser._id,
+      `${currentUser.username} đã nhắc đến bạn trong một bình luận về sách "${book.title}".`,
+      notificationLink,
+      "Comment",
+      newComment._id,
+      notifiedUserIds
+    );
     res.status(201).json(newComment.toJSON());
   } catch (error) {
     console.error("Create comment error:", error);
@@ -398,9 +719,15 @@ router.post("/:bookId/comments", protectRoute, async (req, res) => {
 router.get("/:bookId/comments", protectRoute, async (req, res) => {
   try {
     const { bookId } = req.params;
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 10;
-    const skip = (page - 1) * limit;
+    const isTopSort = req.query.sort === "top";
+    const pagination = getPaginationParams(req.query, {
+      defaultLimit: 10,
+      scoreField: isTopSort ? "reaction_count" : undefined,
+    });
+    if (pagination.error) {
+      return res.status(400).json({ message: pagination.error });
+    }
+    const { page, limit, skip, cursorFilter } = pagination;
 
     // Validate bookId
     if (!mongoose.Types.ObjectId.isValid(bookId)) {
@@ -413,17 +740,34 @@ router.get("/:bookId/comments", protectRoute, async (req, res) => {
       return res.status(404).json({ message: "Book not found" });
     }
 
-    const comments = await Comment.find({ book: bookId })
-      .sort({ createdAt: -1 })
+    // sort=top: comment nhiều reaction nhất lên đầu, mặc định mới nhất trước
+    const sortOption = isTopSort
+      ? { reaction_count: -1, createdAt: -1, _id: -1 }
+      : { createdAt: -1, _id: -1 };
+
+    // Chỉ lấy comment gốc, reply được tải riêng qua /comments/:commentId/replies
+    const results = await Comment.find({
+      book: bookId,
+      parentComment: null,
+      ...cursorFilter,
+    })
+      .sort(sortOption)
       .skip(skip)
-      .limit(limit)
+      .limit(limit + 1)
       .populate("user", "username profileImage _id");
+    // Tính cursor trước khi lọc để comment của user đã xóa không làm lệch vị trí trang sau
+    const {
+      items: comments,
+      hasMore,
+      nextCursor,
+    } = paginateResults(results, limit, isTopSort ? "reaction_count" : undefined);
 
     // THÊM MỚI: Filter out comments with null users (deleted users)
     const validComments = comments.filter((comment) => comment.user !== null);
 
     const totalComments = await Comment.countDocuments({
       book: bookId,
+      parentComment: null,
       user: { $ne: null }, // Chỉ đếm comments có user hợp lệ
     });
 
@@ -432,6 +776,8 @@ router.get("/:bookId/comments", protectRoute, async (req, res) => {
       currentPage: page,
       totalComments,
       totalPages: Math.ceil(totalComments / limit),
+      nextCursor,
+      hasMore,
     });
   } catch (error) {
     console.error("Get comments error:", error);
@@ -439,6 +785,75 @@ router.get("/:bookId/comments", protectRoute, async (req, res) => {
   }
 });
 
+// Get replies của một comment - phân trang, reply cũ hiển thị trước
+router.get(
+  "/:bookId/comments/:commentId/replies",
+  protectRoute,
+  async (req, res) => {
+    try {
+      const { bookId, commentId } = req.params;
+      const pagination = getPaginationParams(req.query, {
+        defaultLimit: 5,
+        direction: 1,
+      });
+      if (pagination.error) {
+        return res.status(400).json({ message: pagination.error });
+      }
+      const { page, limit, skip, cursorFilter } = pagination;
+
+      if (
+        !mongoose.Types.ObjectId.isValid(bookId) ||
+        !mongoose.Types.ObjectId.isValid(commentId)
+      ) {
+        return res.status(400).json({ message: "Invalid ID format" });
+      }
+
+      const parentComment = await Comment.findById(commentId);
+      if (!parentComment) {
+        return res.status(404).json({ message: "Comment not found." });
+      }
+      if (parentComment.book.toString() !== bookId) {
+        return res.status(400).json({
+          message: "Bad request: Comment does not belong to this book.",
+        });
+      }
+
+      const results = await Comment.find({
+        parentComment: commentId,
+        ...cursorFilter,
+      })
+        .sort({ createdAt: 1, _id: 1 })
+        .skip(skip)
+        .limit(limit + 1)
+        .populate("user", "username profileImage _id");
+      const {
+        items: replies,
+        hasMore,
+        nextCursor,
+      } = paginateResults(results, limit);
+
+      const validReplies = replies.filter((reply) => reply.user !== null);
+
+      const totalReplies = await Comment.countDocuments({
+        parentComment: commentId,
+      });
+
+      res.json({
+        replies: validReplies,
+        parentComment: commentId,
+        currentPage: page,
+        totalReplies,
+        totalPages: Math.ceil(totalReplies / limit),
+        nextCursor,
+        hasMore,
+      });
+    } catch (error) {
+      console.error("Get replies error:", error);
+      res.status(500).json({ message: "Internal server error" });
+    }
+  }
+);
+
 router.put("/:bookId/comments/:commentId", protectRoute, async (req, res) => {
   try {
     const { text } = req.body;
@@ -465,9 +880,26 @@ router.put("/:bookId/comments/:commentId", protectRoute, async (req, res) => {
       });
     }
 
+    const previousMentionIds = comment.mentions.map((mention) =>
+      mention.user.toString()
+    );
     comment.text = text;
+    comment.mentions = await resolveMentions(text);
     await comment.save();
 
+    // Chỉ thông báo cho người mới được nhắc tới trong lần sửa này
+    const book = await Book.findById(bookId).select("title");
+    await sendMentionNotifications(
+      io,
+      comment.mentions,
+      req.user._id,
+      `${req.user.username} đã nhắc đến bạn trong một bình luận về sách "${book ? book.title : ""}".`,
+      `/books/${bookId}?commentId=${comment._id}`,
+      "Comment",
+      comment._id,
+      previousMentionIds
+    );
+
     const populatedComment = await Comment.findById(comment._id).populate(
       "user",
       "username profileImage"
@@ -506,17 +938,6 @@ router.delete(
       const io = req.io;
 
       const comment = await Comment.findById(commentId);
-      if (io) {
-        // Gửi ID của comment đã xóa và bookId để client biết xóa comment nào khỏi sách nào
-        io.to(bookId.toString()).emit("commentDeleted", { commentId, bookId });
-        console.log(
-          `Emitted 'commentDeleted' to room ${bookId} for comment ${commentId}`
-        );
-      } else {
-        console.warn(
-          "Socket.io instance (req.io) not found. Cannot emit 'commentDeleted'."
-        );
-      }
       if (!comment) {
         return res.status(404).json({ message: "Comment not found." });
       }
@@ -531,7 +952,25 @@ router.delete(
         });
       }
 
-      await Comment.findByIdAndDelete(commentId);
+      // Xóa comment cùng toàn bộ reply của nó
+      const deletedIds = await deleteCommentThread(comment);
+
+      if (io) {
+        // Gửi ID của comment đã xóa và bookId để client biết xóa comment nào khỏi sách nào
+        io.to(bookId.toString()).emit("commentDeleted", {
+          commentId,
+          bookId,
+          parentComment: comment.parentComment,
+          deletedIds,
+        });
+        console.log(
+          `Emitted 'commentDeleted' to room ${bookId} for comment ${commentId}`
+        );
+      } else {
+        console.warn(
+          "Socket.io instance (req.io) not found. Cannot emit 'commentDeleted'."
+        );
+      }
 
       res.json({ message: "Comment deleted successfully." });
     } catch (error) {
@@ -546,6 +985,171 @@ router.delete(
   }
 );
 
+// Reaction cho comment - mỗi user chỉ có 1 reaction, đổi loại thì thay reaction cũ
+const emitCommentUpdate = (req, commentDocument) => {
+  const io = req.io;
+  if (io && commentDocument) {
+    const commentUpdateData = {
+      _id: commentDocument._id,
+      book: commentDocument.book,
+      parentComment: commentDocument.parentComment,
+      reaction_count: commentDocument.reaction_count,
+      reactionCounts: commentDocument.reactionCounts,
+      reactions: commentDocument.reactions,
+    };
+    // Emit đến room của sách chứa comment này
+    io.to(commentDocument.book.toString()).emit(
+      "commentInteractionUpdate",
+      commentUpdateData
+    );
+    console.log(
+      `Emitted 'commentInteractionUpdate' to room ${commentDocument.book.toString()} for comment ${
+        commentDocument._id
+      }`
+    );
+  } else if (!io) {
+    console.warn(
+      "Socket.io instance (req.io) not found. Cannot emit 'commentInteractionUpdate'."
+    );
+  }
+};
+
+// Tìm comment và kiểm tra comment thuộc sách - trả về null nếu đã gửi response lỗi
+const findCommentOfBook = async (req, res) => {
+  const { bookId, commentId } = req.params;
+  if (
+    !mongoose.Types.ObjectId.isValid(bookId) ||
+    !mongoose.Types.ObjectId.isValid(commentId)
+  ) {
+    res.status(400).json({ message: "Invalid ID format" });
+    return null;
+  }
+  const comment = await Comment.findById(commentId);
+  if (!comment) {
+    res.status(404).json({ message: "Comment not found." });
+    return null;
+  }
+  if (comment.book.toString() !== bookId) {
+    res.status(400).json({
+      message: "Bad request: Comment does not belong to this book.",
+    });
+    return null;
+  }
+  return comment;
+};
+
+router.put(
+  "/:bookId/comments/:commentId/react",
+  protectRoute,
+  async (req, res) => {
+    try {
+      const type = req.body.type || "like";
+      if (!COMMENT_REACTION_TYPES.includes(type)) {
+        return res.status(400).json({
+          message: `Invalid reaction type. Must be one of: ${COMMENT_REACTION_TYPES.join(", ")}.`,
+        });
+      }
+
+      const comment = await findCommentOfBook(req, res);
+      if (!comment) return;
+
+      // Cập nhật có điều kiện trên chính document để 2 request song song không đếm trùng
+      const userId = req.user._id;
+      let updated = await Comment.findOneAndUpdate(
+        { _id: comment._id, "reactions.user": { $ne: userId } },
+        { $push: { reactions: { user: userId, type } }, $inc: { reaction_count: 1 } },
+        { new: true }
+      );
+      if (!updated) {
+        // Đã có reaction - đổi loại, tổng số không đổi
+        updated = await Comment.findOneAndUpdate(
+          { _id: comment._id, reactions: { $elemMatch: { user: userId, type: { $ne: type } } } },
+          { $set: { "reactions.$.type": type } },
+          { new: true }
+        );
+      }
+
+      if (updated) {
+        emitCommentUpdate(req, updated);
+        return res.status(200).json(updated);
+      }
+      res.status(200).json(comment);
+    } catch (error) {
+      console.error("React comment error:", error);
+      res.status(500).json({ message: "Internal server error" });
+    }
+  }
+);
+
+// Hủy reaction
+router.put(
+  "/:bookId/comments/:commentId/unreact",
+  protectRoute,
+  async (req, res) => {
+    try {
+      const comment = await findCommentOfBook(req, res);
+      if (!comment) return;
+
+      const userId = req.user._id;
+      const updated = await Comment.findOneAndUpdate(
+        { _id: comment._id, "reactions.user": userId },
+        { $pull: { reactions: { user: userId } }, $inc: { reaction_count: -1 } },
+        { new: true }
+      );
+      if (updated) {
+        emitCommentUpdate(req, updated);
+        return res.status(200).json(updated);
+      }
+      res.status(200).json(comment);
+    } catch (error) {
+      console.error("Unreact comment error:", error);
+      res.status(500).json({ message: "Internal server error" });
+    }
+  }
+);
+
+// Danh sách ai đã reaction - lọc theo ?type=love
+router.get(
+  "/:bookId/comments/:commentId/reactions",
+  protectRoute,
+  async (req, res) => {
+    try {
+      const { type } = req.query;
+      const page = parseInt(req.query.page) || 1;
+      const limit = parseInt(req.query.limit) || 20;
+      const skip = (page - 1) * limit;
+
+      if (type && !COMMENT_REACTION_TYPES.includes(type)) {
+        return res.status(400).json({ message: "Invalid reaction type." });
+      }
+
+      const comment = await findCommentOfBook(req, res);
+      if (!comment) return;
+
+      await comment.populate("reactions.user", "username profileImage _id");
+
+      // Bỏ reaction của user đã bị xóa
+      const reactions = comment.reactions.filter(
+        (reaction) => reaction.user !== null && (!type || reaction.type === type)
+      );
+
+      res.json({
+        reactions: reactions.slice(skip, skip + limit).map((reaction) => ({
+          user: reaction.user,
+          type: reaction.type,
+        })),
+        reactionCounts: comment.reactionCounts,
+        currentPage: page,
+        totalReactions: reactions.length,
+        totalPages: Math.ceil(reactions.length / limit),
+      });
+    } catch (error) {
+      console.error("Get comment reactions error:", error);
+      res.status(500).json({ message: "Internal server error" });
+    }
+  }
+);
+
 // Tính năng like và dislike O day
 // chỉ cần check authenticate là like được - make sure chỉ like hoặc dislike
 const emitBookUpdate = (req, bookDocument) => {
@@ -727,22 +1331,64 @@ router.put("/:id/remove-dislike", protectRoute, async (req, res) => {
 });
 
 // Di chuyển route search lên trước route /:id
+// Tìm theo text index (title, author, caption) hoặc không dấu (?match=folded), lọc theo genre / rating / năm xuất bản, phân trang theo page.
 router.get("/search", protectRoute, async (req, res) => {
   try {
-    const searchQuery = req.query.q;
-    if (!searchQuery) {
-      return res.status(200).json([]);
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 50);
+    const skip = (page - 1) * limit;
+
+    const searchQuery = buildBookSearchQuery(req.query);
+    if (searchQuery.error) {
+      return res.status(400).json({ message: searchQuery.error });
+    }
+    const { filter, sort, matchMode, hasFilters } = searchQuery;
+
+    // Không có từ khóa lẫn bộ lọc thì không trả về toàn bộ sách
+    if (!hasFilters) {
+      return res.status(200).json({
+        books: [],
+        currentPage: page,
+        totalBooks: 0,
+        totalPages: 0,
+        hasMore: false,
+      });
     }
 
-    // Tìm sách theo tiêu đề, tác giả
-    const books = await Book.find({
-      $or: [
-        { title: { $regex: searchQuery, $options: "i" } },
-        { author: { $regex: searchQuery, $options: "i" } },
-      ],
-    }).populate("user", "username profileImage _id");
+    const books = await Book.aggregate([
+      { $match: filter }, // $text bắt buộc nằm ở $match đầu tiên
+      ...userLookupStages,
+      {
+        $unwind: "$user",
+      },
+      {
+        $project: {
+          ...bookCardProjection.$project,
+          author: 1,
+          genre: 1,
+          published_year: 1,
+        },
+      },
+      { $sort: sort },
+      { $skip: skip },
+      { $limit: limit },
+    ]);
 
-    res.status(200).json(books);
+    const totalBooksResult = await Book.aggregate([
+      { $match: filter },
+      ...userLookupStages,
+      { $count: "total" },
+    ]);
+    const totalBooks = totalBooksResult[0]?.total || 0;
+
+    res.status(200).json({
+      books,
+      currentPage: page,
+      totalBooks,
+      totalPages: Math.ceil(totalBooks / limit),
+      hasMore: skip + books.length < totalBooks,
+      matchMode,
+    });
   } catch (error) {
     console.error("Error searching books:", error);
     res.status(500).json({ message: "Server error" });
@@ -761,7 +1407,8 @@ router.get("/:id", protectRoute, async (req, res) => {
       return res.status(404).json({ message: "Book not found" });
     }
 
-    res.json(book);
+    const isBookmarked = await Bookmark.exists({ user: req.user._id, book: book._id });
+    res.json({ ...book.toJSON(), isBookmarked: Boolean(isBookmarked) });
   } catch (error) {
     console.error("Get book details error:", error);
     if (error.kind === "ObjectId") {
@@ -771,4 +1418,47 @@ router.get("/:id", protectRoute, async (req, res) => {
   }
 });
 
+// Thống kê rating của tác phẩm và từng tác giả mà bài review này thuộc về
+router.get("/:id/ratings", protectRoute, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: "Invalid book ID format" });
+    }
+    const book = await Book.findById(req.params.id).select("title author work");
+    if (!book) {
+      return res.status(404).json({ message: "Book not found" });
+    }
+
+    const targets = ratingTargetsForBook(book);
+    const workTarget = targets.find((target) => target.scope === "work");
+    const authorTargets = targets.filter((target) => target.scope === "author");
+
+    const workStats = workTarget
+      ? await getRatingStats("work", [workTarget.key])
+      : {};
+    const authorStats = await getRatingStats(
+      "author",
+      authorTargets.map((target) => target.key)
+    );
+    const emptyStats = formatRatingStat(null);
+
+    res.status(200).json({
+      work: workTarget
+        ? {
+            _id: workTarget.key,
+            title: book.title,
+            ...(workStats[workTarget.key] || emptyStats),
+          }
+        : null,
+      authors: authorTargets.map((target) => ({
+        name: target.name,
+        ...(authorStats[target.key] || emptyStats),
+      })),
+    });
+  } catch (error) {
+    console.error("Error fetching book rating stats:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+});
+
 export default router;
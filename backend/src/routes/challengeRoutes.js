@@ -0,0 +1,165 @@
+import express from "express";
+import mongoose from "mongoose";
+import ReadingChallenge from "../models/readingChallenge.js";
+import User from "../models/user.js";
+import protectRoute from "../middleware/auth.middleware.js";
+import {
+  checkChallengeCompletion,
+  countCompletedBooks,
+  getChallengeProgress,
+  parseChallengeYear,
+} from "../lib/challengeHelper.js";
+
+const router = express.Router();
+
+const COUNT_SOURCES = ["finished", "reviews"];
+
+// Thử thách + tiến độ của một user trong năm (null nếu chưa đặt mục tiêu)
+const buildChallengeResponse = async (userId, year) => {
+  const challenge = await ReadingChallenge.findOne({ user: userId, year });
+  if (!challenge) {
+    return { year, challenge: null, progress: null };
+  }
+  return {
+    year,
+    challenge,
+    progress: await getChallengeProgress(challenge),
+  };
+};
+
+// Thử thách của mình (?year=, mặc định năm nay)
+router.get("/me", protectRoute, async (req, res) => {
+  try {
+    const year = parseChallengeYear(req.query.year);
+    if (!year) {
+      return res.status(400).json({ message: "Invalid year" });
+    }
+    res.status(200).json(await buildChallengeResponse(req.user._id, year));
+  } catch (error) {
+    console.error("Error fetching reading challenge:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+// Đặt / sửa mục tiêu năm: { goal, countSource?, year? }
+router.put("/me", protectRoute, async (req, res) => {
+  try {
+    const { goal, countSource = "finished" } = req.body;
+    const year = parseChallengeYear(req.body.year);
+
+    if (!year) {
+      return res.status(400).json({ message: "Invalid year" });
+    }
+    const goalNumber = Number(goal);
+    if (!Number.isInteger(goalNumber) || goalNumber < 1 || goalNumber > 1000) {
+      return res.status(400).json({ message: "Goal must be an integer between 1 and 1000" });
+    }
+    if (!COUNT_SOURCES.includes(countSource)) {
+      return res.status(400).json({ message: "Invalid count source" });
+    }
+
+    const existing = await ReadingChallenge.findOne({ user: req.user._id, year });
+    const challenge = existing || new ReadingChallenge({ user: req.user._id, year });
+    const goalChanged = challenge.goal !== goalNumber || challenge.countSource !== countSource;
+    challenge.goal = goalNumber;
+    challenge.countSource = countSource;
+    // Đổi mục tiêu thì tính lại việc hoàn thành (và được chúc mừng lại nếu đạt mục tiêu mới)
+    if (goalChanged) challenge.completedAt = null;
+    await challenge.save();
+
+    // Đặt mục tiêu thấp hơn số sách đã đọc thì hoàn thành luôn
+    await checkChallengeCompletion(req.io, req.user._id, new Date(year, 6, 1));
+
+    res
+      .status(existing ? 200 : 201)
+      .json(await buildChallengeResponse(req.user._id, year));
+  } catch (error) {
+    console.error("Error saving reading challenge:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+router.delete("/me", protectRoute, async (req, res) => {
+  try {
+    const year = parseChallengeYear(req.query.year);
+    if (!year) {
+      return res.status(400).json({ message: "Invalid year" });
+    }
+    const result = await ReadingChallenge.deleteOne({ user: req.user._id, year });
+    if (result.deletedCount === 0) {
+      return res.status(404).json({ message: "Reading challenge not found" });
+    }
+    res.status(200).json({ message: "Reading challenge deleted" });
+  } catch (error) {
+    console.error("Error deleting reading challenge:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+// Bảng xếp hạng trong năm giữa mình và những người mình đang theo dõi (chỉ người đã đặt mục tiêu)
+router.get("/leaderboard", protectRoute, async (req, res) => {
+  try {
+    const year = parseChallengeYear(req.query.year);
+    if (!year) {
+      return res.status(400).json({ message: "Invalid year" });
+    }
+
+    const me = await User.findById(req.user._id).select("following");
+    const memberIds = [req.user._id, ...(me?.following || [])];
+
+    const challenges = await ReadingChallenge.find({ user: { $in: memberIds }, year })
+      .populate("user", "username profileImage _id");
+    const activeChallenges = challenges.filter((challenge) => challenge.user !== null);
+
+    // Đếm theo từng cách tính để chỉ cần 2 truy vấn cho cả bảng
+    const countsBySource = {};
+    for (const source of COUNT_SOURCES) {
+      const userIds = activeChallenges
+        .filter((challenge) => challenge.countSource === source)
+        .map((challenge) => challenge.user._id);
+      countsBySource[source] = await countCompletedBooks(userIds, year, source);
+    }
+
+    const leaderboard = activeChallenges
+      .map((challenge) => {
+        const completed = countsBySource[challenge.countSource][challenge.user._id.toString()] || 0;
+        return {
+          user: challenge.user,
+          goal: challenge.goal,
+          countSource: challenge.countSource,
+          completed,
+          percent: Math.min(Math.round((completed / challenge.goal) * 100), 100),
+          isCompleted: completed >= challenge.goal,
+          isMe: challenge.user._id.toString() === req.user._id.toString(),
+        };
+      })
+      // Nhiều sách hơn xếp trước, bằng nhau thì ai gần mục tiêu hơn xếp trước
+      .sort((a, b) => b.completed - a.completed || b.percent - a.percent)
+      .map((entry, index) => ({ rank: index + 1, ...entry }));
+
+    res.status(200).json({ year, leaderboard });
+  } catch (error) {
+    console.error("Error fetching challenge leaderboard:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+// Thử thách của người khác (hiển thị trên trang cá nhân của họ)
+router.get("/users/:userId", protectRoute, async (req, res) => {
+  try {
+    const { userId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(userId)) {
+      return res.status(400).json({ message: "Invalid user ID format" });
+    }
+    const year = parseChallengeYear(req.query.year);
+    if (!year) {
+      return res.status(400).json({ message: "Invalid year" });
+    }
+    res.status(200).json(await buildChallengeResponse(userId, year));
+  } catch (error) {
+    console.error("Error fetching user reading challenge:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+export default router;
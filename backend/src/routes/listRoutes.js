@@ -0,0 +1,454 @@
+import express from "express";
+import mongoose from "mongoose";
+import BookList from "../models/bookList.js";
+import Book from "../models/book.js";
+import { resolveSingleImage } from "../lib/uploadHelper.js";
+import protectRoute from "../middleware/auth.middleware.js";
+import { getPaginationParams, paginateResults } from "../lib/pagination.js";
+import { foldedMatchFilter } from "../lib/searchHelper.js";
+import {
+  MAX_LIST_ITEMS,
+  deleteBookList,
+  destroyListCover,
+  listHasItem,
+  populateListItems,
+  resolveListItem,
+  summarizeLists,
+} from "../lib/listHelper.js";
+
+const router = express.Router();
+
+const LIST_VISIBILITIES = ["public", "private"];
+const LIST_SORTS = ["popular", "newest"];
+
+// Tìm danh sách theo :listId; danh sách riêng tư được coi như không tồn tại với người khác
+const findList = async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.listId)) {
+    res.status(400).json({ message: "Invalid list ID format" });
+    return null;
+  }
+  const list = await BookList.findById(req.params.listId);
+  const isOwner = list?.user.toString() === req.user._id.toString();
+  if (!list || (!isOwner && list.visibility === "private")) {
+    res.status(404).json({ message: "List not found" });
+    return null;
+  }
+  return { list, isOwner };
+};
+
+// Như findList nhưng chỉ chủ danh sách mới được sửa
+const findOwnList = async (req, res) => {
+  const found = await findList(req, res);
+  if (!found) return null;
+  if (!found.isOwner) {
+    res.status(403).json({ message: "Forbidden: You can only manage your own lists" });
+    return null;
+  }
+  return found.list;
+};
+
+// Kiểm tra title / description / visibility gửi lên (bỏ trống field nào thì bỏ qua field đó)
+const validateListFields = ({ title, description, visibility }, { requireTitle }) => {
+  if (title !== undefined || requireTitle) {
+    if (typeof title !== "string" || title.trim() === "" || title.trim().length > 100) {
+      return "List title must be 1-100 characters";
+    }
+  }
+  if (description !== undefined && (typeof description !== "string" || description.trim().length > 1000)) {
+    return "Description must be at most 1000 characters";
+  }
+  if (visibility !== undefined && !LIST_VISIBILITIES.includes(visibility)) {
+    return "Invalid visibility";
+  }
+  return null;
+};
+
+// Upload ảnh bìa và lưu cả URL lẫn storage key vào danh sách
+// Trả về thông báo lỗi nếu ảnh không hợp lệ, null nếu thành công
+// image: "upload:<token>" từ /api/uploads hoặc data URL
+const uploadListCover = async (list, image, user) => {
+  const uploaded = await resolveSingleImage(image, { user, purpose: "cover" });
+  if (uploaded.error) {
+    return uploaded.error;
+  }
+  list.coverImage = uploaded.media.url;
+  list.coverImageKey = uploaded.media.key;
+  return null;
+};
+
+// Duyệt danh sách công khai: ?q= tìm theo tên, ?sort=popular|newest, ?user= danh sách của một người
+// (?containsBook= để biết danh sách nào đã có bài review đó - dùng cho nút "thêm vào danh sách")
+router.get("/", protectRoute, async (req, res) => {
+  try {
+    const sort = req.query.sort || "popular";
+    if (!LIST_SORTS.includes(sort)) {
+      return res.status(400).json({ message: "Invalid sort option" });
+    }
+    // popular sort theo followersCount trước nên cursor cần mang thêm followersCount
+    const scoreField = sort === "popular" ? "followersCount" : undefined;
+    const pagination = getPaginationParams(req.query, { defaultLimit: 20, scoreField });
+    if (pagination.error) {
+      return res.status(400).json({ message: pagination.error });
+    }
+    const { page, limit, skip, cursorFilter } = pagination;
+
+    const filter = {};
+    if (req.query.user) {
+      const ownerId = req.query.user === "me" ? req.user._id.toString() : req.query.user;
+      if (!mongoose.Types.ObjectId.isValid(ownerId)) {
+        return res.status(400).json({ message: "Invalid user ID format" });
+      }
+      filter.user = ownerId;
+      // Chủ danh sách thấy cả danh sách riêng tư của mình
+      if (ownerId !== req.user._id.toString()) filter.visibility = "public";
+    } else {
+      filter.visibility = "public";
+    }
+    const searchQuery = typeof req.query.q === "string" ? req.query.q.trim() : "";
+    if (searchQuery) {
+      Object.assign(filter, foldedMatchFilter(searchQuery, ["title_normalized"]));
+    }
+
+    const results = await BookList.find({ $and: [filter, cursorFilter] })
+      .sort(scoreField ? { followersCount: -1, createdAt: -1, _id: -1 } : { createdAt: -1, _id: -1 })
+      .skip(skip)
+      .limit(limit + 1)
+      .populate("user", "username profileImage");
+
+    const { items, hasMore, nextCursor } = paginateResults(results, limit, scoreField);
+    const totalLists = await BookList.countDocuments(filter);
+
+    const containsBook =
+      typeof req.query.containsBook === "string" &&
+      mongoose.Types.ObjectId.isValid(req.query.containsBook)
+        ? req.query.containsBook
+        : undefined;
+
+    res.json({
+      lists: await summarizeLists(items, req.user._id, containsBook),
+      currentPage: page,
+      totalLists,
+      totalPages: Math.ceil(totalLists / limit),
+      nextCursor,
+      hasMore,
+    });
+  } catch (error) {
+    console.error("Error fetching lists:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+// Các danh sách mình đang theo dõi
+router.get("/following", protectRoute, async (req, res) => {
+  try {
+    const lists = await BookList.find({
+      followers: req.user._id,
+      visibility: "public",
+    })
+      .sort({ updatedAt: -1 })
+      .populate("user", "username profileImage");
+
+    res.json({ lists: await summarizeLists(lists, req.user._id) });
+  } catch (error) {
+    console.error("Error fetching followed lists:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+// Các danh sách công khai có chứa bài review này (trực tiếp hoặc qua tác phẩm của bài)
+router.get("/containing/:bookId", protectRoute, async (req, res) => {
+  try {
+    const { bookId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(bookId)) {
+      return res.status(400).json({ message: "Invalid book ID format" });
+    }
+    const book = await Book.findById(bookId).select("work");
+    if (!book) {
+      return res.status(404).json({ message: "Book not found" });
+    }
+
+    const itemConditions = [{ "items.book": book._id }];
+    if (book.work) itemConditions.push({ "items.work": book.work });
+    const lists = await BookList.find({ visibility: "public", $or: itemConditions })
+      .sort({ followersCount: -1, createdAt: -1 })
+      .limit(Math.min(parseInt(req.query.limit) || 10, 50))
+      .populate("user", "username profileImage");
+
+    res.json({ lists: await summarizeLists(lists, req.user._id) });
+  } catch (error) {
+    console.error("Error fetching lists containing book:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+// Chi tiết danh sách kèm các mục theo thứ tự
+router.get("/:listId", protectRoute, async (req, res) => {
+  try {
+    const found = await findList(req, res);
+    if (!found) return;
+    const { list, isOwner } = found;
+
+    await list.populate("user", "username profileImage");
+    const isFollowing = list.followers.some(
+      (id) => id.toString() === req.user._id.toString()
+    );
+    const items = await populateListItems(list);
+
+    res.json({
+      list: { ...list.toJSON(), items, isFollowing },
+      isOwner,
+    });
+  } catch (error) {
+    console.error("Error fetching list:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+// Tạo danh sách: { title, description?, visibility?, coverImage? (base64) }
+router.post("/", protectRoute, async (req, res) => {
+  try {
+    const { title, description, visibility = "public", coverImage } = req.body;
+    const validationError = validateListFields(
+      { title, description, visibility },
+      { requireTitle: true }
+    );
+    if (validationError) {
+      return res.status(400).json({ message: validationError });
+    }
+
+    const list = new BookList({
+      user: req.user._id,
+      title: title.trim(),
+      description: description?.trim() || "",
+      visibility,
+    });
+    if (coverImage) {
+      const coverError = await uploadListCover(list, coverImage, req.user);
+      if (coverError) {
+        return res.status(400).json({ message: coverError });
+      }
+    }
+    await list.save();
+
+    res.status(201).json({ message: "List created successfully", list });
+  } catch (error) {
+    console.error("Error creating list:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+// Sửa thông tin danh sách; coverImage = base64 để đổi ảnh, null để bỏ ảnh bìa
+router.patch("/:listId", protectRoute, async (req, res) => {
+  try {
+    const list = await findOwnList(req, res);
+    if (!list) return;
+
+    const { title, description, visibility, coverImage } = req.body;
+    const validationError = validateListFields(
+      { title, description, visibility },
+      { requireTitle: false }
+    );
+    if (validationError) {
+      return res.status(400).json({ message: validationError });
+    }
+
+    if (title !== undefined) list.title = title.trim();
+    if (description !== undefined) list.description = description.trim();
+    if (visibility !== undefined) list.visibility = visibility;
+    if (coverImage !== undefined) {
+      const previousCover = {
+        coverImage: list.coverImage,
+        coverImageKey: list.coverImageKey,
+      };
+      if (coverImage) {
+        const coverError = await uploadListCover(list, coverImage, req.user);
+        if (coverError) {
+          return res.status(400).json({ message: coverError });
+        }
+      } else {
+        list.coverImage = "";
+        list.coverImageKey = "";
+      }
+      await destroyListCover(previousCover);
+    }
+
+    await list.save();
+    res.json({ message: "List updated successfully", list });
+  } catch (error) {
+    console.error("Error updating list:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+router.delete("/:listId", protectRoute, async (req, res) => {
+  try {
+    const list = await findOwnList(req, res);
+    if (!list) return;
+
+    await deleteBookList(list);
+    res.json({ message: "List deleted successfully" });
+  } catch (error) {
+    console.error("Error deleting list:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+// Thêm mục vào cuối danh sách: { bookId } hoặc { workId }, kèm note tùy chọn
+router.post("/:listId/items", protectRoute, async (req, res) => {
+  try {
+    const list = await findOwnList(req, res);
+    if (!list) return;
+
+    const { note = "" } = req.body;
+    if (typeof note !== "string" || note.trim().length > 300) {
+      return res.status(400).json({ message: "Note must be at most 300 characters" });
+    }
+    const target = await resolveListItem(req.body);
+    if (target.error) {
+      return res.status(target.status).json({ message: target.error });
+    }
+    if (listHasItem(list, target)) {
+      return res.status(409).json({ message: "This item is already in the list" });
+    }
+    if (list.items.length >= MAX_LIST_ITEMS) {
+      return res.status(400).json({ message: `A list can contain at most ${MAX_LIST_ITEMS} items` });
+    }
+
+    list.items.push({
+      book: target.book?._id || null,
+      work: target.work?._id || null,
+      note: note.trim(),
+    });
+    await list.save();
+
+    res.status(201).json({
+      message: "Item added to list",
+      item: list.items[list.items.length - 1],
+    });
+  } catch (error) {
+    console.error("Error adding item to list:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+// Sửa ghi chú của một mục
+router.patch("/:listId/items/:itemId", protectRoute, async (req, res) => {
+  try {
+    const list = await findOwnList(req, res);
+    if (!list) return;
+
+    const item = mongoose.Types.ObjectId.isValid(req.params.itemId)
+      ? list.items.id(req.params.itemId)
+      : null;
+    if (!item) {
+      return res.status(404).json({ message: "Item not found in list" });
+    }
+    const { note } = req.body;
+    if (typeof note !== "string" || note.trim().length > 300) {
+      return res.status(400).json({ message: "Note must be at most 300 characters" });
+    }
+    item.note = note.trim();
+    await list.save();
+
+    res.json({ message: "Item updated", item });
+  } catch (error) {
+    console.error("Error updating list item:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+router.delete("/:listId/items/:itemId", protectRoute, async (req, res) => {
+  try {
+    const list = await findOwnList(req, res);
+    if (!list) return;
+
+    const item = mongoose.Types.ObjectId.isValid(req.params.itemId)
+      ? list.items.id(req.params.itemId)
+      : null;
+    if (!item) {
+      return res.status(404).json({ message: "Item not found in list" });
+    }
+    item.deleteOne();
+    await list.save();
+
+    res.json({ message: "Item removed from list" });
+  } catch (error) {
+    console.error("Error removing list item:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+// Sắp xếp lại: { itemIds } là toàn bộ ID mục theo thứ tự mới
+router.put("/:listId/items/order", protectRoute, async (req, res) => {
+  try {
+    const list = await findOwnList(req, res);
+    if (!list) return;
+
+    const { itemIds } = req.body;
+    const currentIds = list.items.map((item) => item._id.toString());
+    if (
+      !Array.isArray(itemIds) ||
+      itemIds.length !== currentIds.length ||
+      new Set(itemIds).size !== itemIds.length ||
+      !itemIds.every((id) => currentIds.includes(id))
+    ) {
+      return res
+        .status(400)
+        .json({ message: "itemIds must contain every item of the list exactly once" });
+    }
+
+    list.items = itemIds.map((id) => list.items.id(id));
+    await list.save();
+
+    res.json({ message: "List reordered", itemIds });
+  } catch (error) {
+    console.error("Error reordering list:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+// Theo dõi / bỏ theo dõi danh sách của người khác
+router.post("/:listId/follow", protectRoute, async (req, res) => {
+  try {
+    const found = await findList(req, res);
+    if (!found) return;
+    if (found.isOwner) {
+      return res.status(400).json({ message: "You cannot follow your own list" });
+    }
+
+    const updated = await BookList.findOneAndUpdate(
+      { _id: found.list._id, followers: { $ne: req.user._id } },
+      { $push: { followers: req.user._id }, $inc: { followersCount: 1 } },
+      { new: true }
+    );
+    res.json({
+      isFollowing: true,
+      followersCount: (updated || found.list).followersCount,
+    });
+  } catch (error) {
+    console.error("Error following list:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+router.delete("/:listId/follow", protectRoute, async (req, res) => {
+  try {
+    const found = await findList(req, res);
+    if (!found) return;
+
+    const updated = await BookList.findOneAndUpdate(
+      { _id: found.list._id, followers: req.user._id },
+      { $pull: { followers: req.user._id }, $inc: { followersCount: -1 } },
+      { new: true }
+    );
+    res.json({
+      isFollowing: false,
+      followersCount: (updated || found.list).followersCount,
+    });
+  } catch (error) {
+    console.error("Error unfollowing list:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+export default router;
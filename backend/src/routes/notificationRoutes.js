@@ -1,6 +1,7 @@
 import express from "express";
 import Notification from "../models/notification.js";
 import protectRoute from "../middleware/auth.middleware.js";
+import { getPaginationParams, paginateResults } from "../lib/pagination.js";
 
 const router = express.Router();
 
@@ -8,9 +9,11 @@ const router = express.Router();
 router.get("/", protectRoute, async (req, res) => {
     try {
         const userId = req.user._id;
-        const page = parseInt(req.query.page) || 1;
-        const limit = parseInt(req.query.limit) || 15; 
-        const skip = (page - 1) * limit;
+        const pagination = getPaginationParams(req.query, { defaultLimit: 15 });
+        if (pagination.error) {
+            return res.status(400).json({ message: pagination.error });
+        }
+        const { page, limit, skip, cursorFilter } = pagination;
 
         // Thêm filter theo thời gian nếu có
         let timeFilter = {};
@@ -42,12 +45,14 @@ router.get("/", protectRoute, async (req, res) => {
             }
         }
 
-        const notifications = await Notification.find({ recipient: userId, ...timeFilter })
-            .sort({ createdAt: -1 }) 
+        // timeFilter và cursorFilter đều có thể đụng tới createdAt nên ghép bằng $and
+        const results = await Notification.find({ recipient: userId, $and: [timeFilter, cursorFilter] })
+            .sort({ createdAt: -1, _id: -1 })
             .skip(skip)
-            .limit(limit)
+            .limit(limit + 1)
             .populate("sender", "username profileImage _id") 
             .populate("relatedItemId"); 
+        const { items: notifications, hasMore, nextCursor } = paginateResults(results, limit);
 
         const totalNotifications = await Notification.countDocuments({ recipient: userId, ...timeFilter });
         const unreadCount = await Notification.countDocuments({ recipient: userId, isRead: false });
@@ -58,6 +63,8 @@ router.get("/", protectRoute, async (req, res) => {
             totalNotifications,
             totalPages: Math.ceil(totalNotifications / limit),
             unreadCount,
+            nextCursor,
+            hasMore,
         });
     } catch (error) {
         console.error("Error fetching notifications:", error);
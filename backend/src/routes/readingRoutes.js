@@ -0,0 +1,430 @@
+import express from "express";
+import mongoose from "mongoose";
+import ReadingSession from "../models/readingSession.js";
+import User from "../models/user.js";
+import protectRoute from "../middleware/auth.middleware.js";
+import { resolveShelfWork, placeOnStatusShelf } from "../lib/shelfHelper.js";
+import { sendFollowerNotifications } from "../lib/notificationHelper.js";
+import { checkChallengeCompletion } from "../lib/challengeHelper.js";
+import { getPaginationParams, paginateResults } from "../lib/pagination.js";
+
+const router = express.Router();
+
+const SESSION_VISIBILITIES = ["public", "private"];
+
+const SESSION_POPULATE = [
+  { path: "work", select: "title authors published_year" },
+  { path: "book", select: "image" },
+];
+
+// Đọc ngày từ body; bỏ trống = undefined, sai định dạng = null
+const parseDate = (value) => {
+  if (value === undefined || value === null || value === "") return undefined;
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+};
+
+/**
+ * Cập nhật tiến độ hiện tại của phiên đọc từ số trang và / hoặc phần trăm.
+ * Có tổng số trang thì tự quy đổi qua lại giữa trang và phần trăm.
+ * @returns {string|null} thông báo lỗi nếu giá trị không hợp lệ
+ */
+const applyProgress = (session, { page, percent }) => {
+  if (page !== undefined && page !== null) {
+    const pageNumber = Number(page);
+    if (!Number.isInteger(pageNumber) || pageNumber < 0) {
+      return "Page must be a non-negative integer";
+    }
+    if (session.totalPages && pageNumber > session.totalPages) {
+      return "Page cannot exceed total pages";
+    }
+    session.currentPage = pageNumber;
+    if (session.totalPages && (percent === undefined || percent === null)) {
+      session.percent = Math.round((pageNumber / session.totalPages) * 100);
+    }
+  }
+  if (percent !== undefined && percent !== null) {
+    const percentNumber = Number(percent);
+    if (isNaN(percentNumber) || percentNumber < 0 || percentNumber > 100) {
+      return "Percent must be between 0 and 100";
+    }
+    session.percent = Math.round(percentNumber);
+    if (session.totalPages && (page === undefined || page === null)) {
+      session.currentPage = Math.round((percentNumber / 100) * session.totalPages);
+    }
+  }
+  return null;
+};
+
+// Tìm phiên đọc của chính user đang đăng nhập
+const findOwnSession = async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.sessionId)) {
+    res.status(400).json({ message: "Invalid session ID format" });
+    return null;
+  }
+  const session = await ReadingSession.findOne({
+    _id: req.params.sessionId,
+    user: req.user._id,
+  });
+  if (!session) {
+    res.status(404).json({ message: "Reading session not found" });
+    return null;
+  }
+  return session;
+};
+
+// Bắt đầu đọc một cuốn sách ({ workId } hoặc { bookId }) - sách được đưa lên kệ "Đang đọc"
+router.post("/sessions", protectRoute, async (req, res) => {
+  try {
+    const { totalPages, visibility = "public" } = req.body;
+    const startedAt = parseDate(req.body.startedAt);
+
+    if (startedAt === null) {
+      return res.status(400).json({ message: "Invalid start date" });
+    }
+    if (totalPages !== undefined && (!Number.isInteger(Number(totalPages)) || Number(totalPages) < 1)) {
+      return res.status(400).json({ message: "Total pages must be a positive integer" });
+    }
+    if (!SESSION_VISIBILITIES.includes(visibility)) {
+      return res.status(400).json({ message: "Invalid visibility" });
+    }
+
+    const { work, book, error, status } = await resolveShelfWork(req.body, req.user._id);
+    if (error) {
+      return res.status(status).json({ message: error });
+    }
+
+    // Mỗi cuốn chỉ có một phiên đang đọc tại một thời điểm
+    const activeSession = await ReadingSession.findOne({
+      user: req.user._id,
+      work: work._id,
+      status: "reading",
+    }).populate(SESSION_POPULATE);
+    if (activeSession) {
+      return res.status(409).json({
+        message: "You are already reading this book",
+        session: activeSession,
+      });
+    }
+
+    const session = await ReadingSession.create({
+      user: req.user._id,
+      work: work._id,
+      book: book?._id || null,
+      visibility,
+      startedAt: startedAt || new Date(),
+      totalPages: totalPages ? Number(totalPages) : undefined,
+    });
+    await placeOnStatusShelf(req.user._id, "reading", work, book);
+    await session.populate(SESSION_POPULATE);
+
+    res.status(201).json({ message: "Reading session started", session });
+  } catch (error) {
+    console.error("Error starting reading session:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+// Các phiên đọc của mình (?status=reading|finished|abandoned, ?workId= để lấy phiên của một cuốn)
+router.get("/sessions", protectRoute, async (req, res) => {
+  try {
+    const filter = { user: req.user._id };
+    if (req.query.status) {
+      if (!["reading", "finished", "abandoned"].includes(req.query.status)) {
+        return res.status(400).json({ message: "Invalid status" });
+      }
+      filter.status = req.query.status;
+    }
+    if (req.query.workId) {
+      if (!mongoose.Types.ObjectId.isValid(req.query.workId)) {
+        return res.status(400).json({ message: "Invalid work ID format" });
+      }
+      filter.work = req.query.workId;
+    }
+
+    const sessions = await ReadingSession.find(filter)
+      .sort({ updatedAt: -1 })
+      .populate(SESSION_POPULATE);
+
+    res.status(200).json({ sessions });
+  } catch (error) {
+    console.error("Error fetching reading sessions:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+// Dòng thời gian đọc sách trên trang cá nhân (:userId có thể là "me"), phân trang cursor
+router.get("/users/:userId/timeline", protectRoute, async (req, res) => {
+  try {
+    const userId = req.params.userId === "me" ? req.user._id.toString() : req.params.userId;
+    if (!mongoose.Types.ObjectId.isValid(userId)) {
+      return res.status(400).json({ message: "Invalid user ID format" });
+    }
+    const pagination = getPaginationParams(req.query, { defaultLimit: 10 });
+    if (pagination.error) {
+      return res.status(400).json({ message: pagination.error });
+    }
+    const { limit, skip, cursorFilter } = pagination;
+
+    const owner = await User.exists({ _id: userId });
+    if (!owner) {
+      return res.status(404).json({ message: "User not found" });
+    }
+    const isOwner = userId === req.user._id.toString();
+
+    const results = await ReadingSession.find({
+      user: userId,
+      ...(isOwner ? {} : { visibility: "public" }),
+      ...cursorFilter,
+    })
+      .sort({ createdAt: -1, _id: -1 })
+      .skip(skip)
+      .limit(limit + 1)
+      .populate(SESSION_POPULATE);
+    const { items, hasMore, nextCursor } = paginateResults(results, limit);
+
+    res.status(200).json({
+      sessions: items.map((session) => ({
+        ...session.toJSON(),
+        // Nhật ký mới nhất lên trước
+        entries: [...session.entries].sort((a, b) => b.date - a.date),
+      })),
+      isOwner,
+      nextCursor,
+      hasMore,
+    });
+  } catch (error) {
+    console.error("Error fetching reading timeline:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+router.get("/sessions/:sessionId", protectRoute, async (req, res) => {
+  try {
+    const session = await findOwnSession(req, res);
+    if (!session) return;
+
+    await session.populate(SESSION_POPULATE);
+    res.status(200).json({ session });
+  } catch (error) {
+    console.error("Error fetching reading session:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+// Sửa thông tin phiên đọc: tổng số trang, ngày bắt đầu / kết thúc, chế độ hiển thị, bỏ dở
+router.patch("/sessions/:sessionId", protectRoute, async (req, res) => {
+  try {
+    const session = await findOwnSession(req, res);
+    if (!session) return;
+
+    const { totalPages, visibility, status } = req.body;
+    const startedAt = parseDate(req.body.startedAt);
+    const finishedAt = parseDate(req.body.finishedAt);
+
+    if (totalPages !== undefined) {
+      if (!Number.isInteger(Number(totalPages)) || Number(totalPages) < 1) {
+        return res.status(400).json({ message: "Total pages must be a positive integer" });
+      }
+      session.totalPages = Number(totalPages);
+      session.currentPage = Math.min(session.currentPage, session.totalPages);
+    }
+    if (visibility !== undefined) {
+      if (!SESSION_VISIBILITIES.includes(visibility)) {
+        return res.status(400).json({ message: "Invalid visibility" });
+      }
+      session.visibility = visibility;
+    }
+    if (status !== undefined) {
+      // Đọc xong phải qua /finish để còn cập nhật kệ và thông báo
+      if (!["reading", "abandoned"].includes(status)) {
+        return res.status(400).json({ message: "Status must be 'reading' or 'abandoned'" });
+      }
+      session.status = status;
+      if (status === "reading") session.finishedAt = null;
+    }
+    if (startedAt === null || finishedAt === null) {
+      return res.status(400).json({ message: "Invalid date" });
+    }
+    if (startedAt) session.startedAt = startedAt;
+    if (finishedAt && session.status === "finished") session.finishedAt = finishedAt;
+    if (session.finishedAt && session.finishedAt < session.startedAt) {
+      return res.status(400).json({ message: "Finish date cannot be before start date" });
+    }
+
+    await session.save();
+    await session.populate(SESSION_POPULATE);
+    res.status(200).json({ message: "Reading session updated", session });
+  } catch (error) {
+    console.error("Error updating reading session:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+// Ghi tiến độ và / hoặc ghi chú vào nhật ký
+router.post("/sessions/:sessionId/entries", protectRoute, async (req, res) => {
+  try {
+    const session = await findOwnSession(req, res);
+    if (!session) return;
+
+    const { page, percent, note = "" } = req.body;
+    const date = parseDate(req.body.date);
+    const hasProgress =
+      (page !== undefined && page !== null) || (percent !== undefined && percent !== null);
+
+    if (!hasProgress && !String(note).trim()) {
+      return res.status(400).json({ message: "Progress or note is required" });
+    }
+    if (date === null) {
+      return res.status(400).json({ message: "Invalid date" });
+    }
+
+    const progressError = applyProgress(session, { page, percent });
+    if (progressError) {
+      return res.status(400).json({ message: progressError });
+    }
+
+    session.entries.push({
+      date: date || new Date(),
+      page: hasProgress ? session.currentPage : undefined,
+      percent: hasProgress ? session.percent : undefined,
+      note: String(note).trim(),
+    });
+    await session.save();
+    await session.populate(SESSION_POPULATE);
+
+    res.status(201).json({
+      message: "Journal entry added",
+      entry: session.entries[session.entries.length - 1],
+      session,
+    });
+  } catch (error) {
+    console.error("Error adding journal entry:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+// Sửa ghi chú / ngày của một mục nhật ký
+router.patch("/sessions/:sessionId/entries/:entryId", protectRoute, async (req, res) => {
+  try {
+    const session = await findOwnSession(req, res);
+    if (!session) return;
+
+    const entry = session.entries.id(req.params.entryId);
+    if (!entry) {
+      return res.status(404).json({ message: "Journal entry not found" });
+    }
+
+    const date = parseDate(req.body.date);
+    if (date === null) {
+      return res.status(400).json({ message: "Invalid date" });
+    }
+    if (req.body.note !== undefined) entry.note = String(req.body.note).trim();
+    if (date) entry.date = date;
+
+    await session.save();
+    res.status(200).json({ message: "Journal entry updated", entry });
+  } catch (error) {
+    console.error("Error updating journal entry:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+router.delete("/sessions/:sessionId/entries/:entryId", protectRoute, async (req, res) => {
+  try {
+    const session = await findOwnSession(req, res);
+    if (!session) return;
+
+    const entry = session.entries.id(req.params.entryId);
+    if (!entry) {
+      return res.status(404).json({ message: "Journal entry not found" });
+    }
+    entry.deleteOne();
+    await session.save();
+
+    res.status(200).json({ message: "Journal entry deleted" });
+  } catch (error) {
+    console.error("Error deleting journal entry:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+// Đánh dấu đọc xong: chuyển sách sang kệ "Đã đọc", tùy chọn báo cho người theo dõi ("X đã đọc xong Y")
+router.post("/sessions/:sessionId/finish", protectRoute, async (req, res) => {
+  try {
+    const session = await findOwnSession(req, res);
+    if (!session) return;
+    if (session.status === "finished") {
+      return res.status(400).json({ message: "Reading session is already finished" });
+    }
+
+    const { notifyFollowers = false, note = "" } = req.body;
+    const finishedAt = parseDate(req.body.finishedAt);
+    if (finishedAt === null) {
+      return res.status(400).json({ message: "Invalid finish date" });
+    }
+    if (finishedAt && finishedAt < session.startedAt) {
+      return res.status(400).json({ message: "Finish date cannot be before start date" });
+    }
+
+    session.status = "finished";
+    session.finishedAt = finishedAt || new Date();
+    session.percent = 100;
+    if (session.totalPages) session.currentPage = session.totalPages;
+    session.entries.push({
+      date: session.finishedAt,
+      page: session.totalPages ? session.currentPage : undefined,
+      percent: 100,
+      note: String(note).trim(),
+    });
+    await session.save();
+    await session.populate(SESSION_POPULATE);
+
+    await placeOnStatusShelf(req.user._id, "finished", session.work, session.book);
+
+    // Phiên riêng tư thì không báo cho ai
+    let notifiedCount = 0;
+    if (notifyFollowers && session.visibility === "public") {
+      notifiedCount = await sendFollowerNotifications(
+        req.io,
+        req.user._id,
+        "reading_finished",
+        `${req.user.username} đã đọc xong "${session.work.title}".`,
+        `/works/${session.work._id}`,
+        "Work",
+        session.work._id
+      );
+    }
+
+    const challengeCompleted = await checkChallengeCompletion(
+      req.io,
+      req.user._id,
+      session.finishedAt
+    );
+
+    res.status(200).json({
+      message: "Reading session finished",
+      session,
+      notifiedCount,
+      challengeCompleted,
+    });
+  } catch (error) {
+    console.error("Error finishing reading session:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+router.delete("/sessions/:sessionId", protectRoute, async (req, res) => {
+  try {
+    const session = await findOwnSession(req, res);
+    if (!session) return;
+
+    await session.deleteOne();
+    res.status(200).json({ message: "Reading session deleted" });
+  } catch (error) {
+    console.error("Error deleting reading session:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+export default router;
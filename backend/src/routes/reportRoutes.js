@@ -4,9 +4,15 @@ import isAdmin from "../middleware/admin.middleware.js";
 import Report from "../models/report.js";
 import Book from "../models/book.js";
 import Comment from "../models/comment.js";
-import cloudinary from "../lib/cloudinary.js"; 
+import Bookmark from "../models/bookmark.js";
+import BookList from "../models/bookList.js";
+import { destroyBookImages, getBookMedia } from "../lib/bookImageHelper.js";
 import User from "../models/user.js";
 import sendEmail from "../lib/sendEmail.js";
+import { deleteCommentThread } from "../lib/commentHelper.js";
+import { getPaginationParams, paginateResults } from "../lib/pagination.js";
+import { removeReviewRating } from "../lib/ratingHelper.js";
+import { destroyListCover, removeBooksFromLists } from "../lib/listHelper.js";
 
 const router = express.Router();
 
@@ -20,8 +26,8 @@ router.post("/", protectRoute, async (req, res) => {
         }
 
        
-        if (!["Book", "Comment", "User"].includes(reportedItemType)) {
-            return res.status(400).json({ message: "Invalid reportedItemType. Must be 'Book', 'Comment', or 'User'." });
+        if (!["Book", "Comment", "User", "BookList"].includes(reportedItemType)) {
+            return res.status(400).json({ message: "Invalid reportedItemType. Must be 'Book', 'Comment', 'User' or 'BookList'." });
         }
         
         if (reportedItemType === "User" && reportedItemId === reporterId.toString()) {
@@ -35,6 +41,8 @@ router.post("/", protectRoute, async (req, res) => {
             itemExists = await Comment.findById(reportedItemId);
         } else if (reportedItemType === "User") { 
             itemExists = await User.findById(reportedItemId);
+        } else if (reportedItemType === "BookList") {
+            itemExists = await BookList.findOne({ _id: reportedItemId, visibility: "public" });
         }
 
         if (!itemExists) {
@@ -71,19 +79,22 @@ router.post("/", protectRoute, async (req, res) => {
 
 router.get("/", protectRoute, isAdmin, async (req, res) => {
     try {
-        const page = parseInt(req.query.page) || 1;
-        const limit = parseInt(req.query.limit) ; // Bạn có thể tăng limit này nếu muốn
+        // Không gửi limit thì trả về toàn bộ (bảng admin tự phân trang phía client)
+        const pagination = getPaginationParams(req.query);
+        if (pagination.error) {
+            return res.status(400).json({ message: pagination.error });
+        }
+        const { page, limit, skip, cursorFilter } = pagination;
         const statusFilter = req.query.status;
-        const skip = (page - 1) * limit;
         let queryConditions = {};
         if (statusFilter && ["pending", "resolved", "rejected"].includes(statusFilter)) {
             queryConditions.status = statusFilter;
         }
         
-        const reports = await Report.find(queryConditions)
-            .sort({ createdAt: -1 })
+        const results = await Report.find({ ...queryConditions, ...cursorFilter })
+            .sort({ createdAt: -1, _id: -1 })
             .skip(skip)
-            .limit(limit)
+            .limit(limit ? limit + 1 : 0)
             .populate("reporter", "username email profileImage")
             .populate({
                 path: "reportedItemId",
@@ -92,12 +103,15 @@ router.get("/", protectRoute, isAdmin, async (req, res) => {
                 { path: "book", select: "title", strictPopulate: false }
                 ]
             });           
+        const { items: reports, hasMore, nextCursor } = paginateResults(results, limit);
         const totalReports = await Report.countDocuments(queryConditions);
         res.json({
             reports,
             currentPage: page,
             totalReports,
-            totalPages: Math.ceil(totalReports / limit),
+            totalPages: limit ? Math.ceil(totalReports / limit) : 1,
+            nextCursor,
+            hasMore,
         });
     } catch (error) {
         console.error("Error fetching reports:", error);
@@ -142,17 +156,12 @@ router.put("/:reportId", protectRoute, isAdmin, async (req, res) => {
                         itemTypeForNotification = "sách"; 
                         itemContentForNotification = `"${bookToHandle.title}"`;
 
-                        if (bookToHandle.image && bookToHandle.image.includes("cloudinary")) {
-                            try {
-                                const publicId = bookToHandle.image.split("/").pop().split(".")[0];
-                                await cloudinary.uploader.destroy(publicId);
-                                console.log(`Cloudinary image ${publicId} for Book ${bookToHandle._id} was deleted.`);
-                            } catch (deleteError) {
-                                console.error("Error deleting image from cloudinary for reported book:", deleteError);
-                            }
-                        }
+                        await destroyBookImages(getBookMedia(bookToHandle));
                         await Comment.deleteMany({ book: report.reportedItemId });
+                        await Bookmark.deleteMany({ book: report.reportedItemId });
+                        await removeBooksFromLists([bookToHandle._id]);
                         await Book.findByIdAndDelete(report.reportedItemId);
+                        await removeReviewRating(bookToHandle);
                         itemAffected = true; 
                         console.log(`Book with ID ${report.reportedItemId} was deleted due to resolved report ${reportId}.`);
                         actionMessage += ` Book ${report.reportedItemId} has been deleted.`;
@@ -166,7 +175,7 @@ router.put("/:reportId", protectRoute, isAdmin, async (req, res) => {
                         itemTypeForNotification = "bình luận"; 
                         itemContentForNotification = `"${commentToHandle.text.substring(0, 50)}${commentToHandle.text.length > 50 ? '...' : ''}"`;
 
-                        await Comment.findByIdAndDelete(report.reportedItemId);
+                        await deleteCommentThread(commentToHandle);
                         itemAffected = true; 
                         console.log(`Comment with ID ${report.reportedItemId} was deleted due to resolved report ${reportId}.`);
                         actionMessage += ` Comment ${report.reportedItemId} has been deleted.`;
@@ -174,6 +183,22 @@ router.put("/:reportId", protectRoute, isAdmin, async (req, res) => {
                         console.warn(`Comment with ID ${report.reportedItemId} not found for deletion (report ${reportId}).`);
                     }
                 
+                } else if (report.reportedItemType === 'BookList') {
+                    const listToHandle = await BookList.findById(report.reportedItemId);
+                    if (listToHandle) {
+                        ownerId = listToHandle.user;
+                        itemTypeForNotification = "danh sách";
+                        itemContentForNotification = `"${listToHandle.title}"`;
+
+                        // Giữ lại các report (như với Book) nên không dùng deleteBookList
+                        await destroyListCover(listToHandle);
+                        await listToHandle.deleteOne();
+                        itemAffected = true;
+                        console.log(`BookList with ID ${report.reportedItemId} was deleted due to resolved report ${reportId}.`);
+                        actionMessage += ` List ${report.reportedItemId} has been deleted.`;
+                    } else {
+                        console.warn(`BookList with ID ${report.reportedItemId} not found for deletion (report ${reportId}).`);
+                    }
                 } else if (report.reportedItemType === 'User') {
                     const userToHandle = await User.findById(report.reportedItemId); 
                     if (userToHandle) {
@@ -292,6 +317,9 @@ Trân trọng,
                         } else if (report.reportedItemType === 'User') {
                             item = await User.findById(report.reportedItemId).select('username');
                             if (item) reportedItemInfo = `tài khoản người dùng "${item.username}"`;
+                        } else if (report.reportedItemType === 'BookList') {
+                            item = await BookList.findById(report.reportedItemId).select('title');
+                            if (item) reportedItemInfo = `danh sách "${item.title}"`;
                         }
                     }
                 } catch (itemFetchError) {
@@ -0,0 +1,131 @@
+import express from "express";
+import Book from "../models/book.js";
+import User from "../models/user.js";
+import Genre from "../models/genre.js";
+import protectRoute from "../middleware/auth.middleware.js";
+import { escapeRegex, foldVietnamese } from "../lib/textNormalize.js";
+
+const router = express.Router();
+
+const DEFAULT_SUGGEST_LIMIT = 8;
+const MAX_SUGGEST_LIMIT = 20;
+
+// Lấy user / thể loại khớp điều kiện, xếp theo số sách trỏ tới chúng (field của Book) rồi mới cắt limit
+const rankByBookCount = (Model, match, field, projection, limit) =>
+  Model.aggregate([
+    { $match: match },
+    {
+      $lookup: {
+        from: Book.collection.name,
+        localField: "_id",
+        foreignField: field,
+        pipeline: [{ $count: "count" }],
+        as: "bookCounts",
+      },
+    },
+    {
+      $project: {
+        ...projection,
+        popularity: { $ifNull: [{ $arrayElemAt: ["$bookCounts.count", 0] }, 0] },
+      },
+    },
+    { $sort: { popularity: -1, _id: 1 } },
+    { $limit: limit },
+  ]);
+
+// Gợi ý nhanh cho ô tìm kiếm: tiêu đề, tác giả, username và thể loại khớp theo tiền tố (không dấu).
+// Trả về một danh sách trộn, mỗi phần tử có `type`, xếp theo độ phổ biến.
+router.get("/suggest", protectRoute, async (req, res) => {
+  try {
+    const searchText = typeof req.query.q === "string" ? req.query.q.trim() : "";
+    if (!searchText) {
+      return res.status(200).json({ query: "", suggestions: [] });
+    }
+    const limit = Math.max(
+      Math.min(parseInt(req.query.limit) || DEFAULT_SUGGEST_LIMIT, MAX_SUGGEST_LIMIT),
+      1
+    );
+
+    // Khớp đầu chuỗi đã bỏ dấu - regex neo ^ và phân biệt hoa thường nên MongoDB dùng được index
+    const prefixRegex = { $regex: `^${escapeRegex(foldVietnamese(searchText))}` };
+
+    const [titleGroups, authorGroups, users, genres] = await Promise.all([
+      // Tiêu đề: gộp các bài viết trùng tên sách, xếp theo tổng lượt thích
+      Book.aggregate([
+        { $match: { title_normalized: prefixRegex } },
+        {
+          $group: {
+            _id: "$title_normalized",
+            text: { $first: "$title" },
+            popularity: { $sum: "$like_count" },
+          },
+        },
+        { $sort: { popularity: -1, _id: 1 } },
+        { $limit: limit },
+      ]),
+      // Tác giả: xếp theo số sách đã được review
+      Book.aggregate([
+        { $match: { author_normalized: prefixRegex } },
+        {
+          $group: {
+            _id: "$author_normalized",
+            text: { $first: "$author" },
+            popularity: { $sum: 1 },
+          },
+        },
+        { $sort: { popularity: -1, _id: 1 } },
+        { $limit: limit },
+      ]),
+      // Người dùng và thể loại: xếp theo số sách đã đăng / thuộc thể loại
+      rankByBookCount(
+        User,
+        { username_normalized: prefixRegex },
+        "user",
+        { username: 1, profileImage: 1 },
+        limit
+      ),
+      rankByBookCount(
+        Genre,
+        { soft_delete: false, genre_name_normalized: prefixRegex },
+        "genre",
+        { genre_name: 1 },
+        limit
+      ),
+    ]);
+
+    const suggestions = [
+      ...titleGroups.map((item) => ({
+        type: "title",
+        text: item.text,
+        popularity: item.popularity,
+      })),
+      ...authorGroups.map((item) => ({
+        type: "author",
+        text: item.text,
+        popularity: item.popularity,
+      })),
+      ...users.map((user) => ({
+        type: "user",
+        text: user.username,
+        id: user._id,
+        profileImage: user.profileImage,
+        popularity: user.popularity,
+      })),
+      ...genres.map((genre) => ({
+        type: "genre",
+        text: genre.genre_name,
+        id: genre._id,
+        popularity: genre.popularity,
+      })),
+    ]
+      .sort((a, b) => b.popularity - a.popularity)
+      .slice(0, limit);
+
+    res.status(200).json({ query: searchText, suggestions });
+  } catch (error) {
+    console.error("Error fetching search suggestions:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+export default router;
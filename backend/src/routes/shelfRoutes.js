@@ -0,0 +1,259 @@
+import express from "express";
+import mongoose from "mongoose";
+import Shelf from "../models/shelf.js";
+import User from "../models/user.js";
+import protectRoute from "../middleware/auth.middleware.js";
+import {
+  addWorkToShelf,
+  ensureDefaultShelves,
+  resolveShelfWork,
+  sortShelves,
+  summarizeShelves,
+} from "../lib/shelfHelper.js";
+
+// Mount tại /api/users/:id/shelves - :id có thể là "me"
+const router = express.Router({ mergeParams: true });
+
+const SHELF_VISIBILITIES = ["public", "private"];
+
+// Xác định chủ kệ từ :id và người xem có phải chủ kệ không
+const resolveShelfOwner = (req) => {
+  const ownerId = req.params.id === "me" ? req.user._id.toString() : req.params.id;
+  if (!mongoose.Types.ObjectId.isValid(ownerId)) {
+    return { error: "Invalid user ID format" };
+  }
+  return { ownerId, isOwner: ownerId === req.user._id.toString() };
+};
+
+// Tìm kệ theo :shelfId của chủ kệ; kệ riêng tư được coi như không tồn tại với người khác
+const findShelf = async (req, res) => {
+  const { ownerId, isOwner, error } = resolveShelfOwner(req);
+  if (error) {
+    res.status(400).json({ message: error });
+    return null;
+  }
+  if (!mongoose.Types.ObjectId.isValid(req.params.shelfId)) {
+    res.status(400).json({ message: "Invalid shelf ID format" });
+    return null;
+  }
+  const shelf = await Shelf.findOne({ _id: req.params.shelfId, user: ownerId });
+  if (!shelf || (!isOwner && shelf.visibility === "private")) {
+    res.status(404).json({ message: "Shelf not found" });
+    return null;
+  }
+  return { shelf, isOwner };
+};
+
+// Danh sách kệ của user (?workId= để biết kệ nào đã có cuốn sách đó - dùng cho nút "thêm vào kệ")
+router.get("/", protectRoute, async (req, res) => {
+  try {
+    const { ownerId, isOwner, error } = resolveShelfOwner(req);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+    const owner = await User.exists({ _id: ownerId });
+    if (!owner) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    if (isOwner) {
+      await ensureDefaultShelves(ownerId);
+    }
+    const shelves = await Shelf.find({
+      user: ownerId,
+      ...(isOwner ? {} : { visibility: "public" }),
+    });
+
+    const workId =
+      typeof req.query.workId === "string" && mongoose.Types.ObjectId.isValid(req.query.workId)
+        ? req.query.workId
+        : undefined;
+
+    res.status(200).json({
+      shelves: await summarizeShelves(sortShelves(shelves), workId),
+      isOwner,
+    });
+  } catch (error) {
+    console.error("Error fetching shelves:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+// Chi tiết một kệ kèm danh sách sách (mới thêm trước)
+router.get("/:shelfId", protectRoute, async (req, res) => {
+  try {
+    const found = await findShelf(req, res);
+    if (!found) return;
+    const { shelf, isOwner } = found;
+
+    await shelf.populate([
+      { path: "items.work", select: "title authors published_year" },
+      { path: "items.book", select: "image rating" },
+    ]);
+
+    const items = shelf.items
+      // Work đã bị gộp / xóa thì bỏ qua
+      .filter((item) => item.work !== null)
+      .sort((a, b) => b.addedAt - a.addedAt);
+
+    res.status(200).json({
+      shelf: { ...shelf.toJSON(), items },
+      isOwner,
+    });
+  } catch (error) {
+    console.error("Error fetching shelf:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+// Tạo kệ tự đặt tên
+router.post("/", protectRoute, async (req, res) => {
+  try {
+    const { ownerId, isOwner, error } = resolveShelfOwner(req);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+    if (!isOwner) {
+      return res.status(403).json({ message: "Forbidden: You can only manage your own shelves" });
+    }
+
+    const { name, visibility = "public" } = req.body;
+    if (typeof name !== "string" || name.trim() === "") {
+      return res.status(400).json({ message: "Shelf name is required" });
+    }
+    if (name.trim().length > 50) {
+      return res.status(400).json({ message: "Shelf name must be at most 50 characters" });
+    }
+    if (!SHELF_VISIBILITIES.includes(visibility)) {
+      return res.status(400).json({ message: "Invalid visibility" });
+    }
+
+    const shelf = await Shelf.create({
+      user: ownerId,
+      name: name.trim(),
+      type: "custom",
+      visibility,
+    });
+
+    res.status(201).json({ message: "Shelf created successfully", shelf });
+  } catch (error) {
+    console.error("Error creating shelf:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+// Đổi tên (chỉ kệ tự tạo) hoặc đổi chế độ hiển thị
+router.patch("/:shelfId", protectRoute, async (req, res) => {
+  try {
+    const found = await findShelf(req, res);
+    if (!found) return;
+    const { shelf, isOwner } = found;
+    if (!isOwner) {
+      return res.status(403).json({ message: "Forbidden: You can only manage your own shelves" });
+    }
+
+    const { name, visibility } = req.body;
+    if (name !== undefined) {
+      if (shelf.type !== "custom") {
+        return res.status(400).json({ message: "Built-in shelves cannot be renamed" });
+      }
+      if (typeof name !== "string" || name.trim() === "" || name.trim().length > 50) {
+        return res.status(400).json({ message: "Shelf name must be 1-50 characters" });
+      }
+      shelf.name = name.trim();
+    }
+    if (visibility !== undefined) {
+      if (!SHELF_VISIBILITIES.includes(visibility)) {
+        return res.status(400).json({ message: "Invalid visibility" });
+      }
+      shelf.visibility = visibility;
+    }
+
+    await shelf.save();
+    res.status(200).json({ message: "Shelf updated successfully", shelf });
+  } catch (error) {
+    console.error("Error updating shelf:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+// Xóa kệ tự tạo
+router.delete("/:shelfId", protectRoute, async (req, res) => {
+  try {
+    const found = await findShelf(req, res);
+    if (!found) return;
+    const { shelf, isOwner } = found;
+    if (!isOwner) {
+      return res.status(403).json({ message: "Forbidden: You can only manage your own shelves" });
+    }
+    if (shelf.type !== "custom") {
+      return res.status(400).json({ message: "Built-in shelves cannot be deleted" });
+    }
+
+    await shelf.deleteOne();
+    res.status(200).json({ message: "Shelf deleted successfully" });
+  } catch (error) {
+    console.error("Error deleting shelf:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+// Thêm sách vào kệ ({ workId } hoặc { bookId }). Kệ trạng thái: sách được chuyển khỏi kệ trạng thái cũ.
+router.post("/:shelfId/items", protectRoute, async (req, res) => {
+  try {
+    const found = await findShelf(req, res);
+    if (!found) return;
+    const { shelf, isOwner } = found;
+    if (!isOwner) {
+      return res.status(403).json({ message: "Forbidden: You can only manage your own shelves" });
+    }
+
+    const { work, book, error, status } = await resolveShelfWork(req.body, req.user._id);
+    if (error) {
+      return res.status(status).json({ message: error });
+    }
+
+    const { added, movedFrom } = await addWorkToShelf(shelf, work, book);
+    if (!added) {
+      return res
+        .status(200)
+        .json({ message: "Book is already on this shelf", shelf, workId: work._id, movedFrom });
+    }
+
+    res.status(201).json({
+      message: "Book added to shelf",
+      shelf,
+      workId: work._id,
+      movedFrom,
+    });
+  } catch (error) {
+    console.error("Error adding book to shelf:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+// Bỏ sách khỏi kệ
+router.delete("/:shelfId/items/:workId", protectRoute, async (req, res) => {
+  try {
+    const found = await findShelf(req, res);
+    if (!found) return;
+    const { shelf, isOwner } = found;
+    if (!isOwner) {
+      return res.status(403).json({ message: "Forbidden: You can only manage your own shelves" });
+    }
+
+    const itemCount = shelf.items.length;
+    shelf.items = shelf.items.filter((item) => item.work.toString() !== req.params.workId);
+    if (shelf.items.length === itemCount) {
+      return res.status(404).json({ message: "Book is not on this shelf" });
+    }
+
+    await shelf.save();
+    res.status(200).json({ message: "Book removed from shelf", shelf });
+  } catch (error) {
+    console.error("Error removing book from shelf:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+export default router;
@@ -0,0 +1,156 @@
+import express from "express";
+import fs from "fs";
+import Upload from "../models/upload.js";
+import protectRoute from "../middleware/auth.middleware.js";
+import {
+  ALLOWED_IMAGE_TYPES,
+  MAX_IMAGE_BYTES,
+} from "../lib/imageProcessing.js";
+import {
+  UPLOAD_TTL_HOURS,
+  discardUpload,
+  finalizeUpload,
+  generateUploadToken,
+  isUploadPurpose,
+  receiveUploadChunk,
+  uploadTempPath,
+} from "../lib/uploadHelper.js";
+
+const router = express.Router();
+
+// Trạng thái phiên upload trả về cho client - `offset` là vị trí gửi tiếp
+const uploadResponse = (upload) => ({
+  token: upload.token,
+  reference: `upload:${upload.token}`,
+  status: upload.status,
+  offset: upload.receivedBytes,
+  size: upload.size,
+  expiresAt: upload.expiresAt,
+  media: upload.toJSON().media,
+});
+
+// Phiên upload của chính mình, còn hạn
+const findOwnUpload = (token, userId) =>
+  Upload.findOne({ token, user: userId, expiresAt: { $gt: new Date() } });
+
+// Tạo phiên upload: { purpose: "book" | "avatar" | "cover", mimeType, size (byte) }
+router.post("/", protectRoute, async (req, res) => {
+  try {
+    const { purpose, mimeType, size } = req.body;
+    if (!isUploadPurpose(purpose)) {
+      return res.status(400).json({ message: "Invalid upload purpose" });
+    }
+    if (typeof mimeType !== "string" || !ALLOWED_IMAGE_TYPES[mimeType.toLowerCase()]) {
+      return res.status(400).json({ message: "Unsupported image type" });
+    }
+    if (!Number.isInteger(size) || size < 1) {
+      return res.status(400).json({ message: "Invalid file size" });
+    }
+    if (size > MAX_IMAGE_BYTES) {
+      return res.status(400).json({
+        message: `Image must be at most ${MAX_IMAGE_BYTES / 1024 / 1024}MB`,
+      });
+    }
+
+    const upload = await Upload.create({
+      user: req.user._id,
+      token: generateUploadToken(),
+      purpose,
+      mimeType: mimeType.toLowerCase(),
+      size,
+      expiresAt: new Date(Date.now() + UPLOAD_TTL_HOURS * 60 * 60 * 1000),
+    });
+    res.status(201).json(uploadResponse(upload));
+  } catch (error) {
+    console.error("Error creating upload:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+// Trạng thái phiên upload - client hỏi lại sau khi mất kết nối để biết gửi tiếp từ đâu
+router.get("/:token", protectRoute, async (req, res) => {
+  try {
+    const upload = await findOwnUpload(req.params.token, req.user._id);
+    if (!upload) {
+      return res.status(404).json({ message: "Upload not found" });
+    }
+    res.status(200).json(uploadResponse(upload));
+  } catch (error) {
+    console.error("Error fetching upload:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+// Gửi dữ liệu: multipart/form-data, field "file", header Upload-Offset = vị trí bắt đầu của đoạn này.
+// Gửi cả file một lần (offset 0) hoặc chia nhiều đoạn; offset 0 luôn được phép để gửi lại từ đầu.
+// Gửi lại khi phiên đã xong (mất response ở lần trước) thì chỉ trả về kết quả cũ.
+router.patch("/:token", protectRoute, async (req, res) => {
+  try {
+    const upload = await findOwnUpload(req.params.token, req.user._id);
+    if (!upload) {
+      return res.status(404).json({ message: "Upload not found" });
+    }
+    if (upload.status !== "uploading") {
+      return res.status(200).json(uploadResponse(upload));
+    }
+
+    const offset = parseInt(req.get("Upload-Offset") ?? "0");
+    // File tạm mất (vd server khởi động lại) thì phải gửi lại từ đầu
+    if (upload.receivedBytes > 0 && !fs.existsSync(uploadTempPath(upload.token))) {
+      upload.receivedBytes = 0;
+      await upload.save();
+    }
+    if (
+      !Number.isInteger(offset) ||
+      (offset !== 0 && offset !== upload.receivedBytes)
+    ) {
+      return res.status(409).json({
+        message: "Upload offset mismatch",
+        offset: upload.receivedBytes,
+      });
+    }
+
+    const chunk = await receiveUploadChunk(req, upload, offset);
+    if (chunk.error) {
+      return res.status(400).json({ message: chunk.error, offset });
+    }
+    upload.receivedBytes = chunk.receivedBytes;
+
+    if (upload.receivedBytes < upload.size) {
+      await upload.save();
+      return res.status(200).json(uploadResponse(upload));
+    }
+
+    const result = await finalizeUpload(upload, req.user);
+    if (result.error) {
+      return res.status(400).json({ message: result.error });
+    }
+    res.status(200).json(uploadResponse(result.upload));
+  } catch (error) {
+    console.error("Error receiving upload:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+// Hủy phiên upload chưa dùng (vd người dùng bỏ ảnh trước khi đăng bài)
+router.delete("/:token", protectRoute, async (req, res) => {
+  try {
+    const upload = await Upload.findOne({
+      token: req.params.token,
+      user: req.user._id,
+    });
+    if (!upload) {
+      return res.status(404).json({ message: "Upload not found" });
+    }
+    if (upload.status === "used") {
+      return res.status(400).json({ message: "Upload is already in use" });
+    }
+    await discardUpload(upload);
+    res.status(200).json({ message: "Upload discarded" });
+  } catch (error) {
+    console.error("Error discarding upload:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+export default router;
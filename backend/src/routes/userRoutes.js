@@ -1,27 +1,52 @@
 import express from "express";
 import bcrypt, { compare } from "bcryptjs";
-import cloudinary from "../lib/cloudinary.js";
+import { deleteMedia } from "../lib/storage.js";
+import { resolveSingleImage } from "../lib/uploadHelper.js";
+import { destroyBookImages, getBookMedia } from "../lib/bookImageHelper.js";
 import User from "../models/user.js";
 import protectRoute from "../middleware/auth.middleware.js";
 import Book from "../models/book.js"; // Add this import
 import Comment from "../models/comment.js"; // Add this import
+import Shelf from "../models/shelf.js";
+import ReadingSession from "../models/readingSession.js";
+import ReadingChallenge from "../models/readingChallenge.js";
+import Bookmark from "../models/bookmark.js";
+import AuthSession from "../models/authSession.js";
+import { revokeUserSessions } from "../lib/sessionHelper.js";
 import mongoose from "mongoose";
 import { createAndSendNotification } from "../lib/notificationHelper.js";
+import { getPaginationParams, paginateByField, paginateResults } from "../lib/pagination.js";
+import { foldedMatchFilter, resolveMatchMode } from "../lib/searchHelper.js";
+import { escapeRegex } from "../lib/textNormalize.js";
+import {
+  ratingTargetsForBook,
+  recomputeRatingStats,
+} from "../lib/ratingHelper.js";
+import { deleteUserLists, removeBooksFromLists } from "../lib/listHelper.js";
+import { deleteUserComments } from "../lib/commentHelper.js";
 
 const router = express.Router();
 
 // Đặt các routes cụ thể đầu tiên
 router.get("/search", protectRoute, async (req, res) => {
   try {
-    const searchQuery = req.query.q;
+    const searchQuery = typeof req.query.q === "string" ? req.query.q.trim() : "";
     if (!searchQuery) {
       return res.status(200).json([]);
     }
 
-    // Tìm người dùng theo username
-    const users = await User.find({
-      username: { $regex: searchQuery, $options: "i" },
-    }).select("username profileImage _id");
+    // ?match=exact|folded|auto - xem resolveMatchMode
+    const matchMode = resolveMatchMode(searchQuery, req.query.match);
+    if (!matchMode) {
+      return res.status(400).json({ message: "Invalid match mode" });
+    }
+
+    // Tìm người dùng theo username (có dấu hoặc không dấu)
+    const users = await User.find(
+      matchMode === "folded"
+        ? foldedMatchFilter(searchQuery, ["username_normalized"])
+        : { username: { $regex: escapeRegex(searchQuery), $options: "i" } }
+    ).select("username profileImage _id");
 
     // Thêm số sách đã đăng
     const usersWithCounts = await Promise.all(
@@ -73,6 +98,107 @@ router.get("/suggestions", protectRoute, async (req, res) => {
   }
 });
 
+// --- Bookmark: lưu bài review để đọc sau ---
+// ?sort=newest|oldest theo thời điểm lưu, phân trang bằng cursor hoặc page/limit
+router.get("/me/bookmarks", protectRoute, async (req, res) => {
+  try {
+    const sort = req.query.sort || "newest";
+    if (!["newest", "oldest"].includes(sort)) {
+      return res.status(400).json({ message: "Invalid sort option" });
+    }
+    const direction = sort === "newest" ? -1 : 1;
+    const pagination = getPaginationParams(req.query, { defaultLimit: 20, direction });
+    if (pagination.error) {
+      return res.status(400).json({ message: pagination.error });
+    }
+    const { page, limit, skip, cursorFilter } = pagination;
+
+    const filter = { user: req.user._id };
+    const results = await Bookmark.find({ ...filter, ...cursorFilter })
+      .sort({ createdAt: direction, _id: direction })
+      .skip(skip)
+      .limit(limit + 1)
+      .populate({
+        path: "book",
+        select: "title caption image rating like_count dislike_count likedBy dislikedBy createdAt user",
+        populate: { path: "user", select: "username profileImage" },
+      });
+
+    const { items, hasMore, nextCursor } = paginateResults(results, limit);
+    const totalBookmarks = await Bookmark.countDocuments(filter);
+
+    res.json({
+      // Bỏ qua bookmark trỏ tới bài đã bị xóa (nếu dọn dẹp bị sót)
+      bookmarks: items
+        .filter((bookmark) => bookmark.book)
+        .map((bookmark) => ({
+          _id: bookmark._id,
+          savedAt: bookmark.toJSON().createdAt,
+          book: bookmark.book,
+        })),
+      currentPage: page,
+      totalBookmarks,
+      totalPages: limit ? Math.ceil(totalBookmarks / limit) : 1,
+      nextCursor,
+      hasMore,
+    });
+  } catch (error) {
+    console.error("Error fetching bookmarks:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+// Chỉ trả về ID các bài đã lưu - để trang home đánh dấu icon bookmark trên card
+// (GET /api/books không yêu cầu đăng nhập nên không tự gắn isBookmarked được)
+router.get("/me/bookmarks/ids", protectRoute, async (req, res) => {
+  try {
+    const bookIds = await Bookmark.find({ user: req.user._id }).distinct("book");
+    res.json({ bookIds });
+  } catch (error) {
+    console.error("Error fetching bookmark ids:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+// Lưu một bài review - gọi lại nhiều lần cũng chỉ có một bookmark
+router.put("/me/bookmarks/:bookId", protectRoute, async (req, res) => {
+  try {
+    const { bookId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(bookId)) {
+      return res.status(400).json({ message: "Invalid book ID" });
+    }
+    const book = await Book.exists({ _id: bookId });
+    if (!book) {
+      return res.status(404).json({ message: "Book not found" });
+    }
+
+    const bookmark = await Bookmark.findOneAndUpdate(
+      { user: req.user._id, book: bookId },
+      { $setOnInsert: { user: req.user._id, book: bookId } },
+      { upsert: true, new: true }
+    );
+
+    res.status(200).json({ bookId, isBookmarked: true, savedAt: bookmark.toJSON().createdAt });
+  } catch (error) {
+    console.error("Error bookmarking book:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+router.delete("/me/bookmarks/:bookId", protectRoute, async (req, res) => {
+  try {
+    const { bookId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(bookId)) {
+      return res.status(400).json({ message: "Invalid book ID" });
+    }
+    await Bookmark.deleteOne({ user: req.user._id, book: bookId });
+    res.status(200).json({ bookId, isBookmarked: false });
+  } catch (error) {
+    console.error("Error removing bookmark:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+});
+
 // --- GET User Profile --> để mở ra một trang UI chỉnh thông tin || dùng để Get thông tin tính năng follow
 // fetching any user's public profile -> tất cả có thể xem thông tin của nhau
 router.get("/:id", protectRoute, async (req, res) => {
@@ -151,39 +277,28 @@ router.patch("/:id", protectRoute, async (req, res) => {
 
     // Handle profile image update
     if (profileImage !== undefined) {
-      // Delete old image from Cloudinary if it exists
-      if (user.profileImage && user.profileImage.includes("cloudinary")) {
-        try {
-          const parts = user.profileImage.split("/");
-          const oldPublicId = parts
-            .slice(parts.indexOf("upload") + 2)
-            .join("/")
-            .split(".")[0];
-          await cloudinary.uploader.destroy(oldPublicId);
-        } catch (deleteError) {
-          console.error(
-            "Error deleting old profile image from Cloudinary:",
-            deleteError
-          );
-          // Continue despite deletion error
-        }
-      }
-
-      // Upload new profile image
+      // Upload new profile image (kiểm tra định dạng, bỏ EXIF, resize)
+      // profileImage: "upload:<token>" từ /api/uploads hoặc data URL (client cũ)
+      let uploaded;
       try {
-        const uploadResponse = await cloudinary.uploader.upload(profileImage, {
-          folder: "Book_Forum/User",
+        uploaded = await resolveSingleImage(profileImage, {
+          user,
+          purpose: "avatar",
         });
-        updates.profileImage = uploadResponse.secure_url;
       } catch (uploadError) {
-        console.error(
-          "Error uploading new profile image to Cloudinary:",
-          uploadError
-        );
+        console.error("Error uploading new profile image:", uploadError);
         return res
           .status(500)
           .json({ message: "Failed to upload new profile image." });
       }
+      if (uploaded.error) {
+        return res.status(400).json({ message: uploaded.error });
+      }
+
+      // Delete old image from storage if it exists (lỗi chỉ ghi log)
+      await deleteMedia({ url: user.profileImage, key: user.profileImageKey });
+      updates.profileImage = uploaded.media.url;
+      updates.profileImageKey = uploaded.media.key;
     }
 
     // Update lại toàn bộ chổ nào user cần update - xem như là 1 object
@@ -192,6 +307,11 @@ router.patch("/:id", protectRoute, async (req, res) => {
     // Save the user (triggers pre-save hook for password hashing)
     await user.save();
 
+    // Đổi mật khẩu thì các thiết bị khác phải đăng nhập lại (giống POST /api/auth/change-password)
+    if (updates.password !== undefined) {
+      await revokeUserSessions(user._id, { exceptSessionId: req.authSession._id });
+    }
+
     // Send response
     res.status(200).json({
       message: "Profile updated successfully",
@@ -232,8 +352,28 @@ router.delete("/:id", protectRoute, async (req, res) => {
     }
 
     // OPTION 1: Xóa tất cả books và comments của user
+    const userBooks = await Book.find({ user: userId }).select("title author rating work image images imageMedia");
+    for (const book of userBooks) {
+      await destroyBookImages(getBookMedia(book));
+    }
     await Book.deleteMany({ user: userId });
-    await Comment.deleteMany({ user: userId });
+    await Shelf.deleteMany({ user: userId });
+    await ReadingSession.deleteMany({ user: userId });
+    await ReadingChallenge.deleteMany({ user: userId });
+    await Bookmark.deleteMany({ user: userId });
+    await Bookmark.deleteMany({ book: { $in: userBooks.map((book) => book._id) } });
+    await removeBooksFromLists(userBooks.map((book) => book._id));
+    await deleteUserLists(userId);
+    await recomputeRatingStats(userBooks.flatMap((book) => ratingTargetsForBook(book)));
+    await deleteUserComments(userId);
+    await Comment.updateMany(
+      { "reactions.user": userId }, // Gỡ reaction của user trên comment của người khác
+      {
+        $pull: { reactions: { user: userId } },
+        $inc: { reaction_count: -1 },
+      }
+    );
+    await AuthSession.deleteMany({ user: userId });
 
     // OPTION 2: Hoặc giữ lại books nhưng đánh dấu là "deleted user"
     // await Book.updateMany(
@@ -241,6 +381,7 @@ router.delete("/:id", protectRoute, async (req, res) => {
     //   { $unset: { user: 1 } } // Xóa reference đến user
     // );
 
+    await deleteMedia({ url: user.profileImage, key: user.profileImageKey });
     await User.deleteOne({ _id: userId });
 
     res
@@ -290,26 +431,19 @@ router.patch("/admin/profile", protectRoute, async (req, res) => {
 
     // Handle profile image update
     if (profileImage !== undefined) {
-      // Delete old image from Cloudinary if it exists
-      if (user.profileImage && user.profileImage.includes("cloudinary")) {
-        try {
-          const parts = user.profileImage.split("/");
-          const oldPublicId = parts
-            .slice(parts.indexOf("upload") + 2)
-            .join("/")
-            .split(".")[0];
-          await cloudinary.uploader.destroy(oldPublicId);
-        } catch (deleteError) {
-          console.error("Error deleting old profile image:", deleteError);
-        }
-      }
-
-      // Upload new profile image
-      const uploadResponse = await cloudinary.uploader.upload(profileImage, {
-        folder: "Book_Forum/Admin",
+      // Upload new profile image (kiểm tra định dạng, bỏ EXIF, resize)
+      const uploaded = await resolveSingleImage(profileImage, {
+        user,
+        purpose: "avatar",
       });
+      if (uploaded.error) {
+        return res.status(400).json({ message: uploaded.error });
+      }
 
-      updates.profileImage = uploadResponse.secure_url;
+      // Delete old image from storage if it exists (lỗi chỉ ghi log)
+      await deleteMedia({ url: user.profileImage, key: user.profileImageKey });
+      updates.profileImage = uploaded.media.url;
+      updates.profileImageKey = uploaded.media.key;
     }
 
     // Apply updates
@@ -488,9 +622,15 @@ router.post("/:userIdToUnfollow/unfollow", protectRoute, async (req, res) => {
 router.get("/:userId/followers", protectRoute, async (req, res) => {
   try {
     const { userId } = req.params;
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 20;
-    const skip = (page - 1) * limit;
+    const pagination = getPaginationParams(req.query, {
+      defaultLimit: 20,
+      direction: 1,
+      sortField: "username",
+    });
+    if (pagination.error) {
+      return res.status(400).json({ message: pagination.error });
+    }
+    const { page, limit, skip, cursorFilter } = pagination;
 
     if (!mongoose.Types.ObjectId.isValid(userId)) {
       return res.status(400).json({ message: "Invalid user ID." });
@@ -500,10 +640,12 @@ router.get("/:userId/followers", protectRoute, async (req, res) => {
       .populate({
         path: "followers",
         select: "username profileImage _id",
+        match: cursorFilter,
         options: {
-          sort: { username: 1 },
+          // Sort theo username, thêm _id để page và cursor cho cùng một thứ tự
+          sort: { username: 1, _id: 1 },
           skip: skip,
-          limit: limit,
+          limit: limit + 1,
         },
       });
 
@@ -519,11 +661,18 @@ router.get("/:userId/followers", protectRoute, async (req, res) => {
           await User.findById(userId).select("followers")
         ).followers.length
     );
+    const { items: followers, hasMore, nextCursor } = paginateByField(
+      user.followers,
+      limit,
+      "username"
+    );
     res.json({
-      followers: user.followers,
+      followers,
       currentPage: page,
       totalFollowers: totalFollowers,
       totalPages: Math.ceil(totalFollowers / limit),
+      nextCursor,
+      hasMore,
     });
   } catch (error) {
     console.error("Error fetching followers:", error);
@@ -534,9 +683,15 @@ router.get("/:userId/followers", protectRoute, async (req, res) => {
 router.get("/:userId/following", protectRoute, async (req, res) => {
   try {
     const { userId } = req.params;
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 20;
-    const skip = (page - 1) * limit;
+    const pagination = getPaginationParams(req.query, {
+      defaultLimit: 20,
+      direction: 1,
+      sortField: "username",
+    });
+    if (pagination.error) {
+      return res.status(400).json({ message: pagination.error });
+    }
+    const { page, limit, skip, cursorFilter } = pagination;
     if (!mongoose.Types.ObjectId.isValid(userId)) {
       return res.status(400).json({ message: "Invalid user ID." });
     }
@@ -545,10 +700,12 @@ router.get("/:userId/following", protectRoute, async (req, res) => {
       .populate({
         path: "following",
         select: "username profileImage _id",
+        match: cursorFilter,
         options: {
-          sort: { username: 1 },
+          // Sort theo username, thêm _id để page và cursor cho cùng một thứ tự
+          sort: { username: 1, _id: 1 },
           skip: skip,
-          limit: limit,
+          limit: limit + 1,
         },
       });
     if (!user) {
@@ -557,11 +714,18 @@ router.get("/:userId/following", protectRoute, async (req, res) => {
     const totalFollowing = await User.findById(userId)
       .select("following")
       .then((u) => u.following.length);
+    const { items: following, hasMore, nextCursor } = paginateByField(
+      user.following,
+      limit,
+      "username"
+    );
     res.json({
-      following: user.following,
+      following,
       currentPage: page,
       totalFollowing: totalFollowing,
       totalPages: Math.ceil(totalFollowing / limit),
+      nextCursor,
+      hasMore,
     });
   } catch (error) {
     console.error("Error fetching following:", error);
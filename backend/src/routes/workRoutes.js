@@ -0,0 +1,116 @@
+import express from "express";
+import mongoose from "mongoose";
+import Work from "../models/work.js";
+import Book from "../models/book.js";
+import protectRoute from "../middleware/auth.middleware.js";
+import { formatRatingStat, getRatingStats } from "../lib/ratingHelper.js";
+import { getPaginationParams, paginateResults } from "../lib/pagination.js";
+import { escapeRegex, foldVietnamese } from "../lib/textNormalize.js";
+
+const router = express.Router();
+
+// Tìm tác phẩm có sẵn cho bước "chọn sách" khi đăng bài - khớp tiền tố từ, không dấu
+router.get("/", protectRoute, async (req, res) => {
+  try {
+    const searchText = typeof req.query.q === "string" ? req.query.q.trim() : "";
+    if (!searchText) {
+      return res.status(200).json({ works: [] });
+    }
+    const limit = Math.min(parseInt(req.query.limit) || 10, 30);
+
+    const prefixRegex = {
+      $regex: `(^|\\s)${escapeRegex(foldVietnamese(searchText))}`,
+    };
+    const works = await Work.find({
+      $or: [
+        { title_normalized: prefixRegex },
+        { authors_normalized: prefixRegex },
+      ],
+    })
+      .populate("genre", "genre_name _id")
+      .limit(limit);
+
+    const stats = await getRatingStats("work", works.map((work) => work._id.toString()));
+    const worksWithStats = works
+      .map((work) => ({
+        ...work.toJSON(),
+        averageRating: stats[work._id.toString()]?.averageRating || 0,
+        reviewCount: stats[work._id.toString()]?.reviewCount || 0,
+      }))
+      // Tác phẩm nhiều review hơn lên trước
+      .sort((a, b) => b.reviewCount - a.reviewCount);
+
+    res.status(200).json({ works: worksWithStats });
+  } catch (error) {
+    console.error("Error searching works:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+// Điểm trung bình, phân bố số sao và số review của một tác phẩm
+router.get("/:workId/ratings", protectRoute, async (req, res) => {
+  try {
+    const { workId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(workId)) {
+      return res.status(400).json({ message: "Invalid work ID format" });
+    }
+    const work = await Work.findById(workId).select("title authors");
+    if (!work) {
+      return res.status(404).json({ message: "Work not found" });
+    }
+
+    const stats = await getRatingStats("work", [workId]);
+    res.status(200).json({
+      work,
+      ...(stats[workId] || formatRatingStat(null)),
+    });
+  } catch (error) {
+    console.error("Error fetching work rating stats:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+// Trang tác phẩm: thông tin Work, điểm trung bình và danh sách review (phân trang cursor)
+router.get("/:workId", protectRoute, async (req, res) => {
+  try {
+    const { workId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(workId)) {
+      return res.status(400).json({ message: "Invalid work ID format" });
+    }
+
+    const pagination = getPaginationParams(req.query, { defaultLimit: 10 });
+    if (pagination.error) {
+      return res.status(400).json({ message: pagination.error });
+    }
+    const { limit, skip, cursorFilter } = pagination;
+
+    const work = await Work.findById(workId).populate("genre", "genre_name _id");
+    if (!work) {
+      return res.status(404).json({ message: "Work not found" });
+    }
+
+    const results = await Book.find({ work: workId, ...cursorFilter })
+      .sort({ createdAt: -1, _id: -1 })
+      .skip(skip)
+      .limit(limit + 1)
+      .select("caption captionMentions image rating like_count dislike_count user createdAt")
+      .populate("user", "username profileImage _id");
+    const { items, hasMore, nextCursor } = paginateResults(results, limit);
+
+    const stats = await getRatingStats("work", [workId]);
+
+    res.status(200).json({
+      work,
+      ...(stats[workId] || formatRatingStat(null)),
+      // Bỏ review của user đã bị xóa
+      reviews: items.filter((review) => review.user !== null),
+      nextCursor,
+      hasMore,
+    });
+  } catch (error) {
+    console.error("Error fetching work:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+export default router;
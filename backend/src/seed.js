@@ -1,5 +1,6 @@
 import { connectDB } from "./lib/db.js"; // Adjust path to your connectDB function
 import Genre from "./models/genre.js"; // Adjust path to your Genre model
+import { foldVietnamese } from "./lib/textNormalize.js";
 import mongoose from "mongoose";
 
 // File nay dung de add auto - genre vao mongo --> file nay standalone voi backend, co the chay doc lap node src/seed.js 
@@ -55,6 +56,7 @@ async function seedGenres() {
     // Prepare genre documents
     const genreDocs = genresToInsert.map((name) => ({
       genre_name: name,
+      genre_name_normalized: foldVietnamese(name), // insertMany không chạy pre("save")
       soft_delete: false,
     }));
 